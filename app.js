@@ -46,6 +46,15 @@ const notificationRoutes = require("./routes/notificationRoutes");
 const inventoryRoutes = require("./routes/inventoryRoutes");
 const salesReportRoutes = require("./routes/salesReportRoutes");
 const contactRoutes = require("./routes/contactRoutes");
+const couponRoutes = require("./routes/couponRoutes");
+const shippingRoutes = require("./routes/shippingRoutes");
+const taxRoutes = require("./routes/taxRoutes");
+const refundRoutes = require("./routes/refundRoutes");
+const returnRoutes = require("./routes/returnRoutes");
+const courierRoutes = require("./routes/courierRoutes");
+const commissionRoutes = require("./routes/commissionRoutes");
+const productionRoutes = require("./routes/productionRoutes");
+const materialRoutes = require("./routes/materialRoutes");
 
 // -----------------------------------------------------------------------------
 // IMPORT MIDDLEWARE
@@ -61,6 +70,14 @@ const app = express();
 // express() returns an Express application instance
 // This is the main object we configure and export
 
+// Behind a reverse proxy (nginx, Heroku, ...) every request seems to come
+// from the proxy. TRUST_PROXY makes req.ip the real client IP, which the
+// rate limiters and session records rely on.
+// Value: number of proxies in front of the app (usually 1)
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || 1);
+}
+
 // -----------------------------------------------------------------------------
 // GLOBAL MIDDLEWARE CONFIGURATION
 // -----------------------------------------------------------------------------
@@ -119,10 +136,11 @@ const corsOptions = {
     "Authorization",
     "X-Requested-With",
     "Accept",
+    "Idempotency-Key", // Safe retries for checkout / payment
   ],
 
   // Headers to expose to the browser
-  exposedHeaders: ["X-Total-Count", "X-Total-Pages"],
+  exposedHeaders: ["X-Total-Count", "X-Total-Pages", "Idempotent-Replayed"],
 
   // How long to cache preflight response (in seconds)
   maxAge: 86400, // 24 hours
@@ -135,11 +153,18 @@ app.use(cors(corsOptions));
 // -------------------------
 // Parse incoming request bodies
 
+// Payment gateway and courier webhooks are signed over the raw body - re-serializing
+// req.body would not produce the same bytes.
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
 // Parse JSON bodies
 // This is needed to read req.body when Content-Type is application/json
 app.use(
   express.json({
     limit: "10mb", // Limit body size to prevent DoS attacks
+    verify: keepRawBody,
   }),
 );
 
@@ -149,6 +174,7 @@ app.use(
   express.urlencoded({
     extended: true,
     limit: "10mb",
+    verify: keepRawBody,
   }),
 );
 
@@ -247,6 +273,15 @@ app.get("/api", (req, res) => {
       salesReports: "/api/reports/sales",
       notifications: "/api/notifications",
       contact: "/api/contact",
+      coupons: "/api/coupons",
+      shipping: "/api/shipping",
+      tax: "/api/tax",
+      refunds: "/api/refunds",
+      returns: "/api/returns",
+      couriers: "/api/couriers",
+      commissions: "/api/commissions",
+      production: "/api/production",
+      materials: "/api/materials",
     },
   });
 });
@@ -299,6 +334,33 @@ app.use("/api/notifications", notificationRoutes);
 // Contact Form Submissions
 app.use("/api/contact", contactRoutes);
 
+// Coupons / Promo Codes (Admin management)
+app.use("/api/coupons", couponRoutes);
+
+// Shipping Zones & Rates (Admin management)
+app.use("/api/shipping", shippingRoutes);
+
+// Tax Rules (Admin management)
+app.use("/api/tax", taxRoutes);
+
+// Refunds (Admin management)
+app.use("/api/refunds", refundRoutes);
+
+// Customer Returns (request, approve/reject, receive)
+app.use("/api/returns", returnRoutes);
+
+// Couriers (tracking webhooks, mock courier)
+app.use("/api/couriers", courierRoutes);
+
+// Commissions (bespoke pieces: quote, deposit, progress, balance)
+app.use("/api/commissions", commissionRoutes);
+
+// Production board (made-to-order items: pouring, curing, finishing)
+app.use("/api/production", productionRoutes);
+
+// Raw materials (resin, pigments, molds) with reorder levels
+app.use("/api/materials", materialRoutes);
+
 // -----------------------------------------------------------------------------
 // ERROR HANDLING MIDDLEWARE
 // -----------------------------------------------------------------------------
@@ -0,0 +1,248 @@
+// =============================================================================
+// ADDRESS CONTROLLER - Saved Shipping Addresses (Address Book)
+// =============================================================================
+//
+// Based on Section 5.1 (SRS-35: profile containing address)
+//
+// Each user keeps a list of shipping addresses. One of them is the default
+// (pre-selected at checkout); the first address saved becomes the default
+// automatically, and deleting the default promotes the newest one left.
+//
+// Checkout uses an address with POST /api/orders { addressId }.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { validateAddress, findUserAddress } = require('../utils/addresses');
+
+// Keeps the address picker usable
+const MAX_ADDRESSES = 20;
+
+const ADDRESS_FIELDS = ['label', 'line1', 'line2', 'city', 'province', 'postalCode', 'phone'];
+
+// Trimmed address fields from the request body (only the ones sent)
+const pickAddressFields = (body) => {
+  const data = {};
+
+  for (const field of ADDRESS_FIELDS) {
+    if (body[field] !== undefined) {
+      const value = body[field] === null ? '' : String(body[field]).trim();
+      data[field] = value || null;
+    }
+  }
+
+  return data;
+};
+
+// Default first, then newest
+const ADDRESS_ORDER = [{ isDefault: 'desc' }, { createdAt: 'desc' }];
+
+// Load the requested address or send 404 (also for other users' addresses)
+const getOwnAddress = async (req, res) => {
+  const address = await findUserAddress(req.user.id, req.params.id);
+
+  if (!address) {
+    res.status(404);
+    throw new Error('Address not found');
+  }
+
+  return address;
+};
+
+// =============================================================================
+// @desc    Get my saved addresses
+// @route   GET /api/auth/addresses
+// @access  Private
+// =============================================================================
+
+const getAddresses = asyncHandler(async (req, res) => {
+  const addresses = await prisma.address.findMany({
+    where: { userId: req.user.id },
+    orderBy: ADDRESS_ORDER,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: addresses.length,
+    data: addresses,
+  });
+});
+
+// =============================================================================
+// @desc    Get a saved address
+// @route   GET /api/auth/addresses/:id
+// @access  Private
+// =============================================================================
+
+const getAddress = asyncHandler(async (req, res) => {
+  const address = await getOwnAddress(req, res);
+
+  res.status(200).json({
+    success: true,
+    data: address,
+  });
+});
+
+// =============================================================================
+// @desc    Save a new address
+// @route   POST /api/auth/addresses
+// @access  Private
+// =============================================================================
+//
+// Body: { label?, line1, line2?, city, province?, postalCode?, phone,
+//         isDefault? }
+
+const createAddress = asyncHandler(async (req, res) => {
+  const data = pickAddressFields(req.body);
+
+  const validationError = validateAddress(data);
+  if (validationError) {
+    res.status(400);
+    throw new Error(validationError);
+  }
+
+  const count = await prisma.address.count({ where: { userId: req.user.id } });
+
+  if (count >= MAX_ADDRESSES) {
+    res.status(400);
+    throw new Error(`You can save up to ${MAX_ADDRESSES} addresses. Delete one first.`);
+  }
+
+  // The first address is always the default
+  const isDefault = count === 0 || req.body.isDefault === true;
+
+  const address = await prisma.$transaction(async (tx) => {
+    if (isDefault) {
+      await tx.address.updateMany({
+        where: { userId: req.user.id, isDefault: true },
+        data: { isDefault: false },
+      });
+    }
+
+    return tx.address.create({
+      data: { ...data, userId: req.user.id, isDefault },
+    });
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Address saved',
+    data: address,
+  });
+});
+
+// =============================================================================
+// @desc    Update a saved address
+// @route   PUT /api/auth/addresses/:id
+// @access  Private
+// =============================================================================
+//
+// Orders already placed keep the address they were placed with.
+
+const updateAddress = asyncHandler(async (req, res) => {
+  const address = await getOwnAddress(req, res);
+  const data = pickAddressFields(req.body);
+
+  const validationError = validateAddress(data, true);
+  if (validationError) {
+    res.status(400);
+    throw new Error(validationError);
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Only make it the default here - unsetting is done by choosing another
+    if (req.body.isDefault === true && !address.isDefault) {
+      await tx.address.updateMany({
+        where: { userId: req.user.id, isDefault: true },
+        data: { isDefault: false },
+      });
+      data.isDefault = true;
+    }
+
+    return tx.address.update({
+      where: { id: address.id },
+      data,
+    });
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Address updated',
+    data: updated,
+  });
+});
+
+// =============================================================================
+// @desc    Make an address the default
+// @route   PUT /api/auth/addresses/:id/default
+// @access  Private
+// =============================================================================
+
+const setDefaultAddress = asyncHandler(async (req, res) => {
+  const address = await getOwnAddress(req, res);
+
+  const [, updated] = await prisma.$transaction([
+    prisma.address.updateMany({
+      where: { userId: req.user.id, isDefault: true, id: { not: address.id } },
+      data: { isDefault: false },
+    }),
+    prisma.address.update({
+      where: { id: address.id },
+      data: { isDefault: true },
+    }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Default address updated',
+    data: updated,
+  });
+});
+
+// =============================================================================
+// @desc    Delete a saved address
+// @route   DELETE /api/auth/addresses/:id
+// @access  Private
+// =============================================================================
+
+const deleteAddress = asyncHandler(async (req, res) => {
+  const address = await getOwnAddress(req, res);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.address.delete({ where: { id: address.id } });
+
+    // Promote the newest remaining address
+    if (address.isDefault) {
+      const next = await tx.address.findFirst({
+        where: { userId: req.user.id },
+        orderBy: { createdAt: 'desc' },
+      });
+
+      if (next) {
+        await tx.address.update({
+          where: { id: next.id },
+          data: { isDefault: true },
+        });
+      }
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Address deleted',
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getAddresses,
+  getAddress,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+};
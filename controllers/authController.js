@@ -7,8 +7,13 @@
 // - 5.1.2 Process Login (SRS-4 to SRS-6)
 // - 5.1.3 Change Password (SRS-7 to SRS-9)
 // - 5.1.4 Forget Password (SRS-10 to SRS-12)
+// - Email verification for new signups
+// - Two-step login for accounts with two-factor authentication
+//   (enrollment is handled by twoFactorController)
 //
 // This controller handles all authentication-related functionality.
+// Logins are tracked as server-side sessions (see utils/sessionStore.js) so
+// tokens can be refreshed, rotated and revoked.
 //
 // =============================================================================
 
@@ -20,22 +25,104 @@ const { prisma } = require("../config/db");
 // Prisma client for database operations
 
 const {
-  generateToken,
   generateResetToken,
+  generateVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
   hashResetToken,
 } = require("../utils/generateToken");
 // Token utilities
 
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/sessionStore");
+// Session store (access/refresh token pairs, revocation)
+
+const { sendEmailOtp, verifyTwoFactorCode } = require("../utils/twoFactor");
+// Two-factor authentication (email codes, code verification)
+
+const {
+  isAccountLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+} = require("../utils/loginLockout");
+// Per-account lockout after repeated wrong passwords
+
 const {
   sendEmail,
   getPasswordResetEmail,
   getWelcomeEmail,
+  getEmailVerificationEmail,
 } = require("../utils/sendEmail");
 // Email utilities
 
 const { asyncHandler } = require("../middleware/errorMiddleware");
 // Wrapper for async error handling
 
+// How long an email verification link stays valid (in hours)
+const EMAIL_VERIFICATION_EXPIRE_HOURS =
+  parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+// =============================================================================
+// HELPER: Remove secrets before sending a user record to the client
+// =============================================================================
+//
+// A full user row contains the password hash, reset/verification token
+// hashes and the 2FA secret. Only these fields are safe to return.
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  address: user.address,
+  dateOfBirth: user.dateOfBirth,
+  role: user.role,
+  status: user.status,
+  profileImage: user.profileImage,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+});
+
+// =============================================================================
+// HELPER: Create a verification token and email it to the user
+// =============================================================================
+//
+// Works like the password reset flow:
+// - the raw token goes into the email link
+// - only its hash is stored, with an expiry time
+// Calling this again replaces any previous token (old links stop working).
+
+const sendVerificationEmail = async (user) => {
+  const { verificationToken, hashedToken } = generateVerificationToken();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      emailVerificationToken: hashedToken,
+      emailVerificationExpire: new Date(
+        Date.now() + EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000
+      ),
+    },
+  });
+
+  const verifyUrl = `${
+    process.env.FRONTEND_URL || "http://localhost:3000"
+  }/verify-email?token=${verificationToken}`;
+
+  const { subject, text, html } = getEmailVerificationEmail(
+    user.name,
+    verifyUrl,
+    EMAIL_VERIFICATION_EXPIRE_HOURS
+  );
+  await sendEmail({ to: user.email, subject, text, html });
+};
+
 // =============================================================================
 // @desc    Register a new user (Signup)
 // @route   POST /api/auth/signup
@@ -52,9 +139,13 @@ const { asyncHandler } = require("../middleware/errorMiddleware");
 // 2. Check if email already exists
 // 3. Hash the password
 // 4. Create user in database
-// 5. Generate JWT token
-// 6. Send welcome email
-// 7. Return token to client
+// 5. Start a session (access + refresh token)
+// 6. Send verification email
+// 7. Return tokens to client
+//
+// The account starts UNVERIFIED (emailVerified = false). The user can log in
+// right away, but checkout may be blocked until the email link is clicked
+// (see REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT in createOrder).
 
 const signup = asyncHandler(async (req, res) => {
   // ---------------------------------------------------------------------------
@@ -150,26 +241,28 @@ const signup = asyncHandler(async (req, res) => {
       phone: true,
       role: true,
       status: true,
+      emailVerified: true,
       createdAt: true,
     },
   });
 
   // ---------------------------------------------------------------------------
-  // STEP 6: Generate JWT token
+  // STEP 6: Start a session (access token + refresh token)
   // ---------------------------------------------------------------------------
 
-  const token = generateToken(user.id);
+  const { accessToken, refreshToken } = await createSession(user.id, req);
 
   // ---------------------------------------------------------------------------
-  // STEP 7: Send welcome email (optional - don't fail if email fails)
+  // STEP 7: Send verification email (don't fail signup if email fails)
   // ---------------------------------------------------------------------------
+  // The welcome email is sent once the address is verified (see verifyEmail).
+  // If this fails, the user can ask for a new link via /resend-verification.
 
   try {
-    // const { subject, text, html } = getWelcomeEmail(user);
-    // await sendEmail({ to: user.email, subject, text, html });
+    await sendVerificationEmail(user);
   } catch (emailError) {
     // Log error but don't fail the signup
-    console.error("Failed to send welcome email:", emailError.message);
+    console.error("Failed to send verification email:", emailError.message);
   }
 
   // ---------------------------------------------------------------------------
@@ -178,10 +271,12 @@ const signup = asyncHandler(async (req, res) => {
 
   res.status(201).json({
     success: true,
-    message: "Account created successfully! Welcome to Resin Art Store.",
+    message:
+      "Account created successfully! Welcome to Resin Art Store. Please check your email to verify your address.",
     data: {
       user,
-      token,
+      token: accessToken,
+      refreshToken,
     },
   });
 });
@@ -201,9 +296,10 @@ const signup = asyncHandler(async (req, res) => {
 // 1. Validate input
 // 2. Find user by email
 // 3. Check if user exists and is active
-// 4. Compare password with hash
-// 5. Generate JWT token
-// 6. Return token to client
+// 4. Compare password with hash (wrong passwords count towards a lockout)
+// 5. If 2FA is enabled: return a challenge token instead (see verifyTwoFactorLogin)
+// 6. Start a session (access + refresh token)
+// 7. Return tokens to client
 
 const login = asyncHandler(async (req, res) => {
   // ---------------------------------------------------------------------------
@@ -258,6 +354,15 @@ const login = asyncHandler(async (req, res) => {
     throw new Error("Your account is inactive. Please contact support.");
   }
 
+  // Locked after too many wrong passwords? (checked BEFORE the password, so
+  // guessing during the lock gives the attacker no information)
+  // SECURITY: Same response as an unknown email - a different one would tell
+  // anyone which emails have an account. The owner is emailed about the lock.
+  if (isAccountLocked(user)) {
+    res.status(401);
+    throw new Error("Invalid email or password");
+  }
+
   // ---------------------------------------------------------------------------
   // STEP 5: Compare password (SRS-5: verify credentials)
   // ---------------------------------------------------------------------------
@@ -270,30 +375,175 @@ const login = asyncHandler(async (req, res) => {
   const isPasswordValid = await bcrypt.compare(password, user.password);
 
   if (!isPasswordValid) {
+    // Locks the account (and emails the owner) after too many in a row
+    await recordFailedLogin(user);
+
     res.status(401);
     throw new Error("Invalid email or password");
-    // Same generic message as user not found
+    // Same generic message as user not found (and as a locked account)
+  }
+
+  // Correct password: forget earlier failed attempts
+  if (user.failedLoginAttempts > 0 || user.lockoutCount > 0) {
+    await clearFailedLogins(user.id);
   }
 
   // ---------------------------------------------------------------------------
-  // STEP 6: Generate token and send response
+  // STEP 6: Two-factor authentication (if enabled)
   // ---------------------------------------------------------------------------
+  //
+  // The password was right, but no tokens yet. The client gets a short-lived
+  // challenge token and must send it with the 2FA code to /login/2fa.
+
+  if (user.twoFactorEnabled) {
+    if (user.twoFactorMethod === "EMAIL") {
+      try {
+        await sendEmailOtp(user);
+      } catch (emailError) {
+        console.error("Failed to send 2FA code:", emailError.message);
+        res.status(500);
+        throw new Error(
+          "Failed to send verification code. Please try again later."
+        );
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Password accepted. Please enter your verification code.",
+      data: {
+        twoFactorRequired: true,
+        method: user.twoFactorMethod,
+        challengeToken: generateTwoFactorChallengeToken(user.id),
+      },
+    });
+    return;
+  }
 
-  const token = generateToken(user.id);
+  // ---------------------------------------------------------------------------
+  // STEP 7: Start a session and send response
+  // ---------------------------------------------------------------------------
 
-  // Remove password from response
-  const { password: _, ...userWithoutPassword } = user;
+  const { accessToken, refreshToken } = await createSession(user.id, req);
 
   res.status(200).json({
     success: true,
     message: "Login successful!",
     data: {
-      user: userWithoutPassword,
-      token,
+      // Remove password (and other secrets) from response
+      user: toPublicUser(user),
+      token: accessToken,
+      refreshToken,
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Login step 2 - verify two-factor code
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token required)
+// =============================================================================
+//
+// Accepts the code for the user's method (authenticator app or email),
+// or one of their backup codes. Each backup code works only once.
+
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  if (!challengeToken || !code) {
+    res.status(400);
+    throw new Error("Please provide the challenge token and verification code");
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 1: Check the challenge token (proves the password step passed)
+  // ---------------------------------------------------------------------------
+
+  const decoded = verifyTwoFactorChallengeToken(challengeToken);
+
+  if (!decoded) {
+    res.status(401);
+    throw new Error("Login attempt expired. Please log in again.");
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.userId },
+  });
+
+  if (!user || user.status !== "ACTIVE" || !user.twoFactorEnabled) {
+    res.status(401);
+    throw new Error("Login attempt expired. Please log in again.");
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 2: Check the code
+  // ---------------------------------------------------------------------------
+
+  const result = await verifyTwoFactorCode(user, code);
+
+  if (!result.valid) {
+    res.status(401);
+    throw new Error(result.error);
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 3: Start a 2FA-verified session
+  // ---------------------------------------------------------------------------
+
+  const { accessToken, refreshToken } = await createSession(user.id, req, {
+    twoFactorVerified: true,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: result.usedBackupCode
+      ? "Login successful! A backup code was used - consider generating new ones."
+      : "Login successful!",
+    data: {
+      user: toPublicUser(user),
+      token: accessToken,
+      refreshToken,
     },
   });
 });
 
+// =============================================================================
+// @desc    Resend the emailed login code
+// @route   POST /api/auth/login/2fa/resend
+// @access  Public (challenge token required)
+// =============================================================================
+
+const resendTwoFactorLoginCode = asyncHandler(async (req, res) => {
+  const decoded = verifyTwoFactorChallengeToken(req.body.challengeToken);
+
+  if (!decoded) {
+    res.status(401);
+    throw new Error("Login attempt expired. Please log in again.");
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.userId },
+  });
+
+  if (!user || !user.twoFactorEnabled || user.twoFactorMethod !== "EMAIL") {
+    res.status(400);
+    throw new Error("This account does not use email codes");
+  }
+
+  try {
+    await sendEmailOtp(user);
+  } catch (emailError) {
+    console.error("Failed to send 2FA code:", emailError.message);
+    res.status(500);
+    throw new Error("Failed to send verification code. Please try again later.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "A new verification code has been sent to your email",
+  });
+});
+
 // =============================================================================
 // @desc    Get current logged in user profile
 // @route   GET /api/auth/me
@@ -318,6 +568,8 @@ const getMe = asyncHandler(async (req, res) => {
       dateOfBirth: true,
       role: true,
       status: true,
+      emailVerified: true,
+      twoFactorEnabled: true,
       profileImage: true,
       createdAt: true,
       updatedAt: true,
@@ -530,15 +782,15 @@ const changePassword = asyncHandler(async (req, res) => {
   });
 
   // ---------------------------------------------------------------------------
-  // Generate new token (optional: invalidate old tokens)
+  // Log out other devices (an attacker who knew the old password is kicked out)
   // ---------------------------------------------------------------------------
+  // The current session stays active, so the user isn't logged out here.
 
-  const token = generateToken(user.id);
+  await revokeAllSessions(user.id, "PASSWORD_CHANGED", req.sessionId);
 
   res.status(200).json({
     success: true,
     message: "Password changed successfully! (SRS-9)", // SRS-9: success message
-    data: { token },
   });
 });
 
@@ -556,6 +808,7 @@ const changePassword = asyncHandler(async (req, res) => {
 // - Don't reveal if email exists (prevents email enumeration)
 // - Token expires after 10 minutes
 // - Token is hashed before storing
+// - At most one email per minute per account (plus a per-IP route limit)
 
 const forgotPassword = asyncHandler(async (req, res) => {
   const { email } = req.body;
@@ -586,6 +839,25 @@ const forgotPassword = asyncHandler(async (req, res) => {
     return;
   }
 
+  // ---------------------------------------------------------------------------
+  // Per-account throttle: one reset email per minute
+  // ---------------------------------------------------------------------------
+  // A reset link was sent less than a minute ago (its 10 minute expiry is
+  // still more than 9 minutes away) - don't send another one. Same response,
+  // so this doesn't reveal anything either.
+
+  if (
+    user.resetPasswordExpire &&
+    user.resetPasswordExpire > new Date(Date.now() + 9 * 60 * 1000)
+  ) {
+    res.status(200).json({
+      success: true,
+      message:
+        "If an account with that email exists, a password reset link has been sent.",
+    });
+    return;
+  }
+
   // ---------------------------------------------------------------------------
   // Generate reset token
   // ---------------------------------------------------------------------------
@@ -723,36 +995,198 @@ const resetPassword = asyncHandler(async (req, res) => {
       password: hashedPassword,
       resetPasswordToken: null, // Clear reset token
       resetPasswordExpire: null,
+      // Proving access to the email also lifts a login lockout
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      lockoutCount: 0,
     },
   });
 
   // ---------------------------------------------------------------------------
-  // Generate new login token
+  // End all existing sessions and start a fresh one
   // ---------------------------------------------------------------------------
+  // Whoever may have been using the old password loses access everywhere.
+
+  await revokeAllSessions(user.id, "PASSWORD_RESET");
+
+  // With 2FA on, the reset email alone must not log the user in
+  if (user.twoFactorEnabled) {
+    res.status(200).json({
+      success: true,
+      message:
+        "Password reset successful! Please log in with your new password and verification code. (SRS-12)",
+    });
+    return;
+  }
 
-  const authToken = generateToken(user.id);
+  const { accessToken, refreshToken } = await createSession(user.id, req);
 
   res.status(200).json({
     success: true,
     message:
       "Password reset successful! You can now log in with your new password. (SRS-12)",
-    data: { token: authToken },
+    data: { token: accessToken, refreshToken },
   });
 });
 
 // =============================================================================
-// @desc    Logout user (client-side only in JWT)
+// @desc    Verify email address with token
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+// =============================================================================
+//
+// The user clicks the link from the verification email.
+// We hash the token, look it up and mark the email as verified.
+// A verified user then receives the welcome email.
+
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  if (!token) {
+    res.status(400);
+    throw new Error("Verification token is required");
+  }
+
+  // ---------------------------------------------------------------------------
+  // Hash the received token and find user
+  // ---------------------------------------------------------------------------
+
+  const user = await prisma.user.findFirst({
+    where: {
+      emailVerificationToken: hashResetToken(token),
+      emailVerificationExpire: {
+        gt: new Date(), // Token must not be expired
+      },
+    },
+  });
+
+  if (!user) {
+    res.status(400);
+    throw new Error(
+      "Invalid or expired verification link. Please request a new one."
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Mark email as verified and clear the token (one-time use)
+  // ---------------------------------------------------------------------------
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      emailVerificationToken: null,
+      emailVerificationExpire: null,
+    },
+  });
+
+  // ---------------------------------------------------------------------------
+  // Send welcome email (optional - don't fail if email fails)
+  // ---------------------------------------------------------------------------
+
+  try {
+    const { subject, text, html } = getWelcomeEmail(user);
+    await sendEmail({ to: user.email, subject, text, html });
+  } catch (emailError) {
+    console.error("Failed to send welcome email:", emailError.message);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully! You can now place orders.",
+  });
+});
+
+// =============================================================================
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+// =============================================================================
+//
+// For users whose link expired or whose email never arrived.
+// A new link replaces the old one.
+
+const resendVerification = asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { id: true, name: true, email: true, emailVerified: true },
+  });
+
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  if (user.emailVerified) {
+    res.status(400);
+    throw new Error("Your email address is already verified");
+  }
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error("Failed to send verification email:", error.message);
+    res.status(500);
+    throw new Error("Failed to send verification email. Please try again later.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `A new verification link has been sent to ${user.email}`,
+  });
+});
+
+// =============================================================================
+// @desc    Get a new access token using a refresh token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token required)
+// =============================================================================
+//
+// The access token is short-lived. When it expires, the client sends its
+// refresh token here and receives a NEW pair of tokens.
+//
+// ROTATION: each refresh token works only once. Presenting an already-used
+// refresh token revokes the whole session (see utils/sessionStore.js).
+
+const refreshToken = asyncHandler(async (req, res) => {
+  const { refreshToken: token } = req.body;
+
+  if (!token) {
+    res.status(400);
+    throw new Error("Refresh token is required");
+  }
+
+  const result = await rotateRefreshToken(token);
+
+  if (result.error) {
+    res.status(401);
+    throw new Error(result.error);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Token refreshed successfully",
+    data: {
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 // =============================================================================
 //
-// Note: With JWTs, logout is typically handled client-side by deleting the token.
-// This endpoint is for:
-// 1. Clearing httpOnly cookies (if used)
-// 2. Logging the logout event
-// 3. Future: Token blacklisting
+// Revoking the session makes BOTH tokens unusable right away:
+// - protect middleware rejects access tokens of revoked sessions
+// - the refresh token can no longer be exchanged
 
 const logout = asyncHandler(async (req, res) => {
+  await revokeSession(req.sessionId, "LOGOUT");
+
   // If using cookies, clear them
   res.cookie("token", "", {
     httpOnly: true,
@@ -765,6 +1199,29 @@ const logout = asyncHandler(async (req, res) => {
   });
 });
 
+// =============================================================================
+// @desc    Logout from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+// =============================================================================
+//
+// Revokes every session of the user, including the current one.
+// Useful when a device was lost or the user suspects their account was used.
+
+const logoutAll = asyncHandler(async (req, res) => {
+  const count = await revokeAllSessions(req.user.id, "LOGOUT_ALL");
+
+  res.cookie("token", "", {
+    httpOnly: true,
+    expires: new Date(0),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Logged out from ${count} session(s)`,
+  });
+});
+
 // =============================================================================
 // @desc    Delete own account
 // @route   DELETE /api/auth/account
@@ -845,13 +1302,19 @@ const deleteOwnAccount = asyncHandler(async (req, res) => {
 module.exports = {
   signup,
   login,
+  verifyTwoFactorLogin,
+  resendTwoFactorLoginCode,
   getMe,
   updateProfile,
   uploadProfilePicture,
   changePassword,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
   logout,
+  logoutAll,
   deleteOwnAccount,
 };
 
@@ -861,11 +1324,31 @@ module.exports = {
 //
 // POST /api/auth/signup
 // Body: { name, email, password, phone?, dateOfBirth?, address? }
-// Response: { success, message, data: { user, token } }
+// Response: { success, message, data: { user, token, refreshToken } }
 //
 // POST /api/auth/login
 // Body: { email, password }
-// Response: { success, message, data: { user, token } }
+// Response: { success, message, data: { user, token, refreshToken } }
+// With 2FA: { success, message, data: { twoFactorRequired, method, challengeToken } }
+//
+// POST /api/auth/login/2fa
+// Body: { challengeToken, code }
+// Response: { success, message, data: { user, token, refreshToken } }
+//
+// POST /api/auth/login/2fa/resend
+// Body: { challengeToken }
+// Response: { success, message }
+//
+// GET /api/auth/verify-email/:token
+// Response: { success, message }
+//
+// POST /api/auth/resend-verification
+// Headers: Authorization: Bearer <token>
+// Response: { success, message }
+//
+// POST /api/auth/refresh
+// Body: { refreshToken }
+// Response: { success, message, data: { token, refreshToken } }
 //
 // GET /api/auth/me
 // Headers: Authorization: Bearer <token>
@@ -879,7 +1362,7 @@ module.exports = {
 // PUT /api/auth/change-password
 // Headers: Authorization: Bearer <token>
 // Body: { currentPassword, newPassword, confirmPassword }
-// Response: { success, message, data: { token } }
+// Response: { success, message }
 //
 // POST /api/auth/forgot-password
 // Body: { email }
@@ -887,10 +1370,14 @@ module.exports = {
 //
 // POST /api/auth/reset-password/:token
 // Body: { password, confirmPassword }
-// Response: { success, message, data: { token } }
+// Response: { success, message, data: { token, refreshToken } }
 //
 // POST /api/auth/logout
 // Headers: Authorization: Bearer <token>
 // Response: { success, message }
 //
+// POST /api/auth/logout-all
+// Headers: Authorization: Bearer <token>
+// Response: { success, message }
+//
 // =============================================================================
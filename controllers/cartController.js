@@ -6,13 +6,48 @@
 // - 5.4.1 Add to Cart (SRS-41 to SRS-43)
 // - 5.4.2 View Cart (SRS-44, SRS-45)
 // - 5.4.3 Remove Product from Cart (SRS-46 to SRS-48)
+// - Coupon preview before checkout
+// - Shipping quote before checkout
+// - Customization checked against the product's options (utils/customizations.js)
 //
 // This controller handles shopping cart functionality.
 //
 // =============================================================================
 
+const { Prisma } = require('@prisma/client');
+
 const { prisma } = require('../config/db');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { evaluateCoupon } = require('../utils/coupons');
+const { quoteShipping } = require('../utils/shipping');
+const { getUnitPrice, getAvailableStock, resolveVariant } = require('../utils/variants');
+const {
+  validateCustomization,
+  getCustomizationOptions,
+  getCustomizationKey,
+} = require('../utils/customizations');
+
+// Variant fields shown with a cart line
+const CART_VARIANT_SELECT = {
+  id: true,
+  sku: true,
+  name: true,
+  options: true,
+  price: true,
+  discountPrice: true,
+  stock: true,
+  isActive: true,
+};
+
+// Active customization options, loaded with a cart line's product
+const CUSTOMIZATION_OPTIONS_INCLUDE = { where: { isActive: true } };
+
+// Unit price of a cart line today: product/variant price + customization
+// surcharge (0 while the customization doesn't fit the options)
+const getLinePrice = (item) => {
+  const custom = validateCustomization(item.product.customizationOptions, item.customization);
+  return parseFloat(getUnitPrice(item.product, item.variant)) + (custom.error ? 0 : custom.surcharge);
+};
 
 // =============================================================================
 // HELPER: Get or create user's active cart
@@ -70,8 +105,10 @@ const getCart = asyncHandler(async (req, res) => {
               stock: true,
               isActive: true,
               category: true,
+              customizationOptions: CUSTOMIZATION_OPTIONS_INCLUDE,
             },
           },
+          variant: { select: CART_VARIANT_SELECT },
         },
         orderBy: { addedAt: 'desc' },
       },
@@ -82,10 +119,25 @@ const getCart = asyncHandler(async (req, res) => {
   let subtotal = 0;
   let totalItems = 0;
   
+  // Lines of the same product (variant) with different customizations share
+  // its stock
+  const stockKey = (item) => `${item.productId}:${item.variantKey}`;
+  const wanted = new Map();
+  
+  cartWithItems.items.forEach(item => {
+    wanted.set(stockKey(item), (wanted.get(stockKey(item)) || 0) + item.quantity);
+  });
+  
   const items = cartWithItems.items.map(item => {
-    // Use discount price if available
-    const currentPrice = item.product.discountPrice || item.product.price;
-    const itemTotal = parseFloat(currentPrice) * item.quantity;
+    const { customizationOptions, ...product } = item.product;
+    
+    // Customization surcharge at today's prices (options may have changed)
+    const custom = validateCustomization(customizationOptions, item.customization);
+    const surcharge = custom.error ? 0 : custom.surcharge;
+    
+    // Use discount price if available (the variant's own price if it has one)
+    const currentPrice = getLinePrice(item);
+    const itemTotal = currentPrice * item.quantity;
     
     subtotal += itemTotal;
     totalItems += item.quantity;
@@ -97,10 +149,14 @@ const getCart = asyncHandler(async (req, res) => {
       currentPrice: currentPrice,
       itemTotal: itemTotal.toFixed(2),
       customization: item.customization,
+      customizationSurcharge: surcharge.toFixed(2),
+      // Must be fixed before checkout (e.g. an option was removed)
+      customizationError: custom.error || null,
       addedAt: item.addedAt,
-      product: item.product,
+      product,
+      variant: item.variant,
       // SRS-45: product name, image, quantity, price
-      inStock: item.product.stock >= item.quantity,
+      inStock: getAvailableStock(item.product, item.variant) >= wanted.get(stockKey(item)),
     };
   });
   
@@ -128,9 +184,13 @@ const getCart = asyncHandler(async (req, res) => {
 // - Users can add products easily
 // - System saves to cart
 // - Confirmation message shown
+//
+// Products with variants need variantId (see GET /api/products/:id/variants).
+// Adding it again with the same customization adds to the quantity; a
+// different customization becomes a separate cart line.
 
 const addToCart = asyncHandler(async (req, res) => {
-  const { productId, quantity = 1, customization } = req.body;
+  const { productId, variantId, quantity = 1, customization } = req.body;
   
   // Validate input
   if (!productId) {
@@ -161,43 +221,66 @@ const addToCart = asyncHandler(async (req, res) => {
     throw new Error('This product is no longer available');
   }
   
+  // Variant the customer picked (required if the product has any)
+  const choice = await resolveVariant(product, variantId);
+  
+  if (choice.error) {
+    res.status(choice.statusCode);
+    throw new Error(choice.error);
+  }
+  
+  const { variant } = choice;
+  const available = getAvailableStock(product, variant);
+  const customizationOptions = await getCustomizationOptions(prodId);
+  
   // Check stock
-  if (product.stock < qty) {
+  if (available < qty) {
     res.status(400);
-    throw new Error(`Insufficient stock. Only ${product.stock} available.`);
+    throw new Error(`Insufficient stock. Only ${available} available.`);
   }
   
   // Get or create cart
   const cart = await getOrCreateCart(req.user.id);
   
-  // Check if product already in cart
-  const existingItem = await prisma.cartItem.findUnique({
+  // Check the customization first: it decides which cart line this is
+  const custom = validateCustomization(customizationOptions, customization, { userId: req.user.id });
+  
+  if (custom.error) {
+    res.status(400);
+    throw new Error(custom.error);
+  }
+  
+  const customizationKey = getCustomizationKey(custom.customization);
+  const currentPrice = parseFloat(getUnitPrice(product, variant)) + custom.surcharge;
+  
+  // Lines of this product (variant) already in cart - one per customization
+  const sameItems = await prisma.cartItem.findMany({
     where: {
-      cartId_productId: {
-        cartId: cart.id,
-        productId: prodId,
-      },
+      cartId: cart.id,
+      productId: prodId,
+      variantKey: variant ? variant.id : 0,
     },
   });
   
+  const inCart = sameItems.reduce((sum, item) => sum + item.quantity, 0);
+  
+  // Check stock for all of them together
+  if (available < inCart + qty) {
+    res.status(400);
+    throw new Error(`Cannot add ${qty} more. Only ${Math.max(0, available - inCart)} more available.`);
+  }
+  
+  const existingItem = sameItems.find((item) => item.customizationKey === customizationKey);
+  
   let cartItem;
   
   if (existingItem) {
-    // Update quantity if already in cart (SRS-42)
-    const newQuantity = existingItem.quantity + qty;
-    
-    // Check stock for new quantity
-    if (product.stock < newQuantity) {
-      res.status(400);
-      throw new Error(`Cannot add ${qty} more. Only ${product.stock - existingItem.quantity} more available.`);
-    }
-    
+    // Same customization already in cart: update quantity (SRS-42)
     cartItem = await prisma.cartItem.update({
       where: { id: existingItem.id },
       data: {
-        quantity: newQuantity,
-        // Update customization if provided
-        customization: customization || existingItem.customization,
+        quantity: existingItem.quantity + qty,
+        priceAtTime: currentPrice,
       },
       include: {
         product: {
@@ -207,30 +290,42 @@ const addToCart = asyncHandler(async (req, res) => {
             images: true,
           },
         },
+        variant: { select: CART_VARIANT_SELECT },
       },
     });
   } else {
-    // Add new item to cart (SRS-42)
-    const currentPrice = product.discountPrice || product.price;
-    
-    cartItem = await prisma.cartItem.create({
-      data: {
-        cartId: cart.id,
-        productId: prodId,
-        quantity: qty,
-        priceAtTime: currentPrice,
-        customization: customization || null, // SRS-19, SRS-20: custom choices
-      },
-      include: {
-        product: {
-          select: {
-            name: true,
-            price: true,
-            images: true,
+    // Add new item to cart (SRS-42) - a different customization is its own line
+    try {
+      cartItem = await prisma.cartItem.create({
+        data: {
+          cartId: cart.id,
+          productId: prodId,
+          variantId: variant ? variant.id : null,
+          variantKey: variant ? variant.id : 0,
+          quantity: qty,
+          priceAtTime: currentPrice,
+          customization: custom.customization ?? undefined, // SRS-19, SRS-20: custom choices
+          customizationKey,
+        },
+        include: {
+          product: {
+            select: {
+              name: true,
+              price: true,
+              images: true,
+            },
           },
+          variant: { select: CART_VARIANT_SELECT },
         },
-      },
-    });
+      });
+    } catch (error) {
+      // P2002: a parallel request added the same line first
+      if (error.code === 'P2002') {
+        res.status(409);
+        throw new Error('This item was just added to your cart. Please try again.');
+      }
+      throw error;
+    }
   }
   
   // Get updated cart summary
@@ -243,7 +338,7 @@ const addToCart = asyncHandler(async (req, res) => {
   // SRS-43: Confirmation message
   res.status(200).json({
     success: true,
-    message: `${product.name} added to cart successfully! (SRS-43)`,
+    message: `${product.name}${variant ? ` (${variant.name})` : ''} added to cart successfully! (SRS-43)`,
     data: {
       item: cartItem,
       cartSummary: {
@@ -276,6 +371,7 @@ const updateCartItem = asyncHandler(async (req, res) => {
     include: {
       cart: true,
       product: true,
+      variant: true,
     },
   });
   
@@ -299,32 +395,72 @@ const updateCartItem = asyncHandler(async (req, res) => {
       throw new Error('Quantity must be at least 1');
     }
     
-    // Check stock
-    if (cartItem.product.stock < qty) {
+    // Check stock (other customizations of the same product use it too)
+    const others = await prisma.cartItem.aggregate({
+      where: {
+        cartId: cartItem.cartId,
+        productId: cartItem.productId,
+        variantKey: cartItem.variantKey,
+        id: { not: cartItem.id },
+      },
+      _sum: { quantity: true },
+    });
+    
+    const available = getAvailableStock(cartItem.product, cartItem.variant) - (others._sum.quantity || 0);
+    
+    if (available < qty) {
       res.status(400);
-      throw new Error(`Only ${cartItem.product.stock} available in stock`);
+      throw new Error(`Only ${Math.max(0, available)} available in stock`);
     }
   }
   
   // Update item
   const updateData = {};
   if (quantity !== undefined) updateData.quantity = parseInt(quantity);
-  if (customization !== undefined) updateData.customization = customization;
   
-  const updatedItem = await prisma.cartItem.update({
-    where: { id: cartItemId },
-    data: updateData,
-    include: {
-      product: {
-        select: {
-          name: true,
-          price: true,
-          discountPrice: true,
-          images: true,
+  if (customization !== undefined) {
+    const custom = validateCustomization(
+      await getCustomizationOptions(cartItem.productId),
+      customization,
+      { userId: req.user.id }
+    );
+    
+    if (custom.error) {
+      res.status(400);
+      throw new Error(custom.error);
+    }
+    
+    updateData.customization = custom.customization ?? Prisma.DbNull;
+    updateData.customizationKey = getCustomizationKey(custom.customization);
+    updateData.priceAtTime = parseFloat(getUnitPrice(cartItem.product, cartItem.variant)) + custom.surcharge;
+  }
+  
+  let updatedItem;
+  
+  try {
+    updatedItem = await prisma.cartItem.update({
+      where: { id: cartItemId },
+      data: updateData,
+      include: {
+        product: {
+          select: {
+            name: true,
+            price: true,
+            discountPrice: true,
+            images: true,
+          },
         },
+        variant: { select: CART_VARIANT_SELECT },
       },
-    },
-  });
+    });
+  } catch (error) {
+    // P2002: another line of this product already has that customization
+    if (error.code === 'P2002') {
+      res.status(409);
+      throw new Error('This item is already in your cart with the same customization');
+    }
+    throw error;
+  }
   
   res.status(200).json({
     success: true,
@@ -385,6 +521,13 @@ const removeFromCart = asyncHandler(async (req, res) => {
     where: { cartId: cartItem.cart.id },
     include: {
       product: {
+        select: {
+          price: true,
+          discountPrice: true,
+          customizationOptions: CUSTOMIZATION_OPTIONS_INCLUDE,
+        },
+      },
+      variant: {
         select: { price: true, discountPrice: true },
       },
     },
@@ -394,7 +537,7 @@ const removeFromCart = asyncHandler(async (req, res) => {
   let totalItems = 0;
   
   remainingItems.forEach(item => {
-    const price = item.product.discountPrice || item.product.price;
+    const price = getLinePrice(item);
     subtotal += parseFloat(price) * item.quantity;
     totalItems += item.quantity;
   });
@@ -480,6 +623,208 @@ const getCartCount = asyncHandler(async (req, res) => {
   });
 });
 
+// =============================================================================
+// @desc    Preview a coupon on the current cart
+// @route   POST /api/cart/apply-coupon
+// @access  Private
+// =============================================================================
+// 
+// Checks the code and shows the discount it would give. Nothing is saved:
+// send the same code as couponCode when placing the order (POST /api/orders).
+
+const applyCoupon = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  
+  if (!code) {
+    res.status(400);
+    throw new Error('Please provide a coupon code');
+  }
+  
+  const cart = await prisma.cart.findFirst({
+    where: {
+      userId: req.user.id,
+      isActive: true,
+    },
+    include: {
+      items: {
+        include: {
+          product: {
+            select: {
+              id: true,
+              price: true,
+              discountPrice: true,
+              category: true,
+              customizationOptions: CUSTOMIZATION_OPTIONS_INCLUDE,
+            },
+          },
+          variant: {
+            select: { price: true, discountPrice: true },
+          },
+        },
+      },
+    },
+  });
+  
+  if (!cart || cart.items.length === 0) {
+    res.status(400);
+    throw new Error('Your cart is empty');
+  }
+  
+  // Same line totals as checkout
+  const items = cart.items.map(item => ({
+    productId: item.productId,
+    category: item.product.category,
+    lineTotal: getLinePrice(item) * item.quantity,
+  }));
+  
+  const result = await evaluateCoupon(code, req.user.id, items);
+  
+  if (result.error) {
+    res.status(400);
+    throw new Error(result.error);
+  }
+  
+  const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+  
+  res.status(200).json({
+    success: true,
+    message: `Coupon "${result.coupon.code}" applied`,
+    data: {
+      code: result.coupon.code,
+      description: result.coupon.description,
+      discountType: result.coupon.discountType,
+      discountValue: result.coupon.discountValue,
+      discountAmount: result.discountAmount.toFixed(2),
+      eligibleSubtotal: result.eligibleSubtotal.toFixed(2),
+      subtotal: subtotal.toFixed(2),
+      subtotalAfterDiscount: (subtotal - result.discountAmount).toFixed(2),
+      // Shipping and tax are added at checkout
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Get shipping cost for the current cart
+// @route   GET /api/cart/shipping-quote?city=&province=&couponCode=
+// @access  Private
+// =============================================================================
+// 
+// Same calculation as checkout. Pass couponCode too when the customer has
+// one, since free-shipping thresholds use the discounted subtotal.
+
+const getShippingQuote = asyncHandler(async (req, res) => {
+  const { city, province, couponCode } = req.query;
+  
+  if (!city && !province) {
+    res.status(400);
+    throw new Error('Please provide a city or province');
+  }
+  
+  const cart = await prisma.cart.findFirst({
+    where: {
+      userId: req.user.id,
+      isActive: true,
+    },
+    include: {
+      items: {
+        include: {
+          product: {
+            select: {
+              id: true,
+              price: true,
+              discountPrice: true,
+              category: true,
+              specifications: true,
+              customizationOptions: CUSTOMIZATION_OPTIONS_INCLUDE,
+            },
+          },
+          variant: {
+            select: { price: true, discountPrice: true },
+          },
+        },
+      },
+    },
+  });
+  
+  if (!cart || cart.items.length === 0) {
+    res.status(400);
+    throw new Error('Your cart is empty');
+  }
+  
+  const items = cart.items.map(item => ({
+    productId: item.productId,
+    category: item.product.category,
+    lineTotal: getLinePrice(item) * item.quantity,
+  }));
+  
+  const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+  
+  let discountAmount = 0;
+  
+  if (couponCode) {
+    const couponResult = await evaluateCoupon(couponCode, req.user.id, items);
+    
+    if (couponResult.error) {
+      res.status(400);
+      throw new Error(couponResult.error);
+    }
+    
+    discountAmount = couponResult.discountAmount;
+  }
+  
+  const quote = await quoteShipping({
+    city,
+    province,
+    items: cart.items.map(item => ({
+      quantity: item.quantity,
+      specifications: item.product.specifications,
+    })),
+    orderAmount: subtotal - discountAmount,
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      city: city || null,
+      province: province || null,
+      zone: quote.zone,
+      shippingCost: quote.shippingCost.toFixed(2),
+      freeShipping: quote.freeShipping,
+      amountToFreeShipping:
+        quote.amountToFreeShipping !== null ? quote.amountToFreeShipping.toFixed(2) : null,
+      totalItems: quote.totalItems,
+      totalWeightKg: quote.totalWeightKg,
+      subtotal: subtotal.toFixed(2),
+      discountAmount: discountAmount.toFixed(2),
+      // Tax is added at checkout
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Upload a photo for a customization (e.g. a photo set in resin)
+// @route   POST /api/cart/customization-photo
+// @access  Private
+// =============================================================================
+// 
+// Form field: photo. Send the returned url as the value of the product's
+// IMAGE customization option when adding to cart.
+
+const uploadCustomizationPhoto = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    res.status(400);
+    throw new Error('Please upload a photo');
+  }
+  
+  res.status(201).json({
+    success: true,
+    message: 'Photo uploaded',
+    data: {
+      url: `/uploads/customizations/${req.file.filename}`,
+    },
+  });
+});
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -491,4 +836,7 @@ module.exports = {
   removeFromCart,
   clearCart,
   getCartCount,
+  applyCoupon,
+  getShippingQuote,
+  uploadCustomizationPhoto,
 };
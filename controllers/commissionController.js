@@ -0,0 +1,738 @@
+// =============================================================================
+// COMMISSION CONTROLLER - Bespoke Pieces (CUSTOM category)
+// =============================================================================
+//
+// 1. Customer sends a brief with reference images    POST /api/commissions
+// 2. Admin replies with a price, deposit, lead time  PUT  /:id/quote
+// 3. Customer accepts (and says where it ships)      POST /:id/accept
+//    -> deposit order, paid through POST /api/payments
+// 4. Admin posts progress photos while it is made    POST /:id/updates
+// 5. Admin invoices the balance when it is ready     POST /:id/balance
+//    -> balance order (+ invoice), paid through POST /api/payments and
+//       then shipped like any other order
+//
+// Statuses and how the orders drive them: utils/commissions.js.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const {
+  COMMISSION_STATUSES,
+  CUSTOMER_CANCELLABLE,
+  FINAL_STATUSES,
+  COMMISSION_INCLUDE,
+  getDefaultDepositPercent,
+  generateCommissionNumber,
+  isOpenOrder,
+  createCommissionOrder,
+  notifyCommissionCustomer,
+  notifyCommissionAdmins,
+} = require('../utils/commissions');
+const { generateOrderNumber, transitionOrder } = require('../utils/orderLifecycle');
+const { findUserAddress, toShippingFields } = require('../utils/addresses');
+const { quoteShipping } = require('../utils/shipping');
+const { issueInvoice } = require('../utils/orderDocuments');
+
+// Days a quote can be accepted for
+const QUOTE_VALID_DAYS = parseInt(process.env.COMMISSION_QUOTE_VALID_DAYS) || 14;
+
+const money = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+// Parse :id or send 400, then load the commission or send 404. Customers
+// only get their own (403 otherwise).
+const loadCommission = async (req, res) => {
+  const commissionId = parseInt(req.params.id);
+
+  if (isNaN(commissionId)) {
+    res.status(400);
+    throw new Error('Invalid commission ID');
+  }
+
+  const commission = await prisma.commission.findUnique({
+    where: { id: commissionId },
+    include: COMMISSION_INCLUDE,
+  });
+
+  if (!commission) {
+    res.status(404);
+    throw new Error('Commission not found');
+  }
+
+  if (commission.userId !== req.user.id && req.user.role !== 'ADMIN') {
+    res.status(403);
+    throw new Error('Not authorized to view this commission');
+  }
+
+  return commission;
+};
+
+// Send 400 unless the commission is in one of the statuses
+const requireStatus = (commission, statuses, action, res) => {
+  if (!statuses.includes(commission.status)) {
+    res.status(400);
+    throw new Error(`Cannot ${action} a commission that is ${commission.status}`);
+  }
+};
+
+// Change status only if nobody else changed it first, else send 409
+const updateIfStatus = async (client, commission, data, res) => {
+  const updated = await client.commission.updateMany({
+    where: { id: commission.id, status: commission.status },
+    data,
+  });
+
+  if (updated.count === 0) {
+    res.status(409);
+    throw new Error('This commission was just changed by someone else. Please reload it.');
+  }
+};
+
+// Shipping fields from a saved address or typed in (same rules as checkout)
+const getShippingFields = async (req, res) => {
+  const {
+    addressId,
+    shippingAddress,
+    shippingCity,
+    shippingProvince,
+    shippingPostalCode,
+    shippingPhone,
+  } = req.body;
+
+  if (addressId) {
+    const address = await findUserAddress(req.user.id, addressId);
+
+    if (!address) {
+      res.status(404);
+      throw new Error('Saved address not found');
+    }
+
+    // Copied without the link - the address may be deleted before the
+    // balance order is made
+    const fields = toShippingFields(address);
+    delete fields.addressId;
+    return fields;
+  }
+
+  if (!shippingAddress || !shippingPhone || !shippingCity) {
+    res.status(400);
+    throw new Error('Please provide a saved address (addressId) or the shipping address, city and phone number');
+  }
+
+  if (shippingPhone.replace(/\D/g, '').length > 13) {
+    res.status(400);
+    throw new Error('Phone number can contain a maximum of 13 digits');
+  }
+
+  return {
+    shippingAddress,
+    shippingCity,
+    shippingProvince: shippingProvince || null,
+    shippingPostalCode: shippingPostalCode || null,
+    shippingPhone,
+  };
+};
+
+// =============================================================================
+// @desc    Request a commission
+// @route   POST /api/commissions
+// @access  Private
+// =============================================================================
+//
+// Multipart form: title, brief, budget (optional), neededBy (optional date),
+// images (up to 5 reference pictures)
+
+const requestCommission = asyncHandler(async (req, res) => {
+  const { title, brief, budget, neededBy } = req.body;
+
+  if (!title || !title.trim()) {
+    res.status(400);
+    throw new Error('Please give your commission a title');
+  }
+
+  if (title.trim().length > 150) {
+    res.status(400);
+    throw new Error('Title can be at most 150 characters');
+  }
+
+  if (!brief || brief.trim().length < 20) {
+    res.status(400);
+    throw new Error('Please describe the piece you have in mind (at least 20 characters)');
+  }
+
+  let budgetAmount = null;
+  if (budget !== undefined && budget !== '') {
+    budgetAmount = parseFloat(budget);
+    if (isNaN(budgetAmount) || budgetAmount <= 0) {
+      res.status(400);
+      throw new Error('Budget must be a positive number');
+    }
+  }
+
+  let neededByDate = null;
+  if (neededBy) {
+    neededByDate = new Date(neededBy);
+    if (isNaN(neededByDate.getTime()) || neededByDate <= new Date()) {
+      res.status(400);
+      throw new Error('neededBy must be a date in the future');
+    }
+  }
+
+  const referenceImages = req.files ? req.files.map((file) => `/uploads/commissions/${file.filename}`) : [];
+
+  const commission = await prisma.commission.create({
+    data: {
+      commissionNumber: await generateCommissionNumber(),
+      userId: req.user.id,
+      title: title.trim(),
+      brief: brief.trim(),
+      referenceImages: referenceImages.length > 0 ? referenceImages : undefined,
+      budget: budgetAmount,
+      neededBy: neededByDate,
+    },
+    include: COMMISSION_INCLUDE,
+  });
+
+  await notifyCommissionAdmins(
+    commission,
+    'New Commission Request',
+    `${req.user.name} asked for a commission: "${commission.title}" (${commission.commissionNumber}). It is waiting for a quote.`,
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Commission request sent! We will reply with a quote soon.',
+    data: commission,
+  });
+});
+
+// =============================================================================
+// @desc    Get my commissions
+// @route   GET /api/commissions/my
+// @access  Private
+// =============================================================================
+
+const getMyCommissions = asyncHandler(async (req, res) => {
+  const commissions = await prisma.commission.findMany({
+    where: { userId: req.user.id },
+    include: COMMISSION_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+  });
+
+  res.status(200).json({
+    success: true,
+    count: commissions.length,
+    data: commissions,
+  });
+});
+
+// =============================================================================
+// @desc    Get all commissions
+// @route   GET /api/commissions
+// @access  Private/Admin
+// =============================================================================
+//
+// Query: status, page, limit
+
+const getCommissions = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const where = {};
+
+  if (status) {
+    if (!COMMISSION_STATUSES.includes(status.toUpperCase())) {
+      res.status(400);
+      throw new Error(`Invalid status. Valid options: ${COMMISSION_STATUSES.join(', ')}`);
+    }
+    where.status = status.toUpperCase();
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const [commissions, totalCount] = await Promise.all([
+    prisma.commission.findMany({
+      where,
+      include: COMMISSION_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take,
+    }),
+    prisma.commission.count({ where }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: commissions,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCount / take),
+      totalItems: totalCount,
+      itemsPerPage: take,
+      hasNextPage: parseInt(page) < Math.ceil(totalCount / take),
+      hasPrevPage: parseInt(page) > 1,
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Get a commission (with progress updates and its orders)
+// @route   GET /api/commissions/:id
+// @access  Private (owner or admin)
+// =============================================================================
+
+const getCommission = asyncHandler(async (req, res) => {
+  const commission = await loadCommission(req, res);
+
+  res.status(200).json({
+    success: true,
+    data: commission,
+  });
+});
+
+// =============================================================================
+// @desc    Send (or revise) a quote
+// @route   PUT /api/commissions/:id/quote
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { quoteAmount, depositAmount or depositPercent, leadTimeDays,
+//         quoteNote, validDays }
+// The deposit defaults to COMMISSION_DEPOSIT_PERCENT (50%) of the quote and
+// must be less than it - the rest is the balance. The quote is the full
+// price of the piece; shipping is added to the balance.
+
+const quoteCommission = asyncHandler(async (req, res) => {
+  const commission = await loadCommission(req, res);
+  const { quoteNote, validDays = QUOTE_VALID_DAYS } = req.body;
+
+  requireStatus(commission, ['REQUESTED', 'QUOTED'], 'quote', res);
+
+  const quoteAmount = money(req.body.quoteAmount);
+  if (isNaN(quoteAmount) || quoteAmount <= 0) {
+    res.status(400);
+    throw new Error('quoteAmount must be a positive number');
+  }
+
+  let depositAmount;
+  if (req.body.depositAmount !== undefined) {
+    depositAmount = money(req.body.depositAmount);
+  } else {
+    const percent = req.body.depositPercent !== undefined
+      ? parseFloat(req.body.depositPercent)
+      : getDefaultDepositPercent();
+    depositAmount = money((quoteAmount * percent) / 100);
+  }
+
+  if (isNaN(depositAmount) || depositAmount <= 0 || depositAmount >= quoteAmount) {
+    res.status(400);
+    throw new Error('The deposit must be more than 0 and less than the quote');
+  }
+
+  const leadTimeDays = parseInt(req.body.leadTimeDays);
+  if (isNaN(leadTimeDays) || leadTimeDays < 1) {
+    res.status(400);
+    throw new Error('leadTimeDays must be at least 1');
+  }
+
+  const days = parseInt(validDays);
+  if (isNaN(days) || days < 1) {
+    res.status(400);
+    throw new Error('validDays must be at least 1');
+  }
+
+  const now = new Date();
+  const quoteValidUntil = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+  await updateIfStatus(prisma, commission, {
+    status: 'QUOTED',
+    quoteAmount,
+    depositAmount,
+    leadTimeDays,
+    quoteNote: quoteNote || null,
+    quotedAt: now,
+    quoteValidUntil,
+    quotedById: req.user.id,
+  }, res);
+
+  const updated = await prisma.commission.findUnique({
+    where: { id: commission.id },
+    include: COMMISSION_INCLUDE,
+  });
+
+  await notifyCommissionCustomer(
+    updated,
+    commission.status === 'QUOTED' ? 'Your Quote Was Updated' : 'Your Quote Is Ready',
+    `We can make "${updated.title}" for Rs. ${quoteAmount.toFixed(2)}, ready about ${leadTimeDays} day(s) after the ` +
+      `deposit of Rs. ${depositAmount.toFixed(2)} is paid. This quote is valid until ${quoteValidUntil.toLocaleDateString('en-PK')}.` +
+      (quoteNote ? ` ${quoteNote}` : ''),
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Quote sent for commission ${updated.commissionNumber}`,
+    data: updated,
+  });
+});
+
+// =============================================================================
+// @desc    Accept the quote (creates the deposit order)
+// @route   POST /api/commissions/:id/accept
+// @access  Private (owner)
+// =============================================================================
+//
+// Body: addressId, or shippingAddress / shippingCity / shippingProvince /
+// shippingPostalCode / shippingPhone - where the finished piece ships.
+// Pay the returned deposit order with POST /api/payments (not COD).
+// If that order expired unpaid, accepting again creates a new one.
+
+const acceptCommission = asyncHandler(async (req, res) => {
+  const commission = await loadCommission(req, res);
+
+  if (commission.userId !== req.user.id) {
+    res.status(403);
+    throw new Error('Only the customer can accept this quote');
+  }
+
+  const retry = commission.status === 'ACCEPTED' && !isOpenOrder(commission.depositOrder);
+
+  if (commission.status === 'ACCEPTED' && !retry) {
+    res.status(400);
+    throw new Error(`You already accepted this quote - pay the deposit with order #${commission.depositOrder.orderNumber}`);
+  }
+
+  requireStatus(commission, ['QUOTED', 'ACCEPTED'], 'accept', res);
+
+  if (!retry && commission.quoteValidUntil && commission.quoteValidUntil < new Date()) {
+    res.status(400);
+    throw new Error('This quote has expired - please ask us for a new one');
+  }
+
+  const shipping = await getShippingFields(req, res);
+  const orderNumber = await generateOrderNumber();
+  const depositAmount = parseFloat(commission.depositAmount);
+
+  const depositOrder = await prisma.$transaction(async (tx) => {
+    // The piece gets an (inactive) CUSTOM product so its order lines,
+    // invoices and shipments work like any other
+    let productId = commission.productId;
+
+    if (!productId) {
+      const product = await tx.product.create({
+        data: {
+          name: commission.title,
+          description: commission.brief,
+          price: commission.quoteAmount,
+          category: 'CUSTOM',
+          stock: 0,
+          isActive: false,
+          createdById: commission.quotedById || req.user.id,
+        },
+      });
+      productId = product.id;
+    }
+
+    const order = await createCommissionOrder(tx, { ...commission, shipping, productId }, {
+      orderNumber,
+      productName: `Deposit: ${commission.title}`,
+      amount: depositAmount,
+      description: `Deposit for commission ${commission.commissionNumber}`,
+    });
+
+    await updateIfStatus(tx, commission, {
+      status: 'ACCEPTED',
+      shipping,
+      productId,
+      depositOrderId: order.id,
+      acceptedAt: commission.acceptedAt || new Date(),
+    }, res);
+
+    return order;
+  });
+
+  if (!retry) {
+    await notifyCommissionAdmins(
+      commission,
+      'Commission Quote Accepted',
+      `${req.user.name} accepted the quote for commission ${commission.commissionNumber} ("${commission.title}"). Waiting for the deposit.`,
+    );
+  }
+
+  const updated = await prisma.commission.findUnique({
+    where: { id: commission.id },
+    include: COMMISSION_INCLUDE,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Quote accepted! Pay the deposit of Rs. ${depositAmount.toFixed(2)} (order #${depositOrder.orderNumber}) to start the work.`,
+    data: updated,
+  });
+});
+
+// =============================================================================
+// @desc    Decline the quote
+// @route   POST /api/commissions/:id/decline
+// @access  Private (owner)
+// =============================================================================
+//
+// Body: { reason } (optional)
+
+const declineCommission = asyncHandler(async (req, res) => {
+  const commission = await loadCommission(req, res);
+  const { reason } = req.body;
+
+  if (commission.userId !== req.user.id) {
+    res.status(403);
+    throw new Error('Only the customer can decline this quote');
+  }
+
+  requireStatus(commission, ['QUOTED'], 'decline', res);
+
+  await updateIfStatus(prisma, commission, {
+    status: 'DECLINED',
+    declinedAt: new Date(),
+    cancelReason: reason ? reason.substring(0, 255) : null,
+  }, res);
+
+  await notifyCommissionAdmins(
+    commission,
+    'Commission Quote Declined',
+    `The quote for commission ${commission.commissionNumber} ("${commission.title}") was declined` +
+      (reason ? `: ${reason}` : '.'),
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Quote declined',
+  });
+});
+
+// =============================================================================
+// @desc    Cancel a commission
+// @route   POST /api/commissions/:id/cancel
+// @access  Private (owner until the deposit is paid, admin any time before
+//          completion)
+// =============================================================================
+//
+// Body: { reason }
+// Unpaid deposit / balance orders are cancelled with it. A deposit that was
+// already paid is not refunded automatically - use POST /api/refunds.
+
+const cancelCommission = asyncHandler(async (req, res) => {
+  const commission = await loadCommission(req, res);
+  const isAdmin = req.user.role === 'ADMIN';
+  const reason = req.body.reason || (isAdmin ? 'Cancelled by the studio' : 'Cancelled by customer');
+
+  if (!isAdmin && !CUSTOMER_CANCELLABLE.includes(commission.status)) {
+    res.status(400);
+    throw new Error('Work on this commission has started - please contact us to cancel it');
+  }
+
+  if (FINAL_STATUSES.includes(commission.status)) {
+    res.status(400);
+    throw new Error(`Cannot cancel a commission that is ${commission.status}`);
+  }
+
+  await updateIfStatus(prisma, commission, {
+    status: 'CANCELLED',
+    cancelledAt: new Date(),
+    cancelReason: reason.substring(0, 255),
+  }, res);
+
+  // Unpaid orders go with it (paid ones stay for the refund)
+  for (const order of [commission.depositOrder, commission.balanceOrder]) {
+    if (order && order.status === 'PENDING') {
+      const result = await transitionOrder(order.id, 'CANCELLED', {
+        reason: `Commission ${commission.commissionNumber} cancelled`,
+        actorId: req.user.id,
+        actorIsAdmin: isAdmin,
+      });
+
+      if (result.error) {
+        console.error(`Failed to cancel commission order ${order.orderNumber}:`, result.error);
+      }
+    }
+  }
+
+  const depositPaid = Boolean(commission.depositPaidAt);
+
+  if (isAdmin) {
+    await notifyCommissionCustomer(
+      commission,
+      'Commission Cancelled',
+      `We're sorry - commission "${commission.title}" has been cancelled. Reason: ${reason}` +
+        (depositPaid ? ' We will be in touch about your deposit.' : ''),
+    );
+  } else {
+    await notifyCommissionAdmins(
+      commission,
+      'Commission Cancelled',
+      `Commission ${commission.commissionNumber} ("${commission.title}") was cancelled by the customer: ${reason}`,
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: depositPaid
+      ? 'Commission cancelled. The paid deposit was not refunded automatically - use POST /api/refunds if it should be.'
+      : 'Commission cancelled',
+  });
+});
+
+// =============================================================================
+// @desc    Post a progress update (with photos)
+// @route   POST /api/commissions/:id/updates
+// @access  Private/Admin
+// =============================================================================
+//
+// Multipart form: message, images (up to 5 photos)
+
+const postCommissionUpdate = asyncHandler(async (req, res) => {
+  const commission = await loadCommission(req, res);
+  const { message } = req.body;
+
+  requireStatus(commission, ['IN_PROGRESS', 'BALANCE_DUE', 'COMPLETED'], 'post an update on', res);
+
+  if (!message || !message.trim()) {
+    res.status(400);
+    throw new Error('Please write what has been done');
+  }
+
+  const images = req.files ? req.files.map((file) => `/uploads/commissions/${file.filename}`) : [];
+
+  const update = await prisma.commissionUpdate.create({
+    data: {
+      commissionId: commission.id,
+      authorId: req.user.id,
+      message: message.trim(),
+      images: images.length > 0 ? images : undefined,
+    },
+    include: { author: { select: { id: true, name: true } } },
+  });
+
+  await notifyCommissionCustomer(
+    commission,
+    'Progress Update',
+    images.length > 0
+      ? `${update.message} (${images.length} new photo(s))`
+      : update.message,
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Progress update posted',
+    data: update,
+  });
+});
+
+// =============================================================================
+// @desc    Invoice the balance (creates the balance order)
+// @route   POST /api/commissions/:id/balance
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { shippingCost } (optional - otherwise quoted by the shipping zone
+// of the address given on acceptance)
+// The balance order is issued its invoice right away and ships once paid.
+// If it expired unpaid, invoicing again creates a new one.
+
+const invoiceCommissionBalance = asyncHandler(async (req, res) => {
+  const commission = await loadCommission(req, res);
+
+  const retry = commission.status === 'BALANCE_DUE' && !isOpenOrder(commission.balanceOrder);
+
+  if (commission.status === 'BALANCE_DUE' && !retry) {
+    res.status(400);
+    throw new Error(`The balance is already invoiced with order #${commission.balanceOrder.orderNumber}`);
+  }
+
+  requireStatus(commission, ['IN_PROGRESS', 'BALANCE_DUE'], 'invoice the balance of', res);
+
+  const balance = money(parseFloat(commission.quoteAmount) - parseFloat(commission.depositAmount));
+
+  let shippingCost;
+
+  if (req.body.shippingCost !== undefined && req.body.shippingCost !== '') {
+    shippingCost = money(req.body.shippingCost);
+
+    if (isNaN(shippingCost) || shippingCost < 0) {
+      res.status(400);
+      throw new Error('Shipping cost cannot be negative');
+    }
+  } else {
+    const product = await prisma.product.findUnique({
+      where: { id: commission.productId },
+      select: { specifications: true },
+    });
+
+    const quote = await quoteShipping({
+      city: commission.shipping.shippingCity,
+      province: commission.shipping.shippingProvince,
+      items: [{ quantity: 1, specifications: product.specifications }],
+      orderAmount: parseFloat(commission.quoteAmount),
+    });
+
+    shippingCost = quote.shippingCost;
+  }
+
+  const orderNumber = await generateOrderNumber();
+
+  const balanceOrder = await prisma.$transaction(async (tx) => {
+    const order = await createCommissionOrder(tx, commission, {
+      orderNumber,
+      productName: commission.title,
+      amount: balance,
+      shippingCost,
+      description:
+        `Balance for commission ${commission.commissionNumber} ` +
+        `(Rs. ${parseFloat(commission.quoteAmount).toFixed(2)} less the deposit paid with order ` +
+        `#${commission.depositOrder.orderNumber})`,
+    });
+
+    await updateIfStatus(tx, commission, {
+      status: 'BALANCE_DUE',
+      balanceOrderId: order.id,
+      balanceInvoicedAt: new Date(),
+    }, res);
+
+    return order;
+  });
+
+  const invoice = await issueInvoice(balanceOrder.id);
+
+  await notifyCommissionCustomer(
+    commission,
+    'Balance Due',
+    `"${commission.title}" is ready! Please pay the balance of Rs. ${parseFloat(balanceOrder.totalAmount).toFixed(2)} ` +
+      `(invoice ${invoice.invoiceNumber}, order #${balanceOrder.orderNumber}) and we will ship it to you.`,
+  );
+
+  const updated = await prisma.commission.findUnique({
+    where: { id: commission.id },
+    include: COMMISSION_INCLUDE,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Balance invoiced with order #${balanceOrder.orderNumber} (${invoice.invoiceNumber})`,
+    data: updated,
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  requestCommission,
+  getMyCommissions,
+  getCommissions,
+  getCommission,
+  quoteCommission,
+  acceptCommission,
+  declineCommission,
+  cancelCommission,
+  postCommissionUpdate,
+  invoiceCommissionBalance,
+};
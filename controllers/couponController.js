@@ -0,0 +1,395 @@
+// =============================================================================
+// COUPON CONTROLLER - Discount Codes (Admin)
+// =============================================================================
+//
+// Admins create promo codes that customers enter at checkout.
+// Validation and discount calculation live in utils/coupons.js.
+//
+// =============================================================================
+
+const { Prisma } = require('@prisma/client');
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { normalizeCouponCode } = require('../utils/coupons');
+
+const DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED'];
+
+const VALID_CATEGORIES = [
+  'JEWELRY',
+  'HOME_DECOR',
+  'COASTERS',
+  'KEYCHAINS',
+  'WALL_ART',
+  'TRAYS',
+  'BOOKMARKS',
+  'PHONE_CASES',
+  'CLOCKS',
+  'CUSTOM',
+];
+
+// =============================================================================
+// HELPER: Validate request body and build Prisma data
+// =============================================================================
+//
+// Used by create (all required fields must be present) and update (only the
+// fields sent are changed). Sends 400 and throws on invalid input.
+
+const buildCouponData = (body, res, { isUpdate = false } = {}) => {
+  const data = {};
+
+  const fail = (message) => {
+    res.status(400);
+    throw new Error(message);
+  };
+
+  // Optional positive number (null/'' clears the field)
+  const parseAmount = (value, field) => {
+    if (value === null || value === '') return null;
+    const number = parseFloat(value);
+    if (isNaN(number) || number < 0) fail(`${field} must be a valid positive number`);
+    return number;
+  };
+
+  // Optional positive integer (null/'' = unlimited)
+  const parseLimit = (value, field) => {
+    if (value === null || value === '') return null;
+    const number = parseInt(value);
+    if (isNaN(number) || number < 1) fail(`${field} must be a whole number of at least 1`);
+    return number;
+  };
+
+  const parseDate = (value, field) => {
+    if (value === null || value === '') return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) fail(`${field} must be a valid date`);
+    return date;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Required on create
+  // ---------------------------------------------------------------------------
+
+  if (!isUpdate && (!body.code || !body.discountType || body.discountValue === undefined)) {
+    fail('Please provide code, discountType and discountValue');
+  }
+
+  if (body.code !== undefined) {
+    data.code = normalizeCouponCode(body.code);
+    if (!/^[A-Z0-9_-]{3,50}$/.test(data.code)) {
+      fail('Code must be 3-50 characters (letters, numbers, - and _)');
+    }
+  }
+
+  if (body.discountType !== undefined) {
+    data.discountType = String(body.discountType).toUpperCase();
+    if (!DISCOUNT_TYPES.includes(data.discountType)) {
+      fail(`Invalid discount type. Valid options: ${DISCOUNT_TYPES.join(', ')}`);
+    }
+  }
+
+  if (body.discountValue !== undefined) {
+    data.discountValue = parseFloat(body.discountValue);
+    if (isNaN(data.discountValue) || data.discountValue <= 0) {
+      fail('Discount value must be greater than 0');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Optional fields
+  // ---------------------------------------------------------------------------
+
+  if (body.description !== undefined) data.description = body.description || null;
+  if (body.maxDiscountAmount !== undefined) data.maxDiscountAmount = parseAmount(body.maxDiscountAmount, 'Max discount amount');
+  if (body.minOrderAmount !== undefined) data.minOrderAmount = parseAmount(body.minOrderAmount, 'Minimum order amount');
+  if (body.usageLimit !== undefined) data.usageLimit = parseLimit(body.usageLimit, 'Usage limit');
+  if (body.usageLimitPerUser !== undefined) data.usageLimitPerUser = parseLimit(body.usageLimitPerUser, 'Usage limit per user');
+  if (body.startsAt !== undefined) data.startsAt = parseDate(body.startsAt, 'Start date');
+  if (body.expiresAt !== undefined) data.expiresAt = parseDate(body.expiresAt, 'Expiry date');
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true';
+
+  // Scope: categories (none = every category; Json column, so SQL NULL is
+  // Prisma.DbNull - plain null is rejected)
+  if (body.categories !== undefined) {
+    if (body.categories === null || body.categories.length === 0) {
+      data.categories = Prisma.DbNull;
+    } else {
+      if (!Array.isArray(body.categories)) fail('Categories must be an array');
+      data.categories = body.categories.map((c) => String(c).toUpperCase());
+      const invalid = data.categories.filter((c) => !VALID_CATEGORIES.includes(c));
+      if (invalid.length > 0) {
+        fail(`Invalid category. Valid options: ${VALID_CATEGORIES.join(', ')}`);
+      }
+    }
+  }
+
+  // Scope: products
+  if (body.productIds !== undefined) {
+    if (body.productIds === null || body.productIds.length === 0) {
+      data.productIds = Prisma.DbNull;
+    } else {
+      if (!Array.isArray(body.productIds)) fail('Product IDs must be an array');
+      data.productIds = body.productIds.map((id) => parseInt(id));
+      if (data.productIds.some((id) => isNaN(id))) fail('Invalid product ID in productIds');
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Cross-field checks once create/update data is merged with the stored coupon
+ */
+const validateCouponRules = (coupon, res) => {
+  if (coupon.discountType === 'PERCENTAGE' && parseFloat(coupon.discountValue) > 100) {
+    res.status(400);
+    throw new Error('Percentage discount cannot be more than 100');
+  }
+
+  if (coupon.startsAt && coupon.expiresAt && coupon.startsAt >= coupon.expiresAt) {
+    res.status(400);
+    throw new Error('Expiry date must be after the start date');
+  }
+};
+
+// =============================================================================
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+// =============================================================================
+
+const getCoupons = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, isActive, search } = req.query;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const where = {};
+
+  if (isActive !== undefined) {
+    where.isActive = isActive === 'true';
+  }
+
+  if (search) {
+    where.code = { contains: search.toUpperCase() };
+  }
+
+  const [coupons, totalCount] = await Promise.all([
+    prisma.coupon.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limitNum,
+      include: {
+        createdBy: { select: { id: true, name: true } },
+      },
+    }),
+    prisma.coupon.count({ where }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: coupons.length,
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(totalCount / limitNum),
+      totalItems: totalCount,
+    },
+    data: coupons,
+  });
+});
+
+// =============================================================================
+// @desc    Get single coupon with recent redemptions
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+// =============================================================================
+
+const getCoupon = asyncHandler(async (req, res) => {
+  const couponId = parseInt(req.params.id);
+
+  if (isNaN(couponId)) {
+    res.status(400);
+    throw new Error('Invalid coupon ID');
+  }
+
+  const coupon = await prisma.coupon.findUnique({
+    where: { id: couponId },
+    include: {
+      createdBy: { select: { id: true, name: true } },
+      redemptions: {
+        orderBy: { createdAt: 'desc' },
+        take: 20,
+        include: {
+          user: { select: { id: true, name: true, email: true } },
+          order: { select: { id: true, orderNumber: true, totalAmount: true, status: true } },
+        },
+      },
+    },
+  });
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  const totalDiscount = await prisma.couponRedemption.aggregate({
+    where: { couponId },
+    _sum: { discountAmount: true },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...coupon,
+      totalDiscountGiven: totalDiscount._sum.discountAmount || 0,
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+// =============================================================================
+
+const createCoupon = asyncHandler(async (req, res) => {
+  const data = buildCouponData(req.body, res);
+  validateCouponRules(data, res);
+
+  const existing = await prisma.coupon.findUnique({
+    where: { code: data.code },
+  });
+
+  if (existing) {
+    res.status(400);
+    throw new Error('A coupon with this code already exists');
+  }
+
+  const coupon = await prisma.coupon.create({
+    data: {
+      ...data,
+      createdById: req.user.id,
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Coupon "${coupon.code}" created successfully`,
+    data: coupon,
+  });
+});
+
+// =============================================================================
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+// =============================================================================
+//
+// Changes only affect future orders - orders already placed keep the
+// discount they got.
+
+const updateCoupon = asyncHandler(async (req, res) => {
+  const couponId = parseInt(req.params.id);
+
+  if (isNaN(couponId)) {
+    res.status(400);
+    throw new Error('Invalid coupon ID');
+  }
+
+  const coupon = await prisma.coupon.findUnique({
+    where: { id: couponId },
+  });
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  const data = buildCouponData(req.body, res, { isUpdate: true });
+  validateCouponRules({ ...coupon, ...data }, res);
+
+  if (data.code && data.code !== coupon.code) {
+    const existing = await prisma.coupon.findUnique({
+      where: { code: data.code },
+    });
+
+    if (existing) {
+      res.status(400);
+      throw new Error('A coupon with this code already exists');
+    }
+  }
+
+  const updatedCoupon = await prisma.coupon.update({
+    where: { id: couponId },
+    data,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon updated successfully',
+    data: updatedCoupon,
+  });
+});
+
+// =============================================================================
+// @desc    Delete coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+// =============================================================================
+//
+// Coupons that were already used are only deactivated, so order history
+// still shows which promotion was applied.
+
+const deleteCoupon = asyncHandler(async (req, res) => {
+  const couponId = parseInt(req.params.id);
+
+  if (isNaN(couponId)) {
+    res.status(400);
+    throw new Error('Invalid coupon ID');
+  }
+
+  const coupon = await prisma.coupon.findUnique({
+    where: { id: couponId },
+    include: { _count: { select: { redemptions: true } } },
+  });
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  if (coupon._count.redemptions > 0) {
+    await prisma.coupon.update({
+      where: { id: couponId },
+      data: { isActive: false },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Coupon "${coupon.code}" has been used on ${coupon._count.redemptions} order(s), so it was deactivated instead of deleted`,
+    });
+  }
+
+  await prisma.coupon.delete({
+    where: { id: couponId },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Coupon "${coupon.code}" deleted successfully`,
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+};
@@ -0,0 +1,158 @@
+// =============================================================================
+// COURIER CONTROLLER - Couriers & Tracking Webhooks
+// =============================================================================
+//
+// 1. Admin books a shipment with a courier and prints its label
+//    (controllers/shipmentController.js)
+// 2. The courier picks the parcel up and sends tracking webhooks
+//    (POST /api/couriers/webhook/:provider)
+// 3. utils/courierTracking.js adds the tracking entries and moves the
+//    shipment - and with it the order - to SHIPPED, DELIVERED or RETURNED
+//
+// Couriers themselves live in utils/couriers.
+//
+// =============================================================================
+
+const crypto = require('crypto');
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { getCourier, listCouriers, isMockMode } = require('../utils/couriers');
+const { applyCourierEvent } = require('../utils/courierTracking');
+
+// =============================================================================
+// @desc    Couriers shipments can be booked with
+// @route   GET /api/couriers
+// @access  Private/Admin
+// =============================================================================
+
+const getCouriers = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      mode: isMockMode() ? 'mock' : 'live',
+      couriers: listCouriers(),
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Courier tracking webhook
+// @route   POST /api/couriers/webhook/:provider
+// @access  Public (signature verified)
+// =============================================================================
+
+const handleCourierWebhook = asyncHandler(async (req, res) => {
+  const courier = getCourier(req.params.provider);
+
+  if (!courier) {
+    res.status(404);
+    throw new Error('Unknown courier');
+  }
+
+  const event = await courier.parseWebhook(req);
+
+  if (event.error) {
+    console.error(`Rejected ${courier.name} webhook:`, event.error);
+    res.status(400);
+    throw new Error(event.error);
+  }
+
+  // Events we don't act on
+  if (!event.trackingNumber) {
+    return res.status(200).json({ success: true, received: true, outcome: 'ignored' });
+  }
+
+  const { outcome } = await applyCourierEvent(courier, event);
+
+  if (outcome === 'unmatched') {
+    console.error(`${courier.name} webhook for unknown tracking number ${event.trackingNumber}`);
+  }
+
+  res.status(200).json({
+    success: true,
+    received: true,
+    outcome,
+  });
+});
+
+// =============================================================================
+// @desc    Send a mock courier tracking update (development only)
+// @route   POST /api/couriers/mock/:trackingNumber/simulate
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { status: 'picked_up' | 'in_transit' | 'out_for_delivery' |
+//                 'failed_attempt' | 'delivered' | 'returned',
+//         description, location }
+// Builds a signed mock webhook and runs it through the same verification
+// and order updates as a real one. Only available while COURIER_MODE=mock
+// and NODE_ENV is not production.
+
+const simulateMockCourierEvent = asyncHandler(async (req, res) => {
+  if (!isMockMode() || process.env.NODE_ENV === 'production') {
+    res.status(404);
+    throw new Error('Not found');
+  }
+
+  const { status = 'picked_up', description, location } = req.body;
+
+  const shipment = await prisma.shipment.findFirst({
+    where: { trackingNumber: req.params.trackingNumber, courierProvider: 'mock' },
+  });
+
+  if (!shipment) {
+    res.status(404);
+    throw new Error('No mock shipment with this tracking number');
+  }
+
+  const courier = getCourier('mock');
+
+  const body = {
+    id: `trk_${crypto.randomBytes(8).toString('hex')}`,
+    trackingNumber: shipment.trackingNumber,
+    status,
+    description,
+    location,
+    occurredAt: new Date().toISOString(),
+  };
+  const rawBody = JSON.stringify(body);
+
+  // Shaped like an Express request, so the real signature check runs
+  const webhookRequest = {
+    body: JSON.parse(rawBody),
+    rawBody: Buffer.from(rawBody),
+    get: (header) =>
+      header.toLowerCase() === 'x-mock-signature' ? courier.sign(rawBody) : undefined,
+  };
+
+  const event = await courier.parseWebhook(webhookRequest);
+
+  if (event.error) {
+    res.status(400);
+    throw new Error(event.error);
+  }
+
+  const result = await applyCourierEvent(courier, event);
+
+  const order = await prisma.order.findUnique({
+    where: { id: shipment.orderId },
+    include: { shipments: { include: { items: true } } },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Simulated "${status}" update (${result.outcome})`,
+    data: order,
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getCouriers,
+  handleCourierWebhook,
+  simulateMockCourierEvent,
+};
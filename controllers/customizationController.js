@@ -0,0 +1,286 @@
+// =============================================================================
+// CUSTOMIZATION CONTROLLER - Product Customization Options
+// =============================================================================
+//
+// Admins define how a product can be personalized: an engraving (TEXT), a
+// resin color (COLOR), dried flowers to set in it (CHOICE) or a customer's
+// photo (IMAGE). Each option has a key the cart sends values under and a
+// surcharge (see utils/customizations.js for the config of each type).
+//
+// - Adding an option marks the product as customizable
+// - Order lines keep a copy of what was chosen, so options can be changed
+//   or deleted without touching past orders
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const {
+  CUSTOMIZATION_TYPES,
+  KEY_PATTERN,
+  normalizeOptionConfig,
+} = require('../utils/customizations');
+
+// Parse :id or send 400, then load the product or send 404
+const loadProduct = async (req, res) => {
+  const productId = parseInt(req.params.id);
+
+  if (isNaN(productId)) {
+    res.status(400);
+    throw new Error('Invalid product ID');
+  }
+
+  const product = await prisma.product.findUnique({ where: { id: productId } });
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  return product;
+};
+
+// Load an option of the product in the URL or send 404
+const loadOption = async (req, res, product) => {
+  const optionId = parseInt(req.params.optionId);
+
+  const option = isNaN(optionId)
+    ? null
+    : await prisma.productCustomizationOption.findUnique({ where: { id: optionId } });
+
+  if (!option || option.productId !== product.id) {
+    res.status(404);
+    throw new Error('Customization option not found');
+  }
+
+  return option;
+};
+
+// Surcharge from the body: undefined = not sent
+const parseSurcharge = (value, res) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return 0;
+
+  const surcharge = parseFloat(value);
+
+  if (isNaN(surcharge) || surcharge < 0) {
+    res.status(400);
+    throw new Error('Surcharge must be a valid positive number');
+  }
+
+  return surcharge;
+};
+
+// Type-specific settings or send 400
+const parseConfig = (type, config, res) => {
+  const result = normalizeOptionConfig(type, config === null ? undefined : config);
+
+  if (result.error) {
+    res.status(400);
+    throw new Error(result.error);
+  }
+
+  return result.config;
+};
+
+// =============================================================================
+// @desc    Get a product's customization options
+// @route   GET /api/products/:id/customization-options
+// @access  Public (admins also see inactive options)
+// =============================================================================
+
+const getCustomizationOptions = asyncHandler(async (req, res) => {
+  const product = await loadProduct(req, res);
+  const isAdmin = req.user && req.user.role === 'ADMIN';
+
+  if (!product.isActive && !isAdmin) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  const options = await prisma.productCustomizationOption.findMany({
+    where: { productId: product.id, ...(isAdmin ? {} : { isActive: true }) },
+    orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      productId: product.id,
+      isCustomizable: product.isCustomizable,
+      options,
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Add a customization option to a product
+// @route   POST /api/products/:id/customization-options
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { key, label, type, isRequired, surcharge, config, sortOrder }
+// e.g.  { key: 'engraving', label: 'Engraved name', type: 'TEXT',
+//         surcharge: 300, config: { maxLength: 20 } }
+
+const createCustomizationOption = asyncHandler(async (req, res) => {
+  const product = await loadProduct(req, res);
+  const { key, label, isRequired = false, config, sortOrder = 0 } = req.body;
+  const type = req.body.type ? String(req.body.type).toUpperCase() : '';
+
+  if (!key || !KEY_PATTERN.test(key)) {
+    res.status(400);
+    throw new Error('Key must start with a letter and contain only letters, numbers and _ (max 50)');
+  }
+
+  if (!label || !String(label).trim()) {
+    res.status(400);
+    throw new Error('Label is required');
+  }
+
+  if (!CUSTOMIZATION_TYPES.includes(type)) {
+    res.status(400);
+    throw new Error(`Type must be one of: ${CUSTOMIZATION_TYPES.join(', ')}`);
+  }
+
+  const tidiedConfig = parseConfig(type, config, res);
+  const surcharge = parseSurcharge(req.body.surcharge, res) ?? 0;
+
+  let option;
+
+  try {
+    option = await prisma.$transaction(async (tx) => {
+      const created = await tx.productCustomizationOption.create({
+        data: {
+          productId: product.id,
+          key,
+          label: String(label).trim(),
+          type,
+          isRequired: isRequired === true || isRequired === 'true',
+          surcharge,
+          config: tidiedConfig,
+          sortOrder: parseInt(sortOrder) || 0,
+        },
+      });
+
+      if (!product.isCustomizable) {
+        await tx.product.update({
+          where: { id: product.id },
+          data: { isCustomizable: true },
+        });
+      }
+
+      return created;
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      res.status(409);
+      throw new Error(`${product.name} already has a customization option "${key}"`);
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Customization option ${option.label} added to ${product.name}`,
+    data: option,
+  });
+});
+
+// =============================================================================
+// @desc    Update a customization option
+// @route   PUT /api/products/:id/customization-options/:optionId
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { label, isRequired, surcharge, config, isActive, sortOrder }
+// The key and type can't change - carts and past orders hold values under
+// them. Add a new option instead. Carts are re-checked at checkout.
+
+const updateCustomizationOption = asyncHandler(async (req, res) => {
+  const product = await loadProduct(req, res);
+  const option = await loadOption(req, res, product);
+  const { key, type, label, isRequired, config, isActive, sortOrder } = req.body;
+
+  if ((key !== undefined && key !== option.key) ||
+      (type !== undefined && String(type).toUpperCase() !== option.type)) {
+    res.status(400);
+    throw new Error('The key and type of an option cannot change - add a new option instead');
+  }
+
+  const data = {};
+
+  if (label !== undefined) {
+    if (!String(label).trim()) {
+      res.status(400);
+      throw new Error('Label cannot be empty');
+    }
+    data.label = String(label).trim();
+  }
+
+  if (config !== undefined) data.config = parseConfig(option.type, config, res);
+
+  const surcharge = parseSurcharge(req.body.surcharge, res);
+  if (surcharge !== undefined) data.surcharge = surcharge;
+
+  if (isRequired !== undefined) data.isRequired = isRequired === true || isRequired === 'true';
+  if (isActive !== undefined) data.isActive = isActive === true || isActive === 'true';
+  if (sortOrder !== undefined) data.sortOrder = parseInt(sortOrder) || 0;
+
+  const updated = await prisma.productCustomizationOption.update({
+    where: { id: option.id },
+    data,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Customization option ${updated.label} updated`,
+    data: updated,
+  });
+});
+
+// =============================================================================
+// @desc    Delete a customization option
+// @route   DELETE /api/products/:id/customization-options/:optionId
+// @access  Private/Admin
+// =============================================================================
+//
+// Carts holding a value for it fail the check at checkout until the
+// customer updates the item. Removing the last option makes the product
+// non-customizable again.
+
+const deleteCustomizationOption = asyncHandler(async (req, res) => {
+  const product = await loadProduct(req, res);
+  const option = await loadOption(req, res, product);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.productCustomizationOption.delete({ where: { id: option.id } });
+
+    const remaining = await tx.productCustomizationOption.count({
+      where: { productId: product.id },
+    });
+
+    if (remaining === 0) {
+      await tx.product.update({
+        where: { id: product.id },
+        data: { isCustomizable: false },
+      });
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Customization option ${option.label} deleted`,
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getCustomizationOptions,
+  createCustomizationOption,
+  updateCustomizationOption,
+  deleteCustomizationOption,
+};
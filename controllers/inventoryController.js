@@ -8,10 +8,16 @@
 // - View inventory change history
 // - Get low stock alerts
 //
+// Products with variants are counted per variant (send variantId); their
+// own stock is the variants' total. Raw materials have their own inventory
+// (controllers/materialController.js) and show up in the alerts here.
+//
 // =============================================================================
 
 const { prisma } = require('../config/db');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { findStockTarget, setVariantStock } = require('../utils/variants');
+const { getLowMaterials } = require('../utils/materials');
 
 // =============================================================================
 // @desc    Get inventory overview with stock levels
@@ -62,6 +68,10 @@ const getInventoryOverview = asyncHandler(async (req, res) => {
         images: true,
         isActive: true,
         updatedAt: true,
+        variants: {
+          select: { id: true, sku: true, name: true, stock: true, isActive: true },
+          orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+        },
       },
       orderBy: { [sortBy]: sortOrder },
       skip,
@@ -113,10 +123,13 @@ const getInventoryOverview = asyncHandler(async (req, res) => {
 // @route   PUT /api/inventory/:productId
 // @access  Private/Admin
 // =============================================================================
+//
+// Body: { quantity, operation, reason, variantId } - variantId is required
+// for products with variants
 
 const updateInventoryWithHistory = asyncHandler(async (req, res) => {
   const productId = parseInt(req.params.productId);
-  const { quantity, operation = 'set', reason } = req.body;
+  const { quantity, operation = 'set', reason, variantId } = req.body;
 
   // Validation
   if (isNaN(productId)) {
@@ -134,32 +147,28 @@ const updateInventoryWithHistory = asyncHandler(async (req, res) => {
     throw new Error('Reason for stock update is required');
   }
 
-  // Get current product
-  const product = await prisma.product.findUnique({
-    where: { id: productId },
-    select: {
-      id: true,
-      name: true,
-      stock: true,
-    },
-  });
+  // Get current product (and variant)
+  const target = await findStockTarget(productId, variantId);
 
-  if (!product) {
-    res.status(404);
-    throw new Error('Product not found');
+  if (target.error) {
+    res.status(target.statusCode);
+    throw new Error(target.error);
   }
 
+  const { product, variant } = target;
+  const currentStock = variant ? variant.stock : product.stock;
+
   // Calculate new stock based on operation
   let newStock;
   let changeAmount;
 
   switch (operation) {
     case 'add':
-      newStock = product.stock + parseInt(quantity);
+      newStock = currentStock + parseInt(quantity);
       changeAmount = parseInt(quantity);
       break;
     case 'subtract':
-      newStock = product.stock - parseInt(quantity);
+      newStock = currentStock - parseInt(quantity);
       changeAmount = -parseInt(quantity);
       if (newStock < 0) {
         res.status(400);
@@ -169,13 +178,29 @@ const updateInventoryWithHistory = asyncHandler(async (req, res) => {
     case 'set':
     default:
       newStock = parseInt(quantity);
-      changeAmount = newStock - product.stock;
+      changeAmount = newStock - currentStock;
       if (newStock < 0) {
         res.status(400);
         throw new Error('Stock cannot be negative');
       }
   }
 
+  if (variant) {
+    const result = await prisma.$transaction((tx) =>
+      setVariantStock(tx, variant, newStock, { reason, changedById: req.user.id })
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `Stock of ${product.name} (${variant.name}) updated successfully from ${variant.stock} to ${newStock}`,
+      data: {
+        product: { id: product.id, name: product.name },
+        variant: result.variant,
+        log: result.inventoryLog,
+      },
+    });
+  }
+
   // Update stock and create inventory log in a transaction
   const result = await prisma.$transaction(async (tx) => {
     // Update product stock
@@ -234,7 +259,7 @@ const updateInventoryWithHistory = asyncHandler(async (req, res) => {
 
 const getInventoryHistory = asyncHandler(async (req, res) => {
   const productId = parseInt(req.params.productId);
-  const { page = 1, limit = 20 } = req.query;
+  const { page = 1, limit = 20, variantId } = req.query;
 
   if (isNaN(productId)) {
     res.status(400);
@@ -255,9 +280,13 @@ const getInventoryHistory = asyncHandler(async (req, res) => {
   const skip = (parseInt(page) - 1) * parseInt(limit);
   const take = parseInt(limit);
 
+  // ?variantId= narrows the history to one variant
+  const where = { productId: productId };
+  if (variantId) where.variantId = parseInt(variantId);
+
   const [history, totalCount] = await Promise.all([
     prisma.inventoryLog.findMany({
-      where: { productId: productId },
+      where,
       include: {
         changedBy: {
           select: {
@@ -266,12 +295,15 @@ const getInventoryHistory = asyncHandler(async (req, res) => {
             email: true,
           },
         },
+        variant: {
+          select: { id: true, sku: true, name: true },
+        },
       },
       orderBy: { createdAt: 'desc' }, // Most recent first
       skip,
       take,
     }),
-    prisma.inventoryLog.count({ where: { productId: productId } }),
+    prisma.inventoryLog.count({ where }),
   ]);
 
   res.status(200).json({
@@ -323,6 +355,26 @@ const getInventoryAlerts = asyncHandler(async (req, res) => {
   const criticalLow = lowStockProducts.filter(p => p.stock > 0 && p.stock <= 5);
   const low = lowStockProducts.filter(p => p.stock > 5 && p.stock <= parseInt(threshold));
 
+  // Variants running low, even when their product has enough in total
+  const lowStockVariants = await prisma.productVariant.findMany({
+    where: {
+      isActive: true,
+      stock: { lte: parseInt(threshold) },
+      product: { isActive: true },
+    },
+    select: {
+      id: true,
+      sku: true,
+      name: true,
+      stock: true,
+      product: { select: { id: true, name: true, category: true } },
+    },
+    orderBy: { stock: 'asc' },
+  });
+
+  // Raw materials at or below their own reorder level
+  const lowMaterials = await getLowMaterials();
+
   res.status(200).json({
     success: true,
     message: 'Low stock alerts retrieved successfully',
@@ -333,12 +385,16 @@ const getInventoryAlerts = asyncHandler(async (req, res) => {
         criticalLow: criticalLow,
         low: low,
       },
+      variants: lowStockVariants,
+      materials: lowMaterials,
     },
     summary: {
       totalAlerts: lowStockProducts.length,
       outOfStockCount: outOfStock.length,
       criticalLowCount: criticalLow.length,
       lowCount: low.length,
+      lowVariantCount: lowStockVariants.length,
+      lowMaterialCount: lowMaterials.length,
     },
   });
 });
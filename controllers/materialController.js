@@ -0,0 +1,628 @@
+// =============================================================================
+// MATERIAL CONTROLLER - Raw Materials & Bills of Materials
+// =============================================================================
+//
+// Handles the workshop's raw materials (see utils/materials.js):
+// - Materials with their stock, unit and reorder level
+// - Purchases (optionally recorded as RAW_MATERIALS expenses) and manual
+//   adjustments, each logged in MaterialLog
+// - Each product's bill of materials, used when its orders go into
+//   production
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { checkBudgetAlert } = require('../utils/budgets');
+const {
+  MATERIAL_CATEGORIES,
+  MATERIAL_UNITS,
+  MATERIAL_SUMMARY,
+  roundQuantity,
+  changeMaterialStock,
+  getPiecesPossible,
+} = require('../utils/materials');
+
+// Parse :id or send 400, then load the material or send 404
+const loadMaterial = async (req, res) => {
+  const materialId = parseInt(req.params.id);
+
+  if (isNaN(materialId)) {
+    res.status(400);
+    throw new Error('Invalid material ID');
+  }
+
+  const material = await prisma.material.findUnique({ where: { id: materialId } });
+
+  if (!material) {
+    res.status(404);
+    throw new Error('Material not found');
+  }
+
+  return material;
+};
+
+// Parse :id or send 400, then load the product or send 404
+const loadProduct = async (req, res) => {
+  const productId = parseInt(req.params.id);
+
+  if (isNaN(productId)) {
+    res.status(400);
+    throw new Error('Invalid product ID');
+  }
+
+  const product = await prisma.product.findUnique({ where: { id: productId } });
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  return product;
+};
+
+// Enum value from the body (any case) or send 400
+const parseEnum = (value, allowed, field, res) => {
+  const upper = value ? String(value).toUpperCase() : '';
+
+  if (!allowed.includes(upper)) {
+    res.status(400);
+    throw new Error(`${field} must be one of: ${allowed.join(', ')}`);
+  }
+
+  return upper;
+};
+
+// Quantity from the body (>= 0, or > 0 with positive) or send 400
+const parseQuantity = (value, field, res, { positive = false } = {}) => {
+  const quantity = parseFloat(value);
+
+  if (value === undefined || value === null || isNaN(quantity) || quantity < 0 || (positive && quantity === 0)) {
+    res.status(400);
+    throw new Error(`${field} must be a ${positive ? 'positive' : 'valid'} number`);
+  }
+
+  return roundQuantity(quantity);
+};
+
+// Amount of money from the body: undefined = not sent
+const parseMoney = (value, field, res) => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const amount = parseFloat(value);
+
+  if (isNaN(amount) || amount < 0) {
+    res.status(400);
+    throw new Error(`${field} must be a valid positive number`);
+  }
+
+  return Math.round(amount * 100) / 100;
+};
+
+// Duplicate name -> 409
+const rethrowDuplicate = (error, name, res) => {
+  if (error.code === 'P2002') {
+    res.status(409);
+    throw new Error(`A material named "${name}" already exists`);
+  }
+  throw error;
+};
+
+// =============================================================================
+// @desc    Get all materials
+// @route   GET /api/materials
+// @access  Private/Admin
+// =============================================================================
+//
+// Query: search, category, lowStock=true, includeInactive=true
+
+const getMaterials = asyncHandler(async (req, res) => {
+  const { search, category, lowStock, includeInactive } = req.query;
+
+  const where = includeInactive === 'true' ? {} : { isActive: true };
+
+  if (search) {
+    where.name = { contains: search };
+  }
+
+  if (category) {
+    where.category = parseEnum(category, MATERIAL_CATEGORIES, 'Category', res);
+  }
+
+  if (lowStock === 'true') {
+    where.stock = { lte: prisma.material.fields.reorderLevel };
+  }
+
+  const materials = await prisma.material.findMany({
+    where,
+    include: { _count: { select: { products: true } } },
+    orderBy: [{ category: 'asc' }, { name: 'asc' }],
+  });
+
+  const data = materials.map(({ _count, ...material }) => ({
+    ...material,
+    productCount: _count.products,
+    isLow: parseFloat(material.stock) <= parseFloat(material.reorderLevel),
+  }));
+
+  const stockValue = data.reduce(
+    (sum, material) => sum + Math.max(0, parseFloat(material.stock)) * (parseFloat(material.costPerUnit) || 0),
+    0,
+  );
+
+  res.status(200).json({
+    success: true,
+    data,
+    summary: {
+      totalMaterials: data.length,
+      lowStockCount: data.filter((material) => material.isLow).length,
+      stockValue: Math.round(stockValue * 100) / 100,
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Add a material
+// @route   POST /api/materials
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { name, category, unit, stock, reorderLevel, costPerUnit, supplier, notes }
+// e.g.  { name: 'Clear epoxy resin', category: 'RESIN', unit: 'LITRE',
+//         stock: 10, reorderLevel: 3, costPerUnit: 4500 }
+// Opening stock is logged as a manual adjustment.
+
+const createMaterial = asyncHandler(async (req, res) => {
+  const { name, supplier, notes } = req.body;
+
+  if (!name || !String(name).trim()) {
+    res.status(400);
+    throw new Error('Material name is required');
+  }
+
+  const category = parseEnum(req.body.category, MATERIAL_CATEGORIES, 'Category', res);
+  const unit = parseEnum(req.body.unit, MATERIAL_UNITS, 'Unit', res);
+  const stock = req.body.stock === undefined ? 0 : parseQuantity(req.body.stock, 'Stock', res);
+  const reorderLevel = req.body.reorderLevel === undefined
+    ? 0
+    : parseQuantity(req.body.reorderLevel, 'Reorder level', res);
+  const costPerUnit = parseMoney(req.body.costPerUnit, 'Cost per unit', res);
+
+  let material;
+
+  try {
+    material = await prisma.$transaction(async (tx) => {
+      const created = await tx.material.create({
+        data: {
+          name: String(name).trim(),
+          category,
+          unit,
+          reorderLevel,
+          costPerUnit: costPerUnit ?? null,
+          supplier: supplier || null,
+          notes: notes || null,
+        },
+      });
+
+      if (stock > 0) {
+        return (await changeMaterialStock(tx, created.id, stock, {
+          changeType: 'MANUAL_ADJUSTMENT',
+          reason: 'Opening stock',
+          changedById: req.user.id,
+        })).material;
+      }
+
+      return created;
+    });
+  } catch (error) {
+    rethrowDuplicate(error, String(name).trim(), res);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Material ${material.name} added`,
+    data: material,
+  });
+});
+
+// =============================================================================
+// @desc    Get a material with the products using it and recent changes
+// @route   GET /api/materials/:id
+// @access  Private/Admin
+// =============================================================================
+
+const getMaterial = asyncHandler(async (req, res) => {
+  const { id } = await loadMaterial(req, res);
+
+  const material = await prisma.material.findUnique({
+    where: { id },
+    include: {
+      products: {
+        include: { product: { select: { id: true, name: true, isActive: true } } },
+        orderBy: { productId: 'asc' },
+      },
+      logs: {
+        include: { changedBy: { select: { id: true, name: true } } },
+        orderBy: { createdAt: 'desc' },
+        take: 20,
+      },
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: material,
+  });
+});
+
+// =============================================================================
+// @desc    Update a material
+// @route   PUT /api/materials/:id
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { name, category, unit, reorderLevel, costPerUnit, supplier, notes, isActive }
+// Stock changes go through /restock or /stock so they are logged. The unit
+// can't change once a BOM uses the material (its quantities are in it).
+
+const updateMaterial = asyncHandler(async (req, res) => {
+  const material = await loadMaterial(req, res);
+  const { name, category, unit, reorderLevel, supplier, notes, isActive } = req.body;
+
+  if (req.body.stock !== undefined) {
+    res.status(400);
+    throw new Error('Use the restock or stock adjustment endpoints to change stock');
+  }
+
+  const data = {};
+
+  if (name !== undefined) {
+    if (!String(name).trim()) {
+      res.status(400);
+      throw new Error('Material name cannot be empty');
+    }
+    data.name = String(name).trim();
+  }
+
+  if (category !== undefined) data.category = parseEnum(category, MATERIAL_CATEGORIES, 'Category', res);
+
+  if (unit !== undefined) {
+    data.unit = parseEnum(unit, MATERIAL_UNITS, 'Unit', res);
+
+    if (data.unit !== material.unit &&
+        (await prisma.productMaterial.count({ where: { materialId: material.id } })) > 0) {
+      res.status(400);
+      throw new Error('The unit cannot change while products use this material - update their BOMs first');
+    }
+  }
+
+  if (reorderLevel !== undefined) data.reorderLevel = parseQuantity(reorderLevel, 'Reorder level', res);
+
+  const costPerUnit = parseMoney(req.body.costPerUnit, 'Cost per unit', res);
+  if (costPerUnit !== undefined) data.costPerUnit = costPerUnit;
+  if (req.body.costPerUnit === null) data.costPerUnit = null;
+
+  if (supplier !== undefined) data.supplier = supplier || null;
+  if (notes !== undefined) data.notes = notes || null;
+  if (isActive !== undefined) data.isActive = isActive === true || isActive === 'true';
+
+  let updated;
+
+  try {
+    updated = await prisma.material.update({
+      where: { id: material.id },
+      data,
+    });
+  } catch (error) {
+    rethrowDuplicate(error, data.name, res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Material ${updated.name} updated`,
+    data: updated,
+  });
+});
+
+// =============================================================================
+// @desc    Record a purchase of a material
+// @route   POST /api/materials/:id/restock
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { quantity, totalCost, supplier, date, reason }
+// With totalCost the purchase is also added as a RAW_MATERIALS expense (and
+// counts towards its budget) and becomes the material's cost per unit.
+
+const restockMaterial = asyncHandler(async (req, res) => {
+  const material = await loadMaterial(req, res);
+  const quantity = parseQuantity(req.body.quantity, 'Quantity', res, { positive: true });
+  const totalCost = parseMoney(req.body.totalCost, 'Total cost', res);
+  const supplier = req.body.supplier || material.supplier;
+  const date = req.body.date ? new Date(req.body.date) : new Date();
+
+  if (isNaN(date.getTime())) {
+    res.status(400);
+    throw new Error('Invalid purchase date');
+  }
+
+  const description = `${quantity} ${material.unit.toLowerCase()} ${material.name}` +
+    (supplier ? ` from ${supplier}` : '');
+
+  const result = await prisma.$transaction(async (tx) => {
+    let expense = null;
+    const materialData = {};
+
+    if (totalCost !== undefined && totalCost > 0) {
+      expense = await tx.expense.create({
+        data: {
+          adminId: req.user.id,
+          category: 'RAW_MATERIALS',
+          amount: totalCost,
+          description: `Purchase: ${description}`,
+          date,
+        },
+      });
+
+      materialData.costPerUnit = Math.round((totalCost / quantity) * 100) / 100;
+    }
+
+    if (req.body.supplier) materialData.supplier = req.body.supplier;
+
+    if (Object.keys(materialData).length > 0) {
+      await tx.material.update({
+        where: { id: material.id },
+        data: materialData,
+      });
+    }
+
+    const change = await changeMaterialStock(tx, material.id, quantity, {
+      changeType: 'PURCHASE',
+      reason: req.body.reason || `Purchased ${description}`,
+      reference: supplier ? { type: 'purchase', supplier } : { type: 'purchase' },
+      expenseId: expense ? expense.id : null,
+      changedById: req.user.id,
+    });
+
+    return { ...change, expense };
+  });
+
+  if (result.expense) {
+    await checkBudgetAlert('RAW_MATERIALS', date);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${material.name} restocked from ${result.log.previousStock} to ${result.log.newStock}`,
+    data: result,
+  });
+});
+
+// =============================================================================
+// @desc    Adjust a material's stock (count, spill, breakage)
+// @route   PUT /api/materials/:id/stock
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { quantity, operation: 'set' | 'add' | 'subtract', reason }
+
+const adjustMaterialStock = asyncHandler(async (req, res) => {
+  const material = await loadMaterial(req, res);
+  const { operation = 'set', reason } = req.body;
+  const quantity = parseQuantity(req.body.quantity, 'Quantity', res);
+
+  if (!reason || reason.trim() === '') {
+    res.status(400);
+    throw new Error('Reason for stock update is required');
+  }
+
+  if (!['set', 'add', 'subtract'].includes(operation)) {
+    res.status(400);
+    throw new Error('Operation must be one of: set, add, subtract');
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Read inside the transaction so a set lands exactly on the quantity
+    const current = await tx.material.findUnique({ where: { id: material.id } });
+    const stock = parseFloat(current.stock);
+
+    let change;
+    if (operation === 'add') change = quantity;
+    else if (operation === 'subtract') change = -quantity;
+    else change = quantity - stock;
+
+    if (stock + change < 0) {
+      return { error: 'Insufficient stock. Cannot subtract more than available.' };
+    }
+
+    return changeMaterialStock(tx, material.id, change, {
+      changeType: 'MANUAL_ADJUSTMENT',
+      reason,
+      changedById: req.user.id,
+    });
+  });
+
+  if (result.error) {
+    res.status(400);
+    throw new Error(result.error);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Stock of ${material.name} updated from ${result.log.previousStock} to ${result.log.newStock}`,
+    data: result,
+  });
+});
+
+// =============================================================================
+// @desc    Get a material's stock history
+// @route   GET /api/materials/:id/history
+// @access  Private/Admin
+// =============================================================================
+//
+// Query: changeType, page, limit
+
+const getMaterialHistory = asyncHandler(async (req, res) => {
+  const material = await loadMaterial(req, res);
+  const { changeType, page = 1, limit = 20 } = req.query;
+
+  const where = { materialId: material.id };
+
+  if (changeType) {
+    where.changeType = changeType.toUpperCase();
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const [logs, totalCount] = await Promise.all([
+    prisma.materialLog.findMany({
+      where,
+      include: {
+        changedBy: { select: { id: true, name: true } },
+        expense: { select: { id: true, amount: true, date: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take,
+    }),
+    prisma.materialLog.count({ where }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      material: { id: material.id, name: material.name, unit: material.unit, stock: material.stock },
+      history: logs,
+    },
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCount / take),
+      totalItems: totalCount,
+      itemsPerPage: take,
+      hasNextPage: parseInt(page) < Math.ceil(totalCount / take),
+      hasPrevPage: parseInt(page) > 1,
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Get a product's bill of materials
+// @route   GET /api/products/:id/materials
+// @access  Private/Admin
+// =============================================================================
+
+const getProductMaterials = asyncHandler(async (req, res) => {
+  const product = await loadProduct(req, res);
+
+  const bom = await prisma.productMaterial.findMany({
+    where: { productId: product.id },
+    include: { material: MATERIAL_SUMMARY },
+    orderBy: { materialId: 'asc' },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      productId: product.id,
+      productName: product.name,
+      materials: bom,
+      // How many more pieces the materials in stock are enough for
+      piecesPossible: getPiecesPossible(bom),
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Set a product's bill of materials
+// @route   PUT /api/products/:id/materials
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { materials: [{ materialId, quantity }] } - quantities per piece, in
+// each material's unit. Replaces the whole BOM; [] clears it. Orders
+// already in production keep what they used.
+
+const setProductMaterials = asyncHandler(async (req, res) => {
+  const product = await loadProduct(req, res);
+  const { materials } = req.body;
+
+  if (!Array.isArray(materials)) {
+    res.status(400);
+    throw new Error('Materials must be a list of { materialId, quantity }');
+  }
+
+  const lines = materials.map((line) => ({
+    materialId: parseInt(line && line.materialId),
+    quantity: parseQuantity(line && line.quantity, 'Quantity', res, { positive: true }),
+  }));
+
+  const materialIds = lines.map((line) => line.materialId);
+
+  if (materialIds.some(isNaN)) {
+    res.status(400);
+    throw new Error('Each line needs a valid materialId');
+  }
+
+  if (new Set(materialIds).size !== materialIds.length) {
+    res.status(400);
+    throw new Error('Each material can only appear once');
+  }
+
+  const found = await prisma.material.findMany({
+    where: { id: { in: materialIds } },
+    select: { id: true, name: true, isActive: true },
+  });
+
+  const missing = materialIds.filter((id) => !found.some((material) => material.id === id));
+  if (missing.length > 0) {
+    res.status(400);
+    throw new Error(`Materials not found: ${missing.join(', ')}`);
+  }
+
+  const inactive = found.filter((material) => !material.isActive);
+  if (inactive.length > 0) {
+    res.status(400);
+    throw new Error(`Inactive materials can't be added: ${inactive.map((material) => material.name).join(', ')}`);
+  }
+
+  await prisma.$transaction([
+    prisma.productMaterial.deleteMany({ where: { productId: product.id } }),
+    prisma.productMaterial.createMany({
+      data: lines.map((line) => ({ productId: product.id, ...line })),
+    }),
+  ]);
+
+  const bom = await prisma.productMaterial.findMany({
+    where: { productId: product.id },
+    include: { material: MATERIAL_SUMMARY },
+    orderBy: { materialId: 'asc' },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Bill of materials for ${product.name} saved (${bom.length} material(s))`,
+    data: {
+      productId: product.id,
+      productName: product.name,
+      materials: bom,
+      piecesPossible: getPiecesPossible(bom),
+    },
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getMaterials,
+  createMaterial,
+  getMaterial,
+  updateMaterial,
+  restockMaterial,
+  adjustMaterialStock,
+  getMaterialHistory,
+  getProductMaterials,
+  setProductMaterials,
+};
@@ -16,30 +16,16 @@ const { asyncHandler } = require("../middleware/errorMiddleware");
 const {
   sendEmail,
   getOrderConfirmationEmail,
-  getOrderStatusEmail,
 } = require("../utils/sendEmail");
-
-// =============================================================================
-// HELPER: Generate unique order number
-// =============================================================================
-
-const generateOrderNumber = async () => {
-  const year = new Date().getFullYear();
-
-  // Get count of orders this year
-  const count = await prisma.order.count({
-    where: {
-      createdAt: {
-        gte: new Date(`${year}-01-01`),
-      },
-    },
-  });
-
-  // Format: RA-YYYY-XXXXXX (RA = Resin Art)
-  const orderNumber = `RA-${year}-${String(count + 1).padStart(6, "0")}`;
-
-  return orderNumber;
-};
+const { redeemCoupon } = require("../utils/coupons");
+const { loadCheckoutCart, priceCart } = require("../utils/checkoutPricing");
+const { reserveStock } = require("../utils/stockReservations");
+const { findUserAddress, toShippingFields } = require("../utils/addresses");
+const {
+  generateOrderNumber,
+  transitionOrder,
+  getAllowedTransitions: getOrderTransitions,
+} = require("../utils/orderLifecycle");
 
 // =============================================================================
 // @desc    Create new order from cart (Checkout)
@@ -50,43 +36,92 @@ const generateOrderNumber = async () => {
 // Based on SRS-49, SRS-50:
 // - User confirms cart items and places order
 // - Confirmation email/SMS sent
+// - Optional couponCode applies a discount (see utils/coupons.js)
+// - Prices, discount, shipping and tax come from utils/checkoutPricing.js
+// - Ship to a saved address (addressId, see addressController) or to
+//   shippingAddress / shippingCity / shippingProvince / shippingPostalCode /
+//   shippingPhone typed in at checkout
+// - Shipping is priced by the zone of the city / province
+//   (see utils/shipping.js)
+// - Tax is calculated per item from the tax rules (see utils/tax.js)
 
 const createOrder = asyncHandler(async (req, res) => {
-  const { shippingAddress, shippingPhone, paymentMethod, notes } = req.body;
+  const {
+    addressId,
+    shippingAddress,
+    shippingCity,
+    shippingProvince,
+    shippingPostalCode,
+    shippingPhone,
+    paymentMethod,
+    notes,
+    couponCode,
+  } = req.body;
 
   // ---------------------------------------------------------------------------
-  // Validate input
+  // Email verification policy
   // ---------------------------------------------------------------------------
+  // With REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT=true, unverified users can still
+  // browse and fill their cart, but cannot place an order.
 
-  if (!shippingAddress || !shippingPhone) {
-    res.status(400);
-    throw new Error("Please provide shipping address and phone number");
+  if (
+    process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === "true" &&
+    !req.user.emailVerified
+  ) {
+    res.status(403);
+    throw new Error(
+      "Please verify your email address before placing an order"
+    );
   }
 
-  // Validate phone number (max 13 digits)
-  const digitCount = shippingPhone.replace(/\D/g, "").length;
-  if (digitCount > 13) {
-    res.status(400);
-    throw new Error("Phone number can contain a maximum of 13 digits");
+  // ---------------------------------------------------------------------------
+  // Shipping address (saved address or typed in)
+  // ---------------------------------------------------------------------------
+
+  let shipping;
+
+  if (addressId) {
+    const address = await findUserAddress(req.user.id, addressId);
+
+    if (!address) {
+      res.status(404);
+      throw new Error("Saved address not found");
+    }
+
+    shipping = toShippingFields(address);
+  } else {
+    if (!shippingAddress || !shippingPhone) {
+      res.status(400);
+      throw new Error("Please provide shipping address and phone number");
+    }
+
+    if (!shippingCity) {
+      res.status(400);
+      throw new Error("Please provide the shipping city");
+    }
+
+    // Validate phone number (max 13 digits)
+    const digitCount = shippingPhone.replace(/\D/g, "").length;
+    if (digitCount > 13) {
+      res.status(400);
+      throw new Error("Phone number can contain a maximum of 13 digits");
+    }
+
+    shipping = {
+      shippingAddress,
+      shippingCity,
+      shippingProvince: shippingProvince || null,
+      shippingPostalCode: shippingPostalCode || null,
+      shippingPhone,
+      addressId: null,
+    };
   }
 
   // ---------------------------------------------------------------------------
   // Get user's cart with items
   // ---------------------------------------------------------------------------
 
-  const cart = await prisma.cart.findFirst({
-    where: {
-      userId: req.user.id,
-      isActive: true,
-    },
-    include: {
-      items: {
-        include: {
-          product: true,
-        },
-      },
-    },
-  });
+  const cart = await loadCheckoutCart(req.user.id);
 
   if (!cart || cart.items.length === 0) {
     res.status(400);
@@ -94,48 +129,41 @@ const createOrder = asyncHandler(async (req, res) => {
   }
 
   // ---------------------------------------------------------------------------
-  // Validate stock and calculate totals
+  // Price the cart (same pipeline as POST /api/orders/preview)
   // ---------------------------------------------------------------------------
 
-  let subtotal = 0;
-  const orderItems = [];
+  const pricing = await priceCart({
+    cart,
+    userId: req.user.id,
+    city: shipping.shippingCity,
+    province: shipping.shippingProvince,
+    couponCode,
+  });
 
-  for (const item of cart.items) {
-    // Check if product is still active
-    if (!item.product.isActive) {
-      res.status(400);
-      throw new Error(`${item.product.name} is no longer available`);
-    }
+  if (pricing.stockIssues.length > 0) {
+    res.status(400);
+    throw new Error(pricing.stockIssues[0].message);
+  }
 
-    // Check stock
-    if (item.product.stock < item.quantity) {
-      res.status(400);
-      throw new Error(
-        `Insufficient stock for ${item.product.name}. Only ${item.product.stock} available.`,
-      );
-    }
+  if (pricing.customizationIssues.length > 0) {
+    res.status(400);
+    throw new Error(pricing.customizationIssues[0].message);
+  }
 
-    // Calculate price
-    const unitPrice = item.product.discountPrice || item.product.price;
-    const totalPrice = parseFloat(unitPrice) * item.quantity;
-    subtotal += totalPrice;
-
-    orderItems.push({
-      productId: item.productId,
-      quantity: item.quantity,
-      unitPrice: unitPrice,
-      totalPrice: totalPrice,
-      productName: item.product.name,
-      productImage: item.product.images?.[0] || null,
-      customization: item.customization,
-    });
+  if (pricing.couponError) {
+    res.status(400);
+    throw new Error(pricing.couponError);
   }
 
-  // Calculate final total (could add shipping, tax, discounts here)
-  const shippingCost = 500;
-  const taxRate = 0.08;
-  const taxAmount = subtotal * taxRate;
-  const totalAmount = subtotal + shippingCost + taxAmount;
+  const {
+    orderItems,
+    subtotal,
+    coupon,
+    discountAmount,
+    shippingCost,
+    taxAmount,
+    totalAmount,
+  } = pricing;
 
   // ---------------------------------------------------------------------------
   // Create order with transaction
@@ -155,11 +183,13 @@ const createOrder = asyncHandler(async (req, res) => {
         userId: req.user.id,
         status: "PENDING",
         subtotal,
+        discountAmount,
+        couponCode: coupon ? coupon.code : null,
         shippingCost,
         taxAmount,
+        taxIncludedAmount: pricing.taxIncludedAmount,
         totalAmount,
-        shippingAddress,
-        shippingPhone,
+        ...shipping,
         notes: notes || null,
         // Create order items
         items: {
@@ -181,17 +211,33 @@ const createOrder = asyncHandler(async (req, res) => {
       },
     });
 
-    // 2. Update product stock
-    for (const item of cart.items) {
-      await tx.product.update({
-        where: { id: item.productId },
-        data: {
-          stock: { decrement: item.quantity },
-        },
-      });
+    // 2. Record coupon use (rolls the order back if the last use - overall
+    //    or this customer's - was taken by another checkout meanwhile)
+    if (coupon) {
+      const redeemed = await redeemCoupon(
+        tx,
+        coupon,
+        req.user.id,
+        order.id,
+        discountAmount,
+      );
+
+      if (redeemed.error) {
+        res.status(400);
+        throw new Error(redeemed.error);
+      }
+    }
+
+    // 3. Take the stock and hold it until payment (rolls the order back if
+    //    another checkout got the last units first)
+    const reservation = await reserveStock(tx, order.id, orderItems);
+
+    if (reservation.error) {
+      res.status(409);
+      throw new Error(reservation.error);
     }
 
-    // 3. Create initial tracking entry
+    // 4. Create initial tracking entry
     await tx.orderTracking.create({
       data: {
         orderId: order.id,
@@ -200,12 +246,12 @@ const createOrder = asyncHandler(async (req, res) => {
       },
     });
 
-    // 4. Clear the cart items
+    // 5. Clear the cart items
     await tx.cartItem.deleteMany({
       where: { cartId: cart.id },
     });
 
-    // 5. Delete the cart (it's empty now, and deleting avoids unique constraint issues)
+    // 6. Delete the cart (it's empty now, and deleting avoids unique constraint issues)
     // Note: A new cart will be automatically created when user adds items next time
     await tx.cart.delete({
       where: { id: cart.id },
@@ -272,6 +318,137 @@ const createOrder = asyncHandler(async (req, res) => {
   });
 });
 
+// =============================================================================
+// @desc    Preview checkout (full price breakdown, nothing is created)
+// @route   POST /api/orders/preview
+// @access  Private
+// =============================================================================
+//
+// Takes the same body as POST /api/orders and runs the same pricing
+// (utils/checkoutPricing.js) on the active cart. Stock, customization and
+// coupon problems are returned as warnings instead of errors; canCheckout tells the frontend
+// whether placing the order would go through.
+//
+// Destination: addressId, else shippingCity / shippingProvince, else the
+// user's default saved address.
+
+const previewOrder = asyncHandler(async (req, res) => {
+  const { addressId, shippingCity, shippingProvince, couponCode } = req.body;
+
+  // ---------------------------------------------------------------------------
+  // Where is it going?
+  // ---------------------------------------------------------------------------
+
+  let destination = null;
+
+  if (addressId) {
+    const address = await findUserAddress(req.user.id, addressId);
+
+    if (!address) {
+      res.status(404);
+      throw new Error("Saved address not found");
+    }
+
+    destination = toShippingFields(address);
+  } else if (shippingCity || shippingProvince) {
+    destination = {
+      shippingCity: shippingCity || null,
+      shippingProvince: shippingProvince || null,
+      addressId: null,
+    };
+  } else {
+    const defaultAddress = await prisma.address.findFirst({
+      where: { userId: req.user.id, isDefault: true },
+    });
+
+    if (defaultAddress) {
+      destination = toShippingFields(defaultAddress);
+    }
+  }
+
+  if (!destination) {
+    res.status(400);
+    throw new Error(
+      "Please provide a saved address (addressId) or the shipping city",
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Price the cart
+  // ---------------------------------------------------------------------------
+
+  const cart = await loadCheckoutCart(req.user.id);
+
+  if (!cart || cart.items.length === 0) {
+    res.status(400);
+    throw new Error("Your cart is empty");
+  }
+
+  const pricing = await priceCart({
+    cart,
+    userId: req.user.id,
+    city: destination.shippingCity,
+    province: destination.shippingProvince,
+    couponCode,
+  });
+
+  const quote = pricing.shippingQuote;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      items: pricing.orderItems.map((item) => ({
+        productId: item.productId,
+        productName: item.productName,
+        productImage: item.productImage,
+        variantId: item.variantId,
+        variantName: item.variantName,
+        customization: item.customization || null,
+        customizationSurcharge: item.customizationSurcharge.toFixed(2),
+        quantity: item.quantity,
+        unitPrice: parseFloat(item.unitPrice).toFixed(2),
+        totalPrice: item.totalPrice.toFixed(2),
+        discountAmount: item.discountAmount.toFixed(2),
+        taxRate: item.taxRate,
+        taxAmount: item.taxAmount.toFixed(2),
+        taxInclusive: item.taxInclusive,
+        taxRuleName: item.taxRuleName,
+      })),
+      coupon: pricing.coupon
+        ? { code: pricing.coupon.code, discountAmount: pricing.discountAmount.toFixed(2) }
+        : null,
+      shipping: {
+        addressId: destination.addressId,
+        city: destination.shippingCity,
+        province: destination.shippingProvince,
+        zone: quote.zone,
+        freeShipping: quote.freeShipping,
+        amountToFreeShipping:
+          quote.amountToFreeShipping !== null
+            ? quote.amountToFreeShipping.toFixed(2)
+            : null,
+        totalWeightKg: quote.totalWeightKg,
+      },
+      subtotal: pricing.subtotal.toFixed(2),
+      discountAmount: pricing.discountAmount.toFixed(2),
+      shippingCost: pricing.shippingCost.toFixed(2),
+      taxAmount: pricing.taxAmount.toFixed(2),
+      taxIncludedAmount: pricing.taxIncludedAmount.toFixed(2),
+      totalAmount: pricing.totalAmount.toFixed(2),
+      // Why the order can't be placed as it is (empty = good to go)
+      warnings: {
+        stock: pricing.stockIssues,
+        customization: pricing.customizationIssues,
+        coupon: pricing.couponError,
+      },
+      canCheckout:
+        pricing.stockIssues.length === 0 &&
+        pricing.customizationIssues.length === 0 &&
+        !pricing.couponError,
+    },
+  });
+});
+
 // =============================================================================
 // @desc    Get user's orders
 // @route   GET /api/orders
@@ -385,6 +562,9 @@ const getOrder = asyncHandler(async (req, res) => {
               price: true,
             },
           },
+          productionJob: {
+            select: { stage: true, cureCompleteAt: true, finishedAt: true },
+          },
         },
       },
       user: {
@@ -397,6 +577,10 @@ const getOrder = asyncHandler(async (req, res) => {
       },
       payment: true,
       delivery: true,
+      shipments: {
+        include: { items: true },
+        orderBy: { createdAt: "asc" },
+      },
       trackingHistory: {
         orderBy: { timestamp: "desc" },
       },
@@ -444,10 +628,7 @@ const cancelOrder = asyncHandler(async (req, res) => {
 
   const order = await prisma.order.findUnique({
     where: { id: orderId },
-    include: {
-      items: true,
-      user: true,
-    },
+    select: { id: true, userId: true, status: true },
   });
 
   if (!order) {
@@ -479,72 +660,22 @@ const cancelOrder = asyncHandler(async (req, res) => {
     throw new Error("Admin must provide a reason for cancellation");
   }
 
-  // Cancel order and restore stock
-  await prisma.$transaction(async (tx) => {
-    // Update order status
-    await tx.order.update({
-      where: { id: orderId },
-      data: {
-        status: "CANCELLED",
-        cancelledAt: new Date(),
-        cancelReason: reason || "Cancelled by customer",
-      },
-    });
-
-    // Restore product stock
-    for (const item of order.items) {
-      await tx.product.update({
-        where: { id: item.productId },
-        data: {
-          stock: { increment: item.quantity },
-        },
-      });
-    }
-
-    // Add tracking entry
-    await tx.orderTracking.create({
-      data: {
-        orderId: orderId,
-        status: "Cancelled",
-        description: reason || "Order cancelled by customer",
-        updatedBy: req.user.id,
-      },
-    });
+  // Restock, coupon release, refund and notifications (utils/orderLifecycle.js)
+  const result = await transitionOrder(orderId, "CANCELLED", {
+    actorId: req.user.id,
+    actorIsAdmin: isAdmin,
+    reason,
   });
 
-  // SRS-56: Notify user via email
-  try {
-    const { subject, text, html } = getOrderStatusEmail(
-      order,
-      order.user,
-      "CANCELLED",
-    );
-    await sendEmail({ to: order.user.email, subject, text, html });
-  } catch (emailError) {
-    console.error("Failed to send cancellation email:", emailError.message);
-  }
-
-  // Create in-app notification for the user about order cancellation
-  try {
-    await prisma.notification.create({
-      data: {
-        userId: order.userId,
-        type: "IN_APP",
-        title: `Order #${order.orderNumber} Cancelled`,
-        message: reason || "Your order has been cancelled.",
-        relatedTo: `order:${order.id}`,
-      },
-    });
-  } catch (notifyError) {
-    console.error(
-      "Failed to create cancellation notification:",
-      notifyError.message,
-    );
+  if (result.error) {
+    res.status(result.statusCode);
+    throw new Error(result.error);
   }
 
   res.status(200).json({
     success: true,
     message: "Order cancelled successfully (SRS-56)",
+    data: { refund: result.refund },
   });
 });
 
@@ -557,10 +688,15 @@ const cancelOrder = asyncHandler(async (req, res) => {
 // Based on SRS-51, SRS-52, SRS-74, SRS-75:
 // - Admin updates order status
 // - User receives notification
+// - Only moves allowed by utils/orderLifecycle.js (no going back from
+//   CANCELLED/DELIVERED/RETURNED, no shipping unpaid online orders)
+// - SHIPPED sends every item not in a shipment yet as one more shipment;
+//   to send only some items, use POST /api/orders/:id/shipments
 
 const updateOrderStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status, description, trackingNumber, courierCompany } = req.body;
+  const { status, description, reason, trackingNumber, courierCompany } =
+    req.body;
 
   const orderId = parseInt(id);
 
@@ -569,127 +705,75 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     throw new Error("Invalid order ID");
   }
 
-  // Validate status
-  const validStatuses = [
-    "PENDING",
-    "CONFIRMED",
-    "PROCESSING",
-    "SHIPPED",
-    "DELIVERED",
-    "CANCELLED",
-  ];
-  if (!status || !validStatuses.includes(status.toUpperCase())) {
+  if (!status) {
     res.status(400);
-    throw new Error(
-      `Invalid status. Valid options: ${validStatuses.join(", ")}`,
-    );
+    throw new Error("Please provide a status");
   }
 
-  const order = await prisma.order.findUnique({
-    where: { id: orderId },
-    include: { user: true },
-  });
+  const newStatus = status.toUpperCase();
 
-  if (!order) {
-    res.status(404);
-    throw new Error("Order not found");
+  // SRS-57: Cancelling needs a reason
+  if (newStatus === "CANCELLED" && !reason && !description) {
+    res.status(400);
+    throw new Error("Admin must provide a reason for cancellation");
   }
 
-  // Prepare update data
-  const updateData = {
-    status: status.toUpperCase(),
-  };
+  // Transition rules, guards and side effects live in utils/orderLifecycle.js
+  const result = await transitionOrder(orderId, newStatus, {
+    actorId: req.user.id,
+    actorIsAdmin: true,
+    description,
+    reason: reason || description,
+    trackingNumber,
+    courierCompany,
+  });
 
-  // Set timestamps based on status
-  const newStatus = status.toUpperCase();
-  if (newStatus === "CONFIRMED") updateData.confirmedAt = new Date();
-  if (newStatus === "SHIPPED") updateData.shippedAt = new Date();
-  if (newStatus === "DELIVERED") updateData.deliveredAt = new Date();
+  if (result.error) {
+    res.status(result.statusCode);
+    throw new Error(result.error);
+  }
 
-  // Update order
-  await prisma.$transaction(async (tx) => {
-    // Update order
-    await tx.order.update({
-      where: { id: orderId },
-      data: updateData,
-    });
+  res.status(200).json({
+    success: true,
+    message: `Order status updated to ${newStatus}. Customer notified. (SRS-75)`,
+    data: { refund: result.refund },
+  });
+});
 
-    // Add tracking entry (SRS-74)
-    await tx.orderTracking.create({
-      data: {
-        orderId: orderId,
-        status: newStatus,
-        description: description || `Order status updated to ${newStatus}`,
-        updatedBy: req.user.id,
-      },
-    });
+// =============================================================================
+// @desc    Get the statuses an order can move to next (Admin)
+// @route   GET /api/orders/:id/allowed-transitions
+// @access  Private/Admin
+// =============================================================================
+//
+// Lists every next status with allowed: false and a reason when a guard
+// blocks it (e.g. SHIPPED for an unpaid card order), so the admin UI can
+// show disabled buttons with an explanation.
 
-    // Create/update delivery record if shipping
-    if (newStatus === "SHIPPED" || trackingNumber || courierCompany) {
-      await tx.delivery.upsert({
-        where: { orderId: orderId },
-        create: {
-          orderId: orderId,
-          status: newStatus === "SHIPPED" ? "SHIPPED" : "PENDING",
-          trackingNumber: trackingNumber || null,
-          courierCompany: courierCompany || null,
-          address: order.shippingAddress,
-          city: "", // Would come from parsed address
-          country: "Pakistan",
-        },
-        update: {
-          status: newStatus === "DELIVERED" ? "DELIVERED" : "SHIPPED",
-          trackingNumber: trackingNumber || undefined,
-          courierCompany: courierCompany || undefined,
-          actualDelivery: newStatus === "DELIVERED" ? new Date() : undefined,
-        },
-      });
-    }
-  });
+const getAllowedTransitions = asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.id);
 
-  // SRS-75: Notify user via email
-  try {
-    const { subject, text, html } = getOrderStatusEmail(
-      { ...order, delivery: { trackingNumber } },
-      order.user,
-      newStatus,
-    );
-    await sendEmail({ to: order.user.email, subject, text, html });
-  } catch (emailError) {
-    console.error("Failed to send status update email:", emailError.message);
+  if (isNaN(orderId)) {
+    res.status(400);
+    throw new Error("Invalid order ID");
   }
 
-  // Create in-app notification for the user about order status change
-  try {
-    const statusMessages = {
-      CONFIRMED: "Your order has been confirmed and is being prepared.",
-      PROCESSING: "Your order is now being processed.",
-      SHIPPED: trackingNumber
-        ? `Your order has been shipped! Tracking number: ${trackingNumber}, Courier Company: ${courierCompany}`
-        : "Your order has been shipped!",
-      DELIVERED:
-        "Your order has been delivered. Thank you for shopping with us!",
-      CANCELLED: "Your order has been cancelled.",
-    };
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { payment: true },
+  });
 
-    await prisma.notification.create({
-      data: {
-        userId: order.userId,
-        type: "IN_APP",
-        title: `Order #${order.orderNumber} - ${newStatus}`,
-        message:
-          statusMessages[newStatus] ||
-          `Your order status has been updated to ${newStatus}.`,
-        relatedTo: `order:${order.id}`,
-      },
-    });
-  } catch (notifyError) {
-    console.error("Failed to create user notification:", notifyError.message);
+  if (!order) {
+    res.status(404);
+    throw new Error("Order not found");
   }
 
   res.status(200).json({
     success: true,
-    message: `Order status updated to ${newStatus}. Customer notified. (SRS-75)`,
+    data: {
+      currentStatus: order.status,
+      transitions: getOrderTransitions(order),
+    },
   });
 });
 
@@ -777,6 +861,20 @@ const getAllOrders = asyncHandler(async (req, res) => {
   });
 });
 
+// Shipment fields customers see (tracking page, public lookup)
+const PUBLIC_SHIPMENT_SELECT = {
+  id: true,
+  shipmentNumber: true,
+  status: true,
+  courierCompany: true,
+  trackingNumber: true,
+  trackingUrl: true,
+  courierStatus: true,
+  shippedAt: true,
+  deliveredAt: true,
+  _count: { select: { items: true } },
+};
+
 // =============================================================================
 // @desc    Get order tracking history
 // @route   GET /api/orders/:id/tracking
@@ -815,8 +913,8 @@ const getOrderTracking = asyncHandler(async (req, res) => {
     throw new Error("Not authorized");
   }
 
-  // Get tracking history and delivery info
-  const [trackingHistory, delivery] = await prisma.$transaction([
+  // Get tracking history, delivery info and shipments
+  const [trackingHistory, delivery, shipments] = await prisma.$transaction([
     prisma.orderTracking.findMany({
       where: { orderId },
       orderBy: { timestamp: "desc" },
@@ -824,6 +922,11 @@ const getOrderTracking = asyncHandler(async (req, res) => {
     prisma.delivery.findUnique({
       where: { orderId },
     }),
+    prisma.shipment.findMany({
+      where: { orderId },
+      select: PUBLIC_SHIPMENT_SELECT,
+      orderBy: { createdAt: "asc" },
+    }),
   ]);
 
   res.status(200).json({
@@ -842,6 +945,7 @@ const getOrderTracking = asyncHandler(async (req, res) => {
             actualDelivery: delivery.actualDelivery,
           }
         : null,
+      shipments,
       trackingHistory,
     },
   });
@@ -858,18 +962,24 @@ const getOrderStats = asyncHandler(async (req, res) => {
     totalOrders,
     pendingOrders,
     processingOrders,
+    readyToShipOrders,
+    partiallyShippedOrders,
     shippedOrders,
     deliveredOrders,
     cancelledOrders,
+    returnedOrders,
     todayOrders,
     todayRevenue,
   ] = await prisma.$transaction([
     prisma.order.count(),
     prisma.order.count({ where: { status: "PENDING" } }),
     prisma.order.count({ where: { status: "PROCESSING" } }),
+    prisma.order.count({ where: { status: "READY_TO_SHIP" } }),
+    prisma.order.count({ where: { status: "PARTIALLY_SHIPPED" } }),
     prisma.order.count({ where: { status: "SHIPPED" } }),
     prisma.order.count({ where: { status: "DELIVERED" } }),
     prisma.order.count({ where: { status: "CANCELLED" } }),
+    prisma.order.count({ where: { status: "RETURNED" } }),
     prisma.order.count({
       where: {
         createdAt: {
@@ -882,7 +992,7 @@ const getOrderStats = asyncHandler(async (req, res) => {
         createdAt: {
           gte: new Date(new Date().setHours(0, 0, 0, 0)),
         },
-        status: { not: "CANCELLED" },
+        status: { notIn: ["CANCELLED", "RETURNED"] },
       },
       _sum: { totalAmount: true },
     }),
@@ -894,9 +1004,12 @@ const getOrderStats = asyncHandler(async (req, res) => {
       totalOrders,
       pendingOrders,
       processingOrders,
+      readyToShipOrders,
+      partiallyShippedOrders,
       shippedOrders,
       deliveredOrders,
       cancelledOrders,
+      returnedOrders,
       todayOrders,
       todayRevenue: todayRevenue._sum.totalAmount || 0,
     },
@@ -986,18 +1099,124 @@ const updateOrderLocation = asyncHandler(async (req, res) => {
   });
 });
 
+// =============================================================================
+// @desc    Track an order without logging in
+// @route   POST /api/orders/track
+// @access  Public (rate limited)
+// =============================================================================
+//
+// Body: { orderNumber, phone } - phone is the shipping phone from checkout.
+// For customers who ordered by phone or can't log in. Only the timeline is
+// returned: no name, address, phone, items or amounts. Stored tracking
+// descriptions are never shown (they hold amounts and text admins typed) -
+// each entry gets a fixed text for its status, plus its location.
+// A wrong order number and a wrong phone get the same 404, so the lookup
+// can't be used to find out which order numbers exist.
+
+// Last 10 digits, so 0300-1234567 and +92 300 1234567 match
+const normalizePhone = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+
+// Public text of tracking statuses whose label isn't customer-friendly on
+// its own (all others - order statuses, shipment and courier labels - are
+// shown as they are)
+const PUBLIC_TRACKING_TEXT = {
+  "Order Placed": "Order placed",
+  "Payment Received": "Payment received",
+  "Deposit Received": "Deposit received",
+  Refunded: "Refund issued",
+  "Return Received": "Return received",
+  Cancelled: "Order cancelled",
+};
+
+const trackOrder = asyncHandler(async (req, res) => {
+  const { orderNumber, phone } = req.body;
+
+  if (!orderNumber || !phone) {
+    res.status(400);
+    throw new Error("Order number and phone number are required");
+  }
+
+  const phoneDigits = normalizePhone(phone);
+
+  if (phoneDigits.length < 7) {
+    res.status(400);
+    throw new Error("Please enter the phone number used for the order");
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { orderNumber: String(orderNumber).trim().toUpperCase() },
+    select: {
+      orderNumber: true,
+      status: true,
+      orderedAt: true,
+      shippingPhone: true,
+      delivery: {
+        select: {
+          status: true,
+          courierCompany: true,
+          courierContact: true,
+          trackingNumber: true,
+          trackingUrl: true,
+          estimatedDelivery: true,
+          actualDelivery: true,
+        },
+      },
+      shipments: {
+        where: { status: { not: "CANCELLED" } },
+        select: PUBLIC_SHIPMENT_SELECT,
+        orderBy: { createdAt: "asc" },
+      },
+      trackingHistory: {
+        select: {
+          status: true,
+          location: true,
+          timestamp: true,
+          shipmentId: true,
+        },
+        orderBy: { timestamp: "desc" },
+      },
+    },
+  });
+
+  if (!order || normalizePhone(order.shippingPhone) !== phoneDigits) {
+    res.status(404);
+    throw new Error("No order found with that order number and phone number");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      orderNumber: order.orderNumber,
+      currentStatus: order.status,
+      orderedAt: order.orderedAt,
+      delivery: order.delivery,
+      shipments: order.shipments,
+      trackingHistory: order.trackingHistory.map((entry) => ({
+        status: entry.status,
+        description: PUBLIC_TRACKING_TEXT[entry.status] || entry.status,
+        location: entry.location,
+        timestamp: entry.timestamp,
+        shipmentId: entry.shipmentId,
+      })),
+    },
+  });
+});
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
 
 module.exports = {
   createOrder,
+  previewOrder,
   getMyOrders,
   getOrder,
   cancelOrder,
   updateOrderStatus,
+  getAllowedTransitions,
   updateOrderLocation,
   getAllOrders,
   getOrderTracking,
+  trackOrder,
   getOrderStats,
 };
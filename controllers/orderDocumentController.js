@@ -0,0 +1,166 @@
+// =============================================================================
+// ORDER DOCUMENT CONTROLLER - Invoice & Packing Slip PDFs
+// =============================================================================
+//
+// - Invoice:      customer (own orders) or admin, once the order is confirmed.
+//                 The invoice number is issued on the first download and
+//                 stays the same afterwards.
+// - Packing slip: admin only, one order or every order being prepared at once
+//                 (one slip per page, ready to print for the workshop).
+//
+// Drawing lives in utils/orderDocuments.js.
+//
+// =============================================================================
+
+const PDFDocument = require('pdfkit');
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const {
+  INVOICEABLE_STATUSES,
+  DOCUMENT_INCLUDE,
+  issueInvoice,
+  drawInvoice,
+  drawPackingSlip,
+} = require('../utils/orderDocuments');
+
+// Most orders printed in one batch file
+const MAX_BATCH_ORDERS = 200;
+
+// Start a PDF download
+const startPdf = (res, filename) => {
+  const doc = new PDFDocument({ margin: 50, size: 'A4' });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  doc.pipe(res);
+  return doc;
+};
+
+// Load an order to print or send 400/404
+const loadOrder = async (req, res) => {
+  const orderId = parseInt(req.params.id);
+
+  if (isNaN(orderId)) {
+    res.status(400);
+    throw new Error('Invalid order ID');
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: DOCUMENT_INCLUDE,
+  });
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  return order;
+};
+
+// =============================================================================
+// @desc    Download an order's invoice
+// @route   GET /api/orders/:id/invoice.pdf
+// @access  Private (owner or admin)
+// =============================================================================
+
+const getInvoicePdf = asyncHandler(async (req, res) => {
+  const order = await loadOrder(req, res);
+
+  if (order.userId !== req.user.id && req.user.role !== 'ADMIN') {
+    res.status(403);
+    throw new Error('Not authorized to view this invoice');
+  }
+
+  // Cancelled orders keep an invoice that was already issued
+  if (!order.invoice && !INVOICEABLE_STATUSES.includes(order.status)) {
+    res.status(400);
+    throw new Error('An invoice is available once the order has been confirmed');
+  }
+
+  const invoice = order.invoice || (await issueInvoice(order.id));
+
+  const doc = startPdf(res, `invoice-${invoice.invoiceNumber}.pdf`);
+  drawInvoice(doc, order, invoice);
+  doc.end();
+});
+
+// =============================================================================
+// @desc    Download an order's packing slip
+// @route   GET /api/orders/:id/packing-slip.pdf
+// @access  Private/Admin
+// =============================================================================
+
+const getPackingSlipPdf = asyncHandler(async (req, res) => {
+  const order = await loadOrder(req, res);
+
+  if (order.status === 'CANCELLED') {
+    res.status(400);
+    throw new Error('This order was cancelled - there is nothing to pack');
+  }
+
+  const doc = startPdf(res, `packing-slip-${order.orderNumber}.pdf`);
+  drawPackingSlip(doc, order);
+  doc.end();
+});
+
+// =============================================================================
+// @desc    Print packing slips for every order in PROCESSING / READY_TO_SHIP
+// @route   GET /api/orders/packing-slips.pdf?invoices=true
+// @access  Private/Admin
+// =============================================================================
+//
+// Oldest order first. With invoices=true each packing slip is followed by
+// the order's invoice (issued if it doesn't have one yet), so both can go
+// in the box.
+
+const getBatchPackingSlips = asyncHandler(async (req, res) => {
+  const withInvoices = req.query.invoices === 'true';
+
+  const orders = await prisma.order.findMany({
+    where: { status: { in: ['PROCESSING', 'READY_TO_SHIP'] } },
+    include: DOCUMENT_INCLUDE,
+    orderBy: { orderedAt: 'asc' },
+    take: MAX_BATCH_ORDERS,
+  });
+
+  if (orders.length === 0) {
+    res.status(404);
+    throw new Error('No orders are waiting to be packed');
+  }
+
+  // Issue missing invoice numbers before the PDF starts streaming
+  const invoices = new Map();
+  if (withInvoices) {
+    for (const order of orders) {
+      invoices.set(order.id, order.invoice || (await issueInvoice(order.id)));
+    }
+  }
+
+  const date = new Date().toISOString().split('T')[0];
+  const doc = startPdf(res, `packing-slips-${date}.pdf`);
+
+  orders.forEach((order, index) => {
+    if (index > 0) doc.addPage();
+    drawPackingSlip(doc, order);
+
+    if (withInvoices) {
+      doc.addPage();
+      drawInvoice(doc, order, invoices.get(order.id));
+    }
+  });
+
+  doc.end();
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getInvoicePdf,
+  getPackingSlipPdf,
+  getBatchPackingSlips,
+};
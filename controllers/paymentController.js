@@ -9,13 +9,348 @@
 //
 // This controller handles payment processing and management.
 //
-// NOTE: This is a simplified implementation. In production, you would
-// integrate with actual payment gateways (Stripe, JazzCash, Easypaisa, etc.)
+// ONLINE PAYMENTS (cards, JazzCash, Easypaisa):
+// 1. POST /api/payments            -> payment PENDING + checkout details
+// 2. Customer pays on the gateway's page and is sent back to
+//    /api/payments/return/:provider
+// 3. The gateway calls /api/payments/webhook/:provider -> the signed event
+//    moves the payment to COMPLETED / FAILED
+//
+// The client never marks a payment as paid - only a verified gateway event
+// (or an admin) can. Adapters live in utils/paymentGateways/.
 //
 // =============================================================================
 
+const crypto = require('crypto');
+
 const { prisma } = require('../config/db');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const {
+  getGatewayForMethod,
+  getGateway,
+  isMockMode,
+} = require('../utils/paymentGateways');
+const { renewReservations, commitReservations } = require('../utils/stockReservations');
+const { applyCommissionPayment, notifyCommissionPayment } = require('../utils/commissions');
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// =============================================================================
+// HELPER: Create/reset the payment record and start the gateway checkout
+// =============================================================================
+//
+// Offline methods (COD, BANK_TRANSFER) only get a PENDING payment and
+// their stock counts as sold right away (an admin confirms or cancels them).
+// Sends 409 if the order's stock hold expired and the items sold out,
+// 502 if the gateway can't be reached. Commission deposits and balances
+// (order includes commissionDeposit / commissionBalance) can't be COD -
+// the piece ships only once it is paid.
+
+const startPayment = async (order, user, paymentMethod, res) => {
+  if (paymentMethod === 'COD' && (order.commissionDeposit || order.commissionBalance)) {
+    res.status(400);
+    throw new Error('Commission payments cannot be made by Cash on Delivery');
+  }
+
+  const gateway = getGatewayForMethod(paymentMethod);
+
+  // Stock is held for a limited time after checkout - renew the hold
+  const stock = await renewReservations(order.id);
+
+  if (stock.error) {
+    res.status(409);
+    throw new Error(stock.error);
+  }
+
+  const paymentData = {
+    method: paymentMethod,
+    status: 'PENDING',
+    amount: order.totalAmount,
+    provider: gateway ? gateway.name : null,
+    gatewayReference: null,
+    transactionId: null,
+    paidAt: null,
+    failedAt: null,
+    failureReason: null,
+  };
+
+  let payment = await prisma.payment.upsert({
+    where: { orderId: order.id },
+    create: {
+      orderId: order.id,
+      userId: user.id,
+      ...paymentData,
+    },
+    update: paymentData,
+  });
+
+  if (!gateway) {
+    await commitReservations(prisma, order.id);
+    return { payment, checkout: null };
+  }
+
+  let result;
+
+  try {
+    result = await gateway.createCheckout({
+      payment,
+      order,
+      user: { ...user, phone: order.shippingPhone },
+      returnUrl: `${API_URL}/api/payments/return/${gateway.name}?orderId=${order.id}`,
+    });
+  } catch (error) {
+    console.error(`Payment gateway (${gateway.name}) error:`, error.message);
+    res.status(502);
+    throw new Error('Could not start the payment. Please try again in a moment.');
+  }
+
+  // Earlier checkouts stay in attempts, so paying one of them still counts
+  payment = await prisma.payment.update({
+    where: { id: payment.id },
+    data: {
+      gatewayReference: result.reference,
+      gatewayResponse: result.raw,
+      attempts: {
+        create: { method: paymentMethod, provider: gateway.name, reference: result.reference },
+      },
+    },
+  });
+
+  return { payment, checkout: result.checkout };
+};
+
+// =============================================================================
+// HELPER: Find the checkout a gateway reference belongs to
+// =============================================================================
+//
+// Returns { payment, method, provider } or null. The latest checkout is on
+// the payment, earlier ones are in PaymentAttempt.
+
+const findCheckout = async (reference) => {
+  if (!reference) return null;
+
+  const latest = await prisma.payment.findUnique({
+    where: { gatewayReference: reference },
+    include: { order: true },
+  });
+
+  if (latest) {
+    return { payment: latest, method: latest.method, provider: latest.provider };
+  }
+
+  const attempt = await prisma.paymentAttempt.findUnique({
+    where: { reference },
+    include: { payment: { include: { order: true } } },
+  });
+
+  return attempt ? { payment: attempt.payment, method: attempt.method, provider: attempt.provider } : null;
+};
+
+// =============================================================================
+// HELPER: Apply a verified gateway event to its payment
+// =============================================================================
+//
+// Idempotent:
+// - Each (provider, eventId) is stored once - repeats are skipped
+// - Status only moves PENDING -> COMPLETED / FAILED, or FAILED -> COMPLETED
+//   (a retry that succeeded). COMPLETED and REFUNDED payments never change.
+//
+// A customer may pay an older checkout after retrying (findCheckout); the
+// payment then takes that checkout's method and gateway. Admins are told
+// about money that matches no order and about orders paid twice.
+//
+// Returns { outcome, payment } - outcome is one of:
+// 'applied', 'unchanged', 'duplicate', 'unmatched', 'amount_mismatch'
+
+const applyGatewayEvent = async (gateway, event) => {
+  const checkout = await findCheckout(event.reference);
+
+  // A gateway can only settle payments it started (a mock webhook must not
+  // be able to complete a Stripe payment)
+  const matched = checkout && checkout.provider === gateway.name ? checkout : null;
+  const payment = matched ? matched.payment : null;
+
+  let outcome;
+  let shortages = []; // Paid after the stock hold expired and it sold out
+  let commissionPaid = null; // Commission moved along by this payment
+
+  try {
+    outcome = await prisma.$transaction(async (tx) => {
+      const seen = await tx.paymentWebhookEvent.findUnique({
+        where: {
+          provider_eventId: { provider: gateway.name, eventId: event.eventId },
+        },
+      });
+
+      if (seen) return 'duplicate';
+
+      await tx.paymentWebhookEvent.create({
+        data: {
+          provider: gateway.name,
+          eventId: event.eventId,
+          paymentId: payment ? payment.id : null,
+          status: event.status,
+          payload: event.payload,
+        },
+      });
+
+      if (!payment) return 'unmatched';
+
+      // -----------------------------------------------------------------------
+      // Paid
+      // -----------------------------------------------------------------------
+
+      if (event.status === 'COMPLETED') {
+        // The gateway must have charged exactly the order amount
+        if (
+          event.amount !== null &&
+          event.amount !== undefined &&
+          Math.abs(event.amount - parseFloat(payment.amount)) > 0.01
+        ) {
+          await tx.payment.update({
+            where: { id: payment.id },
+            data: {
+              gatewayResponse: event.payload,
+              failureReason: `Gateway reported ${event.amount}, expected ${payment.amount}`,
+            },
+          });
+          return 'amount_mismatch';
+        }
+
+        const updated = await tx.payment.updateMany({
+          where: { id: payment.id, status: { in: ['PENDING', 'FAILED'] } },
+          data: {
+            status: 'COMPLETED',
+            // The checkout that was paid (may be an earlier one)
+            method: matched.method,
+            provider: matched.provider,
+            gatewayReference: event.reference,
+            paidAt: new Date(),
+            transactionId: event.transactionId || undefined,
+            gatewayResponse: event.payload,
+            failedAt: null,
+            failureReason: null,
+          },
+        });
+
+        if (updated.count === 0) return 'unchanged';
+
+        // Paid - the held stock is sold
+        shortages = await commitReservations(tx, payment.orderId);
+
+        if (payment.order.status === 'PENDING') {
+          await tx.order.update({
+            where: { id: payment.orderId },
+            data: { status: 'CONFIRMED', confirmedAt: new Date() },
+          });
+        }
+
+        await tx.orderTracking.create({
+          data: {
+            orderId: payment.orderId,
+            status: 'Payment Received',
+            description: `Payment of Rs. ${payment.amount} received via ${matched.method}`,
+          },
+        });
+
+        // Deposit -> work starts, balance -> paid in full
+        commissionPaid = await applyCommissionPayment(tx, payment.orderId);
+
+        return 'applied';
+      }
+
+      // -----------------------------------------------------------------------
+      // Failed
+      // -----------------------------------------------------------------------
+
+      if (event.status === 'FAILED') {
+        // An older checkout failing doesn't fail the one in use now
+        if (payment.gatewayReference !== event.reference) return 'unchanged';
+
+        const updated = await tx.payment.updateMany({
+          where: { id: payment.id, status: 'PENDING' },
+          data: {
+            status: 'FAILED',
+            failedAt: new Date(),
+            failureReason: (event.failureReason || 'Payment failed').substring(0, 255),
+            gatewayResponse: event.payload,
+          },
+        });
+
+        return updated.count > 0 ? 'applied' : 'unchanged';
+      }
+
+      // Still waiting for the customer - just keep the latest payload
+      if (payment.status === 'PENDING' && payment.gatewayReference === event.reference) {
+        await tx.payment.update({
+          where: { id: payment.id },
+          data: { gatewayResponse: event.payload },
+        });
+      }
+
+      return 'unchanged';
+    });
+  } catch (error) {
+    // Same event delivered twice at the same moment
+    if (error.code === 'P2002') return { outcome: 'duplicate', payment };
+    throw error;
+  }
+
+  await notifyCommissionPayment(commissionPaid);
+
+  // ---------------------------------------------------------------------------
+  // Tell admins about payments that need a human
+  // ---------------------------------------------------------------------------
+
+  let message = null;
+
+  if (!payment) {
+    // Money was taken but we don't know for what
+    if (outcome === 'unmatched' && event.status === 'COMPLETED') {
+      message = `A ${gateway.name} payment (reference ${event.reference}) could not be matched to any order. Please check it at the gateway.`;
+    }
+  } else if (outcome === 'applied' && event.status === 'COMPLETED' && payment.order.status === 'CANCELLED') {
+    message = `Payment was received for cancelled order #${payment.order.orderNumber}. It may need to be refunded.`;
+  } else if (outcome === 'amount_mismatch') {
+    message = `Payment for order #${payment.order.orderNumber} reported a different amount than expected. Please check it manually.`;
+  } else if (shortages.length > 0) {
+    message = `Order #${payment.order.orderNumber} was paid after its stock hold expired and is now out of stock for: ${shortages.join(', ')}.`;
+  } else if (
+    outcome === 'unchanged' &&
+    event.status === 'COMPLETED' &&
+    payment.status === 'COMPLETED' &&
+    payment.gatewayReference !== event.reference
+  ) {
+    // Two checkouts of the same order were both paid
+    message = `Order #${payment.order.orderNumber} was paid twice (reference ${event.reference}). The second payment needs to be refunded at the gateway.`;
+  }
+
+  if (message) {
+    try {
+      const admins = await prisma.user.findMany({
+        where: { role: 'ADMIN', status: 'ACTIVE' },
+        select: { id: true },
+      });
+
+      if (admins.length > 0) {
+        await prisma.notification.createMany({
+          data: admins.map((admin) => ({
+            userId: admin.id,
+            type: 'IN_APP',
+            title: 'Payment Needs Attention',
+            message,
+            relatedTo: payment ? `order:${payment.orderId}` : undefined,
+          })),
+        });
+      }
+    } catch (notifyError) {
+      console.error('Failed to notify admins about payment:', notifyError.message);
+    }
+  }
+
+  return { outcome, payment };
+};
 
 // =============================================================================
 // @desc    Process payment for an order
@@ -28,7 +363,7 @@ const { asyncHandler } = require('../middleware/errorMiddleware');
 // - User selects preferred method
 
 const processPayment = asyncHandler(async (req, res) => {
-  const { orderId, method, transactionId } = req.body;
+  const { orderId, method } = req.body;
   
   // ---------------------------------------------------------------------------
   // Validate input
@@ -61,6 +396,8 @@ const processPayment = asyncHandler(async (req, res) => {
     where: { id: orderIdNum },
     include: {
       payment: true,
+      commissionDeposit: { select: { id: true } },
+      commissionBalance: { select: { id: true } },
     },
   });
   
@@ -75,7 +412,7 @@ const processPayment = asyncHandler(async (req, res) => {
   }
   
   // Check if already paid
-  if (order.payment && order.payment.status === 'COMPLETED') {
+  if (order.payment && ['COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED'].includes(order.payment.status)) {
     res.status(400);
     throw new Error('This order has already been paid');
   }
@@ -87,70 +424,38 @@ const processPayment = asyncHandler(async (req, res) => {
   }
   
   // ---------------------------------------------------------------------------
-  // Process payment
+  // Start payment
   // ---------------------------------------------------------------------------
   // 
-  // In a real application, you would:
-  // 1. Call the payment gateway API
-  // 2. Verify the transaction
-  // 3. Handle success/failure callbacks
-  //
-  // For COD, payment is marked as pending until delivery
+  // COD / BANK_TRANSFER: payment stays PENDING (paid on delivery / confirmed
+  // by an admin once the transfer arrives)
+  // Online methods: PENDING until the gateway's webhook says otherwise
   
   const paymentMethod = method.toUpperCase();
-  const isCOD = paymentMethod === 'COD';
   
-  // Create or update payment record
-  const payment = await prisma.payment.upsert({
-    where: { orderId: orderIdNum },
-    create: {
-      orderId: orderIdNum,
-      userId: req.user.id,
-      method: paymentMethod,
-      status: isCOD ? 'PENDING' : 'COMPLETED', // COD is pending until delivery
-      amount: order.totalAmount,
-      transactionId: transactionId || null,
-      paidAt: isCOD ? null : new Date(),
-    },
-    update: {
-      method: paymentMethod,
-      status: isCOD ? 'PENDING' : 'COMPLETED',
-      transactionId: transactionId || null,
-      paidAt: isCOD ? null : new Date(),
-    },
-  });
+  const { payment, checkout } = await startPayment(order, req.user, paymentMethod, res);
   
-  // Update order status if payment successful (not COD)
-  if (!isCOD) {
-    await prisma.$transaction([
-      prisma.order.update({
-        where: { id: orderIdNum },
-        data: { status: 'CONFIRMED' },
-      }),
-      prisma.orderTracking.create({
-        data: {
-          orderId: orderIdNum,
-          status: 'Payment Received',
-          description: `Payment of Rs. ${order.totalAmount} received via ${paymentMethod}`,
-        },
-      }),
-    ]);
+  let message = 'Complete the payment to confirm your order.';
+  if (paymentMethod === 'COD') {
+    message = 'Order confirmed for Cash on Delivery. Pay when you receive your order.';
+  } else if (paymentMethod === 'BANK_TRANSFER') {
+    message = `Please transfer Rs. ${order.totalAmount}. Your order will be confirmed once we receive it.`;
   }
   
   res.status(200).json({
     success: true,
-    message: isCOD 
-      ? 'Order confirmed for Cash on Delivery. Pay when you receive your order.'
-      : 'Payment successful! Your order is being processed.',
+    message,
     data: {
       payment: {
         id: payment.id,
         method: payment.method,
         status: payment.status,
         amount: payment.amount,
-        transactionId: payment.transactionId,
-        paidAt: payment.paidAt,
+        provider: payment.provider,
       },
+      // Online methods: redirect to checkout.url, or submit checkout.fields
+      // to checkout.action as an HTML form
+      checkout,
     },
   });
 });
@@ -205,8 +510,23 @@ const getPaymentByOrder = asyncHandler(async (req, res) => {
       status: true, // SRS-61
       amount: true,
       transactionId: true,
+      provider: true,
       paidAt: true,
+      failureReason: true,
+      refundedAmount: true,
       createdAt: true,
+      refunds: {
+        select: {
+          id: true,
+          amount: true,
+          reason: true,
+          method: true,
+          status: true,
+          completedAt: true,
+          createdAt: true,
+        },
+        orderBy: { createdAt: 'desc' },
+      },
     },
   });
   
@@ -283,7 +603,7 @@ const getMyPayments = asyncHandler(async (req, res) => {
 
 const retryPayment = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
-  const { method, transactionId } = req.body;
+  const { method } = req.body;
   
   const orderIdNum = parseInt(orderId);
   
@@ -297,6 +617,8 @@ const retryPayment = asyncHandler(async (req, res) => {
     where: { id: orderIdNum },
     include: {
       payment: true,
+      commissionDeposit: { select: { id: true } },
+      commissionBalance: { select: { id: true } },
     },
   });
   
@@ -316,42 +638,25 @@ const retryPayment = asyncHandler(async (req, res) => {
     throw new Error('Payment cannot be retried for this order');
   }
   
-  // Process new payment
-  const paymentMethod = (method || order.payment?.method || 'COD').toUpperCase();
+  if (order.status === 'CANCELLED') {
+    res.status(400);
+    throw new Error('Cannot pay for a cancelled order');
+  }
   
-  const payment = await prisma.payment.upsert({
-    where: { orderId: orderIdNum },
-    create: {
-      orderId: orderIdNum,
-      userId: req.user.id,
-      method: paymentMethod,
-      status: paymentMethod === 'COD' ? 'PENDING' : 'COMPLETED',
-      amount: order.totalAmount,
-      transactionId: transactionId || null,
-      paidAt: paymentMethod === 'COD' ? null : new Date(),
-    },
-    update: {
-      method: paymentMethod,
-      status: paymentMethod === 'COD' ? 'PENDING' : 'COMPLETED',
-      transactionId: transactionId || null,
-      paidAt: paymentMethod === 'COD' ? null : new Date(),
-      failedAt: null,
-      failureReason: null,
-    },
-  });
+  // Start a new payment (a fresh gateway checkout for online methods)
+  const paymentMethod = (method || order.payment?.method || 'COD').toUpperCase();
   
-  // Update order if payment successful
-  if (paymentMethod !== 'COD') {
-    await prisma.order.update({
-      where: { id: orderIdNum },
-      data: { status: 'CONFIRMED' },
-    });
-  }
+  const { payment, checkout } = await startPayment(order, req.user, paymentMethod, res);
   
   res.status(200).json({
     success: true,
-    message: 'Payment processed successfully! (SRS-63)',
-    data: payment,
+    message: checkout
+      ? 'Complete the payment to confirm your order. (SRS-63)'
+      : 'Payment method updated. (SRS-63)',
+    data: {
+      payment,
+      checkout,
+    },
   });
 });
 
@@ -464,7 +769,13 @@ const updatePaymentStatus = asyncHandler(async (req, res) => {
     throw new Error('Invalid payment ID');
   }
   
-  const validStatuses = ['PENDING', 'COMPLETED', 'FAILED', 'REFUNDED'];
+  // Refunds are recorded through /api/refunds so the amount is tracked
+  if (status && ['PARTIALLY_REFUNDED', 'REFUNDED'].includes(status.toUpperCase())) {
+    res.status(400);
+    throw new Error('Use POST /api/refunds to refund a payment');
+  }
+  
+  const validStatuses = ['PENDING', 'COMPLETED', 'FAILED'];
   if (!status || !validStatuses.includes(status.toUpperCase())) {
     res.status(400);
     throw new Error(`Invalid status. Valid options: ${validStatuses.join(', ')}`);
@@ -501,9 +812,21 @@ const updatePaymentStatus = asyncHandler(async (req, res) => {
     data: updateData,
   });
   
+  // Money arrived - the order's held stock is sold, and a commission's
+  // deposit / balance counts as paid
+  let shortages = [];
+  if (updateData.status === 'COMPLETED') {
+    shortages = await commitReservations(prisma, payment.orderId);
+
+    const commissionPaid = await prisma.$transaction((tx) => applyCommissionPayment(tx, payment.orderId));
+    await notifyCommissionPayment(commissionPaid);
+  }
+  
   res.status(200).json({
     success: true,
-    message: `Payment status updated to ${status.toUpperCase()}`,
+    message: shortages.length > 0
+      ? `Payment status updated to COMPLETED, but these items are out of stock: ${shortages.join(', ')}`
+      : `Payment status updated to ${status.toUpperCase()}`,
     data: updatedPayment,
   });
 });
@@ -567,6 +890,167 @@ const getPaymentStats = asyncHandler(async (req, res) => {
   });
 });
 
+// =============================================================================
+// @desc    Receive a payment gateway webhook
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (verified by the gateway's signature)
+// =============================================================================
+// 
+// Always answers 2xx once the event is verified (even if it changed nothing),
+// otherwise the gateway keeps retrying it.
+
+const handleWebhook = asyncHandler(async (req, res) => {
+  const gateway = getGateway(req.params.provider);
+  
+  if (!gateway) {
+    res.status(404);
+    throw new Error('Unknown payment provider');
+  }
+  
+  const event = await gateway.parseWebhook(req);
+  
+  if (event.error) {
+    console.error(`Rejected ${gateway.name} webhook:`, event.error);
+    res.status(400);
+    throw new Error(event.error);
+  }
+  
+  // Events we don't act on (e.g. other Stripe event types)
+  if (!event.reference) {
+    return res.status(200).json({ success: true, received: true, outcome: 'ignored' });
+  }
+  
+  const { outcome } = await applyGatewayEvent(gateway, event);
+  
+  if (outcome === 'unmatched') {
+    console.error(`${gateway.name} webhook for unknown reference ${event.reference}`);
+  }
+  
+  res.status(200).json({
+    success: true,
+    received: true,
+    outcome,
+  });
+});
+
+// =============================================================================
+// @desc    Customer returns from the gateway's payment page
+// @route   GET|POST /api/payments/return/:provider?orderId=
+// @access  Public
+// =============================================================================
+// 
+// Gateways that sign the return (JazzCash) are processed right away, so the
+// order page already shows the result. Either way the customer is sent on to
+// the frontend order page, which loads the payment status with their token.
+
+const handleReturn = asyncHandler(async (req, res) => {
+  const gateway = getGateway(req.params.provider);
+  const orderId = parseInt(req.query.orderId);
+  
+  if (gateway && gateway.parseReturn) {
+    try {
+      const event = await gateway.parseReturn(req);
+      
+      if (event.error) {
+        console.error(`Rejected ${gateway.name} return:`, event.error);
+      } else if (event.reference) {
+        await applyGatewayEvent(gateway, event);
+      }
+    } catch (error) {
+      // The webhook will still deliver the result
+      console.error(`Failed to process ${gateway.name} return:`, error.message);
+    }
+  }
+  
+  const target = isNaN(orderId) ? `${FRONTEND_URL}/orders` : `${FRONTEND_URL}/orders/${orderId}`;
+  
+  res.redirect(303, `${target}?payment=return`);
+});
+
+// =============================================================================
+// @desc    Finish a mock payment (development only)
+// @route   POST /api/payments/mock/:orderId/simulate
+// @access  Private
+// =============================================================================
+// 
+// Body: { outcome: 'succeeded' | 'failed' | 'pending' }
+// Builds a signed mock webhook and runs it through the same verification
+// and status update as a real one. Only available while
+// PAYMENT_GATEWAY_MODE=mock and NODE_ENV is not production.
+
+const simulateMockPayment = asyncHandler(async (req, res) => {
+  if (!isMockMode() || process.env.NODE_ENV === 'production') {
+    res.status(404);
+    throw new Error('Not found');
+  }
+  
+  const orderIdNum = parseInt(req.params.orderId);
+  const outcome = req.body.outcome || 'succeeded';
+  
+  if (isNaN(orderIdNum)) {
+    res.status(400);
+    throw new Error('Invalid order ID');
+  }
+  
+  if (!['succeeded', 'failed', 'pending'].includes(outcome)) {
+    res.status(400);
+    throw new Error('Outcome must be succeeded, failed or pending');
+  }
+  
+  const payment = await prisma.payment.findUnique({
+    where: { orderId: orderIdNum },
+  });
+  
+  if (!payment || payment.provider !== 'mock' || !payment.gatewayReference) {
+    res.status(404);
+    throw new Error('No mock payment in progress for this order');
+  }
+  
+  if (payment.userId !== req.user.id && req.user.role !== 'ADMIN') {
+    res.status(403);
+    throw new Error('Not authorized');
+  }
+  
+  const gateway = getGateway('mock');
+  
+  const body = {
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    reference: payment.gatewayReference,
+    status: outcome,
+    amount: parseFloat(payment.amount),
+    transactionId: outcome === 'succeeded' ? `mock_txn_${crypto.randomBytes(8).toString('hex')}` : undefined,
+    failureReason: outcome === 'failed' ? 'Card declined (simulated)' : undefined,
+  };
+  const rawBody = JSON.stringify(body);
+  
+  // Shaped like an Express request, so the real signature check runs
+  const webhookRequest = {
+    body: JSON.parse(rawBody),
+    rawBody: Buffer.from(rawBody),
+    get: (header) =>
+      header.toLowerCase() === 'x-mock-signature' ? gateway.sign(rawBody) : undefined,
+  };
+  
+  const event = await gateway.parseWebhook(webhookRequest);
+  
+  if (event.error) {
+    res.status(400);
+    throw new Error(event.error);
+  }
+  
+  const result = await applyGatewayEvent(gateway, event);
+  
+  const updatedPayment = await prisma.payment.findUnique({
+    where: { id: payment.id },
+  });
+  
+  res.status(200).json({
+    success: true,
+    message: `Simulated "${outcome}" webhook (${result.outcome})`,
+    data: updatedPayment,
+  });
+});
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -580,4 +1064,7 @@ module.exports = {
   getPendingPayments,
   updatePaymentStatus,
   getPaymentStats,
+  handleWebhook,
+  handleReturn,
+  simulateMockPayment,
 };
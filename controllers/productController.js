@@ -306,6 +306,16 @@ const getProduct = asyncHandler(async (req, res) => {
         orderBy: { createdAt: "desc" },
         take: 10, // Latest 10 reviews
       },
+      // Variants customers can pick (see GET /api/products/:id/variants)
+      variants: {
+        where: { isActive: true },
+        orderBy: [{ sortOrder: "asc" }, { id: "asc" }],
+      },
+      // What the customer can personalize (sent as customization in the cart)
+      customizationOptions: {
+        where: { isActive: true },
+        orderBy: [{ sortOrder: "asc" }, { id: "asc" }],
+      },
     },
   });
 
@@ -629,7 +639,19 @@ const updateProduct = asyncHandler(async (req, res) => {
   }
   if (category !== undefined) updateData.category = category.toUpperCase();
   if (brand !== undefined) updateData.brand = brand;
-  if (stock !== undefined) updateData.stock = parseInt(stock);
+  if (stock !== undefined) {
+    // A product with variants has their total as its stock
+    const variantCount = await prisma.productVariant.count({
+      where: { productId: productId },
+    });
+
+    if (variantCount > 0) {
+      res.status(400);
+      throw new Error("This product has variants - update their stock instead");
+    }
+
+    updateData.stock = parseInt(stock);
+  }
 
   // Only update images if there are new uploads or existing images were modified
   if (existingImages !== undefined || req.files) {
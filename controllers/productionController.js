@@ -0,0 +1,407 @@
+// =============================================================================
+// PRODUCTION CONTROLLER - Workshop Board
+// =============================================================================
+//
+// Admin view of every order line being made: which stage it is in
+// (pouring, curing, finishing), when a cure is done and who is making it.
+// Jobs are created when an order moves to PROCESSING (see
+// utils/production.js); finishing the last one of an order moves the order
+// to READY_TO_SHIP.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { transitionOrder } = require('../utils/orderLifecycle');
+const {
+  PRODUCTION_STAGES,
+  BOARD_ORDER_STATUSES,
+  MAX_CURE_HOURS,
+  PRODUCTION_JOB_INCLUDE,
+  createProductionJobs,
+  countUnfinishedJobs,
+  checkStageChange,
+  getStageChangeData,
+} = require('../utils/production');
+
+// Job as shown on the board (flags pours that can come out of the mold)
+const formatJob = (job, now = new Date()) => ({
+  ...job,
+  readyToDemold: job.stage === 'CURING' && Boolean(job.cureCompleteAt) && job.cureCompleteAt <= now,
+});
+
+// Parse :id or send 400, then load the job or send 404
+const loadJob = async (req, res) => {
+  const jobId = parseInt(req.params.id);
+
+  if (isNaN(jobId)) {
+    res.status(400);
+    throw new Error('Invalid production job ID');
+  }
+
+  const job = await prisma.productionJob.findUnique({
+    where: { id: jobId },
+    include: PRODUCTION_JOB_INCLUDE,
+  });
+
+  if (!job) {
+    res.status(404);
+    throw new Error('Production job not found');
+  }
+
+  return job;
+};
+
+// Jobs of cancelled or shipped orders are left as they are
+const requireActiveOrder = (job, res) => {
+  const order = job.orderItem.order;
+
+  if (!BOARD_ORDER_STATUSES.includes(order.status)) {
+    res.status(400);
+    throw new Error(`Order #${order.orderNumber} is ${order.status} - its items are no longer in production`);
+  }
+};
+
+// Maker to assign (active admin) or send 400; null unassigns
+const findMaker = async (value, res) => {
+  if (value === null || value === '') return null;
+
+  const userId = parseInt(value);
+  const user = isNaN(userId)
+    ? null
+    : await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true, role: true, status: true },
+    });
+
+  if (!user || user.role !== 'ADMIN' || user.status !== 'ACTIVE') {
+    res.status(400);
+    throw new Error('Items can only be assigned to an active admin');
+  }
+
+  return user;
+};
+
+// Cure time from the body: undefined = not sent
+const parseCureHours = (value, res) => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const hours = parseFloat(value);
+
+  if (isNaN(hours) || hours <= 0 || hours > MAX_CURE_HOURS) {
+    res.status(400);
+    throw new Error(`Cure hours must be a number between 0 and ${MAX_CURE_HOURS}`);
+  }
+
+  return hours;
+};
+
+// Save only if the job is still in the stage we checked
+const updateIfStage = async (job, data, res) => {
+  const updated = await prisma.productionJob.updateMany({
+    where: { id: job.id, stage: job.stage },
+    data,
+  });
+
+  if (updated.count === 0) {
+    res.status(409);
+    throw new Error('This item was just moved by someone else. Please reload the board.');
+  }
+};
+
+// =============================================================================
+// @desc    Get the production board
+// @route   GET /api/production
+// @access  Private/Admin
+// =============================================================================
+//
+// Query: stage, assignedTo (user ID, "me" or "none"), orderId, page, limit
+// Without a stage every unfinished item is listed, oldest first.
+// stage=DONE lists finished items of orders that haven't shipped yet.
+
+const getProductionBoard = asyncHandler(async (req, res) => {
+  const { stage, assignedTo, orderId, page = 1, limit = 50 } = req.query;
+
+  const where = {
+    orderItem: { order: { status: { in: BOARD_ORDER_STATUSES } } },
+    stage: { not: 'DONE' },
+  };
+
+  if (stage) {
+    if (!PRODUCTION_STAGES.includes(stage.toUpperCase())) {
+      res.status(400);
+      throw new Error(`Invalid stage. Valid options: ${PRODUCTION_STAGES.join(', ')}`);
+    }
+    where.stage = stage.toUpperCase();
+
+    if (where.stage === 'DONE') {
+      where.orderItem.order.status.in = [...BOARD_ORDER_STATUSES, 'READY_TO_SHIP'];
+    }
+  }
+
+  if (assignedTo === 'me') {
+    where.assignedToId = req.user.id;
+  } else if (assignedTo === 'none') {
+    where.assignedToId = null;
+  } else if (assignedTo) {
+    where.assignedToId = parseInt(assignedTo) || 0;
+  }
+
+  if (orderId) {
+    where.orderId = parseInt(orderId) || 0;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+  const now = new Date();
+
+  // Board totals ignore the filters
+  const boardWhere = {
+    orderItem: { order: { status: { in: BOARD_ORDER_STATUSES } } },
+    stage: { not: 'DONE' },
+  };
+
+  const [jobs, totalCount, stageCounts, readyToDemold] = await Promise.all([
+    prisma.productionJob.findMany({
+      where,
+      include: PRODUCTION_JOB_INCLUDE,
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      skip,
+      take,
+    }),
+    prisma.productionJob.count({ where }),
+    prisma.productionJob.groupBy({
+      by: ['stage'],
+      where: boardWhere,
+      _count: { _all: true },
+    }),
+    prisma.productionJob.count({
+      where: { ...boardWhere, stage: 'CURING', cureCompleteAt: { lte: now } },
+    }),
+  ]);
+
+  const byStage = Object.fromEntries(
+    PRODUCTION_STAGES.filter((s) => s !== 'DONE').map((s) => [s, 0]),
+  );
+  stageCounts.forEach((row) => {
+    byStage[row.stage] = row._count._all;
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      jobs: jobs.map((job) => formatJob(job, now)),
+      summary: { byStage, readyToDemold },
+    },
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCount / take),
+      totalItems: totalCount,
+      itemsPerPage: take,
+      hasNextPage: parseInt(page) < Math.ceil(totalCount / take),
+      hasPrevPage: parseInt(page) > 1,
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Get a production job
+// @route   GET /api/production/:id
+// @access  Private/Admin
+// =============================================================================
+
+const getProductionJob = asyncHandler(async (req, res) => {
+  const job = await loadJob(req, res);
+
+  res.status(200).json({
+    success: true,
+    data: formatJob(job),
+  });
+});
+
+// =============================================================================
+// @desc    Move an item to another workshop stage
+// @route   PUT /api/production/:id/stage
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { stage, cureHours, force, notes }
+// e.g.  { stage: 'CURING', cureHours: 72 }
+// An unassigned item is assigned to the admin moving it. When the last item
+// of a PROCESSING order is DONE the order moves to READY_TO_SHIP.
+
+const updateProductionStage = asyncHandler(async (req, res) => {
+  const job = await loadJob(req, res);
+  requireActiveOrder(job, res);
+
+  const stage = req.body.stage ? String(req.body.stage).toUpperCase() : '';
+  const force = req.body.force === true || req.body.force === 'true';
+  const cureHours = parseCureHours(req.body.cureHours, res);
+  const now = new Date();
+
+  const stageError = checkStageChange(job, stage, { force, now });
+  if (stageError) {
+    res.status(400);
+    throw new Error(stageError);
+  }
+
+  const data = getStageChangeData(job, stage, { cureHours, actorId: req.user.id, now });
+  if (req.body.notes !== undefined) data.notes = req.body.notes ? String(req.body.notes) : null;
+
+  await updateIfStage(job, data, res);
+
+  // Last piece of the order finished - it can be packed
+  let order = job.orderItem.order;
+
+  if (stage === 'DONE' && order.status === 'PROCESSING' &&
+      (await countUnfinishedJobs(prisma, order.id)) === 0) {
+    const result = await transitionOrder(order.id, 'READY_TO_SHIP', {
+      actorId: req.user.id,
+      actorIsAdmin: true,
+      description: 'Every item has finished production',
+    });
+
+    if (result.error) {
+      console.error(`Order ${order.id} not moved to READY_TO_SHIP:`, result.error);
+    } else {
+      order = { ...order, status: 'READY_TO_SHIP' };
+    }
+  }
+
+  const updated = await prisma.productionJob.findUnique({
+    where: { id: job.id },
+    include: PRODUCTION_JOB_INCLUDE,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: order.status === 'READY_TO_SHIP'
+      ? `${job.orderItem.productName} is done - order #${order.orderNumber} is ready to ship`
+      : `${job.orderItem.productName} moved to ${stage}`,
+    data: formatJob(updated),
+  });
+});
+
+// =============================================================================
+// @desc    Assign an item to a maker / edit its notes or cure time
+// @route   PUT /api/production/:id
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { assignedToId, notes, cureCompleteAt }
+// assignedToId: null unassigns. cureCompleteAt can only change while CURING
+// (e.g. a cold workshop slows the cure down).
+
+const updateProductionJob = asyncHandler(async (req, res) => {
+  const job = await loadJob(req, res);
+  requireActiveOrder(job, res);
+
+  const { assignedToId, notes, cureCompleteAt } = req.body;
+  const data = {};
+  let maker;
+
+  if (assignedToId !== undefined) {
+    maker = await findMaker(assignedToId, res);
+    data.assignedToId = maker ? maker.id : null;
+  }
+
+  if (notes !== undefined) data.notes = notes ? String(notes) : null;
+
+  if (cureCompleteAt !== undefined) {
+    const date = new Date(cureCompleteAt);
+
+    if (job.stage !== 'CURING') {
+      res.status(400);
+      throw new Error('The cure time can only be changed while the item is curing');
+    }
+
+    if (!cureCompleteAt || isNaN(date.getTime())) {
+      res.status(400);
+      throw new Error('cureCompleteAt must be a valid date');
+    }
+
+    data.cureCompleteAt = date;
+  }
+
+  if (Object.keys(data).length === 0) {
+    res.status(400);
+    throw new Error('Nothing to update');
+  }
+
+  await updateIfStage(job, data, res);
+
+  const updated = await prisma.productionJob.findUnique({
+    where: { id: job.id },
+    include: PRODUCTION_JOB_INCLUDE,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: maker
+      ? `${job.orderItem.productName} assigned to ${maker.name}`
+      : `${job.orderItem.productName} updated`,
+    data: formatJob(updated),
+  });
+});
+
+// =============================================================================
+// @desc    Put an order's items on the production board
+// @route   POST /api/production/orders/:orderId
+// @access  Private/Admin
+// =============================================================================
+//
+// Orders get their jobs when they move to PROCESSING. This adds them for
+// orders that were already in production before the board existed (and any
+// line that is missing one).
+
+const addOrderToProduction = asyncHandler(async (req, res) => {
+  const orderId = parseInt(req.params.orderId);
+
+  if (isNaN(orderId)) {
+    res.status(400);
+    throw new Error('Invalid order ID');
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { items: true },
+  });
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (!BOARD_ORDER_STATUSES.includes(order.status)) {
+    res.status(400);
+    throw new Error(`Only orders in ${BOARD_ORDER_STATUSES.join(' or ')} can be put into production (order is ${order.status})`);
+  }
+
+  const created = await prisma.$transaction((tx) => createProductionJobs(tx, order));
+
+  const jobs = await prisma.productionJob.findMany({
+    where: { orderId: order.id },
+    include: PRODUCTION_JOB_INCLUDE,
+    orderBy: { id: 'asc' },
+  });
+
+  res.status(created > 0 ? 201 : 200).json({
+    success: true,
+    message: created > 0
+      ? `${created} item(s) of order #${order.orderNumber} added to the production board`
+      : `Order #${order.orderNumber} has nothing more to add to the production board`,
+    data: jobs.map((job) => formatJob(job)),
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getProductionBoard,
+  getProductionJob,
+  updateProductionStage,
+  updateProductionJob,
+  addOrderToProduction,
+};
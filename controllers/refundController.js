@@ -0,0 +1,250 @@
+// =============================================================================
+// REFUND CONTROLLER - Full & Partial Refunds (Admin)
+// =============================================================================
+//
+// Admins refund part or all of a paid order. Refunds to the original
+// payment go through the gateway when it supports it; bank transfer and cash
+// refunds are paid out by hand and then marked COMPLETED here.
+//
+// Amount checks and payment updates live in utils/refunds.js.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const {
+  createRefund: createRefundRecord,
+  processRefund,
+  completeRefund,
+  failRefund,
+} = require('../utils/refunds');
+
+const VALID_STATUSES = ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED'];
+
+const refundInclude = {
+  order: { select: { id: true, orderNumber: true, userId: true, totalAmount: true } },
+  payment: {
+    select: { id: true, method: true, provider: true, amount: true, refundedAmount: true, status: true },
+  },
+  createdBy: { select: { id: true, name: true } },
+  processedBy: { select: { id: true, name: true } },
+};
+
+// =============================================================================
+// @desc    Get all refunds
+// @route   GET /api/refunds
+// @access  Private/Admin
+// =============================================================================
+
+const getRefunds = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, orderId } = req.query;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const where = {};
+
+  if (status) {
+    if (!VALID_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`Invalid status. Valid options: ${VALID_STATUSES.join(', ')}`);
+    }
+    where.status = status;
+  }
+
+  if (orderId) {
+    where.orderId = parseInt(orderId);
+  }
+
+  const [refunds, totalCount] = await Promise.all([
+    prisma.refund.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limitNum,
+      include: refundInclude,
+    }),
+    prisma.refund.count({ where }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: refunds.length,
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(totalCount / limitNum),
+      totalItems: totalCount,
+    },
+    data: refunds,
+  });
+});
+
+// =============================================================================
+// @desc    Get single refund
+// @route   GET /api/refunds/:id
+// @access  Private/Admin
+// =============================================================================
+
+const getRefund = asyncHandler(async (req, res) => {
+  const refundId = parseInt(req.params.id);
+
+  if (isNaN(refundId)) {
+    res.status(400);
+    throw new Error('Invalid refund ID');
+  }
+
+  const refund = await prisma.refund.findUnique({
+    where: { id: refundId },
+    include: refundInclude,
+  });
+
+  if (!refund) {
+    res.status(404);
+    throw new Error('Refund not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: refund,
+  });
+});
+
+// =============================================================================
+// @desc    Refund an order (full or partial)
+// @route   POST /api/refunds
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { orderId, amount?, reason, method? }
+// Leave out amount to refund everything not yet refunded.
+
+const createRefund = asyncHandler(async (req, res) => {
+  const { amount, reason, method } = req.body;
+  const orderId = parseInt(req.body.orderId);
+
+  if (isNaN(orderId)) {
+    res.status(400);
+    throw new Error('Please provide a valid orderId');
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    select: { id: true },
+  });
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  // STEP 1: Record the refund (checks the amount against what's left)
+  const result = await createRefundRecord({
+    orderId,
+    amount,
+    reason,
+    method,
+    createdById: req.user.id,
+  });
+
+  if (result.error) {
+    res.status(400);
+    throw new Error(result.error);
+  }
+
+  // STEP 2: Send it through the gateway if it can be done automatically
+  await processRefund(result.refund.id);
+
+  const refund = await prisma.refund.findUnique({
+    where: { id: result.refund.id },
+    include: refundInclude,
+  });
+
+  const messages = {
+    COMPLETED: 'Refund completed successfully',
+    PROCESSING: 'Refund sent to the payment gateway',
+    FAILED: `Refund failed: ${refund.failureReason}`,
+    PENDING: 'Refund recorded - pay it out manually, then mark it completed',
+  };
+
+  res.status(201).json({
+    success: true,
+    message: messages[refund.status],
+    data: refund,
+  });
+});
+
+// =============================================================================
+// @desc    Mark a refund completed or failed
+// @route   PUT /api/refunds/:id/status
+// @access  Private/Admin
+// =============================================================================
+//
+// For refunds paid out by hand (bank transfer, cash, gateways without a
+// refund API) and for gateway refunds stuck in PROCESSING.
+// Body: { status: 'COMPLETED' | 'FAILED', notes?, failureReason? }
+
+const updateRefundStatus = asyncHandler(async (req, res) => {
+  const refundId = parseInt(req.params.id);
+  const { status, notes, failureReason } = req.body;
+
+  if (isNaN(refundId)) {
+    res.status(400);
+    throw new Error('Invalid refund ID');
+  }
+
+  if (!['COMPLETED', 'FAILED'].includes(status)) {
+    res.status(400);
+    throw new Error('Status must be COMPLETED or FAILED');
+  }
+
+  const refund = await prisma.refund.findUnique({
+    where: { id: refundId },
+  });
+
+  if (!refund) {
+    res.status(404);
+    throw new Error('Refund not found');
+  }
+
+  if (!['PENDING', 'PROCESSING'].includes(refund.status)) {
+    res.status(400);
+    throw new Error(`Refund is already ${refund.status}`);
+  }
+
+  const data = { processedById: req.user.id };
+  if (notes !== undefined) data.notes = notes;
+
+  const updated =
+    status === 'COMPLETED'
+      ? await completeRefund(refundId, data)
+      : await failRefund(refundId, failureReason || 'Marked as failed by admin', data);
+
+  // Someone else changed it in the meantime
+  if (!updated) {
+    res.status(409);
+    throw new Error('Refund was updated by another request, please reload');
+  }
+
+  const result = await prisma.refund.findUnique({
+    where: { id: refundId },
+    include: refundInclude,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Refund marked as ${status}`,
+    data: result,
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getRefunds,
+  getRefund,
+  createRefund,
+  updateRefundStatus,
+};
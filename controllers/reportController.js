@@ -15,6 +15,8 @@
 
 const { prisma } = require('../config/db');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { getRefundTotal } = require('../utils/refunds');
+const { checkBudgetAlert } = require('../utils/budgets');
 
 // =============================================================================
 // PROFIT MANAGEMENT
@@ -50,11 +52,15 @@ const getProfitSummary = asyncHandler(async (req, res) => {
     },
   });
 
-  const totalIncome = orders.reduce(
+  const grossIncome = orders.reduce(
     (sum, order) => sum + parseFloat(order.totalAmount),
     0
   );
 
+  // Money given back is not income
+  const totalRefunds = await getRefundTotal(start, end);
+  const totalIncome = grossIncome - totalRefunds;
+
   // Get total expenses
   const expenses = await prisma.expense.aggregate({
     where: {
@@ -76,6 +82,8 @@ const getProfitSummary = asyncHandler(async (req, res) => {
     success: true,
     data: {
       period: { start, end },
+      grossIncome: Math.round(grossIncome * 100) / 100,
+      totalRefunds: Math.round(totalRefunds * 100) / 100,
       totalIncome: Math.round(totalIncome * 100) / 100,
       totalExpenses: Math.round(totalExpenses * 100) / 100,
       netProfit: Math.round(netProfit * 100) / 100,
@@ -100,7 +108,7 @@ const generateProfitReport = asyncHandler(async (req, res) => {
     const startDate = new Date(year, month, 1);
     const endDate = new Date(year, month + 1, 0);
 
-    const [orders, expenses] = await Promise.all([
+    const [orders, expenses, refunds] = await Promise.all([
       prisma.order.aggregate({
         where: {
           status: 'DELIVERED',
@@ -115,15 +123,17 @@ const generateProfitReport = asyncHandler(async (req, res) => {
         },
         _sum: { amount: true },
       }),
+      getRefundTotal(startDate, endDate),
     ]);
 
-    const income = parseFloat(orders._sum.totalAmount) || 0;
+    const income = (parseFloat(orders._sum.totalAmount) || 0) - refunds;
     const expense = parseFloat(expenses._sum.amount) || 0;
 
     monthlyData.push({
       month: month + 1,
       monthName: new Date(year, month).toLocaleString('default', { month: 'long' }),
       income: Math.round(income * 100) / 100,
+      refunds: Math.round(refunds * 100) / 100,
       expenses: Math.round(expense * 100) / 100,
       profit: Math.round((income - expense) * 100) / 100,
       orderCount: orders._count,
@@ -134,11 +144,12 @@ const generateProfitReport = asyncHandler(async (req, res) => {
   const yearlyTotals = monthlyData.reduce(
     (acc, m) => ({
       income: acc.income + m.income,
+      refunds: acc.refunds + m.refunds,
       expenses: acc.expenses + m.expenses,
       profit: acc.profit + m.profit,
       orderCount: acc.orderCount + m.orderCount,
     }),
-    { income: 0, expenses: 0, profit: 0, orderCount: 0 }
+    { income: 0, refunds: 0, expenses: 0, profit: 0, orderCount: 0 }
   );
 
   res.status(200).json({
@@ -457,12 +468,13 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
     monthlyExpenses,
     newUsers,
     lowStockCount,
+    lowMaterialCount,
   ] = await Promise.all([
     prisma.order.count(),
     prisma.order.count({ where: { status: 'PENDING' } }),
     prisma.order.aggregate({
       where: {
-        status: { not: 'CANCELLED' },
+        status: { notIn: ['CANCELLED', 'RETURNED'] },
         orderedAt: { gte: startOfMonth },
       },
       _sum: { totalAmount: true },
@@ -477,6 +489,9 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
     prisma.product.count({
       where: { isActive: true, stock: { lte: 10 } },
     }),
+    prisma.material.count({
+      where: { isActive: true, stock: { lte: prisma.material.fields.reorderLevel } },
+    }),
   ]);
 
   const revenue = parseFloat(monthlyRevenue._sum.totalAmount) || 0;
@@ -492,64 +507,11 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
       monthlyProfit: Math.round((revenue - expenses) * 100) / 100,
       newUsersThisMonth: newUsers,
       lowStockAlerts: lowStockCount,
+      lowMaterialAlerts: lowMaterialCount,
     },
   });
 });
 
-// =============================================================================
-// HELPER: Check Budget Alert
-// =============================================================================
-// Based on SRS-128: Budget alerts at 80%, 90%, 100%
-
-const checkBudgetAlert = async (category, date) => {
-  const month = date.getMonth() + 1;
-  const year = date.getFullYear();
-
-  const budget = await prisma.budget.findUnique({
-    where: {
-      category_month_year: { category, month, year },
-    },
-  });
-
-  if (!budget) return;
-
-  // Calculate current spending
-  const startDate = new Date(year, month - 1, 1);
-  const endDate = new Date(year, month, 0);
-
-  const spending = await prisma.expense.aggregate({
-    where: {
-      category,
-      date: { gte: startDate, lte: endDate },
-    },
-    _sum: { amount: true },
-  });
-
-  const spent = parseFloat(spending._sum.amount) || 0;
-  const percentage = (spent / parseFloat(budget.limitAmount)) * 100;
-
-  // Check thresholds and update alert status
-  if (percentage >= 100 && !budget.alertSent100) {
-    console.log(`🚨 BUDGET ALERT: ${category} has exceeded 100% of budget!`);
-    await prisma.budget.update({
-      where: { id: budget.id },
-      data: { alertSent100: true },
-    });
-  } else if (percentage >= 90 && !budget.alertSent90) {
-    console.log(`⚠️ BUDGET WARNING: ${category} is at 90% of budget!`);
-    await prisma.budget.update({
-      where: { id: budget.id },
-      data: { alertSent90: true },
-    });
-  } else if (percentage >= 80 && !budget.alertSent80) {
-    console.log(`📊 BUDGET NOTICE: ${category} is at 80% of budget!`);
-    await prisma.budget.update({
-      where: { id: budget.id },
-      data: { alertSent80: true },
-    });
-  }
-};
-
 // =============================================================================
 // EXPORTS
 // =============================================================================
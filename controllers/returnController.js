@@ -0,0 +1,668 @@
+// =============================================================================
+// RETURN CONTROLLER - Customer Returns (RMA)
+// =============================================================================
+//
+// Customers ask to return items from a delivered order; admins review it:
+//
+//   REQUESTED -> APPROVED -> RECEIVED
+//             -> REJECTED
+//
+// On receipt, items marked for restock go back into stock (logged in
+// InventoryLog as RETURN) and a refund can be issued for them
+// (see utils/refunds.js).
+//
+// =============================================================================
+
+const fs = require('fs');
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { createRefund, processRefund } = require('../utils/refunds');
+const { returnStock } = require('../utils/stockReservations');
+
+const VALID_STATUSES = ['REQUESTED', 'APPROVED', 'REJECTED', 'RECEIVED'];
+
+const VALID_REASONS = [
+  'DAMAGED',
+  'DEFECTIVE',
+  'WRONG_ITEM',
+  'NOT_AS_DESCRIBED',
+  'CHANGED_MIND',
+  'OTHER',
+];
+
+// Days after delivery a return can be requested
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 14;
+
+const returnInclude = {
+  items: {
+    include: {
+      orderItem: {
+        select: {
+          id: true,
+          productId: true,
+          productName: true,
+          productImage: true,
+          variantName: true,
+          quantity: true,
+          unitPrice: true,
+        },
+      },
+    },
+  },
+  order: { select: { id: true, orderNumber: true, deliveredAt: true } },
+  refund: { select: { id: true, amount: true, method: true, status: true } },
+};
+
+// =============================================================================
+// HELPER: What the customer paid for the returned items
+// =============================================================================
+//
+// Per unit: line total after its discount share, plus tax when it was added
+// on top. Shipping is not included.
+
+const getReturnValue = (returnItems) => {
+  const total = returnItems.reduce((sum, item) => {
+    const line = item.orderItem;
+    const paid =
+      parseFloat(line.totalPrice) -
+      parseFloat(line.discountAmount) +
+      (line.taxInclusive ? 0 : parseFloat(line.taxAmount));
+
+    return sum + (paid / line.quantity) * item.quantity;
+  }, 0);
+
+  return Math.round(total * 100) / 100;
+};
+
+// =============================================================================
+// HELPER: Load a return and check the caller may see it
+// =============================================================================
+
+const findReturn = async (req, res, include = returnInclude) => {
+  const returnId = parseInt(req.params.id);
+
+  if (isNaN(returnId)) {
+    res.status(400);
+    throw new Error('Invalid return ID');
+  }
+
+  const returnRequest = await prisma.returnRequest.findUnique({
+    where: { id: returnId },
+    include,
+  });
+
+  if (!returnRequest) {
+    res.status(404);
+    throw new Error('Return request not found');
+  }
+
+  if (req.user.role !== 'ADMIN' && returnRequest.userId !== req.user.id) {
+    res.status(403);
+    throw new Error('Not authorized to view this return');
+  }
+
+  return returnRequest;
+};
+
+// =============================================================================
+// HELPER: Delete photos multer saved for a request that failed
+// =============================================================================
+
+const removeUploads = async (files) => {
+  for (const file of files || []) {
+    try {
+      await fs.promises.unlink(file.path);
+    } catch (error) {
+      console.error(`Failed to delete upload ${file.filename}:`, error.message);
+    }
+  }
+};
+
+// =============================================================================
+// HELPER: Tell the customer their return moved on
+// =============================================================================
+
+const notifyCustomer = async (returnRequest, title, message) => {
+  try {
+    await prisma.notification.create({
+      data: {
+        userId: returnRequest.userId,
+        type: 'IN_APP',
+        title,
+        message,
+        relatedTo: `order:${returnRequest.orderId}`,
+      },
+    });
+  } catch (error) {
+    console.error('Failed to notify customer about return:', error.message);
+  }
+};
+
+// =============================================================================
+// @desc    Request a return
+// @route   POST /api/returns
+// @access  Private
+// =============================================================================
+//
+// multipart/form-data:
+//   orderId
+//   items     JSON: [{ "orderItemId": 12, "quantity": 1, "reason": "DAMAGED", "note": "..." }]
+//   comments  optional
+//   photos    up to 5 images
+//
+// Photos are saved by multer before this runs, so they are deleted again
+// when the request is refused.
+
+const createReturn = asyncHandler(async (req, res) => {
+  try {
+    await requestReturn(req, res);
+  } catch (error) {
+    await removeUploads(req.files);
+    throw error;
+  }
+});
+
+const requestReturn = async (req, res) => {
+  const { comments } = req.body;
+  const orderId = parseInt(req.body.orderId);
+
+  // ---------------------------------------------------------------------------
+  // STEP 1: Validate input
+  // ---------------------------------------------------------------------------
+
+  if (isNaN(orderId)) {
+    res.status(400);
+    throw new Error('Please provide a valid orderId');
+  }
+
+  let items;
+  try {
+    items = typeof req.body.items === 'string' ? JSON.parse(req.body.items) : req.body.items;
+  } catch (e) {
+    items = null;
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    res.status(400);
+    throw new Error('Please select at least one item to return');
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 2: Check the order can be returned
+  // ---------------------------------------------------------------------------
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      items: true,
+      commissionDeposit: { select: { id: true } },
+    },
+  });
+
+  if (!order || order.userId !== req.user.id) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (order.status !== 'DELIVERED' || !order.deliveredAt) {
+    res.status(400);
+    throw new Error('Only delivered orders can be returned');
+  }
+
+  // A commission deposit is closed as delivered but nothing was sent
+  if (order.commissionDeposit) {
+    res.status(400);
+    throw new Error('A commission deposit cannot be returned - please contact us about the commission');
+  }
+
+  const windowEnds = new Date(order.deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (new Date() > windowEnds) {
+    res.status(400);
+    throw new Error(`Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 3: Check each item
+  // ---------------------------------------------------------------------------
+
+  const returnItems = [];
+
+  for (const item of items) {
+    const orderItem = order.items.find((i) => i.id === parseInt(item.orderItemId));
+
+    if (!orderItem) {
+      res.status(400);
+      throw new Error(`Item ${item.orderItemId} is not part of this order`);
+    }
+
+    if (returnItems.some((r) => r.orderItemId === orderItem.id)) {
+      res.status(400);
+      throw new Error(`${orderItem.productName} is listed more than once`);
+    }
+
+    // What's left to return is checked when saving (STEP 4)
+    const quantity = parseInt(item.quantity) || orderItem.quantity;
+
+    if (quantity < 1 || quantity > orderItem.quantity) {
+      res.status(400);
+      throw new Error(`You can return up to ${orderItem.quantity} of ${orderItem.productName}`);
+    }
+
+    const reason = String(item.reason || '').toUpperCase();
+    if (!VALID_REASONS.includes(reason)) {
+      res.status(400);
+      throw new Error(`Invalid return reason. Valid options: ${VALID_REASONS.join(', ')}`);
+    }
+
+    returnItems.push({
+      orderItemId: orderItem.id,
+      quantity,
+      reason,
+      note: item.note ? String(item.note).substring(0, 500) : null,
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 4: Save the request
+  // ---------------------------------------------------------------------------
+
+  const photos = req.files ? req.files.map((file) => `/uploads/returns/${file.filename}`) : [];
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Lock the order so two requests for it can't both return the same items
+    await tx.$queryRaw`SELECT id FROM orders WHERE id = ${orderId} FOR UPDATE`;
+
+    // Quantities already in other (non-rejected) returns
+    const returned = await tx.returnItem.groupBy({
+      by: ['orderItemId'],
+      where: {
+        orderItemId: { in: returnItems.map((item) => item.orderItemId) },
+        returnRequest: { status: { not: 'REJECTED' } },
+      },
+      _sum: { quantity: true },
+    });
+
+    for (const item of returnItems) {
+      const orderItem = order.items.find((i) => i.id === item.orderItemId);
+      const alreadyReturned = returned.find((r) => r.orderItemId === item.orderItemId)?._sum.quantity || 0;
+      const returnable = orderItem.quantity - alreadyReturned;
+
+      if (item.quantity > returnable) {
+        return { error: `You can return up to ${returnable} of ${orderItem.productName}` };
+      }
+    }
+
+    const created = await tx.returnRequest.create({
+      data: {
+        orderId,
+        userId: req.user.id,
+        comments: comments || null,
+        photos: photos.length > 0 ? photos : undefined,
+        items: { create: returnItems },
+      },
+      include: returnInclude,
+    });
+
+    return { returnRequest: created };
+  });
+
+  if (result.error) {
+    res.status(400);
+    throw new Error(result.error);
+  }
+
+  const { returnRequest } = result;
+
+  // Let admins know there's a return to review
+  try {
+    const admins = await prisma.user.findMany({
+      where: { role: 'ADMIN', status: 'ACTIVE' },
+      select: { id: true },
+    });
+
+    if (admins.length > 0) {
+      await prisma.notification.createMany({
+        data: admins.map((admin) => ({
+          userId: admin.id,
+          type: 'IN_APP',
+          title: 'New Return Request',
+          message: `Return #${returnRequest.id} requested for order #${order.orderNumber}`,
+          relatedTo: `order:${order.id}`,
+        })),
+      });
+    }
+  } catch (notifyError) {
+    console.error('Failed to notify admins about return:', notifyError.message);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Return requested. We will review it shortly.',
+    data: returnRequest,
+  });
+};
+
+// =============================================================================
+// @desc    Get my return requests
+// @route   GET /api/returns/my-returns
+// @access  Private
+// =============================================================================
+
+const getMyReturns = asyncHandler(async (req, res) => {
+  const returns = await prisma.returnRequest.findMany({
+    where: { userId: req.user.id },
+    orderBy: { createdAt: 'desc' },
+    include: returnInclude,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: returns.length,
+    data: returns,
+  });
+});
+
+// =============================================================================
+// @desc    Get single return request
+// @route   GET /api/returns/:id
+// @access  Private (owner or admin)
+// =============================================================================
+
+const getReturn = asyncHandler(async (req, res) => {
+  const returnRequest = await findReturn(req, res);
+
+  res.status(200).json({
+    success: true,
+    data: returnRequest,
+  });
+});
+
+// =============================================================================
+// @desc    Get all return requests
+// @route   GET /api/returns
+// @access  Private/Admin
+// =============================================================================
+
+const getReturns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, orderId } = req.query;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const where = {};
+
+  if (status) {
+    if (!VALID_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`Invalid status. Valid options: ${VALID_STATUSES.join(', ')}`);
+    }
+    where.status = status;
+  }
+
+  if (orderId) {
+    where.orderId = parseInt(orderId);
+  }
+
+  const [returns, totalCount] = await Promise.all([
+    prisma.returnRequest.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limitNum,
+      include: {
+        ...returnInclude,
+        user: { select: { id: true, name: true, email: true } },
+      },
+    }),
+    prisma.returnRequest.count({ where }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: returns.length,
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(totalCount / limitNum),
+      totalItems: totalCount,
+    },
+    data: returns,
+  });
+});
+
+// =============================================================================
+// @desc    Approve or reject a return request
+// @route   PUT /api/returns/:id/approve
+// @route   PUT /api/returns/:id/reject
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { adminNotes } - required when rejecting (shown to the customer)
+
+const reviewReturn = (status) =>
+  asyncHandler(async (req, res) => {
+    const { adminNotes } = req.body;
+    const returnRequest = await findReturn(req, res, {});
+
+    if (returnRequest.status !== 'REQUESTED') {
+      res.status(400);
+      throw new Error(`Return is already ${returnRequest.status}`);
+    }
+
+    if (status === 'REJECTED' && !adminNotes) {
+      res.status(400);
+      throw new Error('Please provide a reason for rejecting the return');
+    }
+
+    const updated = await prisma.returnRequest.update({
+      where: { id: returnRequest.id },
+      data: {
+        status,
+        adminNotes: adminNotes || null,
+        reviewedById: req.user.id,
+        reviewedAt: new Date(),
+      },
+      include: returnInclude,
+    });
+
+    if (status === 'APPROVED') {
+      await notifyCustomer(
+        updated,
+        'Return Approved',
+        `Your return #${updated.id} for order #${updated.order.orderNumber} was approved. Please send the items back.`,
+      );
+    } else {
+      await notifyCustomer(
+        updated,
+        'Return Rejected',
+        `Your return #${updated.id} for order #${updated.order.orderNumber} was rejected: ${adminNotes}`,
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Return ${status.toLowerCase()}`,
+      data: updated,
+    });
+  });
+
+const approveReturn = reviewReturn('APPROVED');
+const rejectReturn = reviewReturn('REJECTED');
+
+// =============================================================================
+// @desc    Mark returned items as received (restock + optional refund)
+// @route   PUT /api/returns/:id/receive
+// @access  Private/Admin
+// =============================================================================
+//
+// Body:
+//   restockItemIds  Return item IDs to put back into stock
+//                   (default: all except those returned as DAMAGED/DEFECTIVE)
+//   refund          true to refund the returned items
+//   refundAmount    Override the amount (default: what was paid for them)
+//   refundMethod    RefundMethod (default: ORIGINAL_PAYMENT)
+
+const receiveReturn = asyncHandler(async (req, res) => {
+  const { restockItemIds, refund, refundAmount, refundMethod } = req.body;
+
+  const returnRequest = await findReturn(req, res, {
+    items: { include: { orderItem: true } },
+    order: { select: { id: true, orderNumber: true } },
+  });
+
+  if (returnRequest.status !== 'APPROVED') {
+    res.status(400);
+    throw new Error('Only approved returns can be received');
+  }
+
+  // Which items go back on the shelf?
+  let restockIds;
+  if (restockItemIds !== undefined) {
+    if (!Array.isArray(restockItemIds)) {
+      res.status(400);
+      throw new Error('restockItemIds must be an array');
+    }
+    restockIds = restockItemIds.map((id) => parseInt(id));
+  } else {
+    restockIds = returnRequest.items
+      .filter((item) => !['DAMAGED', 'DEFECTIVE'].includes(item.reason))
+      .map((item) => item.id);
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 1: Receive and restock
+  // ---------------------------------------------------------------------------
+
+  await prisma.$transaction(async (tx) => {
+    // Guard against two admins receiving the same return
+    const updated = await tx.returnRequest.updateMany({
+      where: { id: returnRequest.id, status: 'APPROVED' },
+      data: { status: 'RECEIVED', receivedAt: new Date() },
+    });
+
+    if (updated.count === 0) {
+      res.status(409);
+      throw new Error('Return was updated by another request, please reload');
+    }
+
+    for (const item of returnRequest.items) {
+      if (!restockIds.includes(item.id)) continue;
+
+      const { previousStock, newStock } = await returnStock(tx, item.orderItem, item.quantity);
+
+      await tx.returnItem.update({
+        where: { id: item.id },
+        data: { restocked: true },
+      });
+
+      await tx.inventoryLog.create({
+        data: {
+          productId: item.orderItem.productId,
+          variantId: item.orderItem.variantId,
+          previousStock,
+          newStock,
+          changeAmount: item.quantity,
+          changeType: 'RETURN',
+          reason: `Return #${returnRequest.id} (order #${returnRequest.order.orderNumber}): ${item.reason}`,
+          reference: { type: 'return', id: returnRequest.id, orderId: returnRequest.orderId },
+          changedById: req.user.id,
+        },
+      });
+    }
+
+    // Every unit of the order came back -> the delivery was returned
+    const orderItems = await tx.orderItem.findMany({
+      where: { orderId: returnRequest.orderId },
+      include: {
+        returnItems: {
+          where: { returnRequest: { status: 'RECEIVED' } },
+          select: { quantity: true },
+        },
+      },
+    });
+
+    const fullyReturned = orderItems.every(
+      (item) => item.returnItems.reduce((sum, r) => sum + r.quantity, 0) >= item.quantity,
+    );
+
+    if (fullyReturned) {
+      await tx.delivery.updateMany({
+        where: { orderId: returnRequest.orderId },
+        data: { status: 'RETURNED' },
+      });
+    }
+
+    await tx.orderTracking.create({
+      data: {
+        orderId: returnRequest.orderId,
+        status: 'Return Received',
+        description: `Return #${returnRequest.id} received at the shop`,
+        updatedBy: req.user.id,
+      },
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // STEP 2: Refund (optional)
+  // ---------------------------------------------------------------------------
+  //
+  // After the transaction - the items are back either way; a refund problem
+  // is reported in the response and can be retried through /api/refunds.
+
+  let refundError = null;
+
+  if (refund === true || refund === 'true') {
+    const result = await createRefund({
+      orderId: returnRequest.orderId,
+      amount: refundAmount !== undefined ? refundAmount : getReturnValue(returnRequest.items),
+      reason: `Return #${returnRequest.id}`,
+      method: refundMethod || undefined,
+      createdById: req.user.id,
+    });
+
+    if (result.error) {
+      refundError = result.error;
+    } else {
+      await prisma.returnRequest.update({
+        where: { id: returnRequest.id },
+        data: { refundId: result.refund.id },
+      });
+
+      await processRefund(result.refund.id);
+    }
+  }
+
+  const updated = await prisma.returnRequest.findUnique({
+    where: { id: returnRequest.id },
+    include: returnInclude,
+  });
+
+  await notifyCustomer(
+    updated,
+    'Return Received',
+    `We received your return #${updated.id} for order #${updated.order.orderNumber}.`,
+  );
+
+  res.status(200).json({
+    success: true,
+    message: refundError
+      ? `Return received, but the refund was not created: ${refundError}`
+      : 'Return received successfully',
+    data: updated,
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  createReturn,
+  getMyReturns,
+  getReturn,
+  getReturns,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+};
@@ -6,12 +6,15 @@
 // - Calculate sales data from orders
 // - Generate PDF reports
 // - Track products sold, revenue, and profit margins
+// - Tax collected per product (from the breakdown stored on order items)
+// - Refunds completed in the period (subtracted from revenue for profit)
 //
 // =============================================================================
 
 const { prisma } = require('../config/db');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const PDFDocument = require('pdfkit');
+const { getRefundTotal } = require('../utils/refunds');
 
 // =============================================================================
 // @desc    Get sales report data (JSON)
@@ -80,6 +83,7 @@ const getSalesReport = asyncHandler(async (req, res) => {
   const totalOrders = orders.length;
   const totalRevenue = orders.reduce((sum, order) => sum + parseFloat(order.totalAmount), 0);
   const averageOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
+  const totalTax = orders.reduce((sum, order) => sum + parseFloat(order.taxAmount), 0);
 
   // Calculate products sold
   const productsSoldMap = new Map();
@@ -93,6 +97,7 @@ const getSalesReport = asyncHandler(async (req, res) => {
         const existing = productsSoldMap.get(item.productId);
         existing.quantitySold += item.quantity;
         existing.revenue += parseFloat(item.totalPrice);
+        existing.tax += parseFloat(item.taxAmount);
       } else {
         productsSoldMap.set(item.productId, {
           productId: item.productId,
@@ -100,6 +105,7 @@ const getSalesReport = asyncHandler(async (req, res) => {
           category: item.product?.category || 'UNKNOWN',
           quantitySold: item.quantity,
           revenue: parseFloat(item.totalPrice),
+          tax: parseFloat(item.taxAmount),
         });
       }
     });
@@ -120,8 +126,13 @@ const getSalesReport = asyncHandler(async (req, res) => {
   });
 
   const totalExpenses = expenses.reduce((sum, expense) => sum + parseFloat(expense.amount), 0);
-  const grossProfit = totalRevenue - totalExpenses;
-  const profitMargin = totalRevenue > 0 ? (grossProfit / totalRevenue) * 100 : 0;
+
+  // Money given back to customers in this period
+  const totalRefunds = await getRefundTotal(start, end);
+  const netRevenue = totalRevenue - totalRefunds;
+
+  const grossProfit = netRevenue - totalExpenses;
+  const profitMargin = netRevenue > 0 ? (grossProfit / netRevenue) * 100 : 0;
 
   // Prepare response
   const reportData = {
@@ -134,10 +145,16 @@ const getSalesReport = asyncHandler(async (req, res) => {
       totalOrders: totalOrders,
       totalProductsSold: totalProductsSold,
       averageOrderValue: Math.round(averageOrderValue * 100) / 100,
+      totalTax: Math.round(totalTax * 100) / 100,
     },
-    productsSold: productsSold,
+    productsSold: productsSold.map(product => ({
+      ...product,
+      tax: Math.round(product.tax * 100) / 100,
+    })),
     profitMargins: {
       totalRevenue: Math.round(totalRevenue * 100) / 100,
+      totalRefunds: Math.round(totalRefunds * 100) / 100,
+      netRevenue: Math.round(netRevenue * 100) / 100,
       totalExpenses: Math.round(totalExpenses * 100) / 100,
       grossProfit: Math.round(grossProfit * 100) / 100,
       profitMargin: Math.round(profitMargin * 100) / 100,
@@ -212,6 +229,7 @@ const generateSalesPDF = asyncHandler(async (req, res) => {
   const totalOrders = orders.length;
   const totalRevenue = orders.reduce((sum, order) => sum + parseFloat(order.totalAmount), 0);
   const averageOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
+  const totalTax = orders.reduce((sum, order) => sum + parseFloat(order.taxAmount), 0);
 
   // Calculate products sold
   const productsSoldMap = new Map();
@@ -225,6 +243,7 @@ const generateSalesPDF = asyncHandler(async (req, res) => {
         const existing = productsSoldMap.get(item.productId);
         existing.quantitySold += item.quantity;
         existing.revenue += parseFloat(item.totalPrice);
+        existing.tax += parseFloat(item.taxAmount);
       } else {
         productsSoldMap.set(item.productId, {
           productId: item.productId,
@@ -232,6 +251,7 @@ const generateSalesPDF = asyncHandler(async (req, res) => {
           category: item.product?.category || 'UNKNOWN',
           quantitySold: item.quantity,
           revenue: parseFloat(item.totalPrice),
+          tax: parseFloat(item.taxAmount),
         });
       }
     });
@@ -251,8 +271,13 @@ const generateSalesPDF = asyncHandler(async (req, res) => {
   });
 
   const totalExpenses = expenses.reduce((sum, expense) => sum + parseFloat(expense.amount), 0);
-  const grossProfit = totalRevenue - totalExpenses;
-  const profitMargin = totalRevenue > 0 ? (grossProfit / totalRevenue) * 100 : 0;
+
+  // Money given back to customers in this period
+  const totalRefunds = await getRefundTotal(start, end);
+  const netRevenue = totalRevenue - totalRefunds;
+
+  const grossProfit = netRevenue - totalExpenses;
+  const profitMargin = netRevenue > 0 ? (grossProfit / netRevenue) * 100 : 0;
 
   // Create PDF
   const doc = new PDFDocument({ margin: 50 });
@@ -284,6 +309,7 @@ const generateSalesPDF = asyncHandler(async (req, res) => {
   doc.text(`Total Orders: ${totalOrders}`);
   doc.text(`Total Products Sold: ${totalProductsSold}`);
   doc.text(`Average Order Value: PKR ${averageOrderValue.toFixed(2)}`);
+  doc.text(`Total Tax: PKR ${totalTax.toFixed(2)}`);
   doc.moveDown(1.5);
 
   // ===== PROFIT MARGINS SECTION =====
@@ -292,6 +318,8 @@ const generateSalesPDF = asyncHandler(async (req, res) => {
 
   doc.fontSize(11).font('Helvetica');
   doc.text(`Total Revenue: PKR ${totalRevenue.toFixed(2)}`);
+  doc.text(`Refunds: PKR ${totalRefunds.toFixed(2)}`);
+  doc.text(`Net Revenue: PKR ${netRevenue.toFixed(2)}`);
   doc.text(`Total Expenses: PKR ${totalExpenses.toFixed(2)}`);
   doc.text(`Gross Profit: PKR ${grossProfit.toFixed(2)}`);
   doc.text(`Profit Margin: ${profitMargin.toFixed(2)}%`);
@@ -307,15 +335,17 @@ const generateSalesPDF = asyncHandler(async (req, res) => {
     // Table header
     const tableTop = doc.y;
     const col1 = 50;
-    const col2 = 250;
-    const col3 = 350;
-    const col4 = 450;
+    const col2 = 230;
+    const col3 = 330;
+    const col4 = 390;
+    const col5 = 480;
 
     doc.fontSize(10).font('Helvetica-Bold');
     doc.text('Product Name', col1, tableTop);
     doc.text('Category', col2, tableTop);
     doc.text('Quantity', col3, tableTop);
     doc.text('Revenue (PKR)', col4, tableTop);
+    doc.text('Tax (PKR)', col5, tableTop);
 
     doc.moveTo(col1, tableTop + 15).lineTo(550, tableTop + 15).stroke();
 
@@ -330,10 +360,11 @@ const generateSalesPDF = asyncHandler(async (req, res) => {
         y = 50;
       }
 
-      doc.text(product.productName.substring(0, 30), col1, y);
+      doc.text(product.productName.substring(0, 28), col1, y);
       doc.text(product.category, col2, y);
       doc.text(product.quantitySold.toString(), col3, y);
       doc.text(product.revenue.toFixed(2), col4, y);
+      doc.text(product.tax.toFixed(2), col5, y);
 
       y += 20;
     });
@@ -0,0 +1,321 @@
+// =============================================================================
+// SHIPMENT CONTROLLER - Split Fulfillment, Courier Booking & Labels
+// =============================================================================
+//
+// An order can be sent in several shipments, each with some of its items:
+// - Booked with a courier adapter (book: true): waits in PENDING until the
+//   courier's pickup webhook marks it SHIPPED (utils/courierTracking.js)
+// - Entered by hand (courierCompany / trackingNumber): SHIPPED right away,
+//   unless shipped: false (packed, waiting for pickup)
+//
+// The order status follows the shipments - see utils/fulfillment.js.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { getCourier, getBookingCourier } = require('../utils/couriers');
+const {
+  FULFILLMENT_INCLUDE,
+  planShipmentItems,
+  checkCanShip,
+  createShipment: createOrderShipment,
+  updateShipmentStatus: moveShipment,
+} = require('../utils/fulfillment');
+const { getUnshippedItems } = require('../utils/shipments');
+const { getProductWeightGrams } = require('../utils/shipping');
+
+// Cash the courier collects. An unpaid COD order is paid in full with the
+// shipment that completes it - earlier parcels go out as prepaid.
+const getCodAmount = (order, completesOrder) =>
+  completesOrder && order.payment && order.payment.method === 'COD' && order.payment.status === 'PENDING'
+    ? parseFloat(order.totalAmount)
+    : 0;
+
+// Shipment as shown to customers and admins
+const formatShipment = (shipment, order) => ({
+  ...shipment,
+  items: shipment.items.map((shipmentItem) => {
+    const orderItem = order.items.find((item) => item.id === shipmentItem.orderItemId);
+    return {
+      orderItemId: shipmentItem.orderItemId,
+      productName: orderItem?.productName,
+      variantName: orderItem?.variantName,
+      quantity: shipmentItem.quantity,
+    };
+  }),
+});
+
+// Parse :id or send 400
+const parseOrderId = (req, res) => {
+  const orderId = parseInt(req.params.id);
+
+  if (isNaN(orderId)) {
+    res.status(400);
+    throw new Error('Invalid order ID');
+  }
+
+  return orderId;
+};
+
+// Load a shipment of the order in the URL or send 404
+const loadShipment = async (req, res) => {
+  const orderId = parseOrderId(req, res);
+  const shipmentId = parseInt(req.params.shipmentId);
+
+  const shipment = isNaN(shipmentId)
+    ? null
+    : await prisma.shipment.findUnique({ where: { id: shipmentId } });
+
+  if (!shipment || shipment.orderId !== orderId) {
+    res.status(404);
+    throw new Error('Shipment not found');
+  }
+
+  return shipment;
+};
+
+// =============================================================================
+// @desc    Shipments of an order, and what is still to be sent
+// @route   GET /api/orders/:id/shipments
+// @access  Private (owner or admin)
+// =============================================================================
+
+const getOrderShipments = asyncHandler(async (req, res) => {
+  const orderId = parseOrderId(req, res);
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      items: true,
+      shipments: { include: { items: true }, orderBy: { createdAt: 'asc' } },
+    },
+  });
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (order.userId !== req.user.id && req.user.role !== 'ADMIN') {
+    res.status(403);
+    throw new Error('Not authorized');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      orderNumber: order.orderNumber,
+      status: order.status,
+      shipments: order.shipments.map((shipment) => formatShipment(shipment, order)),
+      unshippedItems: getUnshippedItems(order),
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Create a shipment for some (or all remaining) items
+// @route   POST /api/orders/:id/shipments
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: {
+//   items: [{ orderItemId, quantity }],   (optional - everything not sent yet)
+//   book: true, courier,                  (book with a courier adapter)
+//   courierCompany, trackingNumber, trackingUrl, shipped,  (or by hand)
+//   notes
+// }
+
+const createShipment = asyncHandler(async (req, res) => {
+  const orderId = parseOrderId(req, res);
+  const { items, book, courier: courierName, courierCompany, trackingNumber, trackingUrl, shipped, notes } =
+    req.body;
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      ...FULFILLMENT_INCLUDE,
+      items: { include: { product: { select: { specifications: true } } } },
+    },
+  });
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const canShip = checkCanShip(order);
+  if (canShip) {
+    res.status(400);
+    throw new Error(canShip);
+  }
+
+  const plan = planShipmentItems(order, items);
+  if (plan.error) {
+    res.status(400);
+    throw new Error(plan.error);
+  }
+
+  let fields;
+
+  if (book) {
+    // -------------------------------------------------------------------------
+    // Book with the courier
+    // -------------------------------------------------------------------------
+
+    const courier = getBookingCourier(courierName);
+
+    if (!courier) {
+      res.status(400);
+      throw new Error('No courier available. Set DEFAULT_COURIER or choose one from GET /api/couriers');
+    }
+
+    const weightGrams = plan.items.reduce((sum, planned) => {
+      const orderItem = order.items.find((item) => item.id === planned.orderItemId);
+      return sum + getProductWeightGrams(orderItem.product?.specifications) * planned.quantity;
+    }, 0);
+
+    const codAmount = getCodAmount(order, plan.completesOrder);
+    let booking;
+
+    try {
+      booking = await courier.bookShipment({
+        order,
+        weightKg: Math.round(weightGrams) / 1000,
+        pieces: plan.items.reduce((sum, item) => sum + item.quantity, 0),
+        codAmount,
+      });
+    } catch (error) {
+      console.error(`${courier.name} booking for order ${order.id} failed:`, error.message);
+      res.status(502);
+      throw new Error(`${courier.displayName} could not book the shipment, please try again`);
+    }
+
+    fields = {
+      status: 'PENDING',
+      courierProvider: courier.name,
+      courierCompany: courier.displayName,
+      courierReference: booking.reference || null,
+      trackingNumber: booking.trackingNumber,
+      trackingUrl: booking.trackingUrl || null,
+      labelUrl: booking.labelUrl || null,
+      bookedAt: new Date(),
+      codAmount,
+    };
+  } else {
+    fields = {
+      status: shipped === false ? 'PENDING' : 'SHIPPED',
+      courierCompany: courierCompany || null,
+      trackingNumber: trackingNumber || null,
+      trackingUrl: trackingUrl || null,
+      codAmount: getCodAmount(order, plan.completesOrder),
+    };
+  }
+
+  const result = await createOrderShipment(order, plan.items, { ...fields, notes: notes || null }, {
+    actorId: req.user.id,
+  });
+
+  if (result.error) {
+    res.status(result.statusCode);
+    throw new Error(result.error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Shipment ${result.shipment.shipmentNumber} created`,
+    data: {
+      shipment: formatShipment(result.shipment, order),
+      orderStatus: result.order.status,
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Update a shipment's status
+// @route   PUT /api/orders/:id/shipments/:shipmentId/status
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { status: SHIPPED | DELIVERED | RETURNED | CANCELLED, description, location }
+// Shipments booked with a courier normally move by its webhooks.
+
+const updateShipmentStatus = asyncHandler(async (req, res) => {
+  const shipment = await loadShipment(req, res);
+  const { status, description, location } = req.body;
+
+  if (!status) {
+    res.status(400);
+    throw new Error('Status is required');
+  }
+
+  const result = await moveShipment(shipment.id, String(status).toUpperCase(), {
+    actorId: req.user.id,
+    description,
+    location,
+  });
+
+  if (result.error) {
+    res.status(result.statusCode);
+    throw new Error(result.error);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Shipment ${shipment.shipmentNumber} is now ${result.shipment.status}`,
+    data: {
+      shipment: formatShipment(result.shipment, result.order),
+      orderStatus: result.order.status,
+      // The shipment moved, but the order could not follow (admins notified)
+      orderStatusError: result.syncError,
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Shipping label for a shipment booked with a courier
+// @route   GET /api/orders/:id/shipments/:shipmentId/label
+// @access  Private/Admin
+// =============================================================================
+
+const getShipmentLabel = asyncHandler(async (req, res) => {
+  const shipment = await loadShipment(req, res);
+
+  if (!shipment.courierProvider) {
+    res.status(404);
+    throw new Error('This shipment was not booked with a courier');
+  }
+
+  const courier = getCourier(shipment.courierProvider);
+
+  if (courier && courier.getLabel) {
+    const order = await prisma.order.findUnique({
+      where: { id: shipment.orderId },
+      include: { user: { select: { name: true } } },
+    });
+
+    const label = await courier.getLabel({ order, shipment, codAmount: shipment.codAmount });
+
+    res.setHeader('Content-Type', label.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="label-${shipment.shipmentNumber}.pdf"`);
+    return res.send(label.data);
+  }
+
+  if (shipment.labelUrl) {
+    return res.redirect(shipment.labelUrl);
+  }
+
+  res.status(404);
+  throw new Error('The courier did not provide a label for this shipment');
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getOrderShipments,
+  createShipment,
+  updateShipmentStatus,
+  getShipmentLabel,
+};
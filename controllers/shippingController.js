@@ -0,0 +1,283 @@
+// =============================================================================
+// SHIPPING CONTROLLER - Shipping Zones & Rates (Admin)
+// =============================================================================
+//
+// Admins define where we ship and what it costs. Zone matching and the
+// cost calculation live in utils/shipping.js.
+//
+// Only one zone can be the default (fallback) zone at a time.
+//
+// =============================================================================
+
+const { Prisma } = require('@prisma/client');
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+const RATE_TYPES = ['FLAT', 'PER_ITEM', 'WEIGHT'];
+
+// =============================================================================
+// HELPER: Validate request body and build Prisma data
+// =============================================================================
+//
+// Used by create (required fields must be present) and update (only the
+// fields sent are changed). Sends 400 and throws on invalid input.
+
+const buildZoneData = (body, res, { isUpdate = false } = {}) => {
+  const data = {};
+
+  const fail = (message) => {
+    res.status(400);
+    throw new Error(message);
+  };
+
+  const parseAmount = (value, field) => {
+    const number = parseFloat(value);
+    if (isNaN(number) || number < 0) fail(`${field} must be a valid positive number`);
+    return number;
+  };
+
+  // Array of place names (null/[] clears the list - Prisma.DbNull, since a
+  // Json column rejects plain null)
+  const parsePlaces = (value, field) => {
+    if (value === null || (Array.isArray(value) && value.length === 0)) return Prisma.DbNull;
+    if (!Array.isArray(value)) fail(`${field} must be an array`);
+    const places = value.map((place) => String(place).trim()).filter(Boolean);
+    return places.length > 0 ? places : Prisma.DbNull;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Required on create
+  // ---------------------------------------------------------------------------
+
+  if (!isUpdate && (!body.name || body.baseRate === undefined)) {
+    fail('Please provide name and baseRate');
+  }
+
+  if (body.name !== undefined) {
+    data.name = String(body.name).trim();
+    if (!data.name) fail('Name cannot be empty');
+  }
+
+  if (body.baseRate !== undefined) data.baseRate = parseAmount(body.baseRate, 'Base rate');
+
+  // ---------------------------------------------------------------------------
+  // Optional fields
+  // ---------------------------------------------------------------------------
+
+  if (body.rateType !== undefined) {
+    data.rateType = String(body.rateType).toUpperCase();
+    if (!RATE_TYPES.includes(data.rateType)) {
+      fail(`Invalid rate type. Valid options: ${RATE_TYPES.join(', ')}`);
+    }
+  }
+
+  if (body.additionalRate !== undefined) data.additionalRate = parseAmount(body.additionalRate, 'Additional rate');
+
+  if (body.freeShippingThreshold !== undefined) {
+    data.freeShippingThreshold =
+      body.freeShippingThreshold === null || body.freeShippingThreshold === ''
+        ? null
+        : parseAmount(body.freeShippingThreshold, 'Free shipping threshold');
+  }
+
+  if (body.cities !== undefined) data.cities = parsePlaces(body.cities, 'Cities');
+  if (body.provinces !== undefined) data.provinces = parsePlaces(body.provinces, 'Provinces');
+  if (body.estimatedDays !== undefined) data.estimatedDays = body.estimatedDays || null;
+  if (body.isDefault !== undefined) data.isDefault = body.isDefault === true || body.isDefault === 'true';
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true';
+
+  return data;
+};
+
+/**
+ * A zone must cover something: cities, provinces, or be the default zone
+ */
+const validateZoneCoverage = (zone, res) => {
+  const hasCities = Array.isArray(zone.cities) && zone.cities.length > 0;
+  const hasProvinces = Array.isArray(zone.provinces) && zone.provinces.length > 0;
+
+  if (!hasCities && !hasProvinces && !zone.isDefault) {
+    res.status(400);
+    throw new Error('A zone needs at least one city or province, or must be the default zone');
+  }
+};
+
+// =============================================================================
+// @desc    Get all shipping zones
+// @route   GET /api/shipping/zones
+// @access  Private/Admin
+// =============================================================================
+
+const getShippingZones = asyncHandler(async (req, res) => {
+  const { isActive } = req.query;
+
+  const where = {};
+
+  if (isActive !== undefined) {
+    where.isActive = isActive === 'true';
+  }
+
+  const zones = await prisma.shippingZone.findMany({
+    where,
+    orderBy: [{ isDefault: 'asc' }, { name: 'asc' }],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: zones.length,
+    data: zones,
+  });
+});
+
+// =============================================================================
+// @desc    Get single shipping zone
+// @route   GET /api/shipping/zones/:id
+// @access  Private/Admin
+// =============================================================================
+
+const getShippingZone = asyncHandler(async (req, res) => {
+  const zoneId = parseInt(req.params.id);
+
+  if (isNaN(zoneId)) {
+    res.status(400);
+    throw new Error('Invalid shipping zone ID');
+  }
+
+  const zone = await prisma.shippingZone.findUnique({
+    where: { id: zoneId },
+  });
+
+  if (!zone) {
+    res.status(404);
+    throw new Error('Shipping zone not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: zone,
+  });
+});
+
+// =============================================================================
+// @desc    Create shipping zone
+// @route   POST /api/shipping/zones
+// @access  Private/Admin
+// =============================================================================
+
+const createShippingZone = asyncHandler(async (req, res) => {
+  const data = buildZoneData(req.body, res);
+  validateZoneCoverage(data, res);
+
+  const zone = await prisma.$transaction(async (tx) => {
+    // Only one default zone
+    if (data.isDefault) {
+      await tx.shippingZone.updateMany({
+        where: { isDefault: true },
+        data: { isDefault: false },
+      });
+    }
+
+    return tx.shippingZone.create({ data });
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Shipping zone "${zone.name}" created successfully`,
+    data: zone,
+  });
+});
+
+// =============================================================================
+// @desc    Update shipping zone
+// @route   PUT /api/shipping/zones/:id
+// @access  Private/Admin
+// =============================================================================
+//
+// Orders already placed keep the shipping cost they were charged.
+
+const updateShippingZone = asyncHandler(async (req, res) => {
+  const zoneId = parseInt(req.params.id);
+
+  if (isNaN(zoneId)) {
+    res.status(400);
+    throw new Error('Invalid shipping zone ID');
+  }
+
+  const zone = await prisma.shippingZone.findUnique({
+    where: { id: zoneId },
+  });
+
+  if (!zone) {
+    res.status(404);
+    throw new Error('Shipping zone not found');
+  }
+
+  const data = buildZoneData(req.body, res, { isUpdate: true });
+  validateZoneCoverage({ ...zone, ...data }, res);
+
+  const updatedZone = await prisma.$transaction(async (tx) => {
+    if (data.isDefault) {
+      await tx.shippingZone.updateMany({
+        where: { isDefault: true, id: { not: zoneId } },
+        data: { isDefault: false },
+      });
+    }
+
+    return tx.shippingZone.update({
+      where: { id: zoneId },
+      data,
+    });
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone updated successfully',
+    data: updatedZone,
+  });
+});
+
+// =============================================================================
+// @desc    Delete shipping zone
+// @route   DELETE /api/shipping/zones/:id
+// @access  Private/Admin
+// =============================================================================
+
+const deleteShippingZone = asyncHandler(async (req, res) => {
+  const zoneId = parseInt(req.params.id);
+
+  if (isNaN(zoneId)) {
+    res.status(400);
+    throw new Error('Invalid shipping zone ID');
+  }
+
+  const zone = await prisma.shippingZone.findUnique({
+    where: { id: zoneId },
+  });
+
+  if (!zone) {
+    res.status(404);
+    throw new Error('Shipping zone not found');
+  }
+
+  await prisma.shippingZone.delete({
+    where: { id: zoneId },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Shipping zone "${zone.name}" deleted successfully`,
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getShippingZones,
+  getShippingZone,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+};
@@ -7,10 +7,14 @@
 // - 5.9.2 Low Stock Alert (SRS-84, 85)
 // - 5.9.3 Stock History (SRS-86, 87)
 //
+// Products with variants keep stock per variant: changes name the
+// variantId, and the product's stock is their total (utils/variants.js).
+//
 // =============================================================================
 
 const { prisma } = require('../config/db');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { findStockTarget, setVariantStock, syncProductStock } = require('../utils/variants');
 
 // =============================================================================
 // @desc    Get all stock levels
@@ -54,6 +58,10 @@ const getStockLevels = asyncHandler(async (req, res) => {
         images: true,
         isActive: true,
         updatedAt: true,
+        variants: {
+          select: { id: true, sku: true, name: true, stock: true, isActive: true },
+          orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+        },
       },
       orderBy: { [sortBy]: sortOrder },
       skip,
@@ -102,10 +110,12 @@ const getStockLevels = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 // =============================================================================
 // Based on SRS-82, SRS-83: Admin updates stock levels
+// Body: { quantity, operation, variantId } - variantId is required for
+// products with variants
 
 const updateStock = asyncHandler(async (req, res) => {
   const productId = parseInt(req.params.productId);
-  const { quantity, operation = 'set' } = req.body;
+  const { quantity, operation = 'set', variantId } = req.body;
   // operation: 'set' (set exact value), 'add' (increase), 'subtract' (decrease)
 
   if (isNaN(productId)) {
@@ -118,22 +128,23 @@ const updateStock = asyncHandler(async (req, res) => {
     throw new Error('Quantity is required');
   }
 
-  const product = await prisma.product.findUnique({
-    where: { id: productId },
-  });
+  const target = await findStockTarget(productId, variantId);
 
-  if (!product) {
-    res.status(404);
-    throw new Error('Product not found');
+  if (target.error) {
+    res.status(target.statusCode);
+    throw new Error(target.error);
   }
 
+  const { product, variant } = target;
+  const currentStock = variant ? variant.stock : product.stock;
+
   let newStock;
   switch (operation) {
     case 'add':
-      newStock = product.stock + parseInt(quantity);
+      newStock = currentStock + parseInt(quantity);
       break;
     case 'subtract':
-      newStock = product.stock - parseInt(quantity);
+      newStock = currentStock - parseInt(quantity);
       if (newStock < 0) {
         res.status(400);
         throw new Error('Insufficient stock');
@@ -148,6 +159,21 @@ const updateStock = asyncHandler(async (req, res) => {
       }
   }
 
+  if (variant) {
+    const result = await prisma.$transaction((tx) =>
+      setVariantStock(tx, variant, newStock, {
+        reason: `Stock ${operation} operation`,
+        changedById: req.user.id,
+      })
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `Stock of ${product.name} (${variant.name}) updated successfully. New stock: ${newStock} (SRS-83)`,
+      data: result.variant,
+    });
+  }
+
   // Update stock and log the change in a transaction
   const result = await prisma.$transaction(async (tx) => {
     const updatedProduct = await tx.product.update({
@@ -217,6 +243,23 @@ const getLowStockAlerts = asyncHandler(async (req, res) => {
   const criticalLow = lowStockProducts.filter(p => p.stock > 0 && p.stock <= 5);
   const low = lowStockProducts.filter(p => p.stock > 5 && p.stock <= threshold);
 
+  // A product can have plenty in total while one of its variants runs out
+  const lowStockVariants = await prisma.productVariant.findMany({
+    where: {
+      isActive: true,
+      stock: { lte: parseInt(threshold) },
+      product: { isActive: true },
+    },
+    select: {
+      id: true,
+      sku: true,
+      name: true,
+      stock: true,
+      product: { select: { id: true, name: true, category: true } },
+    },
+    orderBy: { stock: 'asc' },
+  });
+
   res.status(200).json({
     success: true,
     message: `Found ${lowStockProducts.length} products with low stock (SRS-85)`,
@@ -233,6 +276,10 @@ const getLowStockAlerts = asyncHandler(async (req, res) => {
         count: low.length,
         products: low,
       },
+      variants: {
+        count: lowStockVariants.length,
+        variants: lowStockVariants,
+      },
     },
     totalAlerts: lowStockProducts.length,
   });
@@ -246,22 +293,56 @@ const getLowStockAlerts = asyncHandler(async (req, res) => {
 
 const bulkUpdateStock = asyncHandler(async (req, res) => {
   const { updates } = req.body;
-  // updates: [{ productId: 1, quantity: 50 }, ...]
+  // updates: [{ productId: 1, quantity: 50 }, { productId: 2, variantId: 7, quantity: 10 }, ...]
 
   if (!updates || !Array.isArray(updates) || updates.length === 0) {
     res.status(400);
     throw new Error('Updates array is required');
   }
 
-  const results = await prisma.$transaction(
-    updates.map(({ productId, quantity }) =>
-      prisma.product.update({
-        where: { id: parseInt(productId) },
-        data: { stock: parseInt(quantity) },
-        select: { id: true, name: true, stock: true },
-      })
-    )
-  );
+  // Check every line before changing anything
+  const targets = [];
+  for (const { productId, variantId, quantity } of updates) {
+    const target = await findStockTarget(parseInt(productId), variantId);
+
+    if (target.error) {
+      res.status(target.statusCode);
+      throw new Error(`Product ${productId}: ${target.error}`);
+    }
+
+    targets.push({ ...target, quantity: parseInt(quantity) });
+  }
+
+  const results = await prisma.$transaction(async (tx) => {
+    const updated = [];
+
+    for (const { product, variant, quantity } of targets) {
+      if (variant) {
+        await tx.productVariant.update({
+          where: { id: variant.id },
+          data: { stock: quantity },
+        });
+        await syncProductStock(tx, product.id);
+        updated.push({
+          id: product.id,
+          name: product.name,
+          variantId: variant.id,
+          variantName: variant.name,
+          stock: quantity,
+        });
+      } else {
+        updated.push(
+          await tx.product.update({
+            where: { id: product.id },
+            data: { stock: quantity },
+            select: { id: true, name: true, stock: true },
+          })
+        );
+      }
+    }
+
+    return updated;
+  });
 
   res.status(200).json({
     success: true,
@@ -0,0 +1,259 @@
+// =============================================================================
+// TAX CONTROLLER - Tax Rules (Admin)
+// =============================================================================
+//
+// Admins define tax rates by province and product category.
+// Rule selection and the per-item calculation live in utils/tax.js.
+//
+// =============================================================================
+
+const { Prisma } = require('@prisma/client');
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+const VALID_CATEGORIES = [
+  'JEWELRY',
+  'HOME_DECOR',
+  'COASTERS',
+  'KEYCHAINS',
+  'WALL_ART',
+  'TRAYS',
+  'BOOKMARKS',
+  'PHONE_CASES',
+  'CLOCKS',
+  'CUSTOM',
+];
+
+// =============================================================================
+// HELPER: Validate request body and build Prisma data
+// =============================================================================
+//
+// Used by create (required fields must be present) and update (only the
+// fields sent are changed). Sends 400 and throws on invalid input.
+
+const buildTaxRuleData = (body, res, { isUpdate = false } = {}) => {
+  const data = {};
+
+  const fail = (message) => {
+    res.status(400);
+    throw new Error(message);
+  };
+
+  // ---------------------------------------------------------------------------
+  // Required on create
+  // ---------------------------------------------------------------------------
+
+  if (!isUpdate && (!body.name || body.rate === undefined)) {
+    fail('Please provide name and rate');
+  }
+
+  if (body.name !== undefined) {
+    data.name = String(body.name).trim();
+    if (!data.name) fail('Name cannot be empty');
+  }
+
+  if (body.rate !== undefined) {
+    data.rate = parseFloat(body.rate);
+    if (isNaN(data.rate) || data.rate < 0 || data.rate > 100) {
+      fail('Rate must be a percentage between 0 and 100');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Optional fields
+  // ---------------------------------------------------------------------------
+
+  if (body.isInclusive !== undefined) data.isInclusive = body.isInclusive === true || body.isInclusive === 'true';
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true';
+
+  if (body.priority !== undefined) {
+    data.priority = parseInt(body.priority);
+    if (isNaN(data.priority)) fail('Priority must be a whole number');
+  }
+
+  // Scope: provinces (none = nationwide; a Json column is cleared with
+  // Prisma.DbNull, plain null is rejected)
+  if (body.provinces !== undefined) {
+    if (body.provinces === null || body.provinces.length === 0) {
+      data.provinces = Prisma.DbNull;
+    } else {
+      if (!Array.isArray(body.provinces)) fail('Provinces must be an array');
+      data.provinces = body.provinces.map((p) => String(p).trim()).filter(Boolean);
+    }
+  }
+
+  // Scope: categories
+  if (body.categories !== undefined) {
+    if (body.categories === null || body.categories.length === 0) {
+      data.categories = Prisma.DbNull;
+    } else {
+      if (!Array.isArray(body.categories)) fail('Categories must be an array');
+      data.categories = body.categories.map((c) => String(c).toUpperCase());
+      const invalid = data.categories.filter((c) => !VALID_CATEGORIES.includes(c));
+      if (invalid.length > 0) {
+        fail(`Invalid category. Valid options: ${VALID_CATEGORIES.join(', ')}`);
+      }
+    }
+  }
+
+  return data;
+};
+
+// =============================================================================
+// @desc    Get all tax rules
+// @route   GET /api/tax/rules
+// @access  Private/Admin
+// =============================================================================
+
+const getTaxRules = asyncHandler(async (req, res) => {
+  const { isActive } = req.query;
+
+  const where = {};
+
+  if (isActive !== undefined) {
+    where.isActive = isActive === 'true';
+  }
+
+  const rules = await prisma.taxRule.findMany({
+    where,
+    orderBy: [{ priority: 'desc' }, { name: 'asc' }],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules,
+  });
+});
+
+// =============================================================================
+// @desc    Get single tax rule
+// @route   GET /api/tax/rules/:id
+// @access  Private/Admin
+// =============================================================================
+
+const getTaxRule = asyncHandler(async (req, res) => {
+  const ruleId = parseInt(req.params.id);
+
+  if (isNaN(ruleId)) {
+    res.status(400);
+    throw new Error('Invalid tax rule ID');
+  }
+
+  const rule = await prisma.taxRule.findUnique({
+    where: { id: ruleId },
+  });
+
+  if (!rule) {
+    res.status(404);
+    throw new Error('Tax rule not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule,
+  });
+});
+
+// =============================================================================
+// @desc    Create tax rule
+// @route   POST /api/tax/rules
+// @access  Private/Admin
+// =============================================================================
+
+const createTaxRule = asyncHandler(async (req, res) => {
+  const data = buildTaxRuleData(req.body, res);
+
+  const rule = await prisma.taxRule.create({ data });
+
+  res.status(201).json({
+    success: true,
+    message: `Tax rule "${rule.name}" created successfully`,
+    data: rule,
+  });
+});
+
+// =============================================================================
+// @desc    Update tax rule
+// @route   PUT /api/tax/rules/:id
+// @access  Private/Admin
+// =============================================================================
+//
+// Orders already placed keep the tax stored on their items.
+
+const updateTaxRule = asyncHandler(async (req, res) => {
+  const ruleId = parseInt(req.params.id);
+
+  if (isNaN(ruleId)) {
+    res.status(400);
+    throw new Error('Invalid tax rule ID');
+  }
+
+  const rule = await prisma.taxRule.findUnique({
+    where: { id: ruleId },
+  });
+
+  if (!rule) {
+    res.status(404);
+    throw new Error('Tax rule not found');
+  }
+
+  const data = buildTaxRuleData(req.body, res, { isUpdate: true });
+
+  const updatedRule = await prisma.taxRule.update({
+    where: { id: ruleId },
+    data,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rule updated successfully',
+    data: updatedRule,
+  });
+});
+
+// =============================================================================
+// @desc    Delete tax rule
+// @route   DELETE /api/tax/rules/:id
+// @access  Private/Admin
+// =============================================================================
+
+const deleteTaxRule = asyncHandler(async (req, res) => {
+  const ruleId = parseInt(req.params.id);
+
+  if (isNaN(ruleId)) {
+    res.status(400);
+    throw new Error('Invalid tax rule ID');
+  }
+
+  const rule = await prisma.taxRule.findUnique({
+    where: { id: ruleId },
+  });
+
+  if (!rule) {
+    res.status(404);
+    throw new Error('Tax rule not found');
+  }
+
+  await prisma.taxRule.delete({
+    where: { id: ruleId },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Tax rule "${rule.name}" deleted successfully`,
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getTaxRules,
+  getTaxRule,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+};
@@ -0,0 +1,359 @@
+// =============================================================================
+// TWO-FACTOR CONTROLLER - 2FA Enrollment & Management
+// =============================================================================
+//
+// Lets a logged-in user turn two-factor authentication on and off.
+// The login side (asking for the code) lives in authController.
+//
+// ENROLLMENT FLOW:
+// 1. POST /api/auth/2fa/setup   { method }  -> TOTP: secret + QR URL
+//                                             EMAIL: code sent by email
+// 2. POST /api/auth/2fa/enable  { code }    -> 2FA on, backup codes returned
+//
+// Disabling 2FA needs the password AND a code (or a backup code).
+//
+// Backup codes are shown ONCE - only their hashes are stored.
+//
+// =============================================================================
+
+const bcrypt = require('bcryptjs');
+const { Prisma } = require('@prisma/client');
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+const {
+  generateTotpSecret,
+  getOtpAuthUrl,
+  generateBackupCodes,
+  sendEmailOtp,
+  verifyTwoFactorCode,
+} = require('../utils/twoFactor');
+
+const {
+  revokeAllSessions,
+  markSessionTwoFactorVerified,
+} = require('../utils/sessionStore');
+
+const TWO_FACTOR_METHODS = ['TOTP', 'EMAIL'];
+
+// =============================================================================
+// @desc    Get 2FA status
+// @route   GET /api/auth/2fa
+// @access  Private
+// =============================================================================
+
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: {
+      twoFactorEnabled: true,
+      twoFactorMethod: true,
+      twoFactorBackupCodes: true,
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: user.twoFactorEnabled,
+      method: user.twoFactorEnabled ? user.twoFactorMethod : null,
+      backupCodesRemaining: Array.isArray(user.twoFactorBackupCodes)
+        ? user.twoFactorBackupCodes.length
+        : 0,
+      // Is 2FA mandatory for this account?
+      required:
+        req.user.role === 'ADMIN' && process.env.REQUIRE_ADMIN_2FA === 'true',
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Start 2FA setup
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+// =============================================================================
+//
+// TOTP:  returns a secret and an otpauth:// URL. The frontend shows the URL
+//        as a QR code; the user scans it with an authenticator app.
+// EMAIL: sends a 6-digit code to the user's email.
+//
+// Either way, 2FA is NOT active until the code is confirmed via /enable.
+
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const method = (req.body.method || '').toUpperCase();
+
+  if (!TWO_FACTOR_METHODS.includes(method)) {
+    res.status(400);
+    throw new Error(`Method must be one of: ${TWO_FACTOR_METHODS.join(', ')}`);
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+  if (user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already enabled. Disable it first to change method.');
+  }
+
+  // ---------------------------------------------------------------------------
+  // TOTP: new secret for the authenticator app
+  // ---------------------------------------------------------------------------
+
+  if (method === 'TOTP') {
+    const secret = generateTotpSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorMethod: 'TOTP',
+        twoFactorSecret: secret,
+        twoFactorLastUsedStep: null,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+      data: {
+        method,
+        secret, // For manual entry if the QR code can't be scanned
+        otpauthUrl: getOtpAuthUrl(secret, user.email),
+      },
+    });
+    return;
+  }
+
+  // ---------------------------------------------------------------------------
+  // EMAIL: send a code to confirm the user receives our emails
+  // ---------------------------------------------------------------------------
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorMethod: 'EMAIL', twoFactorSecret: null },
+  });
+
+  try {
+    await sendEmailOtp(user);
+  } catch (error) {
+    console.error('Failed to send 2FA code:', error.message);
+    res.status(500);
+    throw new Error('Failed to send verification code. Please try again later.');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `A verification code has been sent to ${user.email}`,
+    data: { method },
+  });
+});
+
+// =============================================================================
+// @desc    Confirm setup and enable 2FA
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+// =============================================================================
+//
+// The code proves the authenticator app (or email) works.
+// Other sessions are logged out - they never passed a 2FA check.
+
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    res.status(400);
+    throw new Error('Verification code is required');
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+  if (user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  if (!user.twoFactorMethod) {
+    res.status(400);
+    throw new Error('Please start setup first (POST /api/auth/2fa/setup)');
+  }
+
+  // Backup codes don't exist yet - only the real method counts
+  const result = await verifyTwoFactorCode(user, code, { allowBackupCode: false });
+
+  if (!result.valid) {
+    res.status(400);
+    throw new Error(result.error);
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorEnabled: true,
+      twoFactorBackupCodes: hashes,
+    },
+  });
+
+  await markSessionTwoFactorVerified(req.sessionId);
+  await revokeAllSessions(user.id, 'TWO_FACTOR_ENABLED', req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Save your backup codes somewhere safe - they will not be shown again.',
+    data: {
+      method: user.twoFactorMethod,
+      backupCodes: codes,
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Email a fresh code (EMAIL method only)
+// @route   POST /api/auth/2fa/send-code
+// @access  Private
+// =============================================================================
+//
+// Email codes are otherwise only sent at login. Users of the EMAIL method
+// call this first when disabling 2FA or regenerating backup codes.
+
+const sendTwoFactorCode = asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+  if (user.twoFactorMethod !== 'EMAIL') {
+    res.status(400);
+    throw new Error('Email codes are only used with the EMAIL method');
+  }
+
+  try {
+    await sendEmailOtp(user);
+  } catch (error) {
+    console.error('Failed to send 2FA code:', error.message);
+    res.status(500);
+    throw new Error('Failed to send verification code. Please try again later.');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `A verification code has been sent to ${user.email}`,
+  });
+});
+
+// =============================================================================
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+// =============================================================================
+//
+// Requires BOTH the password and a current code (or backup code), so a
+// stolen session alone can't switch 2FA off.
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    res.status(400);
+    throw new Error('Please provide your password and a verification code');
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+  if (!user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  const isPasswordValid = await bcrypt.compare(password, user.password);
+
+  if (!isPasswordValid) {
+    res.status(401);
+    throw new Error('Password is incorrect');
+  }
+
+  const result = await verifyTwoFactorCode(user, code);
+
+  if (!result.valid) {
+    res.status(401);
+    throw new Error(result.error);
+  }
+
+  // Json column: Prisma.DbNull stores SQL NULL (plain null is rejected)
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorEnabled: false,
+      twoFactorMethod: null,
+      twoFactorSecret: null,
+      twoFactorLastUsedStep: null,
+      twoFactorOtpHash: null,
+      twoFactorOtpExpire: null,
+      twoFactorBackupCodes: Prisma.DbNull,
+    },
+    select: { twoFactorEnabled: true },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+    data: {
+      enabled: updated.twoFactorEnabled,
+      backupCodesRemaining: 0,
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Generate a new set of backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+// =============================================================================
+//
+// Old backup codes stop working. Requires a current code.
+
+const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    res.status(400);
+    throw new Error('Verification code is required');
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+  if (!user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  const result = await verifyTwoFactorCode(user, code, { allowBackupCode: false });
+
+  if (!result.valid) {
+    res.status(401);
+    throw new Error(result.error);
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorBackupCodes: hashes },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'New backup codes generated. Your old codes no longer work.',
+    data: { backupCodes: codes },
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  sendTwoFactorCode,
+  disableTwoFactor,
+  regenerateBackupCodes,
+};
@@ -142,6 +142,9 @@ const getUser = asyncHandler(async (req, res) => {
       role: true,
       status: true,
       profileImage: true,
+      // Login lockout state (see PUT /api/users/:id/unlock)
+      failedLoginAttempts: true,
+      lockedUntil: true,
       createdAt: true,
       updatedAt: true,
       // Order history
@@ -323,6 +326,68 @@ const unblockUser = asyncHandler(async (req, res) => {
   });
 });
 
+// =============================================================================
+// @desc    Unlock a user locked out by failed logins (Admin)
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Admin
+// =============================================================================
+// 
+// Accounts are locked automatically after too many wrong passwords (or
+// wrong 2FA codes). The lock expires on its own; this lets an admin lift it
+// early, e.g., after the user called support.
+
+const unlockUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = parseInt(id);
+  
+  if (isNaN(userId)) {
+    res.status(400);
+    throw new Error('Invalid user ID');
+  }
+  
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+  
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  
+  const now = new Date();
+  const isLocked =
+    (user.lockedUntil && user.lockedUntil > now) ||
+    (user.twoFactorLockedUntil && user.twoFactorLockedUntil > now);
+  
+  if (!isLocked) {
+    res.status(400);
+    throw new Error('User account is not locked');
+  }
+  
+  const unlockedUser = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      lockoutCount: 0,
+      twoFactorFailedAttempts: 0,
+      twoFactorLockedUntil: null,
+    },
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      status: true,
+    },
+  });
+  
+  res.status(200).json({
+    success: true,
+    message: `User "${unlockedUser.name}" has been unlocked and can log in again.`,
+    data: unlockedUser,
+  });
+});
+
 // =============================================================================
 // @desc    Get blocked users (Admin)
 // @route   GET /api/users/blocked
@@ -628,6 +693,7 @@ module.exports = {
   getUser,
   blockUser,
   unblockUser,
+  unlockUser,
   getBlockedUsers,
   updateUserRole,
   deleteUser,
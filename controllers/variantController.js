@@ -0,0 +1,378 @@
+// =============================================================================
+// VARIANT CONTROLLER - Product Variants (colors, sizes, ...)
+// =============================================================================
+//
+// A product with variants is sold per variant: each has its own SKU, stock
+// and optionally its own price (see utils/variants.js).
+//
+// - Adding the first variant replaces the product's own stock with the
+//   variants' total
+// - Variant stock is changed like product stock, with variantId, through
+//   /api/stock and /api/inventory (so every change is logged)
+// - A variant that has been ordered is switched off instead of deleted
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { normalizeOptions, describeOptions, syncProductStock } = require('../utils/variants');
+
+// Parse :id or send 400, then load the product or send 404
+const loadProduct = async (req, res) => {
+  const productId = parseInt(req.params.id);
+
+  if (isNaN(productId)) {
+    res.status(400);
+    throw new Error('Invalid product ID');
+  }
+
+  const product = await prisma.product.findUnique({ where: { id: productId } });
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  return product;
+};
+
+// Load a variant of the product in the URL or send 404
+const loadVariant = async (req, res, product) => {
+  const variantId = parseInt(req.params.variantId);
+
+  const variant = isNaN(variantId)
+    ? null
+    : await prisma.productVariant.findUnique({ where: { id: variantId } });
+
+  if (!variant || variant.productId !== product.id) {
+    res.status(404);
+    throw new Error('Variant not found');
+  }
+
+  return variant;
+};
+
+// Price fields from the body: undefined = not sent, null = use the product's
+const parsePrice = (value, label, res) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const price = parseFloat(value);
+
+  if (isNaN(price) || price < 0) {
+    res.status(400);
+    throw new Error(`${label} must be a valid positive number`);
+  }
+
+  return price;
+};
+
+// Another variant of the product with exactly these options?
+const findSameOptions = async (productId, options, exceptId) => {
+  const siblings = await prisma.productVariant.findMany({
+    where: { productId, id: exceptId ? { not: exceptId } : undefined },
+    select: { id: true, name: true, options: true },
+  });
+
+  const key = JSON.stringify(Object.entries(options).sort());
+
+  return siblings.find((variant) => JSON.stringify(Object.entries(variant.options).sort()) === key);
+};
+
+// =============================================================================
+// @desc    Get a product's variants
+// @route   GET /api/products/:id/variants
+// @access  Public (admins also see inactive variants)
+// =============================================================================
+
+const getProductVariants = asyncHandler(async (req, res) => {
+  const product = await loadProduct(req, res);
+  const isAdmin = req.user && req.user.role === 'ADMIN';
+
+  if (!product.isActive && !isAdmin) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  const variants = await prisma.productVariant.findMany({
+    where: { productId: product.id, ...(isAdmin ? {} : { isActive: true }) },
+    orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+  });
+
+  // Option names and their values, for building the picker
+  const optionValues = {};
+  variants.forEach((variant) => {
+    Object.entries(variant.options).forEach(([name, value]) => {
+      optionValues[name] = optionValues[name] || [];
+      if (!optionValues[name].includes(value)) optionValues[name].push(value);
+    });
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      productId: product.id,
+      options: optionValues,
+      variants: variants.map((variant) => ({
+        ...variant,
+        inStock: variant.stock > 0,
+      })),
+    },
+  });
+});
+
+// =============================================================================
+// @desc    Add a variant to a product
+// @route   POST /api/products/:id/variants
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { sku, options: { color: 'Blue' }, name, price, discountPrice,
+//         stock, sortOrder }
+// name defaults to the option values ("Blue / Large"); price and
+// discountPrice default to the product's.
+
+const createVariant = asyncHandler(async (req, res) => {
+  const product = await loadProduct(req, res);
+  const { sku, options, name, stock = 0, sortOrder = 0 } = req.body;
+
+  if (!sku || !String(sku).trim()) {
+    res.status(400);
+    throw new Error('SKU is required');
+  }
+
+  const normalized = normalizeOptions(options);
+  if (normalized.error) {
+    res.status(400);
+    throw new Error(normalized.error);
+  }
+
+  const price = parsePrice(req.body.price, 'Price', res);
+  const discountPrice = parsePrice(req.body.discountPrice, 'Discount price', res);
+
+  if (discountPrice && !price) {
+    res.status(400);
+    throw new Error('A variant discount price needs a variant price');
+  }
+
+  const initialStock = parseInt(stock);
+  if (isNaN(initialStock) || initialStock < 0) {
+    res.status(400);
+    throw new Error('Stock cannot be negative');
+  }
+
+  const duplicate = await findSameOptions(product.id, normalized.options);
+  if (duplicate) {
+    res.status(409);
+    throw new Error(`Variant "${duplicate.name}" already has these options`);
+  }
+
+  let variant;
+
+  try {
+    variant = await prisma.$transaction(async (tx) => {
+      const created = await tx.productVariant.create({
+        data: {
+          productId: product.id,
+          sku: String(sku).trim(),
+          options: normalized.options,
+          name: name ? String(name).trim() : describeOptions(normalized.options),
+          price: price ?? null,
+          discountPrice: discountPrice ?? null,
+          stock: initialStock,
+          sortOrder: parseInt(sortOrder) || 0,
+        },
+      });
+
+      if (initialStock > 0) {
+        await tx.inventoryLog.create({
+          data: {
+            productId: product.id,
+            variantId: created.id,
+            previousStock: 0,
+            newStock: initialStock,
+            changeAmount: initialStock,
+            changeType: 'RESTOCK',
+            reason: `Opening stock for variant ${created.name}`,
+            changedById: req.user.id,
+          },
+        });
+      }
+
+      await syncProductStock(tx, product.id);
+
+      return created;
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      res.status(409);
+      throw new Error(`SKU ${sku} is already in use`);
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Variant ${variant.name} added to ${product.name}`,
+    data: variant,
+  });
+});
+
+// =============================================================================
+// @desc    Update a variant
+// @route   PUT /api/products/:id/variants/:variantId
+// @access  Private/Admin
+// =============================================================================
+//
+// Body: { sku, options, name, price, discountPrice, isActive, sortOrder }
+// Send price: null to go back to the product's price. Stock is changed
+// through /api/stock or /api/inventory with variantId.
+
+const updateVariant = asyncHandler(async (req, res) => {
+  const product = await loadProduct(req, res);
+  const variant = await loadVariant(req, res, product);
+  const { sku, options, name, isActive, sortOrder, stock } = req.body;
+
+  if (stock !== undefined) {
+    res.status(400);
+    throw new Error('Change variant stock through /api/inventory or /api/stock with variantId');
+  }
+
+  const data = {};
+
+  if (sku !== undefined) {
+    if (!String(sku).trim()) {
+      res.status(400);
+      throw new Error('SKU cannot be empty');
+    }
+    data.sku = String(sku).trim();
+  }
+
+  if (options !== undefined) {
+    const normalized = normalizeOptions(options);
+    if (normalized.error) {
+      res.status(400);
+      throw new Error(normalized.error);
+    }
+
+    const duplicate = await findSameOptions(product.id, normalized.options, variant.id);
+    if (duplicate) {
+      res.status(409);
+      throw new Error(`Variant "${duplicate.name}" already has these options`);
+    }
+
+    data.options = normalized.options;
+    // Keep the generated name in step unless one is given
+    if (name === undefined) data.name = describeOptions(normalized.options);
+  }
+
+  if (name !== undefined) {
+    data.name = name ? String(name).trim() : describeOptions(data.options || variant.options);
+  }
+
+  const price = parsePrice(req.body.price, 'Price', res);
+  const discountPrice = parsePrice(req.body.discountPrice, 'Discount price', res);
+  if (price !== undefined) data.price = price;
+  if (discountPrice !== undefined) data.discountPrice = discountPrice;
+
+  const finalPrice = data.price !== undefined ? data.price : variant.price;
+  const finalDiscount = data.discountPrice !== undefined ? data.discountPrice : variant.discountPrice;
+  if (finalDiscount && !finalPrice) {
+    res.status(400);
+    throw new Error('A variant discount price needs a variant price');
+  }
+
+  if (isActive !== undefined) data.isActive = isActive === true || isActive === 'true';
+  if (sortOrder !== undefined) data.sortOrder = parseInt(sortOrder) || 0;
+
+  let updated;
+
+  try {
+    updated = await prisma.$transaction(async (tx) => {
+      const saved = await tx.productVariant.update({
+        where: { id: variant.id },
+        data,
+      });
+
+      // Switching a variant on or off changes what the product has in stock
+      if (data.isActive !== undefined && data.isActive !== variant.isActive) {
+        await syncProductStock(tx, product.id);
+      }
+
+      return saved;
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      res.status(409);
+      throw new Error(`SKU ${sku} is already in use`);
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Variant ${updated.name} updated`,
+    data: updated,
+  });
+});
+
+// =============================================================================
+// @desc    Delete a variant
+// @route   DELETE /api/products/:id/variants/:variantId
+// @access  Private/Admin
+// =============================================================================
+//
+// Variants that were ordered are switched off instead, so past orders keep
+// pointing at them. Carts holding the variant lose that line.
+
+const deleteVariant = asyncHandler(async (req, res) => {
+  const product = await loadProduct(req, res);
+  const variant = await loadVariant(req, res, product);
+
+  const [orderCount, reservationCount] = await Promise.all([
+    prisma.orderItem.count({ where: { variantId: variant.id } }),
+    prisma.stockReservation.count({ where: { variantId: variant.id } }),
+  ]);
+
+  const deactivate = orderCount > 0 || reservationCount > 0;
+
+  await prisma.$transaction(async (tx) => {
+    if (deactivate) {
+      await tx.productVariant.update({
+        where: { id: variant.id },
+        data: { isActive: false },
+      });
+      await tx.cartItem.deleteMany({ where: { variantId: variant.id } });
+    } else {
+      await tx.productVariant.delete({ where: { id: variant.id } });
+
+      // Its units leave the product total (sync skips products left without variants)
+      if (variant.isActive && variant.stock > 0) {
+        await tx.product.update({
+          where: { id: product.id },
+          data: { stock: { decrement: variant.stock } },
+        });
+      }
+    }
+
+    await syncProductStock(tx, product.id);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: deactivate
+      ? `Variant ${variant.name} has orders, so it was switched off instead of deleted`
+      : `Variant ${variant.name} deleted`,
+  });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getProductVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+};
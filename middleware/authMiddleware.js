@@ -33,6 +33,9 @@ const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/db');
 // Prisma client for database queries
 
+const { getActiveSession, isSessionActive } = require('../utils/sessionStore');
+// Server-side session check (lets logout revoke tokens before they expire)
+
 // =============================================================================
 // PROTECT MIDDLEWARE - Verify User is Logged In
 // =============================================================================
@@ -40,8 +43,9 @@ const { prisma } = require('../config/db');
 // This middleware:
 // 1. Extracts JWT from Authorization header
 // 2. Verifies the token is valid and not expired
-// 3. Finds the user in database
-// 4. Attaches user to req object for use in route handlers
+// 3. Verifies the token's session has not been revoked
+// 4. Finds the user in database
+// 5. Attaches user to req object for use in route handlers
 //
 // Usage: router.get('/profile', protect, getProfile)
 
@@ -126,7 +130,25 @@ const protect = async (req, res, next) => {
     }
     
     // -------------------------------------------------------------------------
-    // STEP 3: Find User in Database
+    // STEP 3: Check the Session Is Still Active
+    // -------------------------------------------------------------------------
+    // 
+    // A valid signature only proves WE issued the token. The session record
+    // tells us whether it was revoked since (logout, password change, stolen
+    // refresh token). Tokens without a session ID can't be revoked, so they
+    // are rejected as well.
+    
+    const session = await getActiveSession(decoded.sid, decoded.userId);
+    
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please log in again.',
+      });
+    }
+    
+    // -------------------------------------------------------------------------
+    // STEP 4: Find User in Database
     // -------------------------------------------------------------------------
     // 
     // Even with a valid token, we need to verify:
@@ -143,6 +165,8 @@ const protect = async (req, res, next) => {
         email: true,
         role: true,
         status: true,
+        emailVerified: true,
+        twoFactorEnabled: true,
         profileImage: true,
         createdAt: true,
       },
@@ -174,7 +198,7 @@ const protect = async (req, res, next) => {
     }
     
     // -------------------------------------------------------------------------
-    // STEP 4: Attach User to Request Object
+    // STEP 5: Attach User to Request Object
     // -------------------------------------------------------------------------
     // 
     // By attaching the user to req, subsequent middleware and route handlers
@@ -183,6 +207,12 @@ const protect = async (req, res, next) => {
     req.user = user;
     // Now route handlers can use req.user.id, req.user.role, etc.
     
+    req.sessionId = decoded.sid;
+    // Current session - used by logout to revoke exactly this login
+    
+    req.twoFactorVerified = session.twoFactorVerified;
+    // Did this login pass a 2FA check? (checked by authorize for admins)
+    
     // Move to next middleware/route handler
     next();
     
@@ -208,6 +238,8 @@ const protect = async (req, res, next) => {
 // 1. authorize() is a higher-order function that returns middleware
 // 2. The returned middleware checks if req.user.role is in allowed roles
 // 3. If not, returns 403 Forbidden
+// 4. With REQUIRE_ADMIN_2FA=true, an ADMIN must also have logged in with
+//    two-factor authentication to use routes that allow the ADMIN role
 
 /**
  * Authorize access based on user roles
@@ -234,6 +266,21 @@ const authorize = (...roles) => {
       });
     }
     
+    // Admins need a 2FA-verified session (when required by config)
+    if (
+      req.user.role === 'ADMIN' &&
+      process.env.REQUIRE_ADMIN_2FA === 'true' &&
+      !req.twoFactorVerified
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: req.user.twoFactorEnabled
+          ? 'Please log in again with your two-factor code to access admin features.'
+          : 'Two-factor authentication is required for admin accounts. Please enable it first.',
+        twoFactorSetupRequired: !req.user.twoFactorEnabled,
+      });
+    }
+    
     // User has required role, continue
     next();
   };
@@ -270,6 +317,12 @@ const optionalAuth = async (req, res, next) => {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
+      // Revoked sessions are treated like anonymous visitors
+      if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+        req.user = null;
+        return next();
+      }
+      
       const user = await prisma.user.findUnique({
         where: { id: decoded.userId },
         select: {
@@ -0,0 +1,130 @@
+// =============================================================================
+// IDEMPOTENCY MIDDLEWARE - Safe Retries for Checkout & Payment
+// =============================================================================
+//
+// A double-click or a mobile app retrying after a timeout sends the same
+// POST twice. For POST /api/orders that means two orders; for
+// POST /api/payments the second call resets the first payment.
+//
+// Clients that send an "Idempotency-Key" header (any unique string, e.g. a
+// UUID generated per checkout attempt) are protected:
+//
+// - First request with the key      -> runs normally, response is stored
+// - Retry with the same key + body  -> stored response is sent again
+//                                      (header Idempotent-Replayed: true)
+// - Retry while the first still runs -> 409, try again in a moment
+//                                      (after a minute without a response
+//                                      the first request counts as lost
+//                                      and the retry runs instead)
+// - Same key with a different body  -> 422, keys can't be reused
+//
+// Only successful (2xx) responses are kept. When the request fails nothing
+// was done, so the key is released and the client may retry with it.
+//
+// Requests without the header behave exactly as before.
+// Must run after protect (keys are stored per user).
+//
+// =============================================================================
+
+const {
+  hashRequest,
+  claimKey,
+  saveResponse,
+  releaseKey,
+} = require('../utils/idempotencyStore');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Honour the Idempotency-Key header on a route
+ * Usage: router.post('/', idempotent, createOrder)
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const path = req.originalUrl.split('?')[0];
+    const requestHash = hashRequest(req.method, path, req.body);
+
+    const { record, created } = await claimKey(req.user.id, key, {
+      method: req.method,
+      path,
+      requestHash,
+    });
+
+    // -------------------------------------------------------------------------
+    // Key seen before: replay, wait or reject
+    // -------------------------------------------------------------------------
+
+    if (!created) {
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request',
+        });
+      }
+
+      if (!record.completedAt) {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed',
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // -------------------------------------------------------------------------
+    // First use: run the route and keep what it sends back
+    // -------------------------------------------------------------------------
+
+    const sendJson = res.json.bind(res);
+
+    res.json = (body) => {
+      const status = res.statusCode;
+
+      const store =
+        status >= 200 && status < 300
+          ? // Round-trip so Decimals/Dates are stored as the client got them
+            saveResponse(record.id, status, JSON.parse(JSON.stringify(body)))
+          : releaseKey(record.id);
+
+      store.catch(async (error) => {
+        console.error(`Failed to store idempotent response (key ${record.id}):`, error.message);
+        // A key stuck "in progress" would block retries until it expires
+        await releaseKey(record.id).catch(() => {});
+      });
+
+      return sendJson(body);
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Could not process the request. Please try again.',
+    });
+  }
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  idempotent, // Route middleware for POST /api/orders and POST /api/payments
+};
@@ -0,0 +1,137 @@
+// =============================================================================
+// RATE LIMIT MIDDLEWARE - Throttle Requests per Client
+// =============================================================================
+//
+// Limits how many requests a client (by default: an IP address) can make to
+// a route within a time window. Used on endpoints attackers like to hammer:
+// - POST /api/auth/login           (password guessing)
+// - POST /api/auth/forgot-password (email flooding)
+// - POST /api/orders/track          (guessing phone numbers for an order)
+//
+// HOW IT WORKS (fixed window):
+// ----------------------------
+// 1. Each client key gets a counter and a window start time
+// 2. Every request increments the counter
+// 3. Once the counter passes "max", requests get 429 Too Many Requests
+//    until the window ends
+//
+// NOTE: Counters live in memory, so they reset on restart and are not shared
+// between multiple server instances. Behind a reverse proxy, set TRUST_PROXY
+// so req.ip is the real client IP instead of the proxy's.
+//
+// =============================================================================
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {number} [options.windowMs] - Window length in milliseconds
+ * @param {number} [options.max] - Requests allowed per window
+ * @param {string} [options.message] - Error message when the limit is hit
+ * @param {Function} [options.keyGenerator] - (req) => key, defaults to req.ip
+ * @returns {Function} Express middleware function
+ */
+const rateLimit = ({
+  windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max = parseInt(process.env.RATE_LIMIT_MAX) || 100,
+  message = 'Too many requests. Please try again later.',
+  keyGenerator = (req) => req.ip,
+} = {}) => {
+  // key -> { count, resetAt }
+  const hits = new Map();
+
+  // Forget expired windows now and then so the map doesn't grow forever
+  // (unref: this timer alone won't keep the process alive)
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+
+    let entry = hits.get(key);
+
+    // Start a new window
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      const retryAfterSeconds = Math.ceil((entry.resetAt - now) / 1000);
+
+      // Tell well-behaved clients when they can try again
+      res.set('Retry-After', String(retryAfterSeconds));
+
+      return res.status(429).json({
+        success: false,
+        message,
+        retryAfter: retryAfterSeconds,
+      });
+    }
+
+    next();
+  };
+};
+
+// =============================================================================
+// PRE-CONFIGURED LIMITERS
+// =============================================================================
+
+// Login attempts per IP (per-account lockout is handled in authController)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+  message: 'Too many login attempts from this IP. Please try again later.',
+});
+
+// Password reset emails per IP
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_MAX) || 5,
+  message: 'Too many password reset requests. Please try again later.',
+});
+
+// Public order tracking lookups per IP
+const orderTrackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.TRACKING_RATE_LIMIT_MAX) || 20,
+  message: 'Too many tracking requests. Please try again later.',
+});
+
+// Lookups per order number, whatever the IP - order numbers are sequential,
+// so the phone number is what keeps a stranger's order private
+const orderNumberTrackingLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.TRACKING_ORDER_RATE_LIMIT_MAX) || 10,
+  message: 'Too many tracking requests for this order. Please try again later.',
+  keyGenerator: (req) => String((req.body && req.body.orderNumber) || '').trim().toUpperCase(),
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  rateLimit,                  // Factory for custom limiters
+  loginLimiter,               // POST /api/auth/login, /login/2fa
+  passwordResetLimiter,       // POST /api/auth/forgot-password
+  orderTrackingLimiter,       // POST /api/orders/track (per IP)
+  orderNumberTrackingLimiter, // POST /api/orders/track (per order number)
+};
+
+// =============================================================================
+// USAGE EXAMPLES
+// =============================================================================
+//
+// // Use a pre-configured limiter
+// router.post('/login', loginLimiter, login);
+//
+// // Custom limiter: 30 requests per minute per IP
+// const searchLimiter = rateLimit({ windowMs: 60 * 1000, max: 30 });
+// router.get('/search', searchLimiter, searchProducts);
@@ -2,9 +2,14 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+const { getPhotoPrefix } = require('../utils/customizations');
+
 // Ensure upload directories exist
 const uploadDir = path.join(__dirname, '../uploads/products');
 const profileUploadDir = path.join(__dirname, '../uploads/profiles');
+const returnUploadDir = path.join(__dirname, '../uploads/returns');
+const customizationUploadDir = path.join(__dirname, '../uploads/customizations');
+const commissionUploadDir = path.join(__dirname, '../uploads/commissions');
 
 if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
@@ -12,6 +17,15 @@ if (!fs.existsSync(uploadDir)) {
 if (!fs.existsSync(profileUploadDir)) {
   fs.mkdirSync(profileUploadDir, { recursive: true });
 }
+if (!fs.existsSync(returnUploadDir)) {
+  fs.mkdirSync(returnUploadDir, { recursive: true });
+}
+if (!fs.existsSync(customizationUploadDir)) {
+  fs.mkdirSync(customizationUploadDir, { recursive: true });
+}
+if (!fs.existsSync(commissionUploadDir)) {
+  fs.mkdirSync(commissionUploadDir, { recursive: true });
+}
 
 // Configure storage
 const storage = multer.diskStorage({
@@ -74,6 +88,49 @@ const profileStorage = multer.diskStorage({
   }
 });
 
+// Configure storage for return photos
+const returnStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, returnUploadDir);
+  },
+  filename: function (req, file, cb) {
+    // Create unique filename: timestamp-randomstring-originalname
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(file.originalname);
+    const basename = path.basename(file.originalname, ext);
+    cb(null, basename + '-' + uniqueSuffix + ext);
+  }
+});
+
+// Configure storage for customers' customization photos
+const customizationStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, customizationUploadDir);
+  },
+  filename: function (req, file, cb) {
+    // Create unique filename: uploader-originalname-timestamp-randomstring
+    // (the uploader prefix is checked in utils/customizations.js)
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(file.originalname);
+    const basename = path.basename(file.originalname, ext);
+    cb(null, getPhotoPrefix(req.user.id) + basename + '-' + uniqueSuffix + ext);
+  }
+});
+
+// Configure storage for commission images (reference pictures, progress photos)
+const commissionStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, commissionUploadDir);
+  },
+  filename: function (req, file, cb) {
+    // Create unique filename: timestamp-randomstring-originalname
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(file.originalname);
+    const basename = path.basename(file.originalname, ext);
+    cb(null, basename + '-' + uniqueSuffix + ext);
+  }
+});
+
 // Configure multer for products (images and videos)
 const upload = multer({
   storage: storage,
@@ -92,6 +149,33 @@ const profileUpload = multer({
   fileFilter: imageOnlyFilter,
 });
 
+// Configure multer for return photos (images only)
+const returnUpload = multer({
+  storage: returnStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max file size
+  },
+  fileFilter: imageOnlyFilter,
+});
+
+// Configure multer for customization photos (images only)
+const customizationUpload = multer({
+  storage: customizationStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max file size (printed onto the piece)
+  },
+  fileFilter: imageOnlyFilter,
+});
+
+// Configure multer for commission images (images only)
+const commissionUpload = multer({
+  storage: commissionStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max file size
+  },
+  fileFilter: imageOnlyFilter,
+});
+
 module.exports = {
   // Upload single image (for products)
   uploadSingle: upload.single('image'),
@@ -107,4 +191,13 @@ module.exports = {
 
   // Upload single profile picture
   uploadProfilePicture: profileUpload.single('profileImage'),
+
+  // Upload photos of items being returned (up to 5)
+  uploadReturnPhotos: returnUpload.array('photos', 5),
+
+  // Upload a photo for an IMAGE customization option
+  uploadCustomizationPhoto: customizationUpload.single('photo'),
+
+  // Upload commission reference / progress images (up to 5)
+  uploadCommissionImages: commissionUpload.array('images', 5),
 };
@@ -14,18 +14,43 @@ const router = express.Router();
 const {
   signup,
   login,
+  verifyTwoFactorLogin,
+  resendTwoFactorLoginCode,
   getMe,
   updateProfile,
   uploadProfilePicture,
   changePassword,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
   logout,
+  logoutAll,
   deleteOwnAccount,
 } = require('../controllers/authController');
 
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  sendTwoFactorCode,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} = require('../controllers/twoFactorController');
+
+const {
+  getAddresses,
+  getAddress,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+} = require('../controllers/addressController');
+
 // Import middleware
 const { protect } = require('../middleware/authMiddleware');
+const { loginLimiter, passwordResetLimiter } = require('../middleware/rateLimitMiddleware');
 const { uploadProfilePicture: uploadMiddleware } = require('../middleware/uploadMiddleware');
 
 // =============================================================================
@@ -39,19 +64,39 @@ router.post('/signup', signup);
 
 // @route   POST /api/auth/login
 // @desc    Login user & get token
-// @access  Public
-router.post('/login', login);
+// @access  Public (rate limited per IP)
+router.post('/login', loginLimiter, login);
+
+// @route   POST /api/auth/login/2fa
+// @desc    Login step 2 - verify two-factor code
+// @access  Public (challenge token required, rate limited per IP)
+router.post('/login/2fa', loginLimiter, verifyTwoFactorLogin);
+
+// @route   POST /api/auth/login/2fa/resend
+// @desc    Resend emailed login code
+// @access  Public (challenge token required)
+router.post('/login/2fa/resend', resendTwoFactorLoginCode);
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange refresh token for a new token pair
+// @access  Public (refresh token required)
+router.post('/refresh', refreshToken);
 
 // @route   POST /api/auth/forgot-password
 // @desc    Request password reset email
-// @access  Public
-router.post('/forgot-password', forgotPassword);
+// @access  Public (rate limited per IP)
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
 
 // @route   POST /api/auth/reset-password/:token
 // @desc    Reset password with token
 // @access  Public
 router.post('/reset-password/:token', resetPassword);
 
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address with token from email
+// @access  Public
+router.get('/verify-email/:token', verifyEmail);
+
 // =============================================================================
 // PROTECTED ROUTES - Authentication required
 // =============================================================================
@@ -76,14 +121,92 @@ router.post('/profile/picture', protect, uploadMiddleware, uploadProfilePicture)
 // @access  Private
 router.put('/change-password', protect, changePassword);
 
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', protect, resendVerification);
+
 // @route   POST /api/auth/logout
 // @desc    Logout user
 // @access  Private
 router.post('/logout', protect, logout);
 
+// @route   POST /api/auth/logout-all
+// @desc    Logout from all devices
+// @access  Private
+router.post('/logout-all', protect, logoutAll);
+
+// =============================================================================
+// TWO-FACTOR AUTHENTICATION ROUTES - Authentication required
+// =============================================================================
+
+// @route   GET /api/auth/2fa
+// @desc    Get 2FA status
+// @access  Private
+router.get('/2fa', protect, getTwoFactorStatus);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA setup (TOTP secret or email code)
+// @access  Private
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm setup code and enable 2FA
+// @access  Private
+router.post('/2fa/enable', protect, enableTwoFactor);
+
+// @route   POST /api/auth/2fa/send-code
+// @desc    Email a fresh 2FA code (EMAIL method)
+// @access  Private
+router.post('/2fa/send-code', protect, sendTwoFactorCode);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable 2FA (password + code required)
+// @access  Private
+router.post('/2fa/disable', protect, disableTwoFactor);
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Generate new backup codes
+// @access  Private
+router.post('/2fa/backup-codes', protect, regenerateBackupCodes);
+
 // @route   DELETE /api/auth/account
 // @desc    Delete own account
 // @access  Private
 router.delete('/account', protect, deleteOwnAccount);
 
+// =============================================================================
+// ADDRESS BOOK ROUTES - Authentication required
+// =============================================================================
+
+// @route   GET /api/auth/addresses
+// @desc    Get saved addresses (default first)
+// @access  Private
+router.get('/addresses', protect, getAddresses);
+
+// @route   POST /api/auth/addresses
+// @desc    Save a new address
+// @access  Private
+router.post('/addresses', protect, createAddress);
+
+// @route   GET /api/auth/addresses/:id
+// @desc    Get a saved address
+// @access  Private
+router.get('/addresses/:id', protect, getAddress);
+
+// @route   PUT /api/auth/addresses/:id
+// @desc    Update a saved address
+// @access  Private
+router.put('/addresses/:id', protect, updateAddress);
+
+// @route   PUT /api/auth/addresses/:id/default
+// @desc    Make an address the default
+// @access  Private
+router.put('/addresses/:id/default', protect, setDefaultAddress);
+
+// @route   DELETE /api/auth/addresses/:id
+// @desc    Delete a saved address
+// @access  Private
+router.delete('/addresses/:id', protect, deleteAddress);
+
 module.exports = router;
@@ -16,9 +16,13 @@ const {
   updateCartItem,
   removeFromCart,
   clearCart,
+  applyCoupon,
+  getShippingQuote,
+  uploadCustomizationPhoto,
 } = require('../controllers/cartController');
 
 const { protect } = require('../middleware/authMiddleware');
+const { uploadCustomizationPhoto: uploadPhoto } = require('../middleware/uploadMiddleware');
 
 // All cart routes require authentication
 router.use(protect);
@@ -33,6 +37,21 @@ router.get('/', getCart);
 // @access  Private
 router.post('/', addToCart);
 
+// @route   GET /api/cart/shipping-quote
+// @desc    Get shipping cost for the cart (?city=&province=)
+// @access  Private
+router.get('/shipping-quote', getShippingQuote);
+
+// @route   POST /api/cart/apply-coupon
+// @desc    Preview a coupon discount on the cart
+// @access  Private
+router.post('/apply-coupon', applyCoupon);
+
+// @route   POST /api/cart/customization-photo
+// @desc    Upload a photo for an IMAGE customization option
+// @access  Private
+router.post('/customization-photo', uploadPhoto, uploadCustomizationPhoto);
+
 // @route   PUT /api/cart/:itemId
 // @desc    Update cart item quantity
 // @access  Private
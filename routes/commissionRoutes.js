@@ -0,0 +1,90 @@
+// =============================================================================
+// COMMISSION ROUTES - Bespoke Pieces (Quote, Deposit, Progress, Balance)
+// =============================================================================
+//
+// Routes for commissioning custom pieces
+// Base path: /api/commissions
+//
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  requestCommission,
+  getMyCommissions,
+  getCommissions,
+  getCommission,
+  quoteCommission,
+  acceptCommission,
+  declineCommission,
+  cancelCommission,
+  postCommissionUpdate,
+  invoiceCommissionBalance,
+} = require('../controllers/commissionController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { uploadCommissionImages } = require('../middleware/uploadMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================================================
+// USER ROUTES
+// =============================================================================
+
+// @route   GET /api/commissions/my
+// @desc    Get logged in user's commissions
+// @access  Private
+router.get('/my', getMyCommissions);
+
+// @route   POST /api/commissions
+// @desc    Request a commission (multipart, with up to 5 reference images)
+// @access  Private
+router.post('/', uploadCommissionImages, requestCommission);
+
+// @route   GET /api/commissions/:id
+// @desc    Get a commission with its progress updates and orders
+// @access  Private (owner or admin)
+router.get('/:id', getCommission);
+
+// @route   POST /api/commissions/:id/accept
+// @desc    Accept the quote (creates the deposit order)
+// @access  Private (owner)
+router.post('/:id/accept', acceptCommission);
+
+// @route   POST /api/commissions/:id/decline
+// @desc    Decline the quote
+// @access  Private (owner)
+router.post('/:id/decline', declineCommission);
+
+// @route   POST /api/commissions/:id/cancel
+// @desc    Cancel a commission (owner until the deposit is paid, admin any time)
+// @access  Private (owner or admin)
+router.post('/:id/cancel', cancelCommission);
+
+// =============================================================================
+// ADMIN ROUTES
+// =============================================================================
+
+// @route   GET /api/commissions
+// @desc    Get all commissions
+// @access  Private/Admin
+router.get('/', authorize('ADMIN'), getCommissions);
+
+// @route   PUT /api/commissions/:id/quote
+// @desc    Send or revise the quote
+// @access  Private/Admin
+router.put('/:id/quote', authorize('ADMIN'), quoteCommission);
+
+// @route   POST /api/commissions/:id/updates
+// @desc    Post a progress update (multipart, with up to 5 photos)
+// @access  Private/Admin
+router.post('/:id/updates', authorize('ADMIN'), uploadCommissionImages, postCommissionUpdate);
+
+// @route   POST /api/commissions/:id/balance
+// @desc    Invoice the balance (creates the balance order)
+// @access  Private/Admin
+router.post('/:id/balance', authorize('ADMIN'), invoiceCommissionBalance);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// =============================================================================
+// COUPON ROUTES - Discount Code Management Routes
+// =============================================================================
+// 
+// Routes for managing coupons / promo codes (Admin)
+// Base path: /api/coupons
+//
+// Customers preview a coupon with POST /api/cart/apply-coupon and redeem it
+// with the couponCode field of POST /api/orders.
+//
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} = require('../controllers/couponController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('ADMIN'));
+
+// @route   GET /api/coupons
+// @desc    Get all coupons
+// @access  Private/Admin
+router.get('/', getCoupons);
+
+// @route   POST /api/coupons
+// @desc    Create a coupon
+// @access  Private/Admin
+router.post('/', createCoupon);
+
+// @route   GET /api/coupons/:id
+// @desc    Get coupon with redemptions
+// @access  Private/Admin
+router.get('/:id', getCoupon);
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon
+// @access  Private/Admin
+router.put('/:id', updateCoupon);
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete (or deactivate if used) a coupon
+// @access  Private/Admin
+router.delete('/:id', deleteCoupon);
+
+module.exports = router;
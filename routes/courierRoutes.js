@@ -0,0 +1,49 @@
+// =============================================================================
+// COURIER ROUTES - Courier Tracking Webhooks
+// =============================================================================
+//
+// Base path: /api/couriers
+//
+// Booking and labels are order routes (/api/orders/:id/shipments).
+// Webhooks are public - couriers can't send our JWT. They are verified by
+// the courier's signature instead.
+//
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getCouriers,
+  handleCourierWebhook,
+  simulateMockCourierEvent,
+} = require('../controllers/courierController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// =============================================================================
+// COURIER ROUTES (Public)
+// =============================================================================
+
+// @route   POST /api/couriers/webhook/:provider
+// @desc    Courier tracking webhook (mock)
+// @access  Public (signature verified)
+router.post('/webhook/:provider', handleCourierWebhook);
+
+// =============================================================================
+// ADMIN ROUTES
+// =============================================================================
+
+router.use(protect, authorize('ADMIN'));
+
+// @route   GET /api/couriers
+// @desc    Couriers shipments can be booked with
+// @access  Private/Admin
+router.get('/', getCouriers);
+
+// @route   POST /api/couriers/mock/:trackingNumber/simulate
+// @desc    Send a mock courier tracking update (development only)
+// @access  Private/Admin
+router.post('/mock/:trackingNumber/simulate', simulateMockCourierEvent);
+
+module.exports = router;
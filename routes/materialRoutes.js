@@ -0,0 +1,65 @@
+// =============================================================================
+// MATERIAL ROUTES - Raw Materials Inventory
+// =============================================================================
+//
+// Resin, pigments, molds, ... with reorder levels and stock history
+// Base path: /api/materials
+// (Bills of materials are under /api/products/:id/materials)
+//
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getMaterials,
+  createMaterial,
+  getMaterial,
+  updateMaterial,
+  restockMaterial,
+  adjustMaterialStock,
+  getMaterialHistory,
+} = require('../controllers/materialController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('ADMIN'));
+
+// @route   GET /api/materials
+// @desc    Get all materials (?search, ?category, ?lowStock=true)
+// @access  Private/Admin
+router.get('/', getMaterials);
+
+// @route   POST /api/materials
+// @desc    Add a material
+// @access  Private/Admin
+router.post('/', createMaterial);
+
+// @route   GET /api/materials/:id
+// @desc    Get a material with the products using it
+// @access  Private/Admin
+router.get('/:id', getMaterial);
+
+// @route   PUT /api/materials/:id
+// @desc    Update a material (not its stock)
+// @access  Private/Admin
+router.put('/:id', updateMaterial);
+
+// @route   POST /api/materials/:id/restock
+// @desc    Record a purchase (optionally as a RAW_MATERIALS expense)
+// @access  Private/Admin
+router.post('/:id/restock', restockMaterial);
+
+// @route   PUT /api/materials/:id/stock
+// @desc    Adjust stock (set/add/subtract with a reason)
+// @access  Private/Admin
+router.put('/:id/stock', adjustMaterialStock);
+
+// @route   GET /api/materials/:id/history
+// @desc    Get stock history
+// @access  Private/Admin
+router.get('/:id/history', getMaterialHistory);
+
+module.exports = router;
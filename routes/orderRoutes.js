@@ -12,18 +12,53 @@ const router = express.Router();
 
 const {
   createOrder,
+  previewOrder,
   getAllOrders,
   getOrder,
   getMyOrders,
   updateOrderStatus,
+  getAllowedTransitions,
   updateOrderLocation,
   cancelOrder,
   getOrderTracking,
+  trackOrder,
 } = require("../controllers/orderController");
 
+const {
+  getInvoicePdf,
+  getPackingSlipPdf,
+  getBatchPackingSlips,
+} = require("../controllers/orderDocumentController");
+
+const {
+  getOrderShipments,
+  createShipment,
+  updateShipmentStatus,
+  getShipmentLabel,
+} = require("../controllers/shipmentController");
+
 const { protect, authorize } = require("../middleware/authMiddleware");
+const { idempotent } = require("../middleware/idempotencyMiddleware");
+const {
+  orderTrackingLimiter,
+  orderNumberTrackingLimiter,
+} = require("../middleware/rateLimitMiddleware");
 
-// All routes require authentication
+// =============================================================================
+// PUBLIC ROUTES
+// =============================================================================
+
+// @route   POST /api/orders/track
+// @desc    Track an order by order number + shipping phone (no login)
+// @access  Public (rate limited)
+router.post(
+  "/track",
+  orderTrackingLimiter,
+  orderNumberTrackingLimiter,
+  trackOrder,
+);
+
+// All routes below require authentication
 router.use(protect);
 
 // =============================================================================
@@ -36,9 +71,20 @@ router.use(protect);
 router.get("/my-orders", getMyOrders);
 
 // @route   POST /api/orders
-// @desc    Create a new order
+// @desc    Create a new order (honours the Idempotency-Key header)
+// @access  Private
+router.post("/", idempotent, createOrder);
+
+// @route   POST /api/orders/preview
+// @desc    Price the cart as checkout would (nothing is created)
 // @access  Private
-router.post("/", createOrder);
+router.post("/preview", previewOrder);
+
+// @route   GET /api/orders/packing-slips.pdf
+// @desc    Packing slips for all PROCESSING / READY_TO_SHIP orders (?invoices=true adds invoices)
+// @access  Private/Admin
+// (registered before /:id so the file name isn't read as an order ID)
+router.get("/packing-slips.pdf", authorize("ADMIN"), getBatchPackingSlips);
 
 // @route   GET /api/orders/:id
 // @desc    Get order by ID
@@ -50,6 +96,16 @@ router.get("/:id", getOrder);
 // @access  Private
 router.get("/:id/tracking", getOrderTracking);
 
+// @route   GET /api/orders/:id/shipments
+// @desc    Shipments of the order and items not sent yet
+// @access  Private (owner or admin)
+router.get("/:id/shipments", getOrderShipments);
+
+// @route   GET /api/orders/:id/invoice.pdf
+// @desc    Download the order's invoice
+// @access  Private (owner or admin)
+router.get("/:id/invoice.pdf", getInvoicePdf);
+
 // @route   PUT /api/orders/:id/cancel
 // @desc    Cancel an order
 // @access  Private
@@ -69,9 +125,46 @@ router.get("/", authorize("ADMIN"), getAllOrders);
 // @access  Private/Admin
 router.put("/:id/status", authorize("ADMIN"), updateOrderStatus);
 
+// @route   GET /api/orders/:id/allowed-transitions
+// @desc    Statuses the order can move to next
+// @access  Private/Admin
+router.get(
+  "/:id/allowed-transitions",
+  authorize("ADMIN"),
+  getAllowedTransitions,
+);
+
 // @route   PUT /api/orders/:id/update-location
 // @desc    Update order tracking location
 // @access  Private/Admin
 router.put("/:id/update-location", authorize("ADMIN"), updateOrderLocation);
 
+// @route   GET /api/orders/:id/packing-slip.pdf
+// @desc    Download the order's packing slip
+// @access  Private/Admin
+router.get("/:id/packing-slip.pdf", authorize("ADMIN"), getPackingSlipPdf);
+
+// @route   POST /api/orders/:id/shipments
+// @desc    Ship some or all remaining items (by hand or booked with a courier)
+// @access  Private/Admin
+router.post("/:id/shipments", authorize("ADMIN"), createShipment);
+
+// @route   PUT /api/orders/:id/shipments/:shipmentId/status
+// @desc    Update a shipment's status
+// @access  Private/Admin
+router.put(
+  "/:id/shipments/:shipmentId/status",
+  authorize("ADMIN"),
+  updateShipmentStatus,
+);
+
+// @route   GET /api/orders/:id/shipments/:shipmentId/label
+// @desc    Download the courier's shipping label
+// @access  Private/Admin
+router.get(
+  "/:id/shipments/:shipmentId/label",
+  authorize("ADMIN"),
+  getShipmentLabel,
+);
+
 module.exports = router;
@@ -5,6 +5,9 @@
 // Routes for payment management (Section 5.6)
 // Base path: /api/payments
 //
+// Gateway webhooks and returns are public - gateways can't send our JWT.
+// They are verified by the gateway's signature instead.
+//
 // =============================================================================
 
 const express = require('express');
@@ -16,11 +19,31 @@ const {
   getMyPayments,
   getAllPayments,
   updatePaymentStatus,
+  retryPayment,
+  handleWebhook,
+  handleReturn,
+  simulateMockPayment,
 } = require('../controllers/paymentController');
 
 const { protect, authorize } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotencyMiddleware');
+
+// =============================================================================
+// GATEWAY ROUTES (Public)
+// =============================================================================
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Payment gateway webhook (stripe, jazzcash, easypaisa, mock)
+// @access  Public (signature verified)
+router.post('/webhook/:provider', handleWebhook);
 
-// All routes require authentication
+// @route   GET|POST /api/payments/return/:provider
+// @desc    Customer returns from the gateway's payment page
+// @access  Public
+router.get('/return/:provider', handleReturn);
+router.post('/return/:provider', handleReturn);
+
+// All routes below require authentication
 router.use(protect);
 
 // =============================================================================
@@ -28,15 +51,25 @@ router.use(protect);
 // =============================================================================
 
 // @route   POST /api/payments
-// @desc    Process a payment
+// @desc    Process a payment (honours the Idempotency-Key header)
 // @access  Private
-router.post('/', processPayment);
+router.post('/', idempotent, processPayment);
 
 // @route   GET /api/payments/my-payments
 // @desc    Get user's payment history
 // @access  Private
 router.get('/my-payments', getMyPayments);
 
+// @route   POST /api/payments/retry/:orderId
+// @desc    Retry a pending or failed payment
+// @access  Private
+router.post('/retry/:orderId', retryPayment);
+
+// @route   POST /api/payments/mock/:orderId/simulate
+// @desc    Finish a mock gateway payment (development only)
+// @access  Private
+router.post('/mock/:orderId/simulate', simulateMockPayment);
+
 // @route   GET /api/payments/order/:orderId
 // @desc    Get payment by order ID
 // @access  Private
@@ -21,6 +21,25 @@ const {
   searchProducts,
 } = require('../controllers/productController');
 
+const {
+  getProductVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+} = require('../controllers/variantController');
+
+const {
+  getCustomizationOptions,
+  createCustomizationOption,
+  updateCustomizationOption,
+  deleteCustomizationOption,
+} = require('../controllers/customizationController');
+
+const {
+  getProductMaterials,
+  setProductMaterials,
+} = require('../controllers/materialController');
+
 const { protect, authorize, optionalAuth } = require('../middleware/authMiddleware');
 const { uploadMultiple } = require('../middleware/uploadMiddleware');
 
@@ -53,6 +72,16 @@ router.get('/', optionalAuth, getProducts);
 // @access  Public
 router.get('/:id', optionalAuth, getProduct);
 
+// @route   GET /api/products/:id/variants
+// @desc    Get a product's variants (admins also see inactive ones)
+// @access  Public
+router.get('/:id/variants', optionalAuth, getProductVariants);
+
+// @route   GET /api/products/:id/customization-options
+// @desc    Get how a product can be customized (admins also see inactive options)
+// @access  Public
+router.get('/:id/customization-options', optionalAuth, getCustomizationOptions);
+
 // =============================================================================
 // ADMIN ROUTES
 // =============================================================================
@@ -72,4 +101,44 @@ router.put('/:id', protect, authorize('ADMIN'), uploadMultiple, updateProduct);
 // @access  Private/Admin
 router.delete('/:id', protect, authorize('ADMIN'), deleteProduct);
 
+// @route   POST /api/products/:id/variants
+// @desc    Add a variant
+// @access  Private/Admin
+router.post('/:id/variants', protect, authorize('ADMIN'), createVariant);
+
+// @route   PUT /api/products/:id/variants/:variantId
+// @desc    Update a variant
+// @access  Private/Admin
+router.put('/:id/variants/:variantId', protect, authorize('ADMIN'), updateVariant);
+
+// @route   DELETE /api/products/:id/variants/:variantId
+// @desc    Delete a variant (switched off if it was ordered)
+// @access  Private/Admin
+router.delete('/:id/variants/:variantId', protect, authorize('ADMIN'), deleteVariant);
+
+// @route   POST /api/products/:id/customization-options
+// @desc    Add a customization option
+// @access  Private/Admin
+router.post('/:id/customization-options', protect, authorize('ADMIN'), createCustomizationOption);
+
+// @route   PUT /api/products/:id/customization-options/:optionId
+// @desc    Update a customization option
+// @access  Private/Admin
+router.put('/:id/customization-options/:optionId', protect, authorize('ADMIN'), updateCustomizationOption);
+
+// @route   DELETE /api/products/:id/customization-options/:optionId
+// @desc    Delete a customization option
+// @access  Private/Admin
+router.delete('/:id/customization-options/:optionId', protect, authorize('ADMIN'), deleteCustomizationOption);
+
+// @route   GET /api/products/:id/materials
+// @desc    Get the product's bill of materials
+// @access  Private/Admin
+router.get('/:id/materials', protect, authorize('ADMIN'), getProductMaterials);
+
+// @route   PUT /api/products/:id/materials
+// @desc    Replace the product's bill of materials
+// @access  Private/Admin
+router.put('/:id/materials', protect, authorize('ADMIN'), setProductMaterials);
+
 module.exports = router;
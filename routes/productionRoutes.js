@@ -0,0 +1,52 @@
+// =============================================================================
+// PRODUCTION ROUTES - Workshop Board
+// =============================================================================
+//
+// Made-to-order items moving through pouring, curing and finishing
+// Base path: /api/production
+//
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getProductionBoard,
+  getProductionJob,
+  updateProductionStage,
+  updateProductionJob,
+  addOrderToProduction,
+} = require('../controllers/productionController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('ADMIN'));
+
+// @route   GET /api/production
+// @desc    Production board (?stage, ?assignedTo, ?orderId)
+// @access  Private/Admin
+router.get('/', getProductionBoard);
+
+// @route   POST /api/production/orders/:orderId
+// @desc    Add the items of an order already in production to the board
+// @access  Private/Admin
+router.post('/orders/:orderId', addOrderToProduction);
+
+// @route   GET /api/production/:id
+// @desc    Get a production job
+// @access  Private/Admin
+router.get('/:id', getProductionJob);
+
+// @route   PUT /api/production/:id/stage
+// @desc    Move an item to another stage (DONE on the last item readies the order)
+// @access  Private/Admin
+router.put('/:id/stage', updateProductionStage);
+
+// @route   PUT /api/production/:id
+// @desc    Assign a maker, edit notes or the cure time
+// @access  Private/Admin
+router.put('/:id', updateProductionJob);
+
+module.exports = router;
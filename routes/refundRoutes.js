@@ -0,0 +1,49 @@
+// =============================================================================
+// REFUND ROUTES - Refund Management Routes
+// =============================================================================
+//
+// Routes for refunding paid orders (Admin)
+// Base path: /api/refunds
+//
+// Cancelling a paid order (PUT /api/orders/:id/cancel) also creates a
+// refund automatically (see utils/refunds.js).
+//
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getRefunds,
+  getRefund,
+  createRefund,
+  updateRefundStatus,
+} = require('../controllers/refundController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('ADMIN'));
+
+// @route   GET /api/refunds
+// @desc    Get all refunds
+// @access  Private/Admin
+router.get('/', getRefunds);
+
+// @route   POST /api/refunds
+// @desc    Refund an order (full or partial)
+// @access  Private/Admin
+router.post('/', createRefund);
+
+// @route   GET /api/refunds/:id
+// @desc    Get a refund
+// @access  Private/Admin
+router.get('/:id', getRefund);
+
+// @route   PUT /api/refunds/:id/status
+// @desc    Mark a refund completed or failed
+// @access  Private/Admin
+router.put('/:id/status', updateRefundStatus);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+// =============================================================================
+// RETURN ROUTES - Customer Returns (RMA)
+// =============================================================================
+//
+// Routes for returning items from delivered orders
+// Base path: /api/returns
+//
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  createReturn,
+  getMyReturns,
+  getReturn,
+  getReturns,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+} = require('../controllers/returnController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { uploadReturnPhotos } = require('../middleware/uploadMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================================================
+// USER ROUTES
+// =============================================================================
+
+// @route   GET /api/returns/my-returns
+// @desc    Get logged in user's return requests
+// @access  Private
+router.get('/my-returns', getMyReturns);
+
+// @route   POST /api/returns
+// @desc    Request a return (multipart, with up to 5 photos)
+// @access  Private
+router.post('/', uploadReturnPhotos, createReturn);
+
+// @route   GET /api/returns/:id
+// @desc    Get return request by ID
+// @access  Private (owner or admin)
+router.get('/:id', getReturn);
+
+// =============================================================================
+// ADMIN ROUTES
+// =============================================================================
+
+// @route   GET /api/returns
+// @desc    Get all return requests
+// @access  Private/Admin
+router.get('/', authorize('ADMIN'), getReturns);
+
+// @route   PUT /api/returns/:id/approve
+// @desc    Approve a return request
+// @access  Private/Admin
+router.put('/:id/approve', authorize('ADMIN'), approveReturn);
+
+// @route   PUT /api/returns/:id/reject
+// @desc    Reject a return request
+// @access  Private/Admin
+router.put('/:id/reject', authorize('ADMIN'), rejectReturn);
+
+// @route   PUT /api/returns/:id/receive
+// @desc    Mark returned items received (restock + optional refund)
+// @access  Private/Admin
+router.put('/:id/receive', authorize('ADMIN'), receiveReturn);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// =============================================================================
+// SHIPPING ROUTES - Shipping Zone Management Routes
+// =============================================================================
+//
+// Routes for managing shipping zones and rates (Admin)
+// Base path: /api/shipping
+//
+// Customers get a quote with GET /api/cart/shipping-quote; the same rate is
+// charged by POST /api/orders.
+//
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getShippingZones,
+  getShippingZone,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+} = require('../controllers/shippingController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('ADMIN'));
+
+// @route   GET /api/shipping/zones
+// @desc    Get all shipping zones
+// @access  Private/Admin
+router.get('/zones', getShippingZones);
+
+// @route   POST /api/shipping/zones
+// @desc    Create a shipping zone
+// @access  Private/Admin
+router.post('/zones', createShippingZone);
+
+// @route   GET /api/shipping/zones/:id
+// @desc    Get a shipping zone
+// @access  Private/Admin
+router.get('/zones/:id', getShippingZone);
+
+// @route   PUT /api/shipping/zones/:id
+// @desc    Update a shipping zone
+// @access  Private/Admin
+router.put('/zones/:id', updateShippingZone);
+
+// @route   DELETE /api/shipping/zones/:id
+// @desc    Delete a shipping zone
+// @access  Private/Admin
+router.delete('/zones/:id', deleteShippingZone);
+
+module.exports = router;
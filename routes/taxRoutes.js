@@ -0,0 +1,54 @@
+// =============================================================================
+// TAX ROUTES - Tax Rule Management Routes
+// =============================================================================
+//
+// Routes for managing tax rules (Admin)
+// Base path: /api/tax
+//
+// Rules are applied per item by POST /api/orders (see utils/tax.js).
+//
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getTaxRules,
+  getTaxRule,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+} = require('../controllers/taxController');
+
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('ADMIN'));
+
+// @route   GET /api/tax/rules
+// @desc    Get all tax rules
+// @access  Private/Admin
+router.get('/rules', getTaxRules);
+
+// @route   POST /api/tax/rules
+// @desc    Create a tax rule
+// @access  Private/Admin
+router.post('/rules', createTaxRule);
+
+// @route   GET /api/tax/rules/:id
+// @desc    Get a tax rule
+// @access  Private/Admin
+router.get('/rules/:id', getTaxRule);
+
+// @route   PUT /api/tax/rules/:id
+// @desc    Update a tax rule
+// @access  Private/Admin
+router.put('/rules/:id', updateTaxRule);
+
+// @route   DELETE /api/tax/rules/:id
+// @desc    Delete a tax rule
+// @access  Private/Admin
+router.delete('/rules/:id', deleteTaxRule);
+
+module.exports = router;
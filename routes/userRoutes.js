@@ -15,6 +15,7 @@ const {
   getUser,
   blockUser,
   unblockUser,
+  unlockUser,
   deleteUser,
   updateUserRole,
   getUserStats,
@@ -52,6 +53,11 @@ router.put('/:id/block', blockUser);
 // @access  Private/Admin
 router.put('/:id/unblock', unblockUser);
 
+// @route   PUT /api/users/:id/unlock
+// @desc    Unlock an account locked by failed logins
+// @access  Private/Admin
+router.put('/:id/unlock', unlockUser);
+
 // @route   PUT /api/users/:id/role
 // @desc    Update user role
 // @access  Private/Admin
@@ -0,0 +1,125 @@
+// Script to give customization photos in carts their uploader prefix
+//
+// Photos uploaded before file names started with the uploader's ID (u12_...)
+// are rejected at checkout. For each cart line still using such a photo:
+// - only one customer's cart uses it: the file is copied to a prefixed name
+//   for that customer (the original stays, orders may still show it)
+// - several customers' carts use it, or the file is gone: the photo is
+//   removed from the line, and the customer is asked for a new one at checkout
+const fs = require('fs');
+const path = require('path');
+
+const { Prisma } = require('@prisma/client');
+
+const { prisma } = require('../config/db');
+const { getCustomizationKey, getPhotoPrefix } = require('../utils/customizations');
+
+const PHOTO_PATH = '/uploads/customizations/';
+const PHOTO_DIR = path.join(__dirname, '../uploads/customizations');
+
+// "/uploads/customizations/photo-1.jpg" without an uploader prefix
+const isLegacyPhoto = (value) =>
+  typeof value === 'string' &&
+  value.startsWith(PHOTO_PATH) &&
+  !/^u\d+_/.test(value.slice(PHOTO_PATH.length));
+
+async function migrateCustomizationPhotos() {
+  try {
+    const items = await prisma.cartItem.findMany({
+      select: {
+        id: true,
+        cartId: true,
+        productId: true,
+        variantKey: true,
+        quantity: true,
+        customization: true,
+        cart: { select: { userId: true } },
+      },
+    });
+
+    // Photo -> customers whose carts use it
+    const users = new Map();
+
+    for (const item of items) {
+      for (const value of Object.values(item.customization || {})) {
+        if (!isLegacyPhoto(value)) continue;
+        if (!users.has(value)) users.set(value, new Set());
+        users.get(value).add(item.cart.userId);
+      }
+    }
+
+    console.log(`\nFound ${users.size} photo(s) without an uploader prefix.`);
+
+    let copied = 0;
+    let removed = 0;
+
+    for (const item of items) {
+      const customization = { ...(item.customization || {}) };
+      let changed = false;
+
+      for (const [key, value] of Object.entries(customization)) {
+        if (!isLegacyPhoto(value)) continue;
+
+        const name = value.slice(PHOTO_PATH.length);
+        const source = path.join(PHOTO_DIR, name);
+        changed = true;
+
+        if (users.get(value).size === 1 && fs.existsSync(source)) {
+          const target = getPhotoPrefix(item.cart.userId) + name;
+          if (!fs.existsSync(path.join(PHOTO_DIR, target))) {
+            fs.copyFileSync(source, path.join(PHOTO_DIR, target));
+            copied++;
+          }
+          customization[key] = PHOTO_PATH + target;
+        } else {
+          delete customization[key];
+          removed++;
+        }
+      }
+
+      if (!changed) continue;
+
+      const tidied = Object.keys(customization).length > 0 ? customization : null;
+      const customizationKey = getCustomizationKey(tidied);
+
+      // The cart may already have a line with the new customization
+      const same = await prisma.cartItem.findFirst({
+        where: {
+          cartId: item.cartId,
+          productId: item.productId,
+          variantKey: item.variantKey,
+          customizationKey,
+          id: { not: item.id },
+        },
+      });
+
+      if (same) {
+        await prisma.$transaction([
+          prisma.cartItem.update({
+            where: { id: same.id },
+            data: { quantity: { increment: item.quantity } },
+          }),
+          prisma.cartItem.delete({ where: { id: item.id } }),
+        ]);
+        console.log(`   Cart item ${item.id} merged into cart item ${same.id}`);
+        continue;
+      }
+
+      await prisma.cartItem.update({
+        where: { id: item.id },
+        data: {
+          customization: tidied ?? Prisma.DbNull,
+          customizationKey,
+        },
+      });
+    }
+
+    console.log(`\n✅ Copied ${copied} photo(s), removed ${removed} photo(s) from cart lines.\n`);
+  } catch (error) {
+    console.error(`\n❌ Error migrating customization photos:`, error.message);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+migrateCustomizationPhotos();
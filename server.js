@@ -55,6 +55,9 @@ const app = require('./app');
 // Import database connection function
 const { connectDB } = require('./config/db');
 
+// Background jobs (expired stock holds, etc.)
+const { startScheduler, stopScheduler } = require('./utils/scheduler');
+
 // -----------------------------------------------------------------------------
 // STEP 3: CONFIGURATION
 // -----------------------------------------------------------------------------
@@ -114,6 +117,8 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
         console.log('   Reports:  /api/reports');
         console.log('\n💡 Prisma Studio: npx prisma studio\n');
       }
+
+      startScheduler();
     });
     
     // -------------------------------------------------------------------------
@@ -142,6 +147,7 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
     // Handle SIGTERM (sent by process managers like PM2, Docker, Kubernetes)
     process.on('SIGTERM', () => {
       console.log('\n📴 SIGTERM received. Shutting down gracefully...');
+      stopScheduler();
       server.close(() => {
         console.log('✅ HTTP server closed');
         // Database disconnect is handled in db.js
@@ -152,6 +158,7 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
     // Handle SIGINT (Ctrl+C in terminal)
     process.on('SIGINT', () => {
       console.log('\n📴 SIGINT received. Shutting down gracefully...');
+      stopScheduler();
       server.close(() => {
         console.log('✅ HTTP server closed');
         process.exit(0);
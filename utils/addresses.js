@@ -0,0 +1,89 @@
+// =============================================================================
+// ADDRESSES - Saved Shipping Addresses
+// =============================================================================
+//
+// Helpers shared by the address book (controllers/addressController.js) and
+// checkout. An order never points at a live address for its shipping
+// details - the fields are copied onto the order when it is placed.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+// Longest value allowed per field (matches the database columns)
+const FIELD_LIMITS = {
+  label: 50,
+  line1: 255,
+  line2: 255,
+  city: 100,
+  province: 100,
+  postalCode: 20,
+  phone: 15,
+};
+
+/**
+ * Check address fields sent by a client
+ * @param {Object} fields - label, line1, line2, city, province, postalCode, phone
+ * @param {boolean} [partial=false] - Update: only check fields that were sent
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateAddress = (fields, partial = false) => {
+  for (const required of ['line1', 'city', 'phone']) {
+    const value = fields[required];
+    if ((!partial || value !== undefined) && (!value || !String(value).trim())) {
+      return `Please provide ${required === 'line1' ? 'the street address (line1)' : `the ${required}`}`;
+    }
+  }
+
+  for (const [field, max] of Object.entries(FIELD_LIMITS)) {
+    if (fields[field] && String(fields[field]).length > max) {
+      return `${field} can be at most ${max} characters`;
+    }
+  }
+
+  // Same rule as the checkout phone number
+  if (fields.phone && String(fields.phone).replace(/\D/g, '').length > 13) {
+    return 'Phone number can contain a maximum of 13 digits';
+  }
+
+  return null;
+};
+
+/**
+ * Load one of a user's saved addresses
+ * @param {number} userId - Owner
+ * @param {number|string} addressId - Address ID
+ * @returns {Promise<Object|null>} Address, or null if it isn't theirs
+ */
+const findUserAddress = async (userId, addressId) => {
+  const id = parseInt(addressId);
+
+  if (isNaN(id)) return null;
+
+  return prisma.address.findFirst({ where: { id, userId } });
+};
+
+/**
+ * Order shipping fields for a saved address
+ * @param {Object} address - Address record
+ * @returns {Object} shippingAddress, shippingCity, shippingProvince,
+ *   shippingPostalCode, shippingPhone, addressId
+ */
+const toShippingFields = (address) => ({
+  shippingAddress: [address.line1, address.line2].filter(Boolean).join(', '),
+  shippingCity: address.city,
+  shippingProvince: address.province || null,
+  shippingPostalCode: address.postalCode || null,
+  shippingPhone: address.phone,
+  addressId: address.id,
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  validateAddress,  // Address book + checkout input checks
+  findUserAddress,  // Load an address owned by the user
+  toShippingFields, // Copy an address onto an order
+};
@@ -0,0 +1,74 @@
+// =============================================================================
+// BUDGETS - Spending Alerts
+// =============================================================================
+//
+// Based on SRS-128: budget alerts at 80%, 90% and 100% of a category's
+// monthly limit. Called whenever an expense is added (by hand or with a
+// raw material purchase).
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+/**
+ * Mark (and log) a budget threshold reached by the category's spending in
+ * the month of an expense
+ * @param {string} category - ExpenseCategory
+ * @param {Date} date - Date of the expense just added
+ */
+const checkBudgetAlert = async (category, date) => {
+  const month = date.getMonth() + 1;
+  const year = date.getFullYear();
+
+  const budget = await prisma.budget.findUnique({
+    where: {
+      category_month_year: { category, month, year },
+    },
+  });
+
+  if (!budget) return;
+
+  // Calculate current spending
+  const startDate = new Date(year, month - 1, 1);
+  const endDate = new Date(year, month, 0);
+
+  const spending = await prisma.expense.aggregate({
+    where: {
+      category,
+      date: { gte: startDate, lte: endDate },
+    },
+    _sum: { amount: true },
+  });
+
+  const spent = parseFloat(spending._sum.amount) || 0;
+  const percentage = (spent / parseFloat(budget.limitAmount)) * 100;
+
+  // Check thresholds and update alert status
+  if (percentage >= 100 && !budget.alertSent100) {
+    console.log(`🚨 BUDGET ALERT: ${category} has exceeded 100% of budget!`);
+    await prisma.budget.update({
+      where: { id: budget.id },
+      data: { alertSent100: true },
+    });
+  } else if (percentage >= 90 && !budget.alertSent90) {
+    console.log(`⚠️ BUDGET WARNING: ${category} is at 90% of budget!`);
+    await prisma.budget.update({
+      where: { id: budget.id },
+      data: { alertSent90: true },
+    });
+  } else if (percentage >= 80 && !budget.alertSent80) {
+    console.log(`📊 BUDGET NOTICE: ${category} is at 80% of budget!`);
+    await prisma.budget.update({
+      where: { id: budget.id },
+      data: { alertSent80: true },
+    });
+  }
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  checkBudgetAlert, // Budget threshold reached by a new expense?
+};
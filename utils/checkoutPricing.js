@@ -0,0 +1,242 @@
+// =============================================================================
+// CHECKOUT PRICING - One Pricing Pipeline for Preview and Checkout
+// =============================================================================
+//
+// POST /api/orders/preview and POST /api/orders both price the cart here,
+// so the summary the customer sees is exactly what the order will charge:
+//
+//   1. Line prices      discountPrice if set, otherwise price (a variant's
+//                       own prices when it overrides them), plus the
+//                       customization surcharge
+//   2. Coupon           utils/coupons.js (scope, limits, minimum amount)
+//   3. Shipping         utils/shipping.js (zone of the city / province,
+//                       free above the threshold on the discounted subtotal)
+//   4. Tax              utils/tax.js (per line, on the discounted line totals)
+//   5. Total            subtotal - discount + shipping + tax not already
+//                       included in the prices
+//
+// Problems (inactive products or variants, no variant chosen, not enough
+// stock, a customization that no longer fits the product's options, invalid
+// coupon) are returned rather than thrown: the preview shows them as
+// warnings, checkout refuses to place the order.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+const { evaluateCoupon } = require('./coupons');
+const { quoteShipping } = require('./shipping');
+const { calculateTax } = require('./tax');
+const { getUnitPrice, getAvailableStock } = require('./variants');
+const { validateCustomization } = require('./customizations');
+
+/**
+ * Load the user's active cart with everything pricing needs
+ * @param {number} userId - Customer
+ * @returns {Promise<Object|null>} Cart with items.product (+ its active
+ *   variant count and customization options) and items.variant, or null
+ */
+const loadCheckoutCart = (userId) =>
+  prisma.cart.findFirst({
+    where: {
+      userId,
+      isActive: true,
+    },
+    include: {
+      items: {
+        include: {
+          product: {
+            include: {
+              _count: { select: { variants: { where: { isActive: true } } } },
+              customizationOptions: {
+                where: { isActive: true },
+                orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+              },
+            },
+          },
+          variant: true,
+        },
+      },
+    },
+  });
+
+/**
+ * Price a cart the way checkout does
+ * @param {Object} params
+ * @param {Object} params.cart - Cart from loadCheckoutCart
+ * @param {number} params.userId - Customer (per-user coupon limits)
+ * @param {string} [params.city] - Shipping city
+ * @param {string} [params.province] - Shipping province
+ * @param {string} [params.couponCode] - Coupon to apply
+ * @returns {Promise<Object>} {
+ *   orderItems,        Order lines ready for OrderItem (incl. tax breakdown)
+ *   subtotal, discountAmount, shippingCost, taxAmount, taxIncludedAmount,
+ *   totalAmount,
+ *   coupon,            Coupon applied (null if none / invalid)
+ *   couponError,       Why couponCode can't be used (null if fine)
+ *   shippingQuote,     Full quote from quoteShipping
+ *   stockIssues,       [{ productId, variantId, productName, available, message }]
+ *   customizationIssues [{ productId, variantId, productName, message }]
+ * }
+ */
+const priceCart = async ({ cart, userId, city, province, couponCode }) => {
+  // ---------------------------------------------------------------------------
+  // 1. Line prices (+ availability)
+  // ---------------------------------------------------------------------------
+
+  let subtotal = 0;
+  const orderItems = [];
+  const couponItems = []; // Line totals per product/category for coupon scope
+  const stockIssues = [];
+  const customizationIssues = [];
+
+  // A product (variant) can be on several lines with different
+  // customizations - its stock has to cover all of them together
+  const stockKey = (item) => `${item.productId}:${item.variantId || 0}`;
+  const wanted = new Map();
+
+  for (const item of cart.items) {
+    wanted.set(stockKey(item), (wanted.get(stockKey(item)) || 0) + item.quantity);
+  }
+
+  const reported = new Set(); // Report each product (variant) once
+
+  for (const item of cart.items) {
+    const { product, variant } = item;
+    const name = variant ? `${product.name} (${variant.name})` : product.name;
+    const available = getAvailableStock(product, variant);
+    const quantity = wanted.get(stockKey(item));
+    const issue = { productId: item.productId, variantId: item.variantId, productName: name };
+
+    if (!product.isActive || (variant && !variant.isActive)) {
+      stockIssues.push({ ...issue, available: 0, message: `${name} is no longer available` });
+    } else if (!variant && product._count.variants > 0) {
+      // Added before the product got variants
+      stockIssues.push({ ...issue, available: 0, message: `Please choose an option for ${name}` });
+    } else if (available < quantity && !reported.has(stockKey(item))) {
+      // Early, friendly message - the real check is the conditional
+      // decrement when the order's stock is reserved
+      reported.add(stockKey(item));
+      stockIssues.push({
+        ...issue,
+        available,
+        message: `Insufficient stock for ${name}. Only ${available} available.`,
+      });
+    }
+
+    // Options may have changed since the item was added - check again
+    const custom = validateCustomization(product.customizationOptions, item.customization, { userId });
+    const surcharge = custom.error ? 0 : custom.surcharge;
+
+    if (custom.error) {
+      customizationIssues.push({ ...issue, message: `${name}: ${custom.error}` });
+    }
+
+    const unitPrice = Math.round((parseFloat(getUnitPrice(product, variant)) + surcharge) * 100) / 100;
+    const totalPrice = parseFloat(unitPrice) * item.quantity;
+    subtotal += totalPrice;
+
+    orderItems.push({
+      productId: item.productId,
+      quantity: item.quantity,
+      unitPrice: unitPrice,
+      totalPrice: totalPrice,
+      productName: item.product.name,
+      productImage: item.product.images?.[0] || null,
+      customization: custom.customization ?? undefined,
+      customizationSurcharge: surcharge,
+      variantId: variant ? variant.id : null,
+      variantName: variant ? variant.name : null,
+      variantSku: variant ? variant.sku : null,
+      variantOptions: variant ? variant.options : undefined,
+    });
+
+    couponItems.push({
+      productId: item.productId,
+      category: item.product.category,
+      lineTotal: totalPrice,
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // 2. Coupon
+  // ---------------------------------------------------------------------------
+
+  let coupon = null;
+  let couponError = null;
+  let discountAmount = 0;
+  let discountProductIds; // Lines the coupon applies to (undefined = none used)
+
+  if (couponCode) {
+    const couponResult = await evaluateCoupon(couponCode, userId, couponItems);
+
+    if (couponResult.error) {
+      couponError = couponResult.error;
+    } else {
+      coupon = couponResult.coupon;
+      discountAmount = couponResult.discountAmount;
+      discountProductIds = couponResult.eligibleProductIds;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // 3. Shipping
+  // ---------------------------------------------------------------------------
+
+  const shippingQuote = await quoteShipping({
+    city,
+    province,
+    items: cart.items.map((item) => ({
+      quantity: item.quantity,
+      specifications: item.product.specifications,
+    })),
+    orderAmount: subtotal - discountAmount,
+  });
+
+  // ---------------------------------------------------------------------------
+  // 4. Tax per line
+  // ---------------------------------------------------------------------------
+
+  const tax = await calculateTax({
+    province,
+    items: couponItems,
+    discountAmount,
+    eligibleProductIds: discountProductIds,
+  });
+
+  // Breakdown goes on each order line (same order as cart.items)
+  tax.lines.forEach((line, index) => {
+    Object.assign(orderItems[index], line);
+  });
+
+  // ---------------------------------------------------------------------------
+  // 5. Total (tax included in prices is not added again)
+  // ---------------------------------------------------------------------------
+
+  const shippingCost = shippingQuote.shippingCost;
+  const totalAmount = subtotal - discountAmount + shippingCost + tax.taxAddedAmount;
+
+  return {
+    orderItems,
+    subtotal,
+    discountAmount,
+    shippingCost,
+    taxAmount: tax.taxAmount,
+    taxIncludedAmount: tax.taxIncludedAmount,
+    totalAmount,
+    coupon,
+    couponError,
+    shippingQuote,
+    stockIssues,
+    customizationIssues,
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  loadCheckoutCart, // Active cart with products
+  priceCart,        // Full price breakdown (preview + checkout)
+};
@@ -0,0 +1,330 @@
+// =============================================================================
+// COMMISSIONS - Bespoke Pieces: Quote, Deposit & Balance
+// =============================================================================
+//
+//   REQUESTED -> QUOTED -> ACCEPTED -> IN_PROGRESS -> BALANCE_DUE -> COMPLETED
+//                  |
+//                  +-> DECLINED
+//
+// Anything before COMPLETED can be CANCELLED (customers only until the
+// deposit is paid). An admin can re-quote while the commission is QUOTED.
+//
+// Money goes through ordinary orders, so payments, refunds and invoices
+// work unchanged:
+//
+// - Deposit order  Created when the customer accepts the quote. Once it is
+//                  paid the work starts and the order is closed as
+//                  DELIVERED - nothing ships for it.
+// - Balance order  Quote - deposit + shipping, created with its invoice when
+//                  the piece is ready. Once it is paid the commission is
+//                  COMPLETED and the order is packed and shipped like any
+//                  other (it carries the piece).
+//
+// Commission orders can't be paid by COD, so the piece never ships unpaid.
+// A deposit or balance order that expires unpaid (utils/orderExpiry.js) is
+// simply created again.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+const { sendEmail, getCommissionUpdateEmail } = require('./sendEmail');
+
+const COMMISSION_STATUSES = [
+  'REQUESTED',
+  'QUOTED',
+  'ACCEPTED',
+  'IN_PROGRESS',
+  'BALANCE_DUE',
+  'COMPLETED',
+  'DECLINED',
+  'CANCELLED',
+];
+
+// Statuses a customer can still cancel from (nothing paid yet)
+const CUSTOMER_CANCELLABLE = ['REQUESTED', 'QUOTED', 'ACCEPTED'];
+
+// No further changes once here
+const FINAL_STATUSES = ['COMPLETED', 'DECLINED', 'CANCELLED'];
+
+// Share of the quote paid up front when the admin doesn't set a deposit
+const getDefaultDepositPercent = () => parseFloat(process.env.COMMISSION_DEPOSIT_PERCENT) || 50;
+
+const ORDER_SUMMARY = {
+  select: {
+    id: true,
+    orderNumber: true,
+    status: true,
+    totalAmount: true,
+    shippingCost: true,
+    payment: { select: { id: true, method: true, status: true, paidAt: true } },
+  },
+};
+
+// Everything a commission response shows
+const COMMISSION_INCLUDE = {
+  user: { select: { id: true, name: true, email: true, phone: true } },
+  product: { select: { id: true, name: true } },
+  depositOrder: ORDER_SUMMARY,
+  balanceOrder: ORDER_SUMMARY,
+  updates: {
+    include: { author: { select: { id: true, name: true } } },
+    orderBy: { createdAt: 'desc' },
+  },
+};
+
+/**
+ * Next commission number of the year
+ * @returns {Promise<string>} Format: CM-YYYY-XXXXX
+ */
+const generateCommissionNumber = async () => {
+  const year = new Date().getFullYear();
+
+  const count = await prisma.commission.count({
+    where: { createdAt: { gte: new Date(`${year}-01-01`) } },
+  });
+
+  return `CM-${year}-${String(count + 1).padStart(5, '0')}`;
+};
+
+/**
+ * Is there a deposit / balance order still in play (not cancelled)?
+ * @param {Object} [order] - Order summary or null
+ * @returns {boolean}
+ */
+const isOpenOrder = (order) => Boolean(order) && order.status !== 'CANCELLED';
+
+/**
+ * Create the deposit or balance order of a commission (one line: the piece).
+ * No stock is reserved, and none is put back when the order is cancelled or
+ * expires (releaseReservations checks the commission link).
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} commission - Commission (with shipping and productId)
+ * @param {Object} params
+ * @param {string} params.orderNumber - From generateOrderNumber() (outside the transaction)
+ * @param {string} params.productName - Line name, e.g. "Deposit: Ocean wall clock"
+ * @param {number} params.amount - Line price
+ * @param {number} [params.shippingCost=0] - Shipping (balance order only)
+ * @param {string} params.description - First tracking entry
+ * @returns {Promise<Object>} Order
+ */
+const createCommissionOrder = async (tx, commission, params) => {
+  const { orderNumber, productName, amount, shippingCost = 0, description } = params;
+
+  const order = await tx.order.create({
+    data: {
+      orderNumber,
+      userId: commission.userId,
+      status: 'PENDING',
+      subtotal: amount,
+      shippingCost,
+      totalAmount: Math.round((amount + shippingCost) * 100) / 100,
+      ...commission.shipping,
+      notes: `Commission ${commission.commissionNumber}`,
+      items: {
+        create: [
+          {
+            productId: commission.productId,
+            quantity: 1,
+            unitPrice: amount,
+            totalPrice: amount,
+            productName: productName.substring(0, 150),
+            productImage: commission.referenceImages?.[0] || null,
+          },
+        ],
+      },
+    },
+  });
+
+  await tx.orderTracking.create({
+    data: {
+      orderId: order.id,
+      status: 'Order Placed',
+      description,
+    },
+  });
+
+  return order;
+};
+
+/**
+ * Move a commission along when one of its orders is paid (call inside the
+ * payment's transaction). Deposit paid -> IN_PROGRESS and the deposit order
+ * is closed; balance paid -> COMPLETED.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} orderId - Order that was just paid
+ * @returns {Promise<Object|null>} { commission, part: 'DEPOSIT' | 'BALANCE' },
+ *   or null if the order isn't an open commission's
+ */
+const applyCommissionPayment = async (tx, orderId) => {
+  const commission = await tx.commission.findFirst({
+    where: { OR: [{ depositOrderId: orderId }, { balanceOrderId: orderId }] },
+  });
+
+  if (!commission) return null;
+
+  const now = new Date();
+
+  if (commission.depositOrderId === orderId) {
+    const dueAt = commission.leadTimeDays
+      ? new Date(now.getTime() + commission.leadTimeDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const updated = await tx.commission.updateMany({
+      where: { id: commission.id, status: 'ACCEPTED' },
+      data: { status: 'IN_PROGRESS', depositPaidAt: now, dueAt },
+    });
+
+    if (updated.count === 0) return null;
+
+    // Nothing ships for a deposit - it is done once paid
+    const order = await tx.order.findUnique({ where: { id: orderId } });
+
+    await tx.order.update({
+      where: { id: orderId },
+      data: {
+        status: 'DELIVERED',
+        confirmedAt: order.confirmedAt || now,
+        deliveredAt: now,
+      },
+    });
+
+    await tx.orderTracking.create({
+      data: {
+        orderId,
+        status: 'Deposit Received',
+        description: `Work on commission ${commission.commissionNumber} has started`,
+      },
+    });
+
+    return { commission: { ...commission, status: 'IN_PROGRESS', depositPaidAt: now, dueAt }, part: 'DEPOSIT' };
+  }
+
+  const updated = await tx.commission.updateMany({
+    where: { id: commission.id, status: 'BALANCE_DUE' },
+    data: { status: 'COMPLETED', completedAt: now },
+  });
+
+  if (updated.count === 0) return null;
+
+  return { commission: { ...commission, status: 'COMPLETED', completedAt: now }, part: 'BALANCE' };
+};
+
+/**
+ * Email + in-app notification to the commission's customer. Failures are
+ * logged, never thrown.
+ * @param {Object} commission - Commission
+ * @param {string} title - Notification title / email heading
+ * @param {string} message - What happened
+ */
+const notifyCommissionCustomer = async (commission, title, message) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: commission.userId } });
+    const { subject, text, html } = getCommissionUpdateEmail(commission, user, title, message);
+    await sendEmail({ to: user.email, subject, text, html });
+  } catch (error) {
+    console.error('Failed to send commission email:', error.message);
+  }
+
+  try {
+    await prisma.notification.create({
+      data: {
+        userId: commission.userId,
+        type: 'IN_APP',
+        title: `Commission ${commission.commissionNumber} - ${title}`,
+        message,
+        relatedTo: `commission:${commission.id}`,
+      },
+    });
+  } catch (error) {
+    console.error('Failed to create commission notification:', error.message);
+  }
+};
+
+/**
+ * In-app notification to every active admin. Failures are logged.
+ * @param {Object} commission - Commission
+ * @param {string} title - Notification title
+ * @param {string} message - What happened
+ */
+const notifyCommissionAdmins = async (commission, title, message) => {
+  try {
+    const admins = await prisma.user.findMany({
+      where: { role: 'ADMIN', status: 'ACTIVE' },
+      select: { id: true },
+    });
+
+    if (admins.length > 0) {
+      await prisma.notification.createMany({
+        data: admins.map((admin) => ({
+          userId: admin.id,
+          type: 'IN_APP',
+          title,
+          message,
+          relatedTo: `commission:${commission.id}`,
+        })),
+      });
+    }
+  } catch (error) {
+    console.error('Failed to notify admins about commission:', error.message);
+  }
+};
+
+/**
+ * Tell the customer (and admins) about a payment applyCommissionPayment
+ * handled. Call after the payment's transaction.
+ * @param {Object} [result] - Return value of applyCommissionPayment
+ */
+const notifyCommissionPayment = async (result) => {
+  if (!result) return;
+
+  const { commission, part } = result;
+
+  if (part === 'DEPOSIT') {
+    const due = commission.dueAt
+      ? ` We expect to finish it by ${commission.dueAt.toLocaleDateString('en-PK')}.`
+      : '';
+
+    await notifyCommissionCustomer(
+      commission,
+      'Deposit Received',
+      `Thank you! Your deposit for "${commission.title}" has been received and work has started.${due} We will post progress photos as it comes along.`,
+    );
+    await notifyCommissionAdmins(
+      commission,
+      'Commission Deposit Paid',
+      `The deposit for commission ${commission.commissionNumber} ("${commission.title}") was paid - work can start.`,
+    );
+    return;
+  }
+
+  await notifyCommissionCustomer(
+    commission,
+    'Paid in Full',
+    `Thank you! "${commission.title}" is paid in full and will be shipped shortly.`,
+  );
+  await notifyCommissionAdmins(
+    commission,
+    'Commission Paid in Full',
+    `Commission ${commission.commissionNumber} is paid in full - its balance order can be shipped.`,
+  );
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  COMMISSION_STATUSES,      // All CommissionStatus values
+  CUSTOMER_CANCELLABLE,     // Statuses a customer may cancel from
+  FINAL_STATUSES,           // No changes after these
+  COMMISSION_INCLUDE,       // Prisma include for commission responses
+  getDefaultDepositPercent, // COMMISSION_DEPOSIT_PERCENT (default 50)
+  generateCommissionNumber, // Next CM-YYYY-XXXXX number
+  isOpenOrder,              // Deposit / balance order not cancelled?
+  createCommissionOrder,    // Deposit or balance order
+  applyCommissionPayment,   // Payment received -> commission status
+  notifyCommissionCustomer, // Email + notification to the customer
+  notifyCommissionAdmins,   // Notification to admins
+  notifyCommissionPayment,  // Messages after applyCommissionPayment
+};
@@ -0,0 +1,232 @@
+// =============================================================================
+// COUPONS - Validate, Calculate & Redeem Discount Codes
+// =============================================================================
+//
+// Shared by:
+// - POST /api/cart/apply-coupon (preview the discount)
+// - POST /api/orders            (apply it for real at checkout)
+//
+// Both use evaluateCoupon, so the preview and the order always agree.
+// At checkout, redeemCoupon checks both usage limits again under a lock.
+//
+// CHECKS (in order):
+// 1. Code exists and is active
+// 2. Inside the validity window (startsAt / expiresAt)
+// 3. Global usage limit not reached
+// 4. Customer's own usage limit not reached
+// 5. Cart contains items the coupon applies to (category / product scope)
+// 6. Order subtotal reaches minOrderAmount
+//
+// Functions return { error } with a customer-friendly message instead of
+// throwing, so controllers decide the HTTP status.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+// Round to 2 decimals (money)
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normalize a code typed by the customer ("  summer10 " -> "SUMMER10")
+ * @param {string} code - Raw code
+ * @returns {string} Normalized code
+ */
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Find a coupon by code and check whether it can be used on a cart
+ * @param {string} code - Coupon code entered by the customer
+ * @param {number} userId - Customer using the coupon
+ * @param {Array<Object>} items - Cart lines: { productId, category, lineTotal }
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<Object>} { coupon, discountAmount, eligibleSubtotal, eligibleProductIds } or { error }
+ */
+const evaluateCoupon = async (code, userId, items, client = prisma) => {
+  const coupon = await client.coupon.findUnique({
+    where: { code: normalizeCouponCode(code) },
+  });
+
+  // ---------------------------------------------------------------------------
+  // STEP 1-2: Exists, active, within validity window
+  // ---------------------------------------------------------------------------
+
+  if (!coupon || !coupon.isActive) {
+    return { error: 'Invalid coupon code' };
+  }
+
+  const now = new Date();
+
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { error: 'This coupon is not active yet' };
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return { error: 'This coupon has expired' };
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 3-4: Usage limits
+  // ---------------------------------------------------------------------------
+
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { error: 'This coupon has reached its usage limit' };
+  }
+
+  if (coupon.usageLimitPerUser !== null) {
+    const timesUsed = await client.couponRedemption.count({
+      where: { couponId: coupon.id, userId },
+    });
+
+    if (timesUsed >= coupon.usageLimitPerUser) {
+      return { error: 'You have already used this coupon' };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 5: Which cart lines does it apply to?
+  // ---------------------------------------------------------------------------
+
+  const categories = Array.isArray(coupon.categories) ? coupon.categories : [];
+  const productIds = Array.isArray(coupon.productIds) ? coupon.productIds : [];
+  const isScoped = categories.length > 0 || productIds.length > 0;
+
+  const eligibleItems = isScoped
+    ? items.filter(
+        (item) =>
+          categories.includes(item.category) ||
+          productIds.includes(item.productId)
+      )
+    : items;
+
+  if (eligibleItems.length === 0) {
+    return { error: 'This coupon does not apply to any items in your cart' };
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 6: Minimum order value (whole cart subtotal)
+  // ---------------------------------------------------------------------------
+
+  const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+
+  if (coupon.minOrderAmount !== null && subtotal < parseFloat(coupon.minOrderAmount)) {
+    return {
+      error: `Minimum order amount for this coupon is ${parseFloat(coupon.minOrderAmount).toFixed(2)}`,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Calculate the discount
+  // ---------------------------------------------------------------------------
+
+  const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.lineTotal, 0);
+  const value = parseFloat(coupon.discountValue);
+
+  let discountAmount =
+    coupon.discountType === 'PERCENTAGE'
+      ? (eligibleSubtotal * value) / 100
+      : value;
+
+  if (coupon.maxDiscountAmount !== null) {
+    discountAmount = Math.min(discountAmount, parseFloat(coupon.maxDiscountAmount));
+  }
+
+  // Never discount more than the items cost
+  discountAmount = roundMoney(Math.min(discountAmount, eligibleSubtotal));
+
+  return {
+    coupon,
+    discountAmount,
+    eligibleSubtotal: roundMoney(eligibleSubtotal),
+    // Lines the discount is spread over (per-item tax, see utils/tax.js)
+    eligibleProductIds: eligibleItems.map((item) => item.productId),
+  };
+};
+
+/**
+ * Record a coupon redemption inside the checkout transaction
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} coupon - Coupon returned by evaluateCoupon
+ * @param {number} userId - Customer
+ * @param {number} orderId - Order the coupon was used on
+ * @param {number} discountAmount - Discount given
+ * @returns {Promise<Object>} {} or { error } if a limit was reached meanwhile
+ */
+const redeemCoupon = async (tx, coupon, userId, orderId, discountAmount) => {
+  // Lock the coupon row until the checkout commits, so parallel checkouts
+  // with this coupon take turns. Locking reads see the latest committed
+  // data (a plain read could use the transaction's older snapshot).
+  const [locked] = await tx.$queryRaw`
+    SELECT usage_limit_per_user AS usageLimitPerUser
+    FROM coupons
+    WHERE id = ${coupon.id}
+    FOR UPDATE
+  `;
+
+  if (locked && locked.usageLimitPerUser !== null) {
+    const [{ timesUsed }] = await tx.$queryRaw`
+      SELECT COUNT(*) AS timesUsed
+      FROM coupon_redemptions
+      WHERE coupon_id = ${coupon.id} AND user_id = ${userId}
+      FOR UPDATE
+    `;
+
+    if (Number(timesUsed) >= locked.usageLimitPerUser) {
+      return { error: 'You have already used this coupon' };
+    }
+  }
+
+  // Conditional increment in ONE statement: two customers using the last
+  // redemption at the same moment can't both succeed.
+  const updated = await tx.$executeRaw`
+    UPDATE coupons
+    SET used_count = used_count + 1
+    WHERE id = ${coupon.id}
+      AND (usage_limit IS NULL OR used_count < usage_limit)
+  `;
+
+  if (updated === 0) return { error: 'This coupon has reached its usage limit' };
+
+  await tx.couponRedemption.create({
+    data: {
+      couponId: coupon.id,
+      userId,
+      orderId,
+      discountAmount,
+    },
+  });
+
+  return {};
+};
+
+/**
+ * Give a coupon use back when its order is cancelled
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} orderId - Cancelled order
+ * @returns {Promise<void>}
+ */
+const releaseCouponRedemption = async (tx, orderId) => {
+  const redemption = await tx.couponRedemption.findUnique({
+    where: { orderId },
+  });
+
+  if (!redemption) return;
+
+  await tx.couponRedemption.delete({ where: { id: redemption.id } });
+
+  await tx.coupon.update({
+    where: { id: redemption.couponId },
+    data: { usedCount: { decrement: 1 } },
+  });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  normalizeCouponCode,     // "summer10" -> "SUMMER10"
+  evaluateCoupon,          // Validate + calculate discount
+  redeemCoupon,            // Record use at checkout (inside transaction)
+  releaseCouponRedemption, // Undo on cancellation (inside transaction)
+};
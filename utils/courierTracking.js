@@ -0,0 +1,190 @@
+// =============================================================================
+// COURIER TRACKING - Apply Courier Webhook Events to Shipments
+// =============================================================================
+//
+// Every verified courier event (utils/couriers) ends up in applyCourierEvent:
+//
+// 1. Record it in CourierWebhookEvent - the same event delivered twice is
+//    only applied once
+// 2. Find the shipment booked with that courier under the tracking number
+// 3. Move the shipment along with the parcel (utils/fulfillment.js, which
+//    also brings the order status along):
+//      PICKED_UP / IN_TRANSIT / OUT_FOR_DELIVERY / FAILED_ATTEMPT -> SHIPPED
+//      DELIVERED -> DELIVERED
+//      RETURNED  -> RETURNED
+//    Events that don't change the status just add an OrderTracking entry.
+//
+// Admins are notified when a courier update can't be applied (e.g.
+// "delivered" for a cancelled shipment).
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+const { COURIER_STATUSES } = require('./couriers');
+const { updateShipmentStatus } = require('./fulfillment');
+
+// Shipment status each courier status means
+const SHIPMENT_STATUS_FOR = {
+  PICKED_UP: 'SHIPPED',
+  IN_TRANSIT: 'SHIPPED',
+  OUT_FOR_DELIVERY: 'SHIPPED',
+  FAILED_ATTEMPT: 'SHIPPED',
+  DELIVERED: 'DELIVERED',
+  RETURNED: 'RETURNED',
+};
+
+/**
+ * Does the shipment need to move for this courier status?
+ * @param {string} current - Shipment status now
+ * @param {string} target - Shipment status the courier event means
+ * @returns {boolean|null} true = move, false = already there (tracking
+ *   entry only), null = it can't get there
+ */
+const needsMove = (current, target) => {
+  if (current === target) return false;
+
+  // Still moving: nothing to change once the parcel has arrived or come back
+  if (target === 'SHIPPED' && ['DELIVERED', 'RETURNED'].includes(current)) return false;
+
+  if (current === 'CANCELLED') return null;
+  if (current === 'PENDING' || (current === 'SHIPPED' && target !== 'SHIPPED')) return true;
+
+  return null;
+};
+
+const notifyAdmins = async (orderId, message) => {
+  try {
+    const admins = await prisma.user.findMany({
+      where: { role: 'ADMIN', status: 'ACTIVE' },
+      select: { id: true },
+    });
+
+    if (admins.length > 0) {
+      await prisma.notification.createMany({
+        data: admins.map((admin) => ({
+          userId: admin.id,
+          type: 'IN_APP',
+          title: 'Courier Update Needs Attention',
+          message,
+          relatedTo: `order:${orderId}`,
+        })),
+      });
+    }
+  } catch (error) {
+    console.error('Failed to notify admins about courier update:', error.message);
+  }
+};
+
+const applyToShipment = async (courier, event, shipment) => {
+  const label = COURIER_STATUSES[event.status];
+  const description = event.description || label;
+
+  // ---------------------------------------------------------------------------
+  // 2. Latest courier status on the shipment (events can arrive out of order)
+  // ---------------------------------------------------------------------------
+
+  if (!shipment.lastTrackedAt || event.occurredAt >= shipment.lastTrackedAt) {
+    await prisma.shipment.update({
+      where: { id: shipment.id },
+      data: { courierStatus: event.status, lastTrackedAt: event.occurredAt },
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // 3. Move the shipment
+  // ---------------------------------------------------------------------------
+
+  const move = needsMove(shipment.status, SHIPMENT_STATUS_FOR[event.status]);
+
+  if (move === false) {
+    await prisma.orderTracking.create({
+      data: {
+        orderId: shipment.orderId,
+        shipmentId: shipment.id,
+        status: label,
+        description,
+        location: event.location,
+        timestamp: event.occurredAt,
+      },
+    });
+    return { outcome: 'tracked', shipment };
+  }
+
+  const result =
+    move === null
+      ? { error: `shipment is ${shipment.status}` }
+      : await updateShipmentStatus(shipment.id, SHIPMENT_STATUS_FOR[event.status], {
+          actorId: null,
+          description,
+          location: event.location,
+          occurredAt: event.occurredAt,
+        });
+
+  if (result.error) {
+    // e.g. an unpaid online order can't ship
+    await notifyAdmins(
+      shipment.orderId,
+      `${courier.displayName} reported "${label}" for shipment ${shipment.shipmentNumber}, but it could not be applied: ${result.error}. Please check it manually.`,
+    );
+    return { outcome: 'blocked', shipment };
+  }
+
+  return { outcome: 'applied', shipment: result.shipment };
+};
+
+/**
+ * Apply a verified courier event to its shipment (and so its order)
+ * @param {Object} courier - Courier adapter
+ * @param {Object} event - Result of courier.parseWebhook
+ * @returns {Promise<Object>} { outcome, shipment }
+ *   outcome: 'applied' (status changed), 'tracked' (tracking entry only),
+ *   'blocked' (admins notified), 'duplicate' or 'unmatched'
+ */
+const applyCourierEvent = async (courier, event) => {
+  const shipment = await prisma.shipment.findFirst({
+    where: { trackingNumber: event.trackingNumber, courierProvider: courier.name },
+  });
+
+  // ---------------------------------------------------------------------------
+  // 1. Record the event (unique provider + eventId)
+  // ---------------------------------------------------------------------------
+
+  let record;
+
+  try {
+    record = await prisma.courierWebhookEvent.create({
+      data: {
+        provider: courier.name,
+        eventId: event.eventId,
+        trackingNumber: event.trackingNumber,
+        shipmentId: shipment ? shipment.id : null,
+        status: event.status,
+        payload: event.payload,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') return { outcome: 'duplicate', shipment };
+    throw error;
+  }
+
+  if (!shipment) {
+    return { outcome: 'unmatched', shipment: null };
+  }
+
+  try {
+    return await applyToShipment(courier, event, shipment);
+  } catch (error) {
+    // Let the courier's retry try again
+    await prisma.courierWebhookEvent.delete({ where: { id: record.id } }).catch(() => {});
+    throw error;
+  }
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  applyCourierEvent, // Webhook event -> shipment, tracking, order status
+};
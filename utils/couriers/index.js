@@ -0,0 +1,105 @@
+// =============================================================================
+// COURIERS - Adapter Registry
+// =============================================================================
+//
+// Shipments are booked and tracked through courier adapters, the same way
+// payments go through gateway adapters (utils/paymentGateways).
+//
+// With COURIER_MODE=mock (the default) every booking uses the local mock
+// courier, so the whole flow - booking, label, tracking webhooks - can be
+// tested without a courier account. Real couriers are added to COURIERS
+// below and used with COURIER_MODE=live. Mock mode is never used with
+// NODE_ENV=production.
+//
+// ADAPTER INTERFACE:
+// ------------------
+// name
+//   Provider name, stored on Shipment.courierProvider and used in webhook URLs
+//
+// displayName
+//   Company name shown to customers (Shipment.courierCompany)
+//
+// bookShipment({ order, weightKg, pieces, codAmount })
+//   Books a pickup. Resolves to:
+//   { trackingNumber, reference, trackingUrl, labelUrl, raw }
+//   - reference:   the courier's booking / consignment ID
+//   - trackingUrl: public tracking page (null if none)
+//   - labelUrl:    hosted label (null if getLabel draws it)
+//   - codAmount:   cash the courier collects on delivery (0 if prepaid)
+//
+// getLabel({ order, shipment, codAmount }) (optional)
+//   Resolves to { contentType, data } (Buffer). Couriers without it
+//   provide a labelUrl when booking.
+//
+// parseWebhook(req)
+//   Verifies the signature and reads the event. Resolves to { error } or:
+//   { eventId, trackingNumber, status, description, location, occurredAt, payload }
+//   - status: one of COURIER_STATUSES
+//
+// =============================================================================
+
+const mockCourier = require('./mockCourier');
+
+// Normalized tracking statuses, with the label used for OrderTracking
+const COURIER_STATUSES = {
+  PICKED_UP: 'Picked Up',
+  IN_TRANSIT: 'In Transit',
+  OUT_FOR_DELIVERY: 'Out for Delivery',
+  FAILED_ATTEMPT: 'Delivery Attempt Failed',
+  DELIVERED: 'Delivered',
+  RETURNED: 'Returned to Sender',
+};
+
+const COURIERS = {
+  [mockCourier.name]: mockCourier,
+};
+
+// A forged mock "delivered" update would complete COD payments, so mock mode
+// is refused in production whatever COURIER_MODE says
+const isMockMode = () =>
+  process.env.NODE_ENV !== 'production' && (process.env.COURIER_MODE || 'mock') === 'mock';
+
+/**
+ * Courier adapter by provider name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Adapter, or null if unknown / not usable in this mode
+ */
+const getCourier = (name) => {
+  const courier = COURIERS[name];
+
+  if (!courier) return null;
+
+  // The mock courier only exists in mock mode and real ones only in live mode
+  return (courier === mockCourier) === isMockMode() ? courier : null;
+};
+
+/**
+ * Courier used for a new booking
+ * @param {string} [name] - Courier requested by the admin
+ * @returns {Object|null} Adapter, or null if none is available
+ */
+const getBookingCourier = (name) => {
+  if (isMockMode()) return mockCourier;
+  return getCourier(name || process.env.DEFAULT_COURIER);
+};
+
+/**
+ * Couriers that can be booked right now
+ * @returns {Array<Object>} [{ name, displayName }]
+ */
+const listCouriers = () =>
+  Object.values(COURIERS)
+    .filter((courier) => getCourier(courier.name))
+    .map((courier) => ({ name: courier.name, displayName: courier.displayName }));
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  COURIER_STATUSES,  // Normalized tracking statuses -> labels
+  getCourier,        // Webhooks / labels: adapter from the name
+  getBookingCourier, // Booking: which adapter to use
+  listCouriers,      // Admin UI: available couriers
+  isMockMode,        // Is the mock courier in use?
+};
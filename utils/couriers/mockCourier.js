@@ -0,0 +1,162 @@
+// =============================================================================
+// MOCK COURIER - Local Courier for Development & Testing
+// =============================================================================
+//
+// Behaves like a real courier without leaving the machine:
+// - bookShipment returns a tracking number right away
+// - getLabel draws a 4x6 inch shipping label PDF
+// - Tracking updates arrive as signed webhooks, exactly like in production.
+//   POST /api/couriers/mock/:trackingNumber/simulate builds and signs one.
+//
+// WEBHOOK FORMAT:
+//   Header:  X-Mock-Signature: hex HMAC-SHA256(raw body, MOCK_COURIER_WEBHOOK_SECRET)
+//   Body:    { "id": "trk_...", "trackingNumber": "MOCK...",
+//              "status": "picked_up" | "in_transit" | "out_for_delivery" |
+//                        "failed_attempt" | "delivered" | "returned",
+//              "description": "...", "location": "Lahore hub",
+//              "occurredAt": "2024-01-01T10:00:00Z" }
+//
+// Only accepted while COURIER_MODE=mock, never with NODE_ENV=production, and
+// only once MOCK_COURIER_WEBHOOK_SECRET is set (there is no default).
+//
+// =============================================================================
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+
+const { safeCompare, getRawBody } = require('../paymentGateways/helpers');
+
+const STATUS_MAP = {
+  picked_up: 'PICKED_UP',
+  in_transit: 'IN_TRANSIT',
+  out_for_delivery: 'OUT_FOR_DELIVERY',
+  failed_attempt: 'FAILED_ATTEMPT',
+  delivered: 'DELIVERED',
+  returned: 'RETURNED',
+};
+
+const getSecret = () => process.env.MOCK_COURIER_WEBHOOK_SECRET;
+
+/**
+ * Sign a mock webhook body
+ * @param {string} rawBody - Exact JSON string that will be sent
+ * @returns {string} Hex signature for the X-Mock-Signature header
+ */
+const sign = (rawBody) => {
+  if (!getSecret()) {
+    throw new Error('MOCK_COURIER_WEBHOOK_SECRET is not set');
+  }
+
+  return crypto.createHmac('sha256', getSecret()).update(rawBody).digest('hex');
+};
+
+const bookShipment = async ({ order, weightKg, pieces, codAmount }) => {
+  const trackingNumber = `MOCK${Date.now().toString().slice(-8)}${crypto.randomInt(100, 1000)}`;
+  const reference = `mock_bk_${crypto.randomBytes(8).toString('hex')}`;
+
+  return {
+    trackingNumber,
+    reference,
+    trackingUrl: null,
+    labelUrl: null,
+    raw: {
+      reference,
+      trackingNumber,
+      orderNumber: order.orderNumber,
+      weightKg,
+      pieces,
+      codAmount,
+      bookedAt: new Date().toISOString(),
+    },
+  };
+};
+
+// 4x6 inch label: tracking number, addresses, COD amount
+const getLabel = ({ order, shipment, codAmount }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [288, 432], margin: 18 });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve({ contentType: 'application/pdf', data: Buffer.concat(chunks) }));
+    doc.on('error', reject);
+
+    doc.fontSize(10).font('Helvetica-Bold').text('MOCK COURIER', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(20).text(shipment.trackingNumber, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(8).font('Helvetica').text(`Shipment ${shipment.shipmentNumber}`, { align: 'center' });
+    doc.moveDown(1);
+
+    doc.fontSize(9).font('Helvetica-Bold').text('FROM');
+    doc.font('Helvetica').text(process.env.STORE_NAME || 'Resin Art Store');
+    if (process.env.STORE_ADDRESS) doc.text(process.env.STORE_ADDRESS);
+    doc.moveDown(1);
+
+    doc.font('Helvetica-Bold').text('TO');
+    doc.fontSize(11).font('Helvetica');
+    [
+      order.user?.name,
+      order.shippingAddress,
+      [order.shippingCity, order.shippingProvince, order.shippingPostalCode].filter(Boolean).join(', '),
+      `Phone: ${order.shippingPhone}`,
+    ]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line));
+    doc.moveDown(1);
+
+    const cod = parseFloat(codAmount || 0);
+    doc.fontSize(14).font('Helvetica-Bold').text(cod > 0 ? `COD: PKR ${cod.toFixed(2)}` : 'PREPAID', {
+      align: 'center',
+    });
+
+    doc.end();
+  });
+
+const parseWebhook = async (req) => {
+  if ((process.env.COURIER_MODE || 'mock') !== 'mock' || process.env.NODE_ENV === 'production') {
+    return { error: 'Mock courier is disabled' };
+  }
+
+  if (!getSecret()) {
+    return { error: 'MOCK_COURIER_WEBHOOK_SECRET is not set' };
+  }
+
+  const rawBody = getRawBody(req);
+
+  if (!safeCompare(sign(rawBody), req.get('x-mock-signature') || '')) {
+    return { error: 'Invalid webhook signature' };
+  }
+
+  const payload = req.body || {};
+  const status = STATUS_MAP[payload.status];
+
+  if (!payload.id || !payload.trackingNumber || !status) {
+    return { error: 'Malformed webhook payload' };
+  }
+
+  const occurredAt = payload.occurredAt ? new Date(payload.occurredAt) : new Date();
+
+  return {
+    eventId: String(payload.id),
+    trackingNumber: String(payload.trackingNumber),
+    status,
+    description: payload.description || null,
+    location: payload.location || null,
+    occurredAt: isNaN(occurredAt.getTime()) ? new Date() : occurredAt,
+    payload,
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  name: 'mock',
+  displayName: 'Mock Courier',
+  bookShipment,
+  getLabel,
+  parseWebhook,
+  sign, // Used by the simulate endpoint
+};
@@ -0,0 +1,303 @@
+// =============================================================================
+// CUSTOMIZATIONS - Validate and Price Product Personalization
+// =============================================================================
+//
+// Admins define what a product can be personalized with
+// (ProductCustomizationOption); a customer's customization is an object of
+// option key -> value, checked here in addToCart and again at checkout:
+//
+//   TEXT    "engraving": "Sara"                  (config.maxLength)
+//   COLOR   "resinColor": "#1E90FF"              (config.colors, or any hex)
+//   CHOICE  "flowers": ["rose", "lavender"]      (config.choices, maxSelections)
+//   IMAGE   "photo": "/uploads/customizations/…" (POST /api/cart/customization-photo)
+//
+// Each option used adds its surcharge (plus the surcharge of each choice
+// picked) to the unit price.
+//
+// Photo file names start with the uploader's ID (u12_...), so a customer can
+// only use their own uploads.
+//
+// =============================================================================
+
+const crypto = require('crypto');
+const path = require('path');
+
+const { prisma } = require('../config/db');
+
+const CUSTOMIZATION_TYPES = ['TEXT', 'COLOR', 'CHOICE', 'IMAGE'];
+
+// Option keys end up in JSON and on invoices: "engraving", "resin_color"
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/;
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// Where customer photos are stored (middleware/uploadMiddleware.js)
+const PHOTO_PATH = '/uploads/customizations/';
+
+const DEFAULT_MAX_LENGTH = 100;
+const MAX_TEXT_LENGTH = 500;
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+const toMoney = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+/**
+ * File name prefix of a customer's customization photos
+ * @param {number} userId - Uploader
+ * @returns {string} e.g. "u12_"
+ */
+const getPhotoPrefix = (userId) => `u${userId}_`;
+
+/**
+ * Check an option's type-specific settings (admin side)
+ * @param {string} type - CustomizationType
+ * @param {Object} [config] - Settings sent by the admin
+ * @returns {Object} { config } (tidied) or { error }
+ */
+const normalizeOptionConfig = (type, config = {}) => {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return { error: 'config must be an object' };
+  }
+
+  switch (type) {
+    case 'TEXT': {
+      const maxLength = config.maxLength === undefined ? DEFAULT_MAX_LENGTH : parseInt(config.maxLength);
+
+      if (isNaN(maxLength) || maxLength < 1 || maxLength > MAX_TEXT_LENGTH) {
+        return { error: `maxLength must be between 1 and ${MAX_TEXT_LENGTH}` };
+      }
+
+      return { config: { maxLength } };
+    }
+
+    case 'COLOR': {
+      const colors = config.colors === undefined ? [] : config.colors;
+
+      if (!Array.isArray(colors) || colors.some((color) => isEmpty(color) || typeof color !== 'string')) {
+        return { error: 'colors must be a list of color names or #RRGGBB codes' };
+      }
+
+      return { config: { colors: colors.map((color) => color.trim()) } };
+    }
+
+    case 'CHOICE': {
+      const { choices, maxSelections = 1 } = config;
+
+      if (!Array.isArray(choices) || choices.length === 0) {
+        return { error: 'choices must list at least one choice' };
+      }
+
+      const tidied = [];
+
+      for (const choice of choices) {
+        const value = choice && !isEmpty(choice.value) ? String(choice.value).trim() : null;
+        const surcharge = toMoney(choice && choice.surcharge);
+
+        if (!value) return { error: 'Every choice needs a value' };
+        if (tidied.some((existing) => existing.value === value)) {
+          return { error: `Choice "${value}" is listed twice` };
+        }
+        if (isNaN(surcharge) || surcharge < 0) {
+          return { error: `Surcharge of choice "${value}" must be a positive number` };
+        }
+
+        tidied.push({ value, label: choice.label ? String(choice.label).trim() : value, surcharge });
+      }
+
+      const max = parseInt(maxSelections);
+      if (isNaN(max) || max < 1 || max > tidied.length) {
+        return { error: `maxSelections must be between 1 and ${tidied.length}` };
+      }
+
+      return { config: { choices: tidied, maxSelections: max } };
+    }
+
+    case 'IMAGE':
+      return { config: {} };
+
+    default:
+      return { error: `Type must be one of: ${CUSTOMIZATION_TYPES.join(', ')}` };
+  }
+};
+
+// One option's value -> { value, surcharge } or { error }
+const validateValue = (option, raw, context) => {
+  const config = option.config || {};
+  const surcharge = toMoney(option.surcharge);
+
+  switch (option.type) {
+    case 'TEXT': {
+      if (typeof raw !== 'string') return { error: `${option.label} must be text` };
+
+      const text = raw.trim();
+      const maxLength = config.maxLength || DEFAULT_MAX_LENGTH;
+
+      if (text.length > maxLength) {
+        return { error: `${option.label} can be at most ${maxLength} characters` };
+      }
+
+      return { value: text, surcharge };
+    }
+
+    case 'COLOR': {
+      if (typeof raw !== 'string') return { error: `${option.label} must be a color` };
+
+      const color = raw.trim();
+      const colors = config.colors || [];
+
+      if (colors.length > 0) {
+        const match = colors.find((allowed) => allowed.toLowerCase() === color.toLowerCase());
+        if (!match) return { error: `${option.label} must be one of: ${colors.join(', ')}` };
+        return { value: match, surcharge };
+      }
+
+      if (!HEX_COLOR.test(color)) {
+        return { error: `${option.label} must be a color code like #1E90FF` };
+      }
+
+      return { value: color.toUpperCase(), surcharge };
+    }
+
+    case 'CHOICE': {
+      const picked = Array.isArray(raw) ? raw.map(String) : [String(raw)];
+      const choices = config.choices || [];
+      const maxSelections = config.maxSelections || 1;
+
+      if (picked.length > maxSelections) {
+        return { error: `Choose at most ${maxSelections} for ${option.label}` };
+      }
+      if (new Set(picked).size !== picked.length) {
+        return { error: `${option.label} lists the same choice twice` };
+      }
+
+      let total = surcharge;
+
+      for (const value of picked) {
+        const choice = choices.find((c) => c.value === value);
+        if (!choice) return { error: `"${value}" is not a choice for ${option.label}` };
+        total += toMoney(choice.surcharge);
+      }
+
+      // A single-choice option keeps a plain value
+      return { value: maxSelections === 1 ? picked[0] : picked, surcharge: toMoney(total) };
+    }
+
+    case 'IMAGE': {
+      const file = typeof raw === 'string' ? raw.trim() : '';
+      const name = file.slice(PHOTO_PATH.length);
+
+      if (!file.startsWith(PHOTO_PATH) || !name || name !== path.basename(name)) {
+        return { error: `Upload a photo for ${option.label} first (POST /api/cart/customization-photo)` };
+      }
+
+      if (context.userId !== undefined && !name.startsWith(getPhotoPrefix(context.userId))) {
+        return { error: `The photo for ${option.label} was not uploaded by you` };
+      }
+
+      return { value: file, surcharge };
+    }
+
+    default:
+      return { error: `${option.label} can't be used right now` };
+  }
+};
+
+/**
+ * Check a customer's customization against the product's options
+ * @param {Array<Object>} options - Active ProductCustomizationOptions
+ * @param {Object} [input] - { optionKey: value }
+ * @param {Object} [context]
+ * @param {number} [context.userId] - Customer; IMAGE values must be their uploads
+ * @returns {Object} { customization, surcharge } - customization is the
+ *   tidied object (null when nothing was customized), surcharge the extra
+ *   per unit - or { error }
+ */
+const validateCustomization = (options, input, context = {}) => {
+  const given = isEmpty(input) ? {} : input;
+
+  if (typeof given !== 'object' || Array.isArray(given)) {
+    return { error: 'Customization must be an object of option keys and values' };
+  }
+
+  const keys = Object.keys(given).filter((key) => !isEmpty(given[key]));
+
+  if (keys.length > 0 && options.length === 0) {
+    return { error: 'This product cannot be customized' };
+  }
+
+  const unknown = keys.find((key) => !options.some((option) => option.key === key));
+  if (unknown) {
+    return { error: `Unknown customization "${unknown}"` };
+  }
+
+  const customization = {};
+  let surcharge = 0;
+
+  for (const option of options) {
+    const raw = given[option.key];
+
+    if (isEmpty(raw)) {
+      if (option.isRequired) return { error: `${option.label} is required` };
+      continue;
+    }
+
+    const result = validateValue(option, raw, context);
+    if (result.error) return { error: result.error };
+
+    customization[option.key] = result.value;
+    surcharge += result.surcharge;
+  }
+
+  return {
+    customization: Object.keys(customization).length > 0 ? customization : null,
+    surcharge: toMoney(surcharge),
+  };
+};
+
+/**
+ * Key telling apart cart lines of the same product with different
+ * customizations (CartItem.customizationKey)
+ * @param {Object|null} customization - Tidied customization
+ * @returns {string} SHA-256 hex of the sorted values ('' when not customized)
+ */
+const getCustomizationKey = (customization) => {
+  if (!customization) return '';
+
+  const entries = Object.keys(customization)
+    .sort()
+    .map((key) => {
+      const value = customization[key];
+      return [key, Array.isArray(value) ? [...value].sort() : value];
+    });
+
+  return crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex');
+};
+
+/**
+ * Active customization options of a product, in display order
+ * @param {number} productId - Product
+ * @returns {Promise<Array<Object>>}
+ */
+const getCustomizationOptions = (productId) =>
+  prisma.productCustomizationOption.findMany({
+    where: { productId, isActive: true },
+    orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+  });
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  CUSTOMIZATION_TYPES,     // TEXT, COLOR, CHOICE, IMAGE
+  KEY_PATTERN,             // Allowed option keys
+  normalizeOptionConfig,   // Admin: check an option's settings
+  validateCustomization,   // Customer's customization -> tidied + surcharge
+  getCustomizationKey,     // Cart line key of a tidied customization
+  getPhotoPrefix,          // File name prefix of a customer's photos
+  getCustomizationOptions, // Active options of a product
+};
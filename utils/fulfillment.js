@@ -0,0 +1,419 @@
+// =============================================================================
+// FULFILLMENT - Split Shipments & the Order Status They Drive
+// =============================================================================
+//
+// Handmade pieces don't all finish curing on the same day, so an order can
+// leave the workshop in several shipments (utils/shipments.js). Each one
+// moves on its own - by an admin or by courier webhooks
+// (utils/courierTracking.js) - and after every move the order status is
+// worked out again from all its shipments:
+//
+//   some items sent                    -> PARTIALLY_SHIPPED
+//   every item sent                    -> SHIPPED
+//   every parcel delivered (or back)   -> DELIVERED
+//   every parcel returned              -> RETURNED
+//
+// The order moves through the order lifecycle as usual (guards, delivery
+// record, COD payment), but the customer hears about each shipment instead
+// of about the order status.
+//
+// Functions return { error, statusCode } instead of throwing.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+const { checkTransition, transitionOrder } = require('./orderLifecycle');
+const {
+  SHIPMENT_TRANSITIONS,
+  SHIPMENTS_INCLUDE,
+  getUnshippedItems,
+  planShipmentItems,
+  createShipmentRecord,
+  restockShipment,
+  deriveOrderStatus,
+} = require('./shipments');
+const { sendEmail, getShipmentUpdateEmail } = require('./sendEmail');
+const { formatItemName } = require('./variants');
+
+// Order statuses new shipments can be created in
+const SHIPPABLE_ORDER_STATUSES = ['CONFIRMED', 'PROCESSING', 'READY_TO_SHIP', 'PARTIALLY_SHIPPED'];
+
+// Order include for everything fulfillment looks at
+const FULFILLMENT_INCLUDE = {
+  items: true,
+  payment: true,
+  user: true,
+  ...SHIPMENTS_INCLUDE,
+};
+
+// How far along each order status is (never move back)
+const STATUS_RANK = {
+  CONFIRMED: 0,
+  PROCESSING: 1,
+  READY_TO_SHIP: 2,
+  PARTIALLY_SHIPPED: 3,
+  SHIPPED: 4,
+  DELIVERED: 5,
+  RETURNED: 5,
+};
+
+const TRACKING_LABELS = {
+  PENDING: 'Shipment Packed',
+  SHIPPED: 'Shipment Sent',
+  DELIVERED: 'Shipment Delivered',
+  RETURNED: 'Shipment Returned',
+  CANCELLED: 'Shipment Cancelled',
+};
+
+/**
+ * Statuses the order goes through to reach the one its shipments add up to
+ * @param {string} current - Order status now
+ * @param {string} target - From deriveOrderStatus
+ * @returns {Array<string>|null} Steps ([] = nothing to do), or null if the
+ *   order can't follow (e.g. it was cancelled)
+ */
+const getOrderStatusPath = (current, target) => {
+  if (current === target) return [];
+  if (['PENDING', 'CANCELLED'].includes(current)) return null;
+  if (STATUS_RANK[target] <= STATUS_RANK[current]) return [];
+
+  const steps = [];
+
+  if (current === 'CONFIRMED') steps.push('PROCESSING');
+
+  if (target === 'PARTIALLY_SHIPPED') {
+    steps.push(target);
+  } else {
+    if (current !== 'SHIPPED') steps.push('SHIPPED');
+    if (target !== 'SHIPPED') steps.push(target);
+  }
+
+  return steps;
+};
+
+/**
+ * Why the order's shipments can't be sent right now
+ * @param {Object} order - Order with payment
+ * @returns {string|null} Error message, or null if they can
+ */
+const checkCanShip = (order) => {
+  if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+    return `Items can only be shipped from confirmed, processing or ready-to-ship orders (order is ${order.status})`;
+  }
+
+  // Same payment rule as shipping the whole order
+  return checkTransition({ ...order, status: 'PROCESSING' }, 'SHIPPED');
+};
+
+const notifyAdmins = async (order, title, message) => {
+  try {
+    const admins = await prisma.user.findMany({
+      where: { role: 'ADMIN', status: 'ACTIVE' },
+      select: { id: true },
+    });
+
+    if (admins.length > 0) {
+      await prisma.notification.createMany({
+        data: admins.map((admin) => ({
+          userId: admin.id,
+          type: 'IN_APP',
+          title,
+          message,
+          relatedTo: `order:${order.id}`,
+        })),
+      });
+    }
+  } catch (error) {
+    console.error('Failed to notify admins about shipment:', error.message);
+  }
+};
+
+// Email + notification about one shipment
+const notifyShipmentCustomer = async (order, shipment, status) => {
+  const items = shipment.items.map((shipmentItem) => {
+    const orderItem = order.items.find((item) => item.id === shipmentItem.orderItemId);
+    return { productName: formatItemName(orderItem), quantity: shipmentItem.quantity };
+  });
+  const remaining = getUnshippedItems(order, { sentOnly: true }).reduce((sum, item) => sum + item.quantity, 0);
+
+  try {
+    const { subject, text, html } = getShipmentUpdateEmail(order, order.user, shipment, items, status, remaining);
+    await sendEmail({ to: order.user.email, subject, text, html });
+  } catch (error) {
+    console.error('Failed to send shipment email:', error.message);
+  }
+
+  try {
+    const what = items.map((item) => `${item.quantity} x ${item.productName}`).join(', ');
+    const messages = {
+      SHIPPED:
+        `Shipment ${shipment.shipmentNumber} (${what}) is on its way` +
+        (shipment.trackingNumber ? `. Tracking number: ${shipment.trackingNumber}` : '') +
+        (remaining > 0 ? `. ${remaining} more item(s) will follow once ready.` : '.'),
+      DELIVERED: `Shipment ${shipment.shipmentNumber} (${what}) has been delivered.`,
+      RETURNED: `The courier could not deliver shipment ${shipment.shipmentNumber} (${what}) and is returning it to us. We will contact you shortly.`,
+    };
+
+    await prisma.notification.create({
+      data: {
+        userId: order.userId,
+        type: 'IN_APP',
+        title: `Order #${order.orderNumber} - Shipment ${status}`,
+        message: messages[status],
+        relatedTo: `order:${order.id}`,
+      },
+    });
+  } catch (error) {
+    console.error('Failed to create shipment notification:', error.message);
+  }
+};
+
+/**
+ * Move the order to the status its shipments add up to
+ * @param {number} orderId - Order
+ * @param {Object} [options]
+ * @param {number} [options.actorId] - User behind the shipment change
+ * @param {string} [options.description] - Tracking description for the last step
+ * @param {string} [options.location] - Tracking location for the last step
+ * @returns {Promise<Object>} { order } or { error, statusCode }
+ */
+const syncOrderStatus = async (orderId, options = {}) => {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: FULFILLMENT_INCLUDE,
+  });
+
+  const target = deriveOrderStatus(order);
+  if (!target) return { order };
+
+  const path = getOrderStatusPath(order.status, target);
+
+  if (path === null) {
+    await notifyAdmins(
+      order,
+      'Shipment Needs Attention',
+      `Order #${order.orderNumber} is ${order.status} but its shipments say ${target}. Please check it manually.`,
+    );
+    return { error: `Order is ${order.status} and cannot follow its shipments`, statusCode: 409 };
+  }
+
+  let current = order;
+
+  for (const step of path) {
+    const isLast = step === path[path.length - 1];
+
+    const result = await transitionOrder(order.id, step, {
+      fromShipments: true,
+      actorId: options.actorId || null,
+      description: isLast ? options.description : undefined,
+      location: isLast ? options.location : undefined,
+      reason: step === 'RETURNED' ? 'Every shipment was returned to sender' : undefined,
+    });
+
+    if (result.error) {
+      await notifyAdmins(
+        order,
+        'Shipment Needs Attention',
+        `Order #${order.orderNumber} could not move to ${step} with its shipments: ${result.error}`,
+      );
+      return result;
+    }
+
+    current = result.order;
+  }
+
+  // Delivered with some parcels back at the workshop
+  if (current.status === 'DELIVERED' && order.shipments.some((shipment) => shipment.status === 'RETURNED')) {
+    await notifyAdmins(
+      order,
+      'Order Partly Returned',
+      `Order #${order.orderNumber} is complete, but some of its shipments were returned to sender. The customer may need a refund or a resend.`,
+    );
+  }
+
+  return { order: current };
+};
+
+/**
+ * Create a shipment for some (or all remaining) items of an order
+ * @param {Object} order - Order with FULFILLMENT_INCLUDE
+ * @param {Array<Object>} items - From planShipmentItems
+ * @param {Object} [fields] - Shipment fields: status (PENDING / SHIPPED),
+ *   courierCompany, trackingNumber, trackingUrl, courier booking fields, notes
+ * @param {Object} [options]
+ * @param {number} [options.actorId] - Admin creating it
+ * @returns {Promise<Object>} { shipment, order } or { error, statusCode }
+ */
+const createShipment = async (order, items, fields = {}, options = {}) => {
+  const canShip = checkCanShip(order);
+  if (canShip) {
+    return { error: canShip, statusCode: 400 };
+  }
+
+  const now = new Date();
+  const status = fields.status || 'PENDING';
+
+  let shipment;
+
+  try {
+    shipment = await prisma.$transaction(async (tx) => {
+      const created = await createShipmentRecord(tx, order, items, {
+        ...fields,
+        status,
+        shippedAt: status === 'SHIPPED' ? now : null,
+        createdById: options.actorId || null,
+      });
+
+      const count = items.reduce((sum, item) => sum + item.quantity, 0);
+
+      await tx.orderTracking.create({
+        data: {
+          orderId: order.id,
+          shipmentId: created.id,
+          status: TRACKING_LABELS[status],
+          description:
+            `Shipment ${created.shipmentNumber} with ${count} item(s)` +
+            (created.courierCompany ? ` - ${created.courierCompany}` : '') +
+            (created.trackingNumber ? `, tracking number ${created.trackingNumber}` : ''),
+          updatedBy: options.actorId || null,
+        },
+      });
+
+      return created;
+    });
+  } catch (error) {
+    // P2002: tracking number already used, or a parallel shipment took the number
+    if (error.code === 'P2002') {
+      return { error: 'This tracking number is already used, or another shipment was created at the same time', statusCode: 409 };
+    }
+    throw error;
+  }
+
+  if (status !== 'SHIPPED') {
+    return { shipment, order };
+  }
+
+  return afterShipmentChange(order.id, shipment, status, options);
+};
+
+// Notify and bring the order along after a shipment moved
+const afterShipmentChange = async (orderId, shipment, status, options = {}) => {
+  const synced = await syncOrderStatus(orderId, options);
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: FULFILLMENT_INCLUDE,
+  });
+
+  if (status !== 'CANCELLED') {
+    await notifyShipmentCustomer(order, shipment, status);
+  }
+
+  if (status === 'RETURNED') {
+    await notifyAdmins(
+      order,
+      'Parcel Returned',
+      `Shipment ${shipment.shipmentNumber} of order #${order.orderNumber} is being returned to sender. Its items are back in stock.`,
+    );
+  }
+
+  return { shipment, order, syncError: synced.error || null };
+};
+
+/**
+ * Move a shipment to a new status
+ * @param {number} shipmentId - Shipment
+ * @param {string} to - SHIPPED, DELIVERED, RETURNED or CANCELLED
+ * @param {Object} [options]
+ * @param {number} [options.actorId] - Admin making the change (null = courier)
+ * @param {string} [options.description] - Tracking description
+ * @param {string} [options.location] - Tracking location
+ * @param {Date} [options.occurredAt] - When it happened (courier events)
+ * @returns {Promise<Object>} { shipment, order, syncError } or { error, statusCode }
+ */
+const updateShipmentStatus = async (shipmentId, to, options = {}) => {
+  const shipment = await prisma.shipment.findUnique({
+    where: { id: shipmentId },
+    include: { items: true, order: { include: FULFILLMENT_INCLUDE } },
+  });
+
+  if (!shipment) {
+    return { error: 'Shipment not found', statusCode: 404 };
+  }
+
+  if (!SHIPMENT_TRANSITIONS[to]) {
+    return { error: `Invalid status. Valid options: ${Object.keys(SHIPMENT_TRANSITIONS).join(', ')}`, statusCode: 400 };
+  }
+
+  if (!SHIPMENT_TRANSITIONS[shipment.status].includes(to)) {
+    return { error: `Shipment cannot move from ${shipment.status} to ${to}`, statusCode: 400 };
+  }
+
+  const { order } = shipment;
+
+  if (to === 'SHIPPED') {
+    const canShip = checkCanShip(order);
+    if (canShip) {
+      return { error: canShip, statusCode: 400 };
+    }
+  }
+
+  const now = new Date();
+  const data = { status: to };
+
+  if (to === 'SHIPPED') data.shippedAt = now;
+  if (to === 'DELIVERED') data.deliveredAt = now;
+  if (to === 'RETURNED') data.returnedAt = now;
+  if (to === 'CANCELLED') data.cancelledAt = now;
+
+  const changed = await prisma.$transaction(async (tx) => {
+    // Only from the status we checked - a parallel change wins
+    const updated = await tx.shipment.updateMany({
+      where: { id: shipment.id, status: shipment.status },
+      data,
+    });
+
+    if (updated.count === 0) return false;
+
+    if (to === 'RETURNED') {
+      await restockShipment(tx, order, shipment, {
+        reason: options.description,
+        changedById: options.actorId,
+      });
+    }
+
+    await tx.orderTracking.create({
+      data: {
+        orderId: order.id,
+        shipmentId: shipment.id,
+        status: TRACKING_LABELS[to],
+        description: options.description || `Shipment ${shipment.shipmentNumber} ${to.toLowerCase()}`,
+        location: options.location || null,
+        timestamp: options.occurredAt || now,
+        updatedBy: options.actorId || null,
+      },
+    });
+
+    return true;
+  });
+
+  if (!changed) {
+    return { error: 'Shipment was changed by another request, please reload', statusCode: 409 };
+  }
+
+  return afterShipmentChange(order.id, { ...shipment, ...data }, to, { actorId: options.actorId });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  FULFILLMENT_INCLUDE,  // Prisma include for an order being fulfilled
+  planShipmentItems,    // Validate items for a new shipment
+  checkCanShip,         // Can this order send parcels now?
+  createShipment,       // New shipment (packed or already sent)
+  updateShipmentStatus, // Shipment moves -> tracking, customer, order status
+  syncOrderStatus,      // Order status from its shipments
+};
@@ -43,9 +43,10 @@ const crypto = require('crypto');
 /**
  * Generate JWT access token for a user
  * @param {number} userId - The user's ID to encode in the token
+ * @param {number} sessionId - The server-side session this token belongs to
  * @returns {string} JWT token string
  */
-const generateToken = (userId) => {
+const generateToken = (userId, sessionId) => {
   // -------------------------------------------------------------------------
   // VALIDATE INPUT
   // -------------------------------------------------------------------------
@@ -71,7 +72,10 @@ const generateToken = (userId) => {
     { 
       userId: userId,
       // Optionally add token type for multiple token types
-      type: 'access'
+      type: 'access',
+      // Session ID - lets the server revoke this token before it expires
+      // (see protect middleware and utils/sessionStore.js)
+      sid: sessionId,
     },
     
     // Secret key from environment variable
@@ -83,7 +87,8 @@ const generateToken = (userId) => {
       // expiresIn: When the token expires
       // Formats: '30d' (days), '24h' (hours), '60m' (minutes), '120s' (seconds)
       // Or number of seconds: 86400 (24 hours)
-      expiresIn: process.env.JWT_EXPIRE || '30d',
+      // Kept short because clients renew it with the refresh token
+      expiresIn: process.env.JWT_EXPIRE || '15m',
       
       // algorithm: Signing algorithm (default is HS256)
       // HS256 = HMAC with SHA-256 (symmetric)
@@ -118,9 +123,10 @@ const generateToken = (userId) => {
 /**
  * Generate a refresh token
  * @param {number} userId - The user's ID
+ * @param {number} sessionId - The server-side session this token belongs to
  * @returns {string} Refresh token string
  */
-const generateRefreshToken = (userId) => {
+const generateRefreshToken = (userId, sessionId) => {
   if (!userId) {
     throw new Error('User ID is required to generate refresh token');
   }
@@ -128,22 +134,101 @@ const generateRefreshToken = (userId) => {
   const refreshToken = jwt.sign(
     { 
       userId: userId,
-      type: 'refresh'
+      type: 'refresh',
+      sid: sessionId,
     },
     // Use a different secret for refresh tokens (more secure)
     // Or use the same with a prefix
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET + '_refresh',
     {
       // Refresh tokens last much longer
-      expiresIn: '7d', // 7 days
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d', // 7 days
       algorithm: 'HS256',
       issuer: 'resin-art-api',
+      // jwtid: random ID so two tokens issued in the same second differ
+      // (each token's hash must be unique in the refresh_tokens table)
+      jwtid: crypto.randomBytes(16).toString('hex'),
     }
   );
   
   return refreshToken;
 };
 
+// =============================================================================
+// VERIFY REFRESH TOKEN
+// =============================================================================
+// 
+// Checks the signature and expiry of a refresh token.
+// Whether the token was already used (or revoked) is checked in the database
+// by utils/sessionStore.js - a valid signature alone is NOT enough.
+
+/**
+ * Verify a refresh token's signature and expiry
+ * @param {string} token - Refresh token to verify
+ * @returns {Object|null} Decoded payload, or null if invalid/expired
+ */
+const verifyRefreshToken = (token) => {
+  try {
+    const decoded = jwt.verify(
+      token,
+      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET + '_refresh',
+      { issuer: 'resin-art-api' }
+    );
+    
+    if (decoded.type !== 'refresh' || !decoded.sid) {
+      return null;
+    }
+    
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// =============================================================================
+// TWO-FACTOR CHALLENGE TOKEN
+// =============================================================================
+// 
+// When a user with 2FA enabled enters the right password, they do NOT get
+// an access token yet. Instead they get a short-lived "challenge" token
+// that only proves step 1 (password) passed. They send it back together
+// with their 2FA code to POST /api/auth/login/2fa to finish logging in.
+
+/**
+ * Generate a 2FA challenge token (valid 5 minutes)
+ * @param {number} userId - User who passed the password check
+ * @returns {string} Challenge token
+ */
+const generateTwoFactorChallengeToken = (userId) => {
+  return jwt.sign(
+    { userId, type: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: '5m',
+      algorithm: 'HS256',
+      issuer: 'resin-art-api',
+    }
+  );
+};
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - Challenge token from the login response
+ * @returns {Object|null} Decoded payload, or null if invalid/expired
+ */
+const verifyTwoFactorChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: 'resin-art-api',
+    });
+    
+    // An access token must not be accepted here (and vice versa)
+    return decoded.type === '2fa_challenge' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // =============================================================================
 // GENERATE PASSWORD RESET TOKEN
 // =============================================================================
@@ -327,11 +412,11 @@ const getTokenConfig = () => {
   return {
     accessToken: {
       secret: process.env.JWT_SECRET,
-      expiresIn: process.env.JWT_EXPIRE || '30d',
+      expiresIn: process.env.JWT_EXPIRE || '15m',
     },
     refreshToken: {
       secret: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET + '_refresh',
-      expiresIn: '7d',
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d',
     },
     resetToken: {
       expiresIn: 10 * 60 * 1000, // 10 minutes in milliseconds
@@ -353,8 +438,11 @@ const getTokenConfig = () => {
 module.exports = {
   generateToken,          // Main JWT for authentication
   generateRefreshToken,   // Refresh token for getting new access tokens
+  verifyRefreshToken,     // Verify refresh token signature/expiry
   generateResetToken,     // Password reset token
   hashResetToken,         // Hash token for comparison
+  generateTwoFactorChallengeToken, // 2FA login step 1 -> step 2
+  verifyTwoFactorChallengeToken,   // Verify 2FA challenge token
   generateVerificationToken, // Email verification token
   decodeToken,            // Decode without verification
   isTokenExpired,         // Check if token is expired
@@ -366,9 +454,10 @@ module.exports = {
 // USAGE EXAMPLES
 // =============================================================================
 // 
-// // Generate JWT on login
-// const token = generateToken(user.id);
-// res.json({ success: true, token });
+// // Generate tokens on login (use utils/sessionStore.js, which creates the
+// // session row and calls generateToken/generateRefreshToken for you)
+// const { accessToken, refreshToken } = await createSession(user.id, req);
+// res.json({ success: true, token: accessToken, refreshToken });
 // 
 // // Generate password reset token
 // const { resetToken, hashedToken } = generateResetToken();
@@ -0,0 +1,155 @@
+// =============================================================================
+// IDEMPOTENCY STORE - Remember Requests Sent With an Idempotency-Key
+// =============================================================================
+//
+// Storage behind middleware/idempotencyMiddleware.js. Each (user, key) pair
+// is claimed exactly once - the unique index decides which of two parallel
+// requests wins - and later gets the response it produced.
+//
+// LIFECYCLE OF A KEY:
+// -------------------
+// 1. claimKey        First request: record created, response still empty
+// 2. saveResponse    Request succeeded: status + body stored for replays
+//    releaseKey      Request failed: record deleted so a retry runs again
+// 3. expiresAt       After IDEMPOTENCY_KEY_TTL_HOURS (default 24) the key is
+//                    forgotten; purgeExpiredKeys (scheduler) deletes old rows
+//
+// A record still without a response after PENDING_TIMEOUT_MS belongs to a
+// request that never finished (process restart, handler that never replied)
+// and is claimed again by the next request with the key.
+//
+// =============================================================================
+
+const crypto = require('crypto');
+
+const { prisma } = require('../config/db');
+
+const getTtlHours = () => parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// Checkout and payment requests finish well within this
+const PENDING_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Fingerprint of a request - the same key must always come with the same
+ * request
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} body - Parsed request body
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequest = (method, path, body) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify([method, path, body || {}]))
+    .digest('hex');
+
+/**
+ * Claim a key for a request, or return the record of whoever claimed it first
+ * @param {number} userId - Request owner
+ * @param {string} key - Idempotency-Key header
+ * @param {Object} request - { method, path, requestHash }
+ * @returns {Promise<Object>} { record, created } - created is false when
+ *   the key was already in use
+ */
+const claimKey = async (userId, key, { method, path, requestHash }) => {
+  // Two attempts: the second one runs after an expired or abandoned record
+  // was removed
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const record = await prisma.idempotencyKey.create({
+        data: {
+          userId,
+          key,
+          method,
+          path: path.slice(0, 255),
+          requestHash,
+          expiresAt: new Date(Date.now() + getTtlHours() * 60 * 60 * 1000),
+        },
+      });
+
+      return { record, created: true };
+    } catch (error) {
+      // P2002 = unique (userId, key) taken - someone got there first
+      if (error.code !== 'P2002') throw error;
+    }
+
+    const existing = await prisma.idempotencyKey.findUnique({
+      where: { userId_key: { userId, key } },
+    });
+
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - PENDING_TIMEOUT_MS);
+
+    const abandoned = existing && !existing.completedAt && existing.createdAt <= staleBefore;
+
+    if (existing && existing.expiresAt > now && !abandoned) {
+      return { record: existing, created: false };
+    }
+
+    // Expired, abandoned (or deleted meanwhile) - forget it and claim it
+    // again. The conditions are re-checked so that of two retries only one
+    // removes the record, and a response saved meanwhile is kept
+    if (existing) {
+      await prisma.idempotencyKey.deleteMany({
+        where: {
+          id: existing.id,
+          OR: [
+            { expiresAt: { lte: now } },
+            { completedAt: null, createdAt: { lte: staleBefore } },
+          ],
+        },
+      });
+    }
+  }
+
+  throw new Error('Could not claim idempotency key');
+};
+
+/**
+ * Store the response of a completed request so retries can replay it
+ * @param {number} id - IdempotencyKey record
+ * @param {number} status - HTTP status sent
+ * @param {Object} body - JSON body sent
+ */
+const saveResponse = async (id, status, body) => {
+  await prisma.idempotencyKey.update({
+    where: { id },
+    data: {
+      responseStatus: status,
+      responseBody: body,
+      completedAt: new Date(),
+    },
+  });
+};
+
+/**
+ * Forget a key whose request failed, so it can be retried with the same key
+ * @param {number} id - IdempotencyKey record
+ */
+const releaseKey = async (id) => {
+  await prisma.idempotencyKey.deleteMany({ where: { id } });
+};
+
+/**
+ * Delete keys past their expiry
+ * @returns {Promise<number>} Keys deleted
+ */
+const purgeExpiredKeys = async () => {
+  const result = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+
+  return result.count;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  hashRequest,      // Fingerprint method + path + body
+  claimKey,         // First use of a key (or the earlier record)
+  saveResponse,     // Success: keep the response for replays
+  releaseKey,       // Failure: let the client retry with the same key
+  purgeExpiredKeys, // Scheduler: remove old keys
+};
@@ -0,0 +1,119 @@
+// =============================================================================
+// LOGIN LOCKOUT - Per-Account Brute-Force Protection
+// =============================================================================
+//
+// The IP rate limiter (middleware/rateLimitMiddleware.js) slows down one
+// attacker machine. But an attacker with many IPs can still guess the
+// password of ONE account. So we also count wrong passwords per account.
+//
+// PROGRESSIVE LOCKOUT:
+// --------------------
+// - After MAX_FAILED_LOGINS wrong passwords in a row, the account is locked
+// - 1st lock: 15 minutes, 2nd: 30, 3rd: 60 ... (doubles each time, max 24h)
+// - A successful login resets everything
+// - The user is emailed when the account gets locked (it may be an attack)
+// - Login answers a locked account like a wrong password, so the lock
+//   doesn't reveal which emails have an account
+// - An admin can unlock the account early (PUT /api/users/:id/unlock)
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+const { sendEmail, getAccountLockedEmail } = require('./sendEmail');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 15;
+const LOCKOUT_MAX_MINUTES = 24 * 60; // Never lock for more than a day
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Is the account currently locked?
+ * @param {Object} user - User with lockedUntil
+ * @returns {boolean} True while the lock is in effect
+ */
+const isAccountLocked = (user) => {
+  return Boolean(user.lockedUntil && user.lockedUntil > new Date());
+};
+
+/**
+ * Record a wrong password and lock the account if the limit is reached
+ * @param {Object} user - User who failed to log in
+ * @returns {Promise<Object>} { locked, lockedUntil, attemptsLeft }
+ */
+const recordFailedLogin = async (user) => {
+  // increment is done by the database, so parallel requests can't lose counts
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: { increment: 1 } },
+    select: { failedLoginAttempts: true, lockoutCount: true },
+  });
+
+  if (updated.failedLoginAttempts < MAX_FAILED_LOGINS) {
+    return {
+      locked: false,
+      lockedUntil: null,
+      attemptsLeft: MAX_FAILED_LOGINS - updated.failedLoginAttempts,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Limit reached: lock (each lock twice as long as the previous one)
+  // ---------------------------------------------------------------------------
+
+  const minutes = Math.min(
+    LOCKOUT_BASE_MINUTES * 2 ** updated.lockoutCount,
+    LOCKOUT_MAX_MINUTES
+  );
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: 0,
+      lockedUntil,
+      lockoutCount: { increment: 1 },
+    },
+  });
+
+  // Let the real owner know (don't fail the request if email fails)
+  try {
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`;
+    const { subject, text, html } = getAccountLockedEmail(user.name, minutes, resetUrl);
+    await sendEmail({ to: user.email, subject, text, html });
+  } catch (error) {
+    console.error('Failed to send account locked email:', error.message);
+  }
+
+  return { locked: true, lockedUntil, attemptsLeft: 0 };
+};
+
+/**
+ * Clear failed attempts and any lock (successful login, password reset,
+ * admin unlock)
+ * @param {number} userId - User to reset
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (userId) => {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginAttempts: 0, lockedUntil: null, lockoutCount: 0 },
+  });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  isAccountLocked,   // Check before comparing the password
+  recordFailedLogin, // Wrong password
+  clearFailedLogins, // Successful login / unlock
+};
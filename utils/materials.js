@@ -0,0 +1,169 @@
+// =============================================================================
+// MATERIALS - Raw Material Stock & Bills of Materials
+// =============================================================================
+//
+// Resin, pigments, molds and the rest are counted in their own unit
+// (Material.unit). Each product can have a bill of materials (BOM): how
+// much of each material one piece uses.
+//
+// Stock moves:
+// - PURCHASE            Restock, optionally recorded as a RAW_MATERIALS expense
+// - MANUAL_ADJUSTMENT   Stock count / spill / breakage
+// - ORDER_CONSUMED      Order moved to PROCESSING: BOM x quantity of each line
+//
+// Materials are poured once the order is in production, so cancelling it
+// afterwards gives nothing back. Consumption never blocks an order: stock
+// may go below zero, which shows up in the low stock alerts.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+const MATERIAL_CATEGORIES = ['RESIN', 'PIGMENT', 'MOLD', 'INCLUSION', 'HARDWARE', 'OTHER'];
+
+const MATERIAL_UNITS = ['LITRE', 'MILLILITRE', 'KILOGRAM', 'GRAM', 'PIECE'];
+
+// Material fields shown with BOM lines and alerts
+const MATERIAL_SUMMARY = {
+  select: {
+    id: true,
+    name: true,
+    category: true,
+    unit: true,
+    stock: true,
+    reorderLevel: true,
+    isActive: true,
+  },
+};
+
+// Quantities are stored with 3 decimals
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Change a material's stock by an amount and log it (atomic increment, so
+ * parallel orders can't lose an update)
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} materialId - Material
+ * @param {number} change - Amount to add (negative to take)
+ * @param {Object} options
+ * @param {string} options.changeType - PURCHASE, MANUAL_ADJUSTMENT or ORDER_CONSUMED
+ * @param {string} [options.reason]
+ * @param {Object} [options.reference] - e.g. { type: 'order', id }
+ * @param {number} [options.expenseId] - Expense recorded with a purchase
+ * @param {number} [options.changedById] - Admin (null for automatic changes)
+ * @returns {Promise<Object>} { material, log }
+ */
+const changeMaterialStock = async (tx, materialId, change, options) => {
+  const amount = roundQuantity(change);
+
+  const material = await tx.material.update({
+    where: { id: materialId },
+    data: { stock: { increment: amount } },
+  });
+
+  const newStock = roundQuantity(parseFloat(material.stock));
+
+  const log = await tx.materialLog.create({
+    data: {
+      materialId,
+      previousStock: roundQuantity(newStock - amount),
+      newStock,
+      changeAmount: amount,
+      changeType: options.changeType,
+      reason: options.reason || null,
+      reference: options.reference || undefined,
+      expenseId: options.expenseId || null,
+      changedById: options.changedById || null,
+    },
+  });
+
+  return { material, log };
+};
+
+/**
+ * Take the materials an order's pieces use from stock (inside the
+ * transaction that moves it to PROCESSING)
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order with items
+ * @param {Object} [options]
+ * @param {number} [options.actorId] - Admin moving the order
+ * @returns {Promise<Array<Object>>} Materials changed (after the change)
+ */
+const consumeOrderMaterials = async (tx, order, options = {}) => {
+  const productIds = [...new Set(order.items.map((item) => item.productId))];
+  if (productIds.length === 0) return [];
+
+  const bom = await tx.productMaterial.findMany({
+    where: { productId: { in: productIds } },
+  });
+
+  if (bom.length === 0) return [];
+
+  // Material -> total used by the whole order
+  const totals = new Map();
+
+  for (const item of order.items) {
+    for (const line of bom.filter((l) => l.productId === item.productId)) {
+      const used = parseFloat(line.quantity) * item.quantity;
+      totals.set(line.materialId, (totals.get(line.materialId) || 0) + used);
+    }
+  }
+
+  const changed = [];
+
+  // Fixed order so parallel orders lock rows the same way
+  for (const [materialId, used] of [...totals].sort((a, b) => a[0] - b[0])) {
+    const { material } = await changeMaterialStock(tx, materialId, -used, {
+      changeType: 'ORDER_CONSUMED',
+      reason: `Used for order #${order.orderNumber}`,
+      reference: { type: 'order', id: order.id, orderNumber: order.orderNumber },
+      changedById: options.actorId,
+    });
+    changed.push(material);
+  }
+
+  return changed;
+};
+
+/**
+ * Active materials at or below their reorder level, lowest stock first
+ * @returns {Promise<Array<Object>>}
+ */
+const getLowMaterials = () =>
+  prisma.material.findMany({
+    where: {
+      isActive: true,
+      stock: { lte: prisma.material.fields.reorderLevel },
+    },
+    select: { ...MATERIAL_SUMMARY.select, costPerUnit: true, supplier: true },
+    orderBy: { stock: 'asc' },
+  });
+
+/**
+ * How many pieces of a product the materials in stock are enough for
+ * @param {Array<Object>} bom - BOM lines with material
+ * @returns {number|null} null when the product has no BOM
+ */
+const getPiecesPossible = (bom) => {
+  if (bom.length === 0) return null;
+
+  return Math.max(
+    0,
+    Math.min(...bom.map((line) => Math.floor(parseFloat(line.material.stock) / parseFloat(line.quantity)))),
+  );
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  MATERIAL_CATEGORIES,   // All MaterialCategory values
+  MATERIAL_UNITS,        // All MaterialUnit values
+  MATERIAL_SUMMARY,      // Prisma select for a material in BOMs / alerts
+  roundQuantity,         // Round to the stored 3 decimals
+  changeMaterialStock,   // Stock +/- with a MaterialLog entry
+  consumeOrderMaterials, // Order -> PROCESSING: BOM quantities out of stock
+  getLowMaterials,       // Materials at or below their reorder level
+  getPiecesPossible,     // Pieces the stock is enough for
+};
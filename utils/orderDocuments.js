@@ -0,0 +1,395 @@
+// =============================================================================
+// ORDER DOCUMENTS - Invoices & Packing Slips (PDF)
+// =============================================================================
+//
+// Draws per-order documents with pdfkit (same library as the sales report):
+//
+// - Invoice       For the customer: prices, discount, shipping, tax per line,
+//                 payment details. Numbered INV-YYYY-XXXXXX.
+// - Packing slip  For the workshop: what goes in the box (with each piece's
+//                 customization) and where it ships. No prices.
+//
+// The draw functions write into an existing PDFDocument, so the controller
+// can put one order or a whole batch into a single file.
+//
+// Store details on the documents come from STORE_NAME, STORE_ADDRESS,
+// STORE_PHONE and STORE_TAX_ID.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+const { formatItemName } = require('./variants');
+
+// Orders that can be invoiced (a cancelled order keeps an invoice it
+// already has, marked as cancelled)
+const INVOICEABLE_STATUSES = ['CONFIRMED', 'PROCESSING', 'READY_TO_SHIP', 'PARTIALLY_SHIPPED', 'SHIPPED', 'DELIVERED'];
+
+// Everything the documents print
+const DOCUMENT_INCLUDE = {
+  items: { orderBy: { id: 'asc' } },
+  user: { select: { id: true, name: true, email: true, phone: true } },
+  payment: true,
+  invoice: true,
+};
+
+const PAGE_LEFT = 50;
+const PAGE_RIGHT = 562;
+const PAGE_BOTTOM = 720;
+
+const getStore = () => ({
+  name: process.env.STORE_NAME || 'Resin Art Store',
+  address: process.env.STORE_ADDRESS || '',
+  phone: process.env.STORE_PHONE || '',
+  taxId: process.env.STORE_TAX_ID || '',
+});
+
+const money = (value) => `PKR ${parseFloat(value || 0).toFixed(2)}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-PK') : '-');
+
+// =============================================================================
+// INVOICE NUMBERS
+// =============================================================================
+
+/**
+ * Get the order's invoice, issuing it (with the next number) on first use
+ * @param {number} orderId - Order
+ * @returns {Promise<Object>} Invoice
+ */
+const issueInvoice = async (orderId) => {
+  const existing = await prisma.invoice.findUnique({ where: { orderId } });
+
+  if (existing) return existing;
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const invoice = await tx.invoice.create({ data: { orderId } });
+
+      return tx.invoice.update({
+        where: { id: invoice.id },
+        data: {
+          invoiceNumber: `INV-${invoice.issuedAt.getFullYear()}-${String(invoice.id).padStart(6, '0')}`,
+        },
+      });
+    });
+  } catch (error) {
+    // P2002: a parallel request issued it first
+    if (error.code === 'P2002') {
+      return prisma.invoice.findUnique({ where: { orderId } });
+    }
+    throw error;
+  }
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Customization choices as printable text
+ * e.g. { color: "Ocean blue", nameText: "Ayesha" } -> "Color: Ocean blue; Name text: Ayesha"
+ * @param {*} customization - OrderItem.customization (JSON)
+ * @returns {string} Text ('' if none)
+ */
+const formatCustomization = (customization) => {
+  if (customization === null || customization === undefined || customization === '') return '';
+
+  if (typeof customization !== 'object') return String(customization);
+
+  if (Array.isArray(customization)) {
+    return customization.map(formatCustomization).filter(Boolean).join('; ');
+  }
+
+  return Object.entries(customization)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => {
+      const label = key
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/[_-]+/g, ' ')
+        .toLowerCase();
+      // Multiple choices, e.g. flowers: ["rose", "lavender"] -> "rose, lavender"
+      const text = Array.isArray(value)
+        ? value.join(', ')
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return `${label.charAt(0).toUpperCase()}${label.slice(1)}: ${text}`;
+    })
+    .join('; ');
+};
+
+// Shipping address block lines
+const getShipToLines = (order) => [
+  order.user?.name,
+  order.shippingAddress,
+  [order.shippingCity, order.shippingProvince, order.shippingPostalCode].filter(Boolean).join(', '),
+  `Phone: ${order.shippingPhone}`,
+].filter(Boolean);
+
+// Store name + contact details, top left
+const drawStoreHeader = (doc, store) => {
+  doc.fillColor('black').fontSize(18).font('Helvetica-Bold').text(store.name, PAGE_LEFT, 50, { width: 280 });
+  doc.fontSize(9).font('Helvetica');
+  [store.address, store.phone && `Phone: ${store.phone}`, store.taxId && `NTN: ${store.taxId}`]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, { width: 280 }));
+};
+
+// Title + key/value pairs, top right
+const drawDocumentTitle = (doc, title, rows) => {
+  doc.fontSize(18).font('Helvetica-Bold').text(title, 330, 50, { width: 232, align: 'right' });
+  doc.fontSize(9);
+  rows.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, 330, doc.y, { width: 232, align: 'right', continued: true });
+    doc.font('Helvetica').text(value);
+  });
+};
+
+// Column headers of an item table; returns the y of the first row
+const drawTableHeader = (doc, columns, y) => {
+  doc.fontSize(9).font('Helvetica-Bold').fillColor('black');
+  columns.forEach((column) => {
+    doc.text(column.label, column.x, y, { width: column.width, align: column.align || 'left' });
+  });
+  doc.moveTo(PAGE_LEFT, y + 13).lineTo(PAGE_RIGHT, y + 13).stroke();
+  return y + 20;
+};
+
+// =============================================================================
+// INVOICE
+// =============================================================================
+
+const INVOICE_COLUMNS = [
+  { label: 'Item', x: 50, width: 200 },
+  { label: 'Qty', x: 255, width: 35, align: 'right' },
+  { label: 'Unit Price', x: 295, width: 65, align: 'right' },
+  { label: 'Discount', x: 365, width: 55, align: 'right' },
+  { label: 'Tax', x: 425, width: 60, align: 'right' },
+  { label: 'Amount', x: 490, width: 72, align: 'right' },
+];
+
+/**
+ * Draw an order's invoice, starting on the current page
+ * @param {Object} doc - PDFDocument
+ * @param {Object} order - Order loaded with DOCUMENT_INCLUDE
+ * @param {Object} invoice - Invoice (from issueInvoice)
+ */
+const drawInvoice = (doc, order, invoice) => {
+  const store = getStore();
+
+  drawStoreHeader(doc, store);
+  drawDocumentTitle(doc, 'INVOICE', [
+    ['Invoice #', invoice.invoiceNumber],
+    ['Invoice date', formatDate(invoice.issuedAt)],
+    ['Order #', order.orderNumber],
+    ['Order date', formatDate(order.orderedAt)],
+  ]);
+
+  // ---------------------------------------------------------------------------
+  // Bill to / ship to
+  // ---------------------------------------------------------------------------
+
+  const addressTop = 140;
+  doc.fontSize(10).font('Helvetica-Bold').text('Bill To', PAGE_LEFT, addressTop);
+  doc.fontSize(9).font('Helvetica');
+  [order.user?.name, order.user?.email, order.user?.phone].filter(Boolean).forEach((line) => doc.text(line, { width: 240 }));
+
+  doc.fontSize(10).font('Helvetica-Bold').text('Ship To', 320, addressTop);
+  doc.fontSize(9).font('Helvetica');
+  getShipToLines(order).forEach((line) => doc.text(line, 320, doc.y, { width: 242 }));
+
+  // ---------------------------------------------------------------------------
+  // Line items (customization printed under the product name)
+  // ---------------------------------------------------------------------------
+
+  let y = drawTableHeader(doc, INVOICE_COLUMNS, Math.max(doc.y, 200) + 15);
+
+  order.items.forEach((item) => {
+    const customization = formatCustomization(item.customization);
+    const taxLabel = `${parseFloat(item.taxAmount).toFixed(2)}${item.taxInclusive ? ' (incl.)' : ''}`;
+
+    const rowHeight =
+      doc.font('Helvetica').fontSize(9).heightOfString(formatItemName(item), { width: 200 }) +
+      (customization ? doc.fontSize(8).heightOfString(customization, { width: 200 }) + 2 : 0);
+
+    if (y + rowHeight > PAGE_BOTTOM) {
+      doc.addPage();
+      y = drawTableHeader(doc, INVOICE_COLUMNS, 50);
+    }
+
+    doc.font('Helvetica').fontSize(9).fillColor('black');
+    doc.text(formatItemName(item), 50, y, { width: 200 });
+    doc.text(String(item.quantity), 255, y, { width: 35, align: 'right' });
+    doc.text(parseFloat(item.unitPrice).toFixed(2), 295, y, { width: 65, align: 'right' });
+    doc.text(parseFloat(item.discountAmount).toFixed(2), 365, y, { width: 55, align: 'right' });
+    doc.text(taxLabel, 425, y, { width: 60, align: 'right' });
+    doc.text(parseFloat(item.totalPrice).toFixed(2), 490, y, { width: 72, align: 'right' });
+
+    if (customization) {
+      const nameHeight = doc.heightOfString(formatItemName(item), { width: 200 });
+      doc.fontSize(8).fillColor('#555555').text(customization, 50, y + nameHeight + 2, { width: 200 });
+      doc.fillColor('black');
+    }
+
+    y += rowHeight + 8;
+  });
+
+  // ---------------------------------------------------------------------------
+  // Totals
+  // ---------------------------------------------------------------------------
+
+  const totals = [['Subtotal', money(order.subtotal)]];
+
+  if (parseFloat(order.discountAmount) > 0) {
+    totals.push([
+      `Discount${order.couponCode ? ` (${order.couponCode})` : ''}`,
+      `- ${money(order.discountAmount)}`,
+    ]);
+  }
+
+  totals.push(['Shipping', money(order.shippingCost)]);
+
+  const taxAdded = parseFloat(order.taxAmount) - parseFloat(order.taxIncludedAmount);
+  if (parseFloat(order.taxIncludedAmount) > 0) {
+    totals.push(['Tax included in prices', money(order.taxIncludedAmount)]);
+  }
+  if (taxAdded > 0) {
+    totals.push(['Tax', money(taxAdded)]);
+  }
+
+  if (y + (totals.length + 1) * 15 > PAGE_BOTTOM) {
+    doc.addPage();
+    y = 50;
+  }
+
+  doc.moveTo(330, y).lineTo(PAGE_RIGHT, y).stroke();
+  y += 6;
+
+  doc.fontSize(9).font('Helvetica');
+  totals.forEach(([label, value]) => {
+    doc.text(label, 330, y, { width: 130 });
+    doc.text(value, 460, y, { width: 102, align: 'right' });
+    y += 15;
+  });
+
+  doc.fontSize(11).font('Helvetica-Bold');
+  doc.text('Total', 330, y, { width: 130 });
+  doc.text(money(order.totalAmount), 440, y, { width: 122, align: 'right' });
+  y += 25;
+
+  // ---------------------------------------------------------------------------
+  // Payment
+  // ---------------------------------------------------------------------------
+
+  if (y > PAGE_BOTTOM - 60) {
+    doc.addPage();
+    y = 50;
+  }
+
+  doc.fontSize(10).font('Helvetica-Bold').text('Payment', PAGE_LEFT, y);
+  doc.fontSize(9).font('Helvetica');
+
+  const payment = order.payment;
+  if (!payment) {
+    doc.text('No payment recorded');
+  } else {
+    doc.text(`Method: ${payment.method.replace(/_/g, ' ')}`);
+    doc.text(`Status: ${payment.status.replace(/_/g, ' ')}`);
+    if (payment.paidAt) doc.text(`Paid on: ${formatDate(payment.paidAt)}`);
+    if (payment.transactionId) doc.text(`Transaction ID: ${payment.transactionId}`);
+    if (parseFloat(payment.refundedAmount) > 0) doc.text(`Refunded: ${money(payment.refundedAmount)}`);
+  }
+
+  if (order.status === 'CANCELLED') {
+    doc.moveDown(1);
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#B00020')
+      .text(`ORDER CANCELLED${order.cancelledAt ? ` ON ${formatDate(order.cancelledAt)}` : ''}`);
+    doc.fillColor('black');
+  }
+
+  doc.fontSize(8).font('Helvetica').text(
+    `Thank you for shopping with ${store.name}!`,
+    PAGE_LEFT,
+    doc.page.height - 70,
+    { width: PAGE_RIGHT - PAGE_LEFT, align: 'center' }
+  );
+};
+
+// =============================================================================
+// PACKING SLIP
+// =============================================================================
+
+const PACKING_COLUMNS = [
+  { label: 'Packed', x: 50, width: 40 },
+  { label: 'Item', x: 95, width: 190 },
+  { label: 'Customization', x: 290, width: 222 },
+  { label: 'Qty', x: 517, width: 45, align: 'right' },
+];
+
+/**
+ * Draw an order's packing slip, starting on the current page (no prices)
+ * @param {Object} doc - PDFDocument
+ * @param {Object} order - Order loaded with DOCUMENT_INCLUDE
+ */
+const drawPackingSlip = (doc, order) => {
+  const store = getStore();
+
+  drawStoreHeader(doc, store);
+  drawDocumentTitle(doc, 'PACKING SLIP', [
+    ['Order #', order.orderNumber],
+    ['Order date', formatDate(order.orderedAt)],
+    ['Payment', order.payment ? order.payment.method.replace(/_/g, ' ') : '-'],
+  ]);
+
+  doc.fontSize(10).font('Helvetica-Bold').text('Ship To', PAGE_LEFT, 140);
+  doc.fontSize(11).font('Helvetica');
+  getShipToLines(order).forEach((line) => doc.text(line, { width: 300 }));
+
+  if (order.notes) {
+    doc.moveDown(0.5);
+    doc.fontSize(9).font('Helvetica-Bold').text('Customer notes: ', { continued: true });
+    doc.font('Helvetica').text(order.notes, { width: PAGE_RIGHT - PAGE_LEFT });
+  }
+
+  let y = drawTableHeader(doc, PACKING_COLUMNS, doc.y + 15);
+
+  order.items.forEach((item) => {
+    const customization = formatCustomization(item.customization) || '-';
+
+    doc.font('Helvetica').fontSize(9);
+    const rowHeight = Math.max(
+      doc.heightOfString(formatItemName(item), { width: 190 }),
+      doc.heightOfString(customization, { width: 222 }),
+      12
+    );
+
+    if (y + rowHeight > PAGE_BOTTOM) {
+      doc.addPage();
+      y = drawTableHeader(doc, PACKING_COLUMNS, 50);
+      doc.font('Helvetica').fontSize(9);
+    }
+
+    doc.rect(55, y, 10, 10).stroke();
+    doc.text(formatItemName(item), 95, y, { width: 190 });
+    doc.text(customization, 290, y, { width: 222 });
+    doc.text(String(item.quantity), 517, y, { width: 45, align: 'right' });
+
+    y += rowHeight + 10;
+  });
+
+  const totalUnits = order.items.reduce((sum, item) => sum + item.quantity, 0);
+  doc.moveTo(PAGE_LEFT, y).lineTo(PAGE_RIGHT, y).stroke();
+  doc.fontSize(10).font('Helvetica-Bold').text(`Total pieces: ${totalUnits}`, PAGE_LEFT, y + 8);
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  INVOICEABLE_STATUSES, // Order statuses that can get an invoice
+  DOCUMENT_INCLUDE,     // Prisma include for loading an order to print
+  issueInvoice,         // Get or create the order's numbered invoice
+  formatCustomization,  // Customization JSON -> text
+  drawInvoice,          // Invoice page(s)
+  drawPackingSlip,      // Packing slip page(s)
+};
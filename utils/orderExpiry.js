@@ -0,0 +1,149 @@
+// =============================================================================
+// ORDER EXPIRY - Cancel Unpaid Orders & Payment Reminders
+// =============================================================================
+//
+// Orders that are never paid would otherwise sit in PENDING forever and keep
+// their stock. The scheduler (utils/scheduler.js) runs both jobs below:
+//
+// - sendPaymentReminders: ORDER_PAYMENT_REMINDER_HOURS before the deadline,
+//   email + notify the customer once
+// - expireUnpaidOrders: ORDER_PAYMENT_TIMEOUT_HOURS after the order was
+//   placed, cancel it through the order lifecycle (restock with InventoryLog
+//   ORDER_EXPIRED, tracking entry, customer email + notification)
+//
+// Only orders paid online or by bank transfer expire - COD orders are paid
+// on delivery.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+const { transitionOrder } = require('./orderLifecycle');
+const { sendEmail, getPaymentReminderEmail } = require('./sendEmail');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Orders capped per run so one slow run can't hold the scheduler up
+const BATCH_SIZE = 50;
+
+const getTimeoutHours = () => parseFloat(process.env.ORDER_PAYMENT_TIMEOUT_HOURS) || 24;
+const getReminderHours = () => parseFloat(process.env.ORDER_PAYMENT_REMINDER_HOURS) || 6;
+
+// PENDING orders still waiting for money (no payment yet, or a non-COD
+// payment that hasn't completed)
+const unpaidWhere = {
+  status: 'PENDING',
+  OR: [
+    { payment: { is: null } },
+    { payment: { is: { method: { not: 'COD' }, status: { in: ['PENDING', 'FAILED'] } } } },
+  ],
+};
+
+/**
+ * When an unpaid order will be cancelled
+ * @param {Object} order - Order (orderedAt)
+ * @returns {Date} Payment deadline
+ */
+const getPaymentDeadline = (order) => new Date(order.orderedAt.getTime() + getTimeoutHours() * HOUR_MS);
+
+/**
+ * Remind customers whose unpaid order is about to expire (once per order)
+ * @returns {Promise<number>} Reminders sent
+ */
+const sendPaymentReminders = async () => {
+  const remindBefore = new Date(Date.now() - (getTimeoutHours() - getReminderHours()) * HOUR_MS);
+  const expireBefore = new Date(Date.now() - getTimeoutHours() * HOUR_MS);
+
+  const orders = await prisma.order.findMany({
+    where: {
+      ...unpaidWhere,
+      paymentReminderSentAt: null,
+      orderedAt: { lte: remindBefore, gt: expireBefore },
+    },
+    include: { user: true },
+    take: BATCH_SIZE,
+  });
+
+  let sent = 0;
+
+  for (const order of orders) {
+    // Claim the reminder first so a parallel run can't send it twice
+    const claimed = await prisma.order.updateMany({
+      where: { id: order.id, paymentReminderSentAt: null },
+      data: { paymentReminderSentAt: new Date() },
+    });
+
+    if (claimed.count === 0) continue;
+
+    const deadline = getPaymentDeadline(order);
+
+    try {
+      const { subject, text, html } = getPaymentReminderEmail(order, order.user, deadline);
+      await sendEmail({ to: order.user.email, subject, text, html });
+    } catch (error) {
+      console.error(`Failed to send payment reminder for order ${order.id}:`, error.message);
+    }
+
+    try {
+      await prisma.notification.create({
+        data: {
+          userId: order.userId,
+          type: 'IN_APP',
+          title: `Order #${order.orderNumber} - Payment Pending`,
+          message: `Please complete your payment by ${deadline.toLocaleString('en-PK')} or the order will be cancelled.`,
+          relatedTo: `order:${order.id}`,
+        },
+      });
+    } catch (error) {
+      console.error('Failed to create payment reminder notification:', error.message);
+    }
+
+    sent++;
+  }
+
+  return sent;
+};
+
+/**
+ * Cancel unpaid orders past their payment deadline
+ * @returns {Promise<number>} Orders cancelled
+ */
+const expireUnpaidOrders = async () => {
+  const expireBefore = new Date(Date.now() - getTimeoutHours() * HOUR_MS);
+
+  const orders = await prisma.order.findMany({
+    where: { ...unpaidWhere, orderedAt: { lte: expireBefore } },
+    select: { id: true },
+    take: BATCH_SIZE,
+  });
+
+  let expired = 0;
+
+  for (const order of orders) {
+    const result = await transitionOrder(order.id, 'CANCELLED', {
+      actorId: null,
+      expired: true,
+      reason: 'Payment was not received in time',
+      description: `Cancelled automatically - unpaid after ${getTimeoutHours()} hours`,
+    });
+
+    // An error here usually means it was paid or cancelled meanwhile
+    if (result.error) {
+      console.log(`Order ${order.id} not expired: ${result.error}`);
+    } else {
+      expired++;
+    }
+  }
+
+  return expired;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getPaymentDeadline,   // Deadline for an unpaid order
+  sendPaymentReminders, // Scheduler: remind before the deadline
+  expireUnpaidOrders,   // Scheduler: cancel after the deadline
+};
@@ -0,0 +1,584 @@
+// =============================================================================
+// ORDER LIFECYCLE - Status Transitions, Guards & Side Effects
+// =============================================================================
+//
+// Every order status change goes through transitionOrder():
+//
+//   PENDING -> CONFIRMED -> PROCESSING -> (READY_TO_SHIP) -----------> SHIPPED -> DELIVERED
+//      |           |            |               |  |                  ^        |
+//      |           |            |               |  +-> PARTIALLY_SHIPPED        +---> RETURNED
+//      +-----------+------------+---------------+----> CANCELLED
+//
+// READY_TO_SHIP is optional: it is set when every item of the order has
+// left the production board (utils/production.js). Orders can still be
+// shipped straight from PROCESSING.
+//
+// DELIVERED, CANCELLED and RETURNED are final. RETURNED means the courier
+// could not deliver and sent the parcel back; items coming back after
+// delivery are handled as returns (see controllers/returnController.js).
+//
+// Orders sent in several parcels follow their shipments (utils/fulfillment.js):
+// PARTIALLY_SHIPPED is only ever set that way. An admin moving the whole
+// order to SHIPPED / DELIVERED / RETURNED takes its shipments along.
+//
+// For each transition:
+// - Guard:        checks that must pass (e.g. no shipping unpaid online orders)
+// - Side effects: in the same transaction as the status change
+//                 (timestamps, stock, delivery record, COD payment,
+//                 production jobs, raw materials used)
+// - Afterwards:   refund, customer email + notification (failures are logged,
+//                 the transition stands)
+//
+// The one exception: a verified payment webhook confirms a PENDING order
+// itself (controllers/paymentController.js), inside the payment transaction.
+//
+// Functions return { error } with a client-safe message instead of
+// throwing, so controllers decide the HTTP status.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+const { releaseCouponRedemption } = require('./coupons');
+const { releaseReservations, commitReservations } = require('./stockReservations');
+const {
+  SHIPMENTS_INCLUDE,
+  getUnshippedItems,
+  createShipmentRecord,
+  restockShipment,
+} = require('./shipments');
+const { createRefund, processRefund } = require('./refunds');
+const { createProductionJobs, countUnfinishedJobs } = require('./production');
+const { consumeOrderMaterials } = require('./materials');
+const { sendEmail, getOrderStatusEmail } = require('./sendEmail');
+
+const ORDER_STATUSES = [
+  'PENDING',
+  'CONFIRMED',
+  'PROCESSING',
+  'READY_TO_SHIP',
+  'PARTIALLY_SHIPPED',
+  'SHIPPED',
+  'DELIVERED',
+  'CANCELLED',
+  'RETURNED',
+];
+
+// Current status -> statuses it may move to
+const ORDER_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['PROCESSING', 'CANCELLED'],
+  PROCESSING: ['READY_TO_SHIP', 'PARTIALLY_SHIPPED', 'SHIPPED', 'CANCELLED'],
+  READY_TO_SHIP: ['PARTIALLY_SHIPPED', 'SHIPPED', 'CANCELLED'],
+  PARTIALLY_SHIPPED: ['SHIPPED'],
+  SHIPPED: ['DELIVERED', 'RETURNED'],
+  DELIVERED: [],
+  CANCELLED: [],
+  RETURNED: [],
+};
+
+// Set from the shipments only, never directly
+const SHIPMENT_DRIVEN_STATUSES = ['PARTIALLY_SHIPPED'];
+
+// Payment statuses that mean the money was received
+const PAID_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED'];
+
+const STATUS_MESSAGES = {
+  CONFIRMED: 'Your order has been confirmed and is being prepared.',
+  PROCESSING: 'Your order is now being processed.',
+  READY_TO_SHIP: 'Every piece of your order is finished and it is being packed for shipping.',
+  PARTIALLY_SHIPPED: 'Part of your order has been shipped. The rest will follow once it is ready.',
+  SHIPPED: 'Your order has been shipped!',
+  DELIVERED: 'Your order has been delivered. Thank you for shopping with us!',
+  CANCELLED: 'Your order has been cancelled.',
+  RETURNED: 'The courier could not deliver your order and is returning it to us. We will contact you shortly.',
+};
+
+// =============================================================================
+// ORDER NUMBERS
+// =============================================================================
+
+/**
+ * Next order number of the year
+ * @returns {Promise<string>} Format: RA-YYYY-XXXXXX (RA = Resin Art)
+ */
+const generateOrderNumber = async () => {
+  const year = new Date().getFullYear();
+
+  // Get count of orders this year
+  const count = await prisma.order.count({
+    where: {
+      createdAt: {
+        gte: new Date(`${year}-01-01`),
+      },
+    },
+  });
+
+  return `RA-${year}-${String(count + 1).padStart(6, '0')}`;
+};
+
+// =============================================================================
+// GUARDS
+// =============================================================================
+//
+// (order) -> error message, or null if the transition may happen.
+// order must include payment.
+
+const requirePaymentToShip = (order) => {
+  const payment = order.payment;
+
+  if (payment && payment.method === 'COD') return null;
+
+  if (!payment || !PAID_STATUSES.includes(payment.status)) {
+    return 'Order cannot be shipped until it is paid (only COD orders ship unpaid)';
+  }
+
+  return null;
+};
+
+const GUARDS = {
+  PARTIALLY_SHIPPED: requirePaymentToShip,
+  SHIPPED: requirePaymentToShip,
+};
+
+/**
+ * Check whether an order may move to a status
+ * @param {Object} order - Order (with payment)
+ * @param {string} to - Target OrderStatus
+ * @returns {string|null} Error message, or null if allowed
+ */
+const checkTransition = (order, to) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    return `Invalid status. Valid options: ${ORDER_STATUSES.join(', ')}`;
+  }
+
+  if (!ORDER_TRANSITIONS[order.status].includes(to)) {
+    return `Order cannot move from ${order.status} to ${to}`;
+  }
+
+  return GUARDS[to] ? GUARDS[to](order) : null;
+};
+
+/**
+ * Statuses an admin can move an order to next, and whether each guard passes
+ * @param {Object} order - Order (with payment)
+ * @returns {Array<Object>} [{ status, allowed, reason }]
+ */
+const getAllowedTransitions = (order) =>
+  ORDER_TRANSITIONS[order.status]
+    .filter((status) => !SHIPMENT_DRIVEN_STATUSES.includes(status))
+    .map((status) => {
+      const reason = checkTransition(order, status);
+      return { status, allowed: !reason, reason };
+    });
+
+// =============================================================================
+// SIDE EFFECTS (inside the transaction)
+// =============================================================================
+//
+// Returns an error message to roll the whole transition back, or nothing.
+
+// Delivery record with the order's address
+const upsertDelivery = (tx, order, status, options, now) =>
+  tx.delivery.upsert({
+    where: { orderId: order.id },
+    create: {
+      orderId: order.id,
+      status,
+      trackingNumber: options.trackingNumber || null,
+      courierCompany: options.courierCompany || null,
+      pickedUpAt: now,
+      address: order.shippingAddress,
+      city: order.shippingCity || '',
+      state: order.shippingProvince || null,
+      postalCode: order.shippingPostalCode || null,
+      country: 'Pakistan',
+    },
+    update: {
+      status,
+      trackingNumber: options.trackingNumber || undefined,
+      courierCompany: options.courierCompany || undefined,
+      pickedUpAt: now,
+    },
+  });
+
+// Whole order shipped by hand: parcels waiting for pickup leave now and
+// whatever is in no shipment yet goes in one more
+const shipRemainingItems = async (tx, order, options, now) => {
+  await tx.shipment.updateMany({
+    where: { orderId: order.id, status: 'PENDING' },
+    data: { status: 'SHIPPED', shippedAt: now },
+  });
+
+  const withShipments = await tx.order.findUnique({
+    where: { id: order.id },
+    include: { items: true, ...SHIPMENTS_INCLUDE },
+  });
+  const remaining = getUnshippedItems(withShipments);
+
+  if (remaining.length > 0) {
+    const cod = order.payment && order.payment.method === 'COD' && order.payment.status === 'PENDING';
+
+    await createShipmentRecord(tx, order, remaining, {
+      status: 'SHIPPED',
+      courierCompany: options.courierCompany || null,
+      trackingNumber: options.trackingNumber || null,
+      codAmount: cod ? order.totalAmount : 0,
+      shippedAt: now,
+      createdById: options.actorId || null,
+    });
+  }
+};
+
+const applySideEffects = async (tx, order, to, options) => {
+  const now = new Date();
+
+  switch (to) {
+    case 'CONFIRMED': {
+      // The order goes ahead - its stock is sold. A hold that expired is
+      // taken again, unless the piece sold out meanwhile.
+      const shortages = await commitReservations(tx, order.id);
+
+      if (shortages.length > 0) {
+        return `Not enough stock left for: ${shortages.join(', ')}`;
+      }
+      break;
+    }
+
+    case 'CANCELLED':
+      // Put the stock the order still holds back on the shelf
+      await releaseReservations(tx, order, {
+        changeType: options.expired ? 'ORDER_EXPIRED' : 'ORDER_CANCELLED',
+        reason: options.reason,
+        changedById: options.actorId,
+      });
+
+      // Give the coupon use back (so per-customer limits stay fair)
+      await releaseCouponRedemption(tx, order.id);
+
+      // Unpaid payment will never be completed now
+      if (order.payment && order.payment.status === 'PENDING') {
+        await tx.payment.update({
+          where: { id: order.payment.id },
+          data: { status: 'FAILED', failedAt: now, failureReason: 'Order cancelled' },
+        });
+      }
+      break;
+
+    case 'PROCESSING':
+      await tx.delivery.updateMany({
+        where: { orderId: order.id },
+        data: { status: 'PROCESSING' },
+      });
+
+      // Put the order's pieces on the production board
+      await createProductionJobs(tx, order);
+
+      // Resin, pigments, ... go into the molds now
+      await consumeOrderMaterials(tx, order, { actorId: options.actorId });
+      break;
+
+    case 'READY_TO_SHIP': {
+      const unfinished = await countUnfinishedJobs(tx, order.id);
+
+      if (unfinished > 0) {
+        return `${unfinished} item(s) of this order are still in production`;
+      }
+      break;
+    }
+
+    case 'PARTIALLY_SHIPPED':
+      // Still on its way in parts - the delivery as a whole is in progress
+      await upsertDelivery(tx, order, 'PROCESSING', {}, now);
+      break;
+
+    case 'SHIPPED':
+      await upsertDelivery(tx, order, 'SHIPPED', options, now);
+
+      if (!options.fromShipments) {
+        await shipRemainingItems(tx, order, options, now);
+      }
+      break;
+
+    case 'DELIVERED':
+      await tx.delivery.updateMany({
+        where: { orderId: order.id },
+        data: { status: 'DELIVERED', actualDelivery: now },
+      });
+
+      if (!options.fromShipments) {
+        await tx.shipment.updateMany({
+          where: { orderId: order.id, status: 'SHIPPED' },
+          data: { status: 'DELIVERED', deliveredAt: now },
+        });
+      }
+
+      // Cash on delivery: the courier collected the money
+      if (order.payment && order.payment.method === 'COD' && order.payment.status === 'PENDING') {
+        await tx.payment.update({
+          where: { id: order.payment.id },
+          data: { status: 'COMPLETED', paidAt: now },
+        });
+      }
+      break;
+
+    case 'RETURNED':
+      await tx.delivery.updateMany({
+        where: { orderId: order.id },
+        data: { status: 'RETURNED' },
+      });
+
+      // The parcels come back to the workshop - their pieces can be sold
+      // again. Shipments returned one by one were restocked already.
+      if (!options.fromShipments) {
+        const shipments = await tx.shipment.findMany({
+          where: { orderId: order.id, status: 'SHIPPED' },
+          include: { items: true },
+        });
+
+        if (shipments.length === 0) {
+          // Shipped before orders had shipments
+          await releaseReservations(tx, order, {
+            changeType: 'ORDER_RETURNED',
+            event: 'returned to sender',
+            reason: options.reason,
+            changedById: options.actorId,
+          });
+        }
+
+        for (const shipment of shipments) {
+          await tx.shipment.update({
+            where: { id: shipment.id },
+            data: { status: 'RETURNED', returnedAt: now },
+          });
+          await restockShipment(tx, order, shipment, { reason: options.reason, changedById: options.actorId });
+        }
+      }
+
+      // Cash on delivery: nothing was collected
+      if (order.payment && order.payment.method === 'COD' && order.payment.status === 'PENDING') {
+        await tx.payment.update({
+          where: { id: order.payment.id },
+          data: { status: 'FAILED', failedAt: now, failureReason: 'Returned to sender' },
+        });
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return null;
+};
+
+// =============================================================================
+// AFTER THE TRANSACTION
+// =============================================================================
+
+// Paid order cancelled: give the money back. Anything that can't be
+// completed right away is flagged to admins to finish by hand.
+const refundCancelledOrder = async (order, options) => {
+  if (!order.payment || !PAID_STATUSES.includes(order.payment.status)) {
+    return null;
+  }
+
+  let refund = null;
+
+  try {
+    const result = await createRefund({
+      orderId: order.id,
+      reason: `Order cancelled: ${options.reason || 'Cancelled by customer'}`,
+      createdById: options.actorIsAdmin ? options.actorId : null,
+    });
+
+    if (result.error) {
+      console.error(`Automatic refund for order ${order.id} not created:`, result.error);
+    } else {
+      refund = await processRefund(result.refund.id);
+    }
+  } catch (error) {
+    console.error(`Automatic refund for order ${order.id} failed:`, error.message);
+  }
+
+  if (!refund || refund.status !== 'COMPLETED') {
+    try {
+      const admins = await prisma.user.findMany({
+        where: { role: 'ADMIN', status: 'ACTIVE' },
+        select: { id: true },
+      });
+
+      if (admins.length > 0) {
+        await prisma.notification.createMany({
+          data: admins.map((admin) => ({
+            userId: admin.id,
+            type: 'IN_APP',
+            title: 'Refund Needs Attention',
+            message: refund
+              ? `Refund #${refund.id} for cancelled order #${order.orderNumber} is ${refund.status}`
+              : `Cancelled order #${order.orderNumber} was paid but no refund could be created`,
+            relatedTo: `order:${order.id}`,
+          })),
+        });
+      }
+    } catch (error) {
+      console.error('Failed to notify admins about refund:', error.message);
+    }
+  }
+
+  return refund;
+};
+
+const notifyCustomer = async (order, to, options) => {
+  // SRS-56 / SRS-75: email the customer
+  try {
+    const { subject, text, html } = getOrderStatusEmail(
+      { ...order, delivery: { ...order.delivery, trackingNumber: options.trackingNumber || order.delivery?.trackingNumber } },
+      order.user,
+      to,
+    );
+    await sendEmail({ to: order.user.email, subject, text, html });
+  } catch (error) {
+    console.error('Failed to send status update email:', error.message);
+  }
+
+  try {
+    let message = STATUS_MESSAGES[to] || `Your order status has been updated to ${to}.`;
+
+    if (to === 'SHIPPED' && options.trackingNumber) {
+      message = `Your order has been shipped! Tracking number: ${options.trackingNumber}` +
+        (options.courierCompany ? `, Courier Company: ${options.courierCompany}` : '');
+    }
+
+    if (to === 'CANCELLED' && options.reason) {
+      message = options.reason;
+    }
+
+    await prisma.notification.create({
+      data: {
+        userId: order.userId,
+        type: 'IN_APP',
+        title: to === 'CANCELLED' ? `Order #${order.orderNumber} Cancelled` : `Order #${order.orderNumber} - ${to}`,
+        message,
+        relatedTo: `order:${order.id}`,
+      },
+    });
+  } catch (error) {
+    console.error('Failed to create user notification:', error.message);
+  }
+};
+
+// =============================================================================
+// TRANSITION
+// =============================================================================
+
+/**
+ * Move an order to a new status with all its checks and side effects
+ * @param {number} orderId - Order
+ * @param {string} to - Target OrderStatus
+ * @param {Object} [options]
+ * @param {number} [options.actorId] - User making the change (tracking entry)
+ * @param {boolean} [options.actorIsAdmin] - Change made by an admin
+ * @param {string} [options.description] - Tracking description
+ * @param {string} [options.location] - Tracking location (e.g. courier hub)
+ * @param {string} [options.reason] - Cancellation / return reason
+ * @param {boolean} [options.expired] - Cancelled automatically for non-payment
+ * @param {string} [options.trackingNumber] - Courier tracking number (SHIPPED)
+ * @param {string} [options.courierCompany] - Courier name (SHIPPED)
+ * @param {boolean} [options.fromShipments] - Status follows the shipments
+ *   (utils/fulfillment.js): shipments are left alone and the customer isn't
+ *   messaged - each shipment sends its own update
+ * @returns {Promise<Object>} { order, refund } or { error, statusCode }
+ */
+const transitionOrder = async (orderId, to, options = {}) => {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { items: true, user: true, payment: true, delivery: true },
+  });
+
+  if (!order) {
+    return { error: 'Order not found', statusCode: 404 };
+  }
+
+  if (SHIPMENT_DRIVEN_STATUSES.includes(to) && !options.fromShipments) {
+    return { error: `${to} is set by creating a shipment for some of the order's items`, statusCode: 400 };
+  }
+
+  const guardError = checkTransition(order, to);
+  if (guardError) {
+    return { error: guardError, statusCode: 400 };
+  }
+
+  const now = new Date();
+  const data = { status: to };
+
+  if (to === 'CONFIRMED') data.confirmedAt = now;
+  if (to === 'SHIPPED') data.shippedAt = now;
+  if (to === 'DELIVERED') data.deliveredAt = now;
+  if (to === 'CANCELLED') {
+    data.cancelledAt = now;
+    data.cancelReason = options.reason || 'Cancelled by customer';
+  }
+
+  let changed;
+
+  try {
+    changed = await prisma.$transaction(async (tx) => {
+      // Only from the status we checked - a parallel change wins
+      const updated = await tx.order.updateMany({
+        where: { id: order.id, status: order.status },
+        data,
+      });
+
+      if (updated.count === 0) return false;
+
+      const sideEffectError = await applySideEffects(tx, order, to, options);
+      if (sideEffectError) {
+        // Throwing rolls back the status change too
+        throw Object.assign(new Error(sideEffectError), { isTransitionError: true });
+      }
+
+      // SRS-74: tracking entry
+      await tx.orderTracking.create({
+        data: {
+          orderId: order.id,
+          status: to === 'CANCELLED' ? 'Cancelled' : to,
+          description:
+            options.description ||
+            (to === 'CANCELLED' ? options.reason || 'Order cancelled by customer' : `Order status updated to ${to}`),
+          location: options.location || null,
+          updatedBy: options.actorId || null,
+        },
+      });
+
+      return true;
+    });
+  } catch (error) {
+    if (error.isTransitionError) return { error: error.message, statusCode: 409 };
+    throw error;
+  }
+
+  if (!changed) {
+    return { error: 'Order status was changed by another request, please reload', statusCode: 409 };
+  }
+
+  const refund = to === 'CANCELLED' ? await refundCancelledOrder(order, options) : null;
+
+  if (!options.fromShipments) {
+    await notifyCustomer(order, to, options);
+  }
+
+  return { order: { ...order, ...data }, refund };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  ORDER_STATUSES,        // All OrderStatus values
+  ORDER_TRANSITIONS,     // Allowed moves per status
+  generateOrderNumber,   // Next RA-YYYY-XXXXXX number
+  checkTransition,       // Is this move allowed right now?
+  getAllowedTransitions, // Next statuses for the admin UI
+  transitionOrder,       // Change status + side effects
+};
@@ -0,0 +1,160 @@
+// =============================================================================
+// EASYPAISA GATEWAY - Mobile Wallet (Easypay Hosted Checkout)
+// =============================================================================
+//
+// 1. createCheckout builds the hosted checkout form; the frontend
+//    auto-submits it (checkout.type = 'form')
+// 2. Easypaisa notifies our IPN URL (POST /api/payments/webhook/easypaisa)
+//
+// VERIFICATION:
+//   Easypaisa's IPN is not signed with a shared secret. So the notification
+//   body is only used to learn WHICH order changed - the status, amount and
+//   transaction ID are then fetched from Easypaisa's inquire-transaction API
+//   with our merchant credentials. A forged notification can't mark an
+//   unpaid order as paid.
+//
+// merchantHashedReq (checkout form):
+//   base64(AES-128-ECB("amount=..&orderRefNum=..&...", EASYPAISA_HASH_KEY))
+//   over the request fields sorted by name.
+//
+// =============================================================================
+
+const crypto = require('crypto');
+
+const DEFAULT_CHECKOUT_URL = 'https://easypaystg.easypaisa.com.pk/easypay/Index.jsf';
+const DEFAULT_API_URL = 'https://easypaystg.easypaisa.com.pk/easypay-service/rest/v4';
+
+// Easypay dates: yyyyMMdd HHmmss (Pakistan time)
+const formatExpiry = (date) => {
+  const digits = new Date(date.getTime() + 5 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[-:T]/g, '')
+    .slice(0, 14);
+  return `${digits.slice(0, 8)} ${digits.slice(8)}`;
+};
+
+/**
+ * merchantHashedReq for the checkout form
+ * @param {Object} fields - Checkout fields (without the hash)
+ * @returns {string} Base64 AES hash
+ */
+const hashRequest = (fields) => {
+  const plain = Object.keys(fields)
+    .sort()
+    .map((key) => `${key}=${fields[key]}`)
+    .join('&');
+
+  const key = Buffer.from(process.env.EASYPAISA_HASH_KEY || '', 'utf8');
+  const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+
+  return Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]).toString('base64');
+};
+
+const createCheckout = async ({ payment, user, returnUrl }) => {
+  if (!process.env.EASYPAISA_STORE_ID || !process.env.EASYPAISA_HASH_KEY) {
+    throw new Error('Easypaisa merchant credentials are not configured');
+  }
+
+  const reference = `EP${Date.now()}${crypto.randomInt(100, 1000)}`;
+
+  const fields = {
+    amount: parseFloat(payment.amount).toFixed(1),
+    storeId: process.env.EASYPAISA_STORE_ID,
+    postBackURL: returnUrl,
+    orderRefNum: reference,
+    expiryDate: formatExpiry(new Date(Date.now() + 60 * 60 * 1000)),
+    autoRedirect: '1',
+    paymentMethod: 'MA_PAYMENT_METHOD',
+    emailAddr: user.email,
+    mobileNum: user.phone || '',
+  };
+
+  return {
+    reference,
+    checkout: {
+      type: 'form',
+      action: process.env.EASYPAISA_CHECKOUT_URL || DEFAULT_CHECKOUT_URL,
+      fields: { ...fields, merchantHashedReq: hashRequest(fields) },
+    },
+    raw: { orderRefNum: reference, expiryDate: fields.expiryDate },
+  };
+};
+
+/**
+ * Ask Easypaisa for the current state of a transaction
+ * @param {string} reference - Our orderRefNum
+ * @returns {Promise<Object>} Inquire-transaction response
+ */
+const inquireTransaction = async (reference) => {
+  const credentials = Buffer.from(
+    `${process.env.EASYPAISA_USERNAME || ''}:${process.env.EASYPAISA_PASSWORD || ''}`
+  ).toString('base64');
+
+  const response = await fetch(`${process.env.EASYPAISA_API_URL || DEFAULT_API_URL}/inquire-transaction`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Credentials: credentials,
+    },
+    body: JSON.stringify({
+      orderId: reference,
+      storeId: process.env.EASYPAISA_STORE_ID,
+      accountNum: process.env.EASYPAISA_ACCOUNT_NUM,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Easypaisa inquiry failed (HTTP ${response.status})`);
+  }
+
+  return response.json();
+};
+
+const parseWebhook = async (req) => {
+  const notification = { ...req.query, ...(req.body || {}) };
+  const reference = notification.orderRefNum || notification.orderId || notification.order_id;
+
+  if (!reference) {
+    return { error: 'Malformed webhook payload' };
+  }
+
+  let inquiry;
+
+  try {
+    inquiry = await inquireTransaction(String(reference));
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  if (inquiry.responseCode !== '0000') {
+    return { error: `Easypaisa inquiry error: ${inquiry.responseDesc || inquiry.responseCode}` };
+  }
+
+  const transactionStatus = String(inquiry.transactionStatus || '').toUpperCase();
+
+  let status = 'PENDING';
+  if (transactionStatus === 'PAID') status = 'COMPLETED';
+  else if (['FAILED', 'EXPIRED', 'REVERSED', 'BLOCKED'].includes(transactionStatus)) status = 'FAILED';
+
+  return {
+    eventId: `${reference}:${transactionStatus}`,
+    reference: String(reference),
+    status,
+    transactionId: inquiry.transactionId || null,
+    amount: inquiry.transactionAmount !== undefined ? parseFloat(inquiry.transactionAmount) : null,
+    failureReason: status === 'FAILED' ? `Easypaisa status ${transactionStatus}` : null,
+    // Keep both what was sent to us and what Easypaisa confirmed
+    payload: { notification, inquiry },
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  name: 'easypaisa',
+  createCheckout,
+  parseWebhook,
+  parseReturn: parseWebhook, // Also verified through the inquiry API
+};
@@ -0,0 +1,44 @@
+// =============================================================================
+// PAYMENT GATEWAY HELPERS - Shared by the Adapters
+// =============================================================================
+
+const crypto = require('crypto');
+
+/**
+ * Compare two signatures without leaking timing information
+ * @param {string} expected - Signature we calculated
+ * @param {string} received - Signature from the request
+ * @returns {boolean} True if they match
+ */
+const safeCompare = (expected, received) => {
+  if (typeof expected !== 'string' || typeof received !== 'string') return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Raw request body as a string (captured by the body parsers in app.js)
+ * @param {Object} req - Express request
+ * @returns {string} Raw body ('' if none)
+ */
+const getRawBody = (req) => (req.rawBody ? req.rawBody.toString('utf8') : '');
+
+/**
+ * Rupees -> paisa (gateways take amounts in the smallest currency unit)
+ * @param {number|string|Object} amount - Amount (Decimal from Prisma is fine)
+ * @returns {number} Whole paisa
+ */
+const toMinorUnits = (amount) => Math.round(parseFloat(amount) * 100);
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  safeCompare,  // Timing-safe signature check
+  getRawBody,   // Signed bytes of a webhook
+  toMinorUnits, // 1250.50 -> 125050
+};
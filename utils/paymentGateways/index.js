@@ -0,0 +1,99 @@
+// =============================================================================
+// PAYMENT GATEWAYS - Adapter Registry
+// =============================================================================
+//
+// Every online payment method is handled by a gateway adapter:
+//
+//   CREDIT_CARD, DEBIT_CARD -> stripe
+//   JAZZCASH                -> jazzcash
+//   EASYPAISA               -> easypaisa
+//
+// With PAYMENT_GATEWAY_MODE=mock (the default) all of them use the local mock
+// gateway, so the whole flow can be tested without merchant accounts.
+// Mock mode is never used with NODE_ENV=production - the real gateways are.
+// COD and BANK_TRANSFER have no gateway - they stay PENDING until an admin
+// confirms the money arrived.
+//
+// ADAPTER INTERFACE:
+// ------------------
+// name
+//   Provider name, stored on Payment.provider and used in webhook URLs
+//
+// createCheckout({ payment, order, user, returnUrl })
+//   Starts a payment at the gateway. Resolves to:
+//   { reference, checkout, raw }
+//   - reference: our ID for this checkout at the gateway (Payment.gatewayReference)
+//   - checkout:  what the frontend does next, either
+//                { type: 'redirect', url } or
+//                { type: 'form', action, fields } (auto-submitted HTML form)
+//   - raw:       gateway response, kept in Payment.gatewayResponse
+//
+// parseWebhook(req)
+//   Verifies the signature and reads the event. Resolves to { error } or:
+//   { eventId, reference, status, transactionId, amount, failureReason, payload }
+//   - status: 'COMPLETED' | 'FAILED' | 'PENDING'
+//   - amount: amount the gateway reports (null if it doesn't)
+//
+// parseReturn(req) (optional)
+//   Same as parseWebhook for gateways that sign the customer's redirect back
+//   to us (JazzCash). Gateways without it only rely on the webhook.
+//
+// refund({ payment, amount, refundId }) (optional)
+//   Sends money back for a completed payment. Resolves to:
+//   { reference, status, failureReason, raw }
+//   - status: 'COMPLETED' | 'PROCESSING' | 'FAILED'
+//   Gateways without it are refunded by hand (see utils/refunds.js).
+//
+// =============================================================================
+
+const mockGateway = require('./mockGateway');
+const stripeGateway = require('./stripeGateway');
+const jazzcashGateway = require('./jazzcashGateway');
+const easypaisaGateway = require('./easypaisaGateway');
+
+const GATEWAYS = {
+  [mockGateway.name]: mockGateway,
+  [stripeGateway.name]: stripeGateway,
+  [jazzcashGateway.name]: jazzcashGateway,
+  [easypaisaGateway.name]: easypaisaGateway,
+};
+
+// Payment method -> live gateway
+const METHOD_GATEWAYS = {
+  CREDIT_CARD: stripeGateway.name,
+  DEBIT_CARD: stripeGateway.name,
+  JAZZCASH: jazzcashGateway.name,
+  EASYPAISA: easypaisaGateway.name,
+};
+
+// Anyone holding the mock webhook secret could mark orders paid, so mock mode
+// is refused in production whatever PAYMENT_GATEWAY_MODE says
+const isMockMode = () =>
+  process.env.NODE_ENV !== 'production' && (process.env.PAYMENT_GATEWAY_MODE || 'mock') === 'mock';
+
+/**
+ * Gateway adapter for a payment method
+ * @param {string} method - PaymentMethod enum value
+ * @returns {Object|null} Adapter, or null for offline methods (COD, BANK_TRANSFER)
+ */
+const getGatewayForMethod = (method) => {
+  if (!METHOD_GATEWAYS[method]) return null;
+  return isMockMode() ? mockGateway : GATEWAYS[METHOD_GATEWAYS[method]];
+};
+
+/**
+ * Gateway adapter by provider name (webhook and return URLs)
+ * @param {string} name - Provider name
+ * @returns {Object|null} Adapter, or null if unknown
+ */
+const getGateway = (name) => GATEWAYS[name] || null;
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getGatewayForMethod, // Checkout: which adapter handles this method?
+  getGateway,          // Webhooks: adapter from the URL
+  isMockMode,          // Is the mock gateway in use?
+};
@@ -0,0 +1,135 @@
+// =============================================================================
+// JAZZCASH GATEWAY - Mobile Wallet (Page Redirection)
+// =============================================================================
+//
+// 1. createCheckout builds a signed HTML form; the frontend auto-submits it
+//    to JazzCash's hosted page (checkout.type = 'form')
+// 2. The customer pays and JazzCash POSTs the result back to our return URL
+//    (signed, so it is processed like a webhook)
+// 3. JazzCash also sends the result to the IPN URL
+//    (POST /api/payments/webhook/jazzcash) in case the customer closes the
+//    browser before returning
+//
+// SIGNATURE (pp_SecureHash):
+//   HMAC-SHA256 with JAZZCASH_INTEGRITY_SALT over
+//   "<salt>&<value1>&<value2>..." - all non-empty pp_* fields sorted by name
+//
+// pp_ResponseCode: 000 = paid, 124/157 = waiting for the customer,
+// anything else = failed.
+//
+// =============================================================================
+
+const crypto = require('crypto');
+
+const { safeCompare, toMinorUnits } = require('./helpers');
+
+const DEFAULT_CHECKOUT_URL =
+  'https://sandbox.jazzcash.com.pk/CustomerPortal/transactionmanagement/merchantform/';
+
+const PENDING_CODES = ['124', '157'];
+
+// JazzCash dates are Pakistan time: yyyyMMddHHmmss
+const formatPktDate = (date) =>
+  new Date(date.getTime() + 5 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[-:T]/g, '')
+    .slice(0, 14);
+
+/**
+ * Calculate pp_SecureHash for a set of fields
+ * @param {Object} fields - Request or response fields
+ * @returns {string} Uppercase hex hash
+ */
+const secureHash = (fields) => {
+  const salt = process.env.JAZZCASH_INTEGRITY_SALT || '';
+
+  const values = Object.keys(fields)
+    .filter((key) => key.startsWith('pp') && key !== 'pp_SecureHash')
+    .sort()
+    .map((key) => fields[key])
+    .filter((value) => value !== undefined && value !== null && value !== '');
+
+  return crypto
+    .createHmac('sha256', salt)
+    .update([salt, ...values].join('&'))
+    .digest('hex')
+    .toUpperCase();
+};
+
+const createCheckout = async ({ payment, order, returnUrl }) => {
+  if (!process.env.JAZZCASH_MERCHANT_ID || !process.env.JAZZCASH_INTEGRITY_SALT) {
+    throw new Error('JazzCash merchant credentials are not configured');
+  }
+
+  const now = new Date();
+  const reference = `T${formatPktDate(now)}${crypto.randomInt(100, 1000)}`;
+
+  const fields = {
+    pp_Version: '1.1',
+    pp_TxnType: 'MWALLET',
+    pp_Language: 'EN',
+    pp_MerchantID: process.env.JAZZCASH_MERCHANT_ID,
+    pp_Password: process.env.JAZZCASH_PASSWORD || '',
+    pp_TxnRefNo: reference,
+    pp_Amount: String(toMinorUnits(payment.amount)),
+    pp_TxnCurrency: 'PKR',
+    pp_TxnDateTime: formatPktDate(now),
+    pp_TxnExpiryDateTime: formatPktDate(new Date(now.getTime() + 60 * 60 * 1000)),
+    pp_BillReference: order.orderNumber.replace(/[^A-Za-z0-9]/g, ''),
+    pp_Description: `Order ${order.orderNumber}`,
+    pp_ReturnURL: returnUrl,
+  };
+
+  fields.pp_SecureHash = secureHash(fields);
+
+  return {
+    reference,
+    checkout: {
+      type: 'form',
+      action: process.env.JAZZCASH_CHECKOUT_URL || DEFAULT_CHECKOUT_URL,
+      fields,
+    },
+    // Never store the merchant password
+    raw: { pp_TxnRefNo: reference, pp_TxnDateTime: fields.pp_TxnDateTime },
+  };
+};
+
+const parseWebhook = async (req) => {
+  const payload = req.body || {};
+
+  if (!payload.pp_SecureHash || !safeCompare(secureHash(payload), String(payload.pp_SecureHash).toUpperCase())) {
+    return { error: 'Invalid webhook signature' };
+  }
+
+  if (!payload.pp_TxnRefNo || !payload.pp_ResponseCode) {
+    return { error: 'Malformed webhook payload' };
+  }
+
+  const code = String(payload.pp_ResponseCode);
+
+  let status = 'FAILED';
+  if (code === '000') status = 'COMPLETED';
+  else if (PENDING_CODES.includes(code)) status = 'PENDING';
+
+  return {
+    // Return POST and IPN carry the same result - one event per outcome
+    eventId: `${payload.pp_TxnRefNo}:${code}`,
+    reference: payload.pp_TxnRefNo,
+    status,
+    transactionId: payload.pp_RetreivalReferenceNo || null,
+    amount: payload.pp_Amount ? parseInt(payload.pp_Amount) / 100 : null,
+    failureReason: status === 'FAILED' ? payload.pp_ResponseMessage || `JazzCash code ${code}` : null,
+    payload,
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  name: 'jazzcash',
+  createCheckout,
+  parseWebhook,
+  parseReturn: parseWebhook, // The return POST is signed the same way
+};
@@ -0,0 +1,116 @@
+// =============================================================================
+// MOCK GATEWAY - Local Payment Provider for Development & Testing
+// =============================================================================
+//
+// Behaves like a real gateway without leaving the machine:
+// - createCheckout returns a reference and "redirects" straight back to the
+//   return URL (the payment is still PENDING at that point)
+// - The payment is finished by a signed webhook, exactly like in production.
+//   POST /api/payments/mock/:orderId/simulate builds and signs one for you.
+// - Refunds succeed immediately
+//
+// WEBHOOK FORMAT:
+//   Header:  X-Mock-Signature: hex HMAC-SHA256(raw body, MOCK_PAYMENT_WEBHOOK_SECRET)
+//   Body:    { "id": "evt_...", "reference": "mock_...",
+//              "status": "succeeded" | "failed" | "pending",
+//              "amount": 1250.50, "transactionId": "...", "failureReason": "..." }
+//
+// Only accepted while PAYMENT_GATEWAY_MODE=mock, never with NODE_ENV=production,
+// and only once MOCK_PAYMENT_WEBHOOK_SECRET is set (there is no default).
+//
+// =============================================================================
+
+const crypto = require('crypto');
+
+const { safeCompare, getRawBody } = require('./helpers');
+
+const STATUS_MAP = {
+  succeeded: 'COMPLETED',
+  failed: 'FAILED',
+  pending: 'PENDING',
+};
+
+const getSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+/**
+ * Sign a mock webhook body
+ * @param {string} rawBody - Exact JSON string that will be sent
+ * @returns {string} Hex signature for the X-Mock-Signature header
+ */
+const sign = (rawBody) => {
+  if (!getSecret()) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+  }
+
+  return crypto.createHmac('sha256', getSecret()).update(rawBody).digest('hex');
+};
+
+const createCheckout = async ({ returnUrl }) => {
+  const reference = `mock_${crypto.randomBytes(12).toString('hex')}`;
+
+  return {
+    reference,
+    checkout: { type: 'redirect', url: returnUrl },
+    raw: { reference, createdAt: new Date().toISOString() },
+  };
+};
+
+const parseWebhook = async (req) => {
+  if (
+    (process.env.PAYMENT_GATEWAY_MODE || 'mock') !== 'mock' ||
+    process.env.NODE_ENV === 'production'
+  ) {
+    return { error: 'Mock gateway is disabled' };
+  }
+
+  if (!getSecret()) {
+    return { error: 'MOCK_PAYMENT_WEBHOOK_SECRET is not set' };
+  }
+
+  const rawBody = getRawBody(req);
+
+  if (!safeCompare(sign(rawBody), req.get('x-mock-signature') || '')) {
+    return { error: 'Invalid webhook signature' };
+  }
+
+  const payload = req.body || {};
+  const status = STATUS_MAP[payload.status];
+
+  if (!payload.id || !payload.reference || !status) {
+    return { error: 'Malformed webhook payload' };
+  }
+
+  return {
+    eventId: String(payload.id),
+    reference: String(payload.reference),
+    status,
+    transactionId: payload.transactionId || null,
+    amount: payload.amount !== undefined ? parseFloat(payload.amount) : null,
+    failureReason: payload.failureReason || null,
+    payload,
+  };
+};
+
+// Refunds always succeed right away
+const refund = async ({ amount, refundId }) => {
+  const reference = `mock_re_${crypto.randomBytes(8).toString('hex')}`;
+
+  return {
+    reference,
+    status: 'COMPLETED',
+    failureReason: null,
+    raw: { id: reference, refundId, amount: parseFloat(amount), status: 'succeeded' },
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  name: 'mock',
+  createCheckout,
+  parseWebhook,
+  refund,
+  sign, // Used by the simulate endpoint
+};
@@ -0,0 +1,196 @@
+// =============================================================================
+// STRIPE GATEWAY - Credit & Debit Cards
+// =============================================================================
+//
+// Uses Stripe Checkout (hosted payment page):
+// 1. createCheckout creates a Checkout Session -> customer is redirected to
+//    Stripe's page and back to our return URL afterwards
+// 2. Stripe calls POST /api/payments/webhook/stripe with the result
+// 3. Refunds use Stripe's Refunds API against the payment intent
+//
+// Configure the webhook in the Stripe dashboard for these events:
+//   checkout.session.completed
+//   checkout.session.async_payment_succeeded
+//   checkout.session.async_payment_failed
+//   checkout.session.expired
+//
+// SIGNATURE:
+//   Stripe-Signature: t=<timestamp>,v1=<hex HMAC-SHA256("<t>.<raw body>")>
+//   signed with STRIPE_WEBHOOK_SECRET. Old timestamps are rejected so a
+//   captured webhook can't be replayed later.
+//
+// =============================================================================
+
+const crypto = require('crypto');
+
+const { safeCompare, getRawBody, toMinorUnits } = require('./helpers');
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const createCheckout = async ({ payment, order, user, returnUrl }) => {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw new Error('STRIPE_SECRET_KEY is not configured');
+  }
+
+  // Stripe's API takes form-encoded bodies with bracket notation
+  const params = new URLSearchParams({
+    mode: 'payment',
+    'payment_method_types[0]': 'card',
+    client_reference_id: String(payment.id),
+    customer_email: user.email,
+    success_url: returnUrl,
+    cancel_url: returnUrl,
+    'line_items[0][quantity]': '1',
+    'line_items[0][price_data][currency]': (process.env.STRIPE_CURRENCY || 'pkr').toLowerCase(),
+    'line_items[0][price_data][unit_amount]': String(toMinorUnits(payment.amount)),
+    'line_items[0][price_data][product_data][name]': `Order #${order.orderNumber}`,
+    'metadata[paymentId]': String(payment.id),
+    'metadata[orderNumber]': order.orderNumber,
+  });
+
+  const response = await fetch(`${STRIPE_API_URL}/checkout/sessions`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: params,
+  });
+
+  const session = await response.json();
+
+  if (!response.ok) {
+    throw new Error(session.error?.message || `Stripe error (HTTP ${response.status})`);
+  }
+
+  return {
+    reference: session.id,
+    checkout: { type: 'redirect', url: session.url },
+    raw: { id: session.id, status: session.status, expires_at: session.expires_at },
+  };
+};
+
+/**
+ * Check the Stripe-Signature header against the raw body
+ * @param {string} header - Stripe-Signature header value
+ * @param {string} rawBody - Raw request body
+ * @returns {boolean} True if valid and recent
+ */
+const verifySignature = (header, rawBody) => {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret || !header) return false;
+
+  // "t=1700000000,v1=abc...,v1=def..." (several v1 during secret rotation)
+  const parts = header.split(',').map((part) => part.split('='));
+  const timestamp = parts.find(([key]) => key === 't')?.[1];
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) return false;
+
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+  if (isNaN(age) || age > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+  return signatures.some((signature) => safeCompare(expected, signature));
+};
+
+const parseWebhook = async (req) => {
+  const rawBody = getRawBody(req);
+
+  if (!verifySignature(req.get('stripe-signature'), rawBody)) {
+    return { error: 'Invalid webhook signature' };
+  }
+
+  const event = req.body || {};
+  const session = event.data?.object || {};
+
+  let status = null;
+  let failureReason = null;
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      // Cards are 'paid' right away; delayed methods finish with async_payment_*
+      status = session.payment_status === 'paid' ? 'COMPLETED' : 'PENDING';
+      break;
+    case 'checkout.session.async_payment_succeeded':
+      status = 'COMPLETED';
+      break;
+    case 'checkout.session.async_payment_failed':
+      status = 'FAILED';
+      failureReason = 'Payment was declined';
+      break;
+    case 'checkout.session.expired':
+      status = 'FAILED';
+      failureReason = 'Checkout session expired';
+      break;
+    default:
+      // Not an event we act on - acknowledge and ignore
+      return { eventId: event.id, reference: null, status: 'PENDING', payload: event };
+  }
+
+  return {
+    eventId: event.id,
+    reference: session.id,
+    status,
+    transactionId: session.payment_intent || null,
+    amount: typeof session.amount_total === 'number' ? session.amount_total / 100 : null,
+    failureReason,
+    payload: event,
+  };
+};
+
+const refund = async ({ payment, amount, refundId }) => {
+  if (!payment.transactionId) {
+    throw new Error('Payment has no Stripe payment intent to refund');
+  }
+
+  const params = new URLSearchParams({
+    payment_intent: payment.transactionId,
+    amount: String(toMinorUnits(amount)),
+    'metadata[refundId]': String(refundId),
+  });
+
+  const response = await fetch(`${STRIPE_API_URL}/refunds`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      // A retried request can't refund twice
+      'Idempotency-Key': `refund-${refundId}`,
+    },
+    body: params,
+  });
+
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.error?.message || `Stripe error (HTTP ${response.status})`);
+  }
+
+  let status = 'PROCESSING';
+  if (result.status === 'succeeded') status = 'COMPLETED';
+  else if (['failed', 'canceled'].includes(result.status)) status = 'FAILED';
+
+  return {
+    reference: result.id,
+    status,
+    failureReason: result.failure_reason || null,
+    raw: result,
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  name: 'stripe',
+  createCheckout,
+  parseWebhook,
+  refund,
+};
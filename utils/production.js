@@ -0,0 +1,178 @@
+// =============================================================================
+// PRODUCTION - Workshop Board for Made-to-Order Pieces
+// =============================================================================
+//
+// When an order moves to PROCESSING each of its lines gets a production job
+// (commission balance orders excepted - that piece is already made). A job
+// goes through the workshop stages:
+//
+//   QUEUED -> POURING -> CURING -> FINISHING -> DONE
+//
+// - Stages can be skipped (e.g. a piece already on the shelf goes straight
+//   to DONE), but only move forward - except back to POURING when a pour
+//   has to be redone.
+// - Entering CURING sets cureCompleteAt (PRODUCTION_CURE_HOURS, default 48,
+//   or cureHours from the admin). Leaving CURING before then needs force.
+// - DONE is final. Once every job of a PROCESSING order is DONE the order
+//   moves to READY_TO_SHIP (controllers/productionController.js).
+//
+// Functions return an error message instead of throwing.
+//
+// =============================================================================
+
+const PRODUCTION_STAGES = ['QUEUED', 'POURING', 'CURING', 'FINISHING', 'DONE'];
+
+// Order statuses whose jobs are on the board (pieces still being made)
+const BOARD_ORDER_STATUSES = ['PROCESSING', 'PARTIALLY_SHIPPED'];
+
+// Longest cure an admin can set (two weeks)
+const MAX_CURE_HOURS = 14 * 24;
+
+// Hours a pour cures before it can be demolded, unless the admin says otherwise
+const getDefaultCureHours = () => parseFloat(process.env.PRODUCTION_CURE_HOURS) || 48;
+
+// Everything a job on the board shows
+const PRODUCTION_JOB_INCLUDE = {
+  orderItem: {
+    select: {
+      id: true,
+      productId: true,
+      productName: true,
+      productImage: true,
+      quantity: true,
+      variantName: true,
+      customization: true,
+      order: {
+        select: {
+          id: true,
+          orderNumber: true,
+          status: true,
+          orderedAt: true,
+          user: { select: { id: true, name: true } },
+        },
+      },
+    },
+  },
+  assignedTo: { select: { id: true, name: true } },
+};
+
+/**
+ * Create a QUEUED job for every line of an order (inside the transaction
+ * that moves it to PROCESSING). Lines that already have one are skipped.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order with items
+ * @returns {Promise<number>} Jobs created
+ */
+const createProductionJobs = async (tx, order) => {
+  const commission = await tx.commission.findFirst({
+    where: { balanceOrderId: order.id },
+    select: { id: true },
+  });
+
+  if (commission || order.items.length === 0) return 0;
+
+  const created = await tx.productionJob.createMany({
+    data: order.items.map((item) => ({ orderItemId: item.id, orderId: order.id })),
+    skipDuplicates: true,
+  });
+
+  return created.count;
+};
+
+/**
+ * Jobs of an order that are not DONE yet
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {number} orderId - Order
+ * @returns {Promise<number>}
+ */
+const countUnfinishedJobs = (tx, orderId) =>
+  tx.productionJob.count({
+    where: { orderId, stage: { not: 'DONE' } },
+  });
+
+/**
+ * Check whether a job may move to a stage
+ * @param {Object} job - Production job
+ * @param {string} to - Target ProductionStage
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Leave CURING before cureCompleteAt
+ * @param {Date} [options.now]
+ * @returns {string|null} Error message, or null if allowed
+ */
+const checkStageChange = (job, to, options = {}) => {
+  const now = options.now || new Date();
+
+  if (!PRODUCTION_STAGES.includes(to)) {
+    return `Invalid stage. Valid options: ${PRODUCTION_STAGES.join(', ')}`;
+  }
+
+  if (job.stage === 'DONE') {
+    return 'This item is already done';
+  }
+
+  if (to === job.stage) {
+    return `Item is already in ${to}`;
+  }
+
+  const from = PRODUCTION_STAGES.indexOf(job.stage);
+  const target = PRODUCTION_STAGES.indexOf(to);
+
+  if (target < from && to !== 'POURING') {
+    return `Item cannot move back from ${job.stage} to ${to} (only back to POURING for a new pour)`;
+  }
+
+  if (job.stage === 'CURING' && target > from && job.cureCompleteAt &&
+      job.cureCompleteAt > now && !options.force) {
+    return `Item is still curing until ${job.cureCompleteAt.toISOString()} - send force: true to move it on anyway`;
+  }
+
+  return null;
+};
+
+/**
+ * Fields to save when a job moves to a stage (after checkStageChange)
+ * @param {Object} job - Production job
+ * @param {string} to - Target ProductionStage
+ * @param {Object} [options]
+ * @param {number} [options.cureHours] - Cure time for CURING (default
+ *   PRODUCTION_CURE_HOURS)
+ * @param {number} [options.actorId] - Admin making the change, becomes the
+ *   maker of an unassigned job
+ * @param {Date} [options.now]
+ * @returns {Object} Prisma update data
+ */
+const getStageChangeData = (job, to, options = {}) => {
+  const now = options.now || new Date();
+  const data = { stage: to };
+
+  if (job.stage === 'QUEUED' && !job.startedAt) data.startedAt = now;
+  if (!job.assignedToId && options.actorId) data.assignedToId = options.actorId;
+
+  if (to === 'CURING') {
+    const hours = options.cureHours ?? getDefaultCureHours();
+    data.cureCompleteAt = new Date(now.getTime() + hours * 60 * 60 * 1000);
+  }
+
+  // A new pour cures again from scratch
+  if (to === 'POURING') data.cureCompleteAt = null;
+
+  if (to === 'DONE') data.finishedAt = now;
+
+  return data;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  PRODUCTION_STAGES,      // All ProductionStage values, in order
+  BOARD_ORDER_STATUSES,   // Orders whose jobs show on the board
+  MAX_CURE_HOURS,         // Upper limit for cureHours
+  PRODUCTION_JOB_INCLUDE, // Prisma include for job responses
+  getDefaultCureHours,    // PRODUCTION_CURE_HOURS (default 48)
+  createProductionJobs,   // Order -> PROCESSING: jobs for its lines
+  countUnfinishedJobs,    // Jobs of an order not DONE yet
+  checkStageChange,       // Is this stage move allowed?
+  getStageChangeData,     // Update data for a stage move
+};
@@ -0,0 +1,307 @@
+// =============================================================================
+// REFUNDS - Create, Send & Complete Refunds
+// =============================================================================
+//
+// Shared by:
+// - POST /api/refunds          (admin refunds part or all of a payment)
+// - PUT  /api/orders/:id/cancel (paid order cancelled -> automatic refund)
+//
+// LIFECYCLE:
+// 1. createRefund   -> PENDING (amount checked against what's left to refund)
+// 2. processRefund  -> ORIGINAL_PAYMENT through a gateway that supports
+//                      refunds: sent right away (COMPLETED / PROCESSING / FAILED)
+//                      Everything else stays PENDING until an admin does it
+//                      by hand and marks it done (PUT /api/refunds/:id/status)
+// 3. completeRefund -> COMPLETED, adds to Payment.refundedAmount and sets the
+//                      payment to PARTIALLY_REFUNDED or REFUNDED
+//
+// Functions return { error } with a client-safe message instead of
+// throwing, so controllers decide the HTTP status.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+const { getGateway } = require('./paymentGateways');
+const { sendEmail, getRefundEmail } = require('./sendEmail');
+
+// Refunds that use up part of the payment (FAILED ones don't)
+const ACTIVE_REFUND_STATUSES = ['PENDING', 'PROCESSING', 'COMPLETED'];
+
+// Payments that can still be refunded
+const REFUNDABLE_PAYMENT_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED'];
+
+const REFUND_METHODS = ['ORIGINAL_PAYMENT', 'BANK_TRANSFER', 'CASH'];
+
+// Round to 2 decimals (money)
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Amount of a payment not yet refunded or being refunded
+ * @param {Object} payment - Payment
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<number>} Refundable amount
+ */
+const getRefundableAmount = async (payment, client = prisma) => {
+  const refunds = await client.refund.aggregate({
+    where: { paymentId: payment.id, status: { in: ACTIVE_REFUND_STATUSES } },
+    _sum: { amount: true },
+  });
+
+  const used = parseFloat(refunds._sum.amount) || 0;
+
+  return Math.max(0, roundMoney(parseFloat(payment.amount) - used));
+};
+
+/**
+ * Create a refund for an order's payment
+ * @param {Object} params
+ * @param {number} params.orderId - Order to refund
+ * @param {number} [params.amount] - Amount (default: everything still refundable)
+ * @param {string} params.reason - Why the money is returned
+ * @param {string} [params.method='ORIGINAL_PAYMENT'] - RefundMethod
+ * @param {number} [params.createdById] - Admin issuing it (null = automatic)
+ * @returns {Promise<Object>} { refund } or { error }
+ */
+const createRefund = async ({ orderId, amount, reason, method = 'ORIGINAL_PAYMENT', createdById = null }) => {
+  if (!REFUND_METHODS.includes(method)) {
+    return { error: `Invalid refund method. Valid options: ${REFUND_METHODS.join(', ')}` };
+  }
+
+  if (!reason || !String(reason).trim()) {
+    return { error: 'Please provide a reason for the refund' };
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // Lock the payment row until this transaction ends, so parallel refunds
+    // wait for each other and see each other's amounts
+    await tx.$queryRaw`SELECT id FROM payments WHERE order_id = ${orderId} FOR UPDATE`;
+
+    const payment = await tx.payment.findUnique({ where: { orderId } });
+
+    if (!payment) {
+      return { error: 'This order has no payment to refund' };
+    }
+
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      return { error: 'Only paid orders can be refunded' };
+    }
+
+    const refundable = await getRefundableAmount(payment, tx);
+
+    if (refundable <= 0) {
+      return { error: 'This payment has already been fully refunded' };
+    }
+
+    const refundAmount =
+      amount === undefined || amount === null || amount === ''
+        ? refundable
+        : roundMoney(parseFloat(amount));
+
+    if (isNaN(refundAmount) || refundAmount <= 0) {
+      return { error: 'Refund amount must be greater than 0' };
+    }
+
+    if (refundAmount > refundable) {
+      return { error: `Refund amount cannot be more than ${refundable.toFixed(2)}` };
+    }
+
+    const refund = await tx.refund.create({
+      data: {
+        orderId,
+        paymentId: payment.id,
+        amount: refundAmount,
+        reason: String(reason).trim().substring(0, 500),
+        method,
+        createdById,
+      },
+    });
+
+    return { refund };
+  });
+};
+
+/**
+ * Mark a refund as COMPLETED and update its payment
+ * @param {number} refundId - Refund
+ * @param {Object} [data] - Extra fields (gatewayRefundId, processedById, notes...)
+ * @returns {Promise<Object|null>} Updated refund, or null if it was not open
+ */
+const completeRefund = async (refundId, data = {}) => {
+  const refund = await prisma.$transaction(async (tx) => {
+    // Only open refunds - completing twice would count the money twice
+    const updated = await tx.refund.updateMany({
+      where: { id: refundId, status: { in: ['PENDING', 'PROCESSING'] } },
+      data: { ...data, status: 'COMPLETED', completedAt: new Date(), failureReason: null },
+    });
+
+    if (updated.count === 0) return null;
+
+    const completed = await tx.refund.findUnique({ where: { id: refundId } });
+
+    const payment = await tx.payment.update({
+      where: { id: completed.paymentId },
+      data: { refundedAmount: { increment: completed.amount } },
+    });
+
+    const fullyRefunded = parseFloat(payment.refundedAmount) >= parseFloat(payment.amount);
+
+    await tx.payment.update({
+      where: { id: payment.id },
+      data: { status: fullyRefunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED' },
+    });
+
+    await tx.orderTracking.create({
+      data: {
+        orderId: completed.orderId,
+        status: 'Refunded',
+        description: `Refund of Rs. ${completed.amount} completed`,
+        updatedBy: data.processedById || completed.createdById || null,
+      },
+    });
+
+    return completed;
+  });
+
+  if (!refund) return null;
+
+  // Let the customer know (don't fail the refund if this fails)
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: refund.orderId },
+      include: { user: true },
+    });
+
+    await prisma.notification.create({
+      data: {
+        userId: order.userId,
+        type: 'IN_APP',
+        title: 'Refund Processed',
+        message: `Rs. ${refund.amount} has been refunded for order #${order.orderNumber}.`,
+        relatedTo: `order:${order.id}`,
+      },
+    });
+
+    const { subject, text, html } = getRefundEmail(order, order.user, refund);
+    await sendEmail({ to: order.user.email, subject, text, html });
+  } catch (error) {
+    console.error('Failed to notify customer about refund:', error.message);
+  }
+
+  return refund;
+};
+
+/**
+ * Mark an open refund as FAILED (its amount becomes refundable again)
+ * @param {number} refundId - Refund
+ * @param {string} failureReason - What went wrong
+ * @param {Object} [data] - Extra fields (processedById, gatewayResponse...)
+ * @returns {Promise<Object|null>} Updated refund, or null if it was not open
+ */
+const failRefund = async (refundId, failureReason, data = {}) => {
+  const updated = await prisma.refund.updateMany({
+    where: { id: refundId, status: { in: ['PENDING', 'PROCESSING'] } },
+    data: {
+      ...data,
+      status: 'FAILED',
+      failureReason: String(failureReason || 'Refund failed').substring(0, 255),
+    },
+  });
+
+  if (updated.count === 0) return null;
+
+  return prisma.refund.findUnique({ where: { id: refundId } });
+};
+
+/**
+ * Send a PENDING refund to the payment gateway when possible
+ * @param {number} refundId - Refund
+ * @returns {Promise<Object>} Refund after processing
+ */
+const processRefund = async (refundId) => {
+  const refund = await prisma.refund.findUnique({
+    where: { id: refundId },
+    include: { payment: true },
+  });
+
+  if (refund.status !== 'PENDING' || refund.method !== 'ORIGINAL_PAYMENT') {
+    return refund;
+  }
+
+  const gateway = refund.payment.provider ? getGateway(refund.payment.provider) : null;
+
+  // COD, bank transfer, or a gateway without a refund API: done by hand
+  if (!gateway || !gateway.refund) {
+    return refund;
+  }
+
+  let result;
+
+  try {
+    result = await gateway.refund({
+      payment: refund.payment,
+      amount: refund.amount,
+      refundId: refund.id,
+    });
+  } catch (error) {
+    console.error(`Refund ${refund.id} via ${gateway.name} failed:`, error.message);
+    return (await failRefund(refund.id, error.message)) || refund;
+  }
+
+  const gatewayData = {
+    gatewayRefundId: result.reference,
+    gatewayResponse: result.raw,
+  };
+
+  if (result.status === 'COMPLETED') {
+    return (await completeRefund(refund.id, gatewayData)) || refund;
+  }
+
+  if (result.status === 'FAILED') {
+    return (await failRefund(refund.id, result.failureReason, gatewayData)) || refund;
+  }
+
+  return prisma.refund.update({
+    where: { id: refund.id },
+    data: { ...gatewayData, status: 'PROCESSING' },
+  });
+};
+
+/**
+ * Total of refunds completed in a period, for orders counted as sales
+ * (delivered). Refunds for orders cancelled before delivery are left out -
+ * their payment never counted as income in the reports.
+ * @param {Date} start - Period start
+ * @param {Date} end - Period end
+ * @returns {Promise<number>} Refunded amount
+ */
+const getRefundTotal = async (start, end) => {
+  const refunds = await prisma.refund.aggregate({
+    where: {
+      status: 'COMPLETED',
+      completedAt: { gte: start, lte: end },
+      order: { deliveredAt: { not: null } },
+    },
+    _sum: { amount: true },
+  });
+
+  return parseFloat(refunds._sum.amount) || 0;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  REFUND_METHODS,      // Valid RefundMethod values
+  getRefundableAmount, // What's left to refund on a payment
+  createRefund,        // New PENDING refund
+  processRefund,       // Send through the gateway if possible
+  completeRefund,      // Money returned -> update payment
+  failRefund,          // Refund didn't go through
+  getRefundTotal,      // Reports: refunds in a period
+};
@@ -0,0 +1,108 @@
+// =============================================================================
+// SCHEDULER - Background Jobs
+// =============================================================================
+//
+// Runs periodic jobs inside the API process (started from server.js).
+// Each job runs on its own interval; a run is skipped if the previous one
+// is still going, and errors are logged without stopping the job.
+//
+// SCHEDULER_ENABLED=false turns all jobs off (e.g. when running several API
+// instances, enable it on one of them only).
+//
+// =============================================================================
+
+const { releaseExpiredReservations } = require('./stockReservations');
+const { sendPaymentReminders, expireUnpaidOrders } = require('./orderExpiry');
+const { purgeExpiredKeys } = require('./idempotencyStore');
+
+// name, how often (ms), what to run
+const JOBS = [
+  {
+    name: 'release-expired-stock',
+    intervalMs: 60 * 1000,
+    run: async () => {
+      const released = await releaseExpiredReservations();
+      if (released > 0) {
+        console.log(`⏰ Released ${released} expired stock reservation(s)`);
+      }
+    },
+  },
+  {
+    name: 'payment-reminders',
+    intervalMs: 5 * 60 * 1000,
+    run: async () => {
+      const sent = await sendPaymentReminders();
+      if (sent > 0) {
+        console.log(`⏰ Sent ${sent} payment reminder(s)`);
+      }
+    },
+  },
+  {
+    name: 'expire-unpaid-orders',
+    intervalMs: 5 * 60 * 1000,
+    run: async () => {
+      const expired = await expireUnpaidOrders();
+      if (expired > 0) {
+        console.log(`⏰ Cancelled ${expired} unpaid order(s)`);
+      }
+    },
+  },
+  {
+    name: 'purge-idempotency-keys',
+    intervalMs: 60 * 60 * 1000,
+    run: purgeExpiredKeys,
+  },
+];
+
+const timers = [];
+
+/**
+ * Start all background jobs
+ */
+const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏰ Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  for (const job of JOBS) {
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`⏰ Job ${job.name} failed:`, error.message);
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(tick, job.intervalMs);
+    timer.unref(); // Don't keep the process alive just for the scheduler
+    timers.push(timer);
+  }
+
+  console.log(`⏰ Scheduler started (${JOBS.length} job(s))`);
+};
+
+/**
+ * Stop all background jobs (graceful shutdown)
+ */
+const stopScheduler = () => {
+  while (timers.length > 0) {
+    clearInterval(timers.pop());
+  }
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  startScheduler, // Called once the server is listening
+  stopScheduler,  // Called on shutdown
+};
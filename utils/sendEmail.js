@@ -22,6 +22,8 @@
 const nodemailer = require('nodemailer');
 // Nodemailer is the standard for sending emails in Node.js
 
+const { formatItemName } = require('./variants');
+
 // =============================================================================
 // CREATE EMAIL TRANSPORTER
 // =============================================================================
@@ -254,9 +256,16 @@ const getOrderConfirmationEmail = (order, user) => {
   
   // Generate items list
   const itemsList = order.items
-    .map(item => `- ${item.productName} x${item.quantity} - Rs. ${item.totalPrice}`)
+    .map(item => `- ${formatItemName(item)} x${item.quantity} - Rs. ${item.totalPrice}`)
     .join('\n');
   
+  // Only show the discount line when a coupon was used
+  const hasDiscount = parseFloat(order.discountAmount) > 0;
+  
+  // Tax already inside the item prices is shown as "incl.", not added again
+  const taxIncluded = parseFloat(order.taxIncludedAmount || 0);
+  const taxLabel = taxIncluded > 0 ? `Tax (incl. Rs. ${order.taxIncludedAmount})` : 'Tax';
+  
   const text = `
 Hello ${user.name},
 
@@ -269,7 +278,8 @@ Items:
 ${itemsList}
 
 Subtotal: Rs. ${order.subtotal}
-Shipping: Rs. ${order.shippingCost}
+${hasDiscount ? `Discount (${order.couponCode}): -Rs. ${order.discountAmount}\n` : ''}Shipping: Rs. ${order.shippingCost}
+${taxLabel}: Rs. ${order.taxAmount}
 Total: Rs. ${order.totalAmount}
 
 Shipping Address:
@@ -310,7 +320,7 @@ The Resin Art Team
       <h4 style="margin-bottom: 10px;">Items:</h4>
       ${order.items.map(item => `
         <div style="display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid #eee;">
-          <span>${item.productName} x${item.quantity}</span>
+          <span>${formatItemName(item)} x${item.quantity}</span>
           <strong>Rs. ${item.totalPrice}</strong>
         </div>
       `).join('')}
@@ -321,10 +331,19 @@ The Resin Art Team
         <span>Subtotal:</span>
         <span>Rs. ${order.subtotal}</span>
       </div>
+      ${hasDiscount ? `
+      <div style="display: flex; justify-content: space-between; color: #2e7d32;">
+        <span>Discount (${order.couponCode}):</span>
+        <span>-Rs. ${order.discountAmount}</span>
+      </div>` : ''}
       <div style="display: flex; justify-content: space-between;">
         <span>Shipping:</span>
         <span>Rs. ${order.shippingCost}</span>
       </div>
+      <div style="display: flex; justify-content: space-between;">
+        <span>${taxLabel}:</span>
+        <span>Rs. ${order.taxAmount}</span>
+      </div>
       <div style="display: flex; justify-content: space-between; font-size: 18px; font-weight: bold; margin-top: 10px;">
         <span>Total:</span>
         <span style="color: #667eea;">Rs. ${order.totalAmount}</span>
@@ -361,17 +380,21 @@ const getOrderStatusEmail = (order, user, newStatus) => {
   const statusEmojis = {
     CONFIRMED: '✅',
     PROCESSING: '🔄',
+    READY_TO_SHIP: '🎁',
     SHIPPED: '🚚',
     DELIVERED: '📦',
     CANCELLED: '❌',
+    RETURNED: '↩️',
   };
   
   const statusMessages = {
     CONFIRMED: 'Your order has been confirmed and is being prepared!',
     PROCESSING: 'Your order is being processed and prepared for shipping.',
+    READY_TO_SHIP: 'Every piece of your order is finished! We are packing it for shipping.',
     SHIPPED: 'Great news! Your order has been shipped and is on its way!',
     DELIVERED: 'Your order has been delivered. Enjoy your resin art!',
     CANCELLED: 'Your order has been cancelled.',
+    RETURNED: 'The courier could not deliver your order and is returning it to us. We will contact you shortly.',
   };
   
   const emoji = statusEmojis[newStatus] || '📋';
@@ -434,6 +457,499 @@ The Resin Art Team
   return { subject, text, html };
 };
 
+/**
+ * Generate email verification email
+ * @param {string} userName - User's name
+ * @param {string} verifyUrl - Verification URL with token
+ * @param {number} expiresInHours - How long the link stays valid
+ * @returns {Object} Email content object
+ */
+const getEmailVerificationEmail = (userName, verifyUrl, expiresInHours) => {
+  const subject = '✉️ Verify Your Email - Resin Art Store';
+  
+  const text = `
+Hello ${userName},
+
+Thanks for signing up at Resin Art Store!
+
+Please confirm your email address by clicking the link below:
+${verifyUrl}
+
+This link will expire in ${expiresInHours} hours.
+
+If you didn't create an account, you can safely ignore this email.
+
+Best regards,
+The Resin Art Team
+  `.trim();
+  
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0;">🎨 Resin Art Store</h1>
+  </div>
+  
+  <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+    <h2 style="color: #333;">Confirm Your Email</h2>
+    
+    <p>Hello <strong>${userName}</strong>,</p>
+    
+    <p>Thanks for signing up at Resin Art Store! Please confirm your email address to start placing orders.</p>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${verifyUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+        Verify Email
+      </a>
+    </div>
+    
+    <p style="color: #666; font-size: 14px;">
+      ⏰ This link will expire in <strong>${expiresInHours} hours</strong>.
+    </p>
+    
+    <p style="color: #666; font-size: 14px;">
+      If you didn't create an account, you can safely ignore this email.
+    </p>
+    
+    <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+    
+    <p style="color: #999; font-size: 12px; text-align: center;">
+      If the button doesn't work, copy and paste this link into your browser:<br>
+      <a href="${verifyUrl}" style="color: #667eea;">${verifyUrl}</a>
+    </p>
+  </div>
+  
+  <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+    <p>© 2024 Resin Art Store. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+  
+  return { subject, text, html };
+};
+
+/**
+ * Generate two-factor login code email
+ * @param {string} userName - User's name
+ * @param {string} code - One-time login code
+ * @param {number} expiresInMinutes - How long the code stays valid
+ * @returns {Object} Email content object
+ */
+const getTwoFactorCodeEmail = (userName, code, expiresInMinutes) => {
+  const subject = '🔑 Your Login Code - Resin Art Store';
+  
+  const text = `
+Hello ${userName},
+
+Your login verification code is: ${code}
+
+This code will expire in ${expiresInMinutes} minutes.
+
+If you didn't try to log in, someone may know your password. Please change it right away.
+
+Best regards,
+The Resin Art Team
+  `.trim();
+  
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0;">🎨 Resin Art Store</h1>
+  </div>
+  
+  <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+    <h2 style="color: #333;">Login Verification Code</h2>
+    
+    <p>Hello <strong>${userName}</strong>,</p>
+    
+    <p>Use this code to finish logging in:</p>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <span style="background: white; border: 2px dashed #667eea; padding: 15px 30px; border-radius: 5px; font-size: 28px; font-weight: bold; letter-spacing: 6px; display: inline-block;">
+        ${code}
+      </span>
+    </div>
+    
+    <p style="color: #666; font-size: 14px;">
+      ⏰ This code will expire in <strong>${expiresInMinutes} minutes</strong>.
+    </p>
+    
+    <p style="color: #666; font-size: 14px;">
+      If you didn't try to log in, someone may know your password. Please change it right away.
+    </p>
+  </div>
+  
+  <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+    <p>© 2024 Resin Art Store. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+  
+  return { subject, text, html };
+};
+
+/**
+ * Generate account locked email (too many failed logins)
+ * @param {string} userName - User's name
+ * @param {number} lockMinutes - How long the account is locked
+ * @param {string} resetUrl - Link to the forgot password page
+ * @returns {Object} Email content object
+ */
+const getAccountLockedEmail = (userName, lockMinutes, resetUrl) => {
+  const subject = '⚠️ Your Account Has Been Temporarily Locked - Resin Art Store';
+  
+  const text = `
+Hello ${userName},
+
+We noticed several failed login attempts on your Resin Art Store account, so we've locked it for ${lockMinutes} minutes to keep it safe.
+
+If this was you, simply wait and try again, or reset your password here:
+${resetUrl}
+
+If this wasn't you, someone may be trying to guess your password. We recommend resetting it and choosing a strong, unique password.
+
+Best regards,
+The Resin Art Team
+  `.trim();
+  
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0;">🎨 Resin Art Store</h1>
+  </div>
+  
+  <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+    <h2 style="color: #333;">Account Temporarily Locked</h2>
+    
+    <p>Hello <strong>${userName}</strong>,</p>
+    
+    <p>We noticed several failed login attempts on your account, so we've locked it for <strong>${lockMinutes} minutes</strong> to keep it safe.</p>
+    
+    <p>If this was you, simply wait and try again, or reset your password:</p>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${resetUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+        Reset Password
+      </a>
+    </div>
+    
+    <p style="color: #666; font-size: 14px;">
+      If this wasn't you, someone may be trying to guess your password. We recommend resetting it and choosing a strong, unique password.
+    </p>
+  </div>
+  
+  <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+    <p>© 2024 Resin Art Store. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+  
+  return { subject, text, html };
+};
+
+/**
+ * Generate refund completed email
+ * @param {Object} order - Order details (orderNumber)
+ * @param {Object} user - Customer (name)
+ * @param {Object} refund - Refund details (amount, reason, method)
+ * @returns {Object} Email content object
+ */
+const getRefundEmail = (order, user, refund) => {
+  const subject = `💸 Refund Processed - Order #${order.orderNumber}`;
+  
+  const methodText = {
+    ORIGINAL_PAYMENT: 'to your original payment method',
+    BANK_TRANSFER: 'by bank transfer',
+    CASH: 'in cash',
+  }[refund.method] || '';
+  
+  const text = `
+Hello ${user.name},
+
+We've refunded Rs. ${refund.amount} ${methodText} for your order #${order.orderNumber}.
+
+Reason: ${refund.reason}
+
+Depending on your bank or wallet, it can take a few business days for the money to show up in your account.
+
+Best regards,
+The Resin Art Team
+  `.trim();
+  
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0;">💸 Refund Processed</h1>
+  </div>
+  
+  <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+    <p>Hello <strong>${user.name}</strong>,</p>
+    
+    <p>We've refunded <strong>Rs. ${refund.amount}</strong> ${methodText} for your order <strong>#${order.orderNumber}</strong>.</p>
+    
+    <div style="background: white; padding: 20px; border-radius: 5px; margin: 20px 0;">
+      <p style="margin: 0;"><strong>Reason:</strong> ${refund.reason}</p>
+    </div>
+    
+    <p style="color: #666; font-size: 14px;">
+      Depending on your bank or wallet, it can take a few business days for the money to show up in your account.
+    </p>
+  </div>
+  
+  <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+    <p>© 2024 Resin Art Store. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+  
+  return { subject, text, html };
+};
+
+/**
+ * Generate "complete your payment" reminder for an unpaid order
+ * @param {Object} order - Order details (id, orderNumber, totalAmount)
+ * @param {Object} user - Customer (name)
+ * @param {Date} deadline - When the order will be cancelled
+ * @returns {Object} Email content object
+ */
+const getPaymentReminderEmail = (order, user, deadline) => {
+  const subject = `⏳ Complete your payment - Order #${order.orderNumber}`;
+  const orderUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/${order.id}`;
+  const deadlineText = deadline.toLocaleString('en-PK', { dateStyle: 'medium', timeStyle: 'short' });
+  
+  const text = `
+Hello ${user.name},
+
+Your order #${order.orderNumber} (Rs. ${order.totalAmount}) is still waiting for payment.
+
+Please complete the payment before ${deadlineText}. After that the order is cancelled automatically and the items are released for other customers.
+
+Complete your payment: ${orderUrl}
+
+Best regards,
+The Resin Art Team
+  `.trim();
+  
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0;">⏳ Payment Pending</h1>
+  </div>
+  
+  <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+    <p>Hello <strong>${user.name}</strong>,</p>
+    
+    <p>Your order <strong>#${order.orderNumber}</strong> (Rs. ${order.totalAmount}) is still waiting for payment.</p>
+    
+    <p>Please complete the payment before <strong>${deadlineText}</strong>. After that the order is cancelled automatically and the items are released for other customers.</p>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${orderUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Complete Payment</a>
+    </div>
+  </div>
+  
+  <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+    <p>© 2024 Resin Art Store. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+  
+  return { subject, text, html };
+};
+
+/**
+ * Generate update about a commission (quote sent, deposit received,
+ * progress posted, balance due, ...)
+ * @param {Object} commission - Commission (id, commissionNumber, title)
+ * @param {Object} user - Customer (name)
+ * @param {string} heading - What happened, e.g. "Your Quote Is Ready"
+ * @param {string} message - Details for the customer
+ * @returns {Object} Email content object
+ */
+const getCommissionUpdateEmail = (commission, user, heading, message) => {
+  const subject = `🎨 ${heading} - Commission ${commission.commissionNumber}`;
+  const commissionUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/commissions/${commission.id}`;
+  
+  const text = `
+Hello ${user.name},
+
+${message}
+
+Commission: ${commission.commissionNumber} - ${commission.title}
+
+View your commission: ${commissionUrl}
+
+Best regards,
+The Resin Art Team
+  `.trim();
+  
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0;">🎨 ${heading}</h1>
+  </div>
+  
+  <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+    <p>Hello <strong>${user.name}</strong>,</p>
+    
+    <p>${message}</p>
+    
+    <div style="background: white; padding: 20px; border-radius: 5px; margin: 20px 0;">
+      <p style="margin: 0;"><strong>Commission:</strong> ${commission.commissionNumber} - ${commission.title}</p>
+    </div>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${commissionUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">View Commission</a>
+    </div>
+  </div>
+  
+  <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+    <p>© 2024 Resin Art Store. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+  
+  return { subject, text, html };
+};
+
+/**
+ * Generate update about one shipment of an order sent in several parcels
+ * @param {Object} order - Order details (id, orderNumber)
+ * @param {Object} user - Customer (name)
+ * @param {Object} shipment - Shipment (shipmentNumber, courierCompany, trackingNumber, trackingUrl)
+ * @param {Array} items - [{ productName, quantity }] in this shipment
+ * @param {string} status - SHIPPED, DELIVERED or RETURNED
+ * @param {number} remaining - Units of the order not sent yet
+ * @returns {Object} Email content object
+ */
+const getShipmentUpdateEmail = (order, user, shipment, items, status, remaining) => {
+  const statusEmojis = {
+    SHIPPED: '🚚',
+    DELIVERED: '📦',
+    RETURNED: '↩️',
+  };
+  
+  const statusMessages = {
+    SHIPPED: remaining > 0
+      ? 'Part of your order is on its way! The rest will follow as soon as it is ready.'
+      : 'The last part of your order is on its way!',
+    DELIVERED: 'A parcel from your order has been delivered. Enjoy your resin art!',
+    RETURNED: 'The courier could not deliver a parcel from your order and is returning it to us. We will contact you shortly.',
+  };
+  
+  const emoji = statusEmojis[status] || '📋';
+  const message = statusMessages[status] || `Your shipment status has been updated to: ${status}`;
+  
+  const subject = `${emoji} Shipment Update - Order #${order.orderNumber}`;
+  
+  const itemLines = items.map((item) => `${item.quantity} x ${item.productName}`);
+  
+  const text = `
+Hello ${user.name},
+
+${message}
+
+Order Number: ${order.orderNumber}
+Shipment: ${shipment.shipmentNumber}
+${shipment.courierCompany ? `Courier: ${shipment.courierCompany}` : ''}
+${shipment.trackingNumber ? `Tracking Number: ${shipment.trackingNumber}` : ''}
+
+In this parcel:
+${itemLines.map((line) => `- ${line}`).join('\n')}
+${remaining > 0 ? `\n${remaining} more item(s) will be sent separately.` : ''}
+
+Thank you for shopping with us!
+
+Best regards,
+The Resin Art Team
+  `.trim();
+  
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0; font-size: 48px;">${emoji}</h1>
+    <h2 style="color: white; margin: 10px 0 0 0;">Shipment Update</h2>
+  </div>
+  
+  <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+    <p>Hello <strong>${user.name}</strong>,</p>
+    
+    <p style="font-size: 18px;">${message}</p>
+    
+    <div style="background: white; padding: 20px; border-radius: 5px; margin: 20px 0;">
+      <p><strong>Order Number:</strong> ${order.orderNumber}</p>
+      <p><strong>Shipment:</strong> ${shipment.shipmentNumber}</p>
+      ${shipment.courierCompany ? `<p><strong>Courier:</strong> ${shipment.courierCompany}</p>` : ''}
+      ${shipment.trackingNumber ? `
+        <p><strong>Tracking Number:</strong> ${shipment.trackingNumber}</p>
+        ${shipment.trackingUrl ? `<p><a href="${shipment.trackingUrl}" style="color: #667eea;">Track Your Package →</a></p>` : ''}
+      ` : ''}
+      <p><strong>In this parcel:</strong></p>
+      <ul>
+        ${itemLines.map((line) => `<li>${line}</li>`).join('')}
+      </ul>
+      ${remaining > 0 ? `<p>${remaining} more item(s) will be sent separately.</p>` : ''}
+    </div>
+    
+    <p>Thank you for shopping with us!</p>
+  </div>
+  
+  <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+    <p>© 2024 Resin Art Store. All rights reserved.</p>
+  </div>
+</body>
+</html>
+  `.trim();
+  
+  return { subject, text, html };
+};
+
 /**
  * Generate welcome email for new users
  * @param {Object} user - User details
@@ -520,7 +1036,14 @@ module.exports = {
   getPasswordResetEmail,      // Password reset template
   getOrderConfirmationEmail,  // Order confirmation template
   getOrderStatusEmail,        // Order status update template
+  getShipmentUpdateEmail,     // Split shipment update template
   getWelcomeEmail,            // Welcome email template
+  getEmailVerificationEmail,  // Email verification template
+  getTwoFactorCodeEmail,      // 2FA login code template
+  getAccountLockedEmail,      // Account locked (failed logins) template
+  getRefundEmail,             // Refund completed template
+  getPaymentReminderEmail,    // Unpaid order reminder template
+  getCommissionUpdateEmail,   // Commission quote / progress / payment template
 };
 
 // =============================================================================
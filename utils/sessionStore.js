@@ -0,0 +1,316 @@
+// =============================================================================
+// SESSION STORE - Server-Side Sessions & Refresh Token Rotation
+// =============================================================================
+//
+// JWTs are stateless: once issued, a token stays valid until it expires,
+// even after the user logs out. To be able to revoke access we keep a
+// server-side record of every login (Session) and put its ID in each token.
+//
+// TOKEN PAIR:
+// -----------
+// - Access token  (short-lived, ~15 min) - sent with every API request
+// - Refresh token (long-lived, ~7 days)  - only sent to POST /api/auth/refresh
+//
+// REFRESH TOKEN ROTATION:
+// -----------------------
+// 1. Login creates a session + the first refresh token
+// 2. Client exchanges the refresh token for a NEW access + refresh token
+// 3. The old refresh token is marked as used and can never be used again
+// 4. If a used refresh token shows up again, someone copied it (the real
+//    client already moved on to the next token) - so we revoke the whole
+//    session and both parties must log in again (REUSE DETECTION)
+//
+// =============================================================================
+
+const jwt = require('jsonwebtoken');
+
+const { prisma } = require('../config/db');
+
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  hashResetToken,
+} = require('./generateToken');
+// hashResetToken is a plain SHA-256 helper - reused here for refresh tokens
+
+// =============================================================================
+// HELPER: Issue and store a refresh token for a session
+// =============================================================================
+
+/**
+ * Create a refresh token for a session and store its hash
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} userId - Session owner
+ * @param {number} sessionId - Session the token belongs to
+ * @returns {Promise<Object>} { refreshToken, expiresAt }
+ */
+const issueRefreshToken = async (client, userId, sessionId) => {
+  const refreshToken = generateRefreshToken(userId, sessionId);
+
+  // Read the expiry back from the token so DB and JWT always agree
+  const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+  await client.refreshToken.create({
+    data: {
+      sessionId,
+      tokenHash: hashResetToken(refreshToken),
+      expiresAt,
+    },
+  });
+
+  return { refreshToken, expiresAt };
+};
+
+// =============================================================================
+// CREATE SESSION (Login)
+// =============================================================================
+
+/**
+ * Start a new session for a user and issue the first token pair
+ * @param {number} userId - The user logging in
+ * @param {Object} req - Express request (for user agent and IP)
+ * @param {Object} [options]
+ * @param {boolean} [options.twoFactorVerified=false] - Login passed a 2FA check
+ * @returns {Promise<Object>} { sessionId, accessToken, refreshToken }
+ */
+const createSession = async (userId, req, { twoFactorVerified = false } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    // Expiry is set properly once the first refresh token exists
+    const session = await tx.session.create({
+      data: {
+        userId,
+        userAgent: req?.headers?.['user-agent']?.substring(0, 255) || null,
+        ipAddress: req?.ip || null,
+        twoFactorVerified,
+        expiresAt: new Date(),
+      },
+    });
+
+    const { refreshToken, expiresAt } = await issueRefreshToken(
+      tx,
+      userId,
+      session.id
+    );
+
+    await tx.session.update({
+      where: { id: session.id },
+      data: { expiresAt },
+    });
+
+    return {
+      sessionId: session.id,
+      accessToken: generateToken(userId, session.id),
+      refreshToken,
+    };
+  });
+};
+
+// =============================================================================
+// ROTATE REFRESH TOKEN (POST /api/auth/refresh)
+// =============================================================================
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} rawToken - Refresh token sent by the client
+ * @returns {Promise<Object>} { accessToken, refreshToken, userId } on success,
+ *                            { error } with a client-safe message on failure
+ */
+const rotateRefreshToken = async (rawToken) => {
+  // ---------------------------------------------------------------------------
+  // STEP 1: Signature and expiry
+  // ---------------------------------------------------------------------------
+
+  const decoded = verifyRefreshToken(rawToken);
+
+  if (!decoded) {
+    return { error: 'Invalid or expired refresh token. Please log in again.' };
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 2: Find the stored token and its session
+  // ---------------------------------------------------------------------------
+
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashResetToken(rawToken) },
+    include: {
+      session: {
+        include: {
+          user: { select: { id: true, status: true } },
+        },
+      },
+    },
+  });
+
+  if (!stored || stored.session.id !== decoded.sid) {
+    return { error: 'Invalid or expired refresh token. Please log in again.' };
+  }
+
+  const { session } = stored;
+
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: 'Session has ended. Please log in again.' };
+  }
+
+  if (session.user.status !== 'ACTIVE') {
+    return { error: 'Your account is not active. Please contact support.' };
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 3: Mark the token as used (atomically) - or detect reuse
+  // ---------------------------------------------------------------------------
+  //
+  // updateMany with "usedAt: null" in the WHERE clause means only ONE request
+  // can ever claim this token, even if two arrive at the same moment.
+
+  const claimed = await prisma.refreshToken.updateMany({
+    where: { id: stored.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (claimed.count === 0) {
+    // Token was already exchanged before: treat the session as compromised
+    await revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+
+    console.warn(
+      `⚠️ Refresh token reuse detected for session ${session.id} (user ${session.userId}). Session revoked.`
+    );
+
+    return {
+      error: 'Refresh token has already been used. For your security, please log in again.',
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 4: Issue the next token pair (sliding session expiry)
+  // ---------------------------------------------------------------------------
+
+  const { refreshToken, expiresAt } = await issueRefreshToken(
+    prisma,
+    session.userId,
+    session.id
+  );
+
+  await prisma.session.update({
+    where: { id: session.id },
+    data: { expiresAt, lastUsedAt: new Date() },
+  });
+
+  return {
+    userId: session.userId,
+    accessToken: generateToken(session.userId, session.id),
+    refreshToken,
+  };
+};
+
+// =============================================================================
+// CHECK SESSION (used by protect middleware)
+// =============================================================================
+
+/**
+ * Load a session if it exists, belongs to the user and is still active
+ * @param {number} sessionId - Session ID from the access token ("sid")
+ * @param {number} userId - User ID from the access token
+ * @returns {Promise<Object|null>} { id, twoFactorVerified } or null
+ */
+const getActiveSession = async (sessionId, userId) => {
+  if (!sessionId) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: {
+      id: true,
+      userId: true,
+      revokedAt: true,
+      expiresAt: true,
+      twoFactorVerified: true,
+    },
+  });
+
+  if (
+    !session ||
+    session.userId !== userId ||
+    session.revokedAt ||
+    session.expiresAt <= new Date()
+  ) {
+    return null;
+  }
+
+  return { id: session.id, twoFactorVerified: session.twoFactorVerified };
+};
+
+/**
+ * Check that a session exists, belongs to the user and is still active
+ * @param {number} sessionId - Session ID from the access token ("sid")
+ * @param {number} userId - User ID from the access token
+ * @returns {Promise<boolean>} True if the session can be used
+ */
+const isSessionActive = async (sessionId, userId) => {
+  return Boolean(await getActiveSession(sessionId, userId));
+};
+
+/**
+ * Record that the user completed a 2FA check in this session
+ * (e.g., right after enabling 2FA from a session that started without it)
+ * @param {number} sessionId - Session to mark
+ * @returns {Promise<void>}
+ */
+const markSessionTwoFactorVerified = async (sessionId) => {
+  await prisma.session.update({
+    where: { id: sessionId },
+    data: { twoFactorVerified: true },
+  });
+};
+
+// =============================================================================
+// REVOKE SESSIONS (Logout, password change, reuse detection)
+// =============================================================================
+
+/**
+ * Revoke a single session
+ * @param {number} sessionId - Session to revoke
+ * @param {string} reason - Why it was revoked (e.g., 'LOGOUT')
+ * @returns {Promise<void>}
+ */
+const revokeSession = async (sessionId, reason) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokeReason: reason },
+  });
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {number} userId - Whose sessions to revoke
+ * @param {string} reason - Why they were revoked (e.g., 'PASSWORD_CHANGED')
+ * @param {number} [exceptSessionId] - Keep this session (the current device)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, exceptSessionId) => {
+  const where = { userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    where.id = { not: exceptSessionId };
+  }
+
+  const result = await prisma.session.updateMany({
+    where,
+    data: { revokedAt: new Date(), revokeReason: reason },
+  });
+
+  return result.count;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  createSession,       // Login: new session + token pair
+  rotateRefreshToken,  // Refresh: exchange refresh token for a new pair
+  getActiveSession,    // Middleware: load the token's session (if valid)
+  isSessionActive,     // Middleware: is this token's session still valid?
+  markSessionTwoFactorVerified, // 2FA enabled from the current session
+  revokeSession,       // Logout from one device
+  revokeAllSessions,   // Logout everywhere
+};
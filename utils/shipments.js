@@ -0,0 +1,220 @@
+// =============================================================================
+// SHIPMENTS - Parcels, Their Items & the Order Status They Add Up To
+// =============================================================================
+//
+// Building blocks for split fulfillment, used inside transactions by the
+// order lifecycle (utils/orderLifecycle.js) and by utils/fulfillment.js:
+//
+//   PENDING -> SHIPPED -> DELIVERED
+//      |          |
+//      |          +-----> RETURNED
+//      +-----> CANCELLED
+//
+// An order item can be split over several shipments. Units in CANCELLED
+// shipments count as not shipped, so they can go in another one.
+//
+// =============================================================================
+
+const { returnStock } = require('./stockReservations');
+const { formatItemName } = require('./variants');
+
+// Current shipment status -> statuses it may move to
+const SHIPMENT_TRANSITIONS = {
+  PENDING: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['DELIVERED', 'RETURNED'],
+  DELIVERED: [],
+  RETURNED: [],
+  CANCELLED: [],
+};
+
+// Include for an order whose shipments are being worked out
+const SHIPMENTS_INCLUDE = {
+  shipments: {
+    include: { items: true },
+    orderBy: { createdAt: 'asc' },
+  },
+};
+
+/**
+ * Units of each order item not in any shipment yet
+ * @param {Object} order - Order with items and shipments.items
+ * @param {Object} [options]
+ * @param {boolean} [options.sentOnly] - Only count shipments that have left
+ *   (PENDING ones are still on the workshop shelf)
+ * @returns {Array<Object>} [{ orderItemId, productId, productName, quantity }]
+ *   (items with nothing left are left out)
+ */
+const getUnshippedItems = (order, { sentOnly = false } = {}) => {
+  const counted = order.shipments.filter(
+    (shipment) => shipment.status !== 'CANCELLED' && !(sentOnly && shipment.status === 'PENDING'),
+  );
+
+  const shipped = new Map();
+  for (const shipment of counted) {
+    for (const item of shipment.items) {
+      shipped.set(item.orderItemId, (shipped.get(item.orderItemId) || 0) + item.quantity);
+    }
+  }
+
+  return order.items
+    .map((item) => ({
+      orderItemId: item.id,
+      productId: item.productId,
+      productName: formatItemName(item),
+      quantity: item.quantity - (shipped.get(item.id) || 0),
+    }))
+    .filter((item) => item.quantity > 0);
+};
+
+/**
+ * Check the items requested for a new shipment
+ * @param {Object} order - Order with items and shipments.items
+ * @param {Array<Object>} [requested] - [{ orderItemId, quantity }];
+ *   empty = everything not shipped yet
+ * @returns {Object} { items, completesOrder } or { error }
+ *   items: [{ orderItemId, productId, productName, quantity }]
+ */
+const planShipmentItems = (order, requested) => {
+  const unshipped = getUnshippedItems(order);
+
+  if (unshipped.length === 0) {
+    return { error: 'Every item of this order is already in a shipment' };
+  }
+
+  if (!requested || requested.length === 0) {
+    return { items: unshipped, completesOrder: true };
+  }
+
+  if (!Array.isArray(requested)) {
+    return { error: 'items must be a list of { orderItemId, quantity }' };
+  }
+
+  const items = [];
+
+  for (const entry of requested) {
+    const orderItemId = parseInt(entry.orderItemId);
+    const quantity = parseInt(entry.quantity);
+    const available = unshipped.find((item) => item.orderItemId === orderItemId);
+
+    if (isNaN(orderItemId) || isNaN(quantity) || quantity < 1) {
+      return { error: 'Each item needs an orderItemId and a quantity of at least 1' };
+    }
+
+    if (items.some((item) => item.orderItemId === orderItemId)) {
+      return { error: `Order item ${orderItemId} is listed twice` };
+    }
+
+    if (!available) {
+      const exists = order.items.some((item) => item.id === orderItemId);
+      return {
+        error: exists
+          ? `Order item ${orderItemId} is already in a shipment`
+          : `Order item ${orderItemId} is not part of this order`,
+      };
+    }
+
+    if (quantity > available.quantity) {
+      return { error: `Only ${available.quantity} of ${available.productName} left to ship` };
+    }
+
+    items.push({ ...available, quantity });
+  }
+
+  const completesOrder = unshipped.every((left) => {
+    const planned = items.find((item) => item.orderItemId === left.orderItemId);
+    return planned && planned.quantity === left.quantity;
+  });
+
+  return { items, completesOrder };
+};
+
+/**
+ * Create a shipment with its items (call inside a transaction)
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order (id, orderNumber)
+ * @param {Array<Object>} items - From planShipmentItems
+ * @param {Object} [data] - Other Shipment fields (status, courier, notes...)
+ * @returns {Promise<Object>} Shipment with items
+ */
+const createShipmentRecord = async (tx, order, items, data = {}) => {
+  const count = await tx.shipment.count({ where: { orderId: order.id } });
+
+  return tx.shipment.create({
+    data: {
+      orderId: order.id,
+      shipmentNumber: `${order.orderNumber}-${count + 1}`,
+      ...data,
+      items: {
+        create: items.map((item) => ({ orderItemId: item.orderItemId, quantity: item.quantity })),
+      },
+    },
+    include: { items: true },
+  });
+};
+
+/**
+ * Put a returned shipment's items back in stock (call inside a transaction)
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order (id, orderNumber, items)
+ * @param {Object} shipment - Shipment with items
+ * @param {Object} [log] - InventoryLog details
+ * @param {string} [log.reason] - Why it came back
+ * @param {number} [log.changedById] - User who recorded it (null = courier)
+ * @returns {Promise<void>}
+ */
+const restockShipment = async (tx, order, shipment, log = {}) => {
+  for (const shipmentItem of shipment.items) {
+    const orderItem = order.items.find((item) => item.id === shipmentItem.orderItemId);
+
+    const { previousStock, newStock } = await returnStock(tx, orderItem, shipmentItem.quantity);
+
+    await tx.inventoryLog.create({
+      data: {
+        productId: orderItem.productId,
+        variantId: orderItem.variantId,
+        previousStock,
+        newStock,
+        changeAmount: shipmentItem.quantity,
+        changeType: 'ORDER_RETURNED',
+        reason: `Shipment ${shipment.shipmentNumber} returned to sender${log.reason ? `: ${log.reason}` : ''}`,
+        reference: { type: 'order', id: order.id, shipmentId: shipment.id },
+        changedById: log.changedById || null,
+      },
+    });
+  }
+};
+
+/**
+ * Order status the shipments add up to
+ * @param {Object} order - Order with items and shipments.items
+ * @returns {string|null} PARTIALLY_SHIPPED, SHIPPED, DELIVERED or RETURNED,
+ *   or null while nothing has left the workshop
+ */
+const deriveOrderStatus = (order) => {
+  const sent = order.shipments.filter((shipment) => !['PENDING', 'CANCELLED'].includes(shipment.status));
+
+  if (sent.length === 0) return null;
+
+  if (getUnshippedItems(order, { sentOnly: true }).length > 0) return 'PARTIALLY_SHIPPED';
+
+  if (sent.every((shipment) => shipment.status === 'RETURNED')) return 'RETURNED';
+
+  // Delivered once every parcel has arrived (or come back - admins are told)
+  if (sent.every((shipment) => ['DELIVERED', 'RETURNED'].includes(shipment.status))) return 'DELIVERED';
+
+  return 'SHIPPED';
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  SHIPMENT_TRANSITIONS, // Allowed moves per shipment status
+  SHIPMENTS_INCLUDE,    // Prisma include: shipments with items
+  getUnshippedItems,    // What is left to ship
+  planShipmentItems,    // Validate the items of a new shipment
+  createShipmentRecord, // Shipment + items (in a transaction)
+  restockShipment,      // Returned parcel: stock back + InventoryLog
+  deriveOrderStatus,    // Shipments -> order status
+};
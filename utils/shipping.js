@@ -0,0 +1,182 @@
+// =============================================================================
+// SHIPPING - Zone Matching & Shipping Cost Calculation
+// =============================================================================
+//
+// Shared by:
+// - GET  /api/cart/shipping-quote (show the cost on the cart page)
+// - POST /api/orders              (charge it at checkout)
+//
+// Both use quoteShipping, so the quote and the order always agree.
+//
+// ZONE MATCHING (first match wins):
+// 1. An active zone whose cities include the customer's city
+// 2. An active zone whose provinces include the customer's province
+// 3. The active default zone (isDefault = true)
+// 4. No zone -> flat DEFAULT_SHIPPING_COST from .env
+//
+// RATE TYPES:
+// - FLAT:     baseRate
+// - PER_ITEM: baseRate + additionalRate x (items - 1)
+// - WEIGHT:   baseRate + additionalRate x every started kg after the first
+//
+// Product weight comes from specifications.weight, e.g. 250 (grams),
+// "200g" or "1.5kg". Products without a weight count as
+// DEFAULT_PRODUCT_WEIGHT_GRAMS.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DEFAULT_SHIPPING_COST = parseFloat(process.env.DEFAULT_SHIPPING_COST) || 500;
+const DEFAULT_PRODUCT_WEIGHT_GRAMS = parseInt(process.env.DEFAULT_PRODUCT_WEIGHT_GRAMS) || 250;
+
+// Round to 2 decimals (money)
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Case/space-insensitive comparison for city and province names
+const normalizePlace = (value) => String(value || '').trim().toLowerCase();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Read a product's weight in grams from its specifications
+ * @param {Object} specifications - Product specifications JSON
+ * @returns {number} Weight in grams
+ */
+const getProductWeightGrams = (specifications) => {
+  const weight = specifications && specifications.weight;
+
+  // Plain number = grams
+  if (typeof weight === 'number' && weight > 0) return weight;
+
+  if (typeof weight === 'string') {
+    const match = weight.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(g|gm|grams?|kg|kgs?)?$/);
+
+    if (match) {
+      const value = parseFloat(match[1]);
+      const isKg = match[2] && match[2].startsWith('kg');
+      if (value > 0) return isKg ? value * 1000 : value;
+    }
+  }
+
+  return DEFAULT_PRODUCT_WEIGHT_GRAMS;
+};
+
+/**
+ * Find the shipping zone for a destination
+ * @param {string} city - Customer's city
+ * @param {string} province - Customer's province / state
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<Object|null>} Matching zone, or null if none applies
+ */
+const findShippingZone = async (city, province, client = prisma) => {
+  const zones = await client.shippingZone.findMany({
+    where: { isActive: true },
+    orderBy: { id: 'asc' },
+  });
+
+  const cityKey = normalizePlace(city);
+  const provinceKey = normalizePlace(province);
+
+  const covers = (list, key) =>
+    Boolean(key) && Array.isArray(list) && list.some((entry) => normalizePlace(entry) === key);
+
+  return (
+    zones.find((zone) => covers(zone.cities, cityKey)) ||
+    zones.find((zone) => covers(zone.provinces, provinceKey)) ||
+    zones.find((zone) => zone.isDefault) ||
+    null
+  );
+};
+
+/**
+ * Calculate the shipping cost of a basket to a destination
+ * @param {Object} params
+ * @param {string} [params.city] - Customer's city
+ * @param {string} [params.province] - Customer's province / state
+ * @param {Array<Object>} params.items - Basket lines: { quantity, specifications }
+ * @param {number} params.orderAmount - Subtotal after discount (for free shipping)
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<Object>} { shippingCost, zone, freeShipping, amountToFreeShipping, totalItems, totalWeightKg }
+ */
+const quoteShipping = async ({ city, province, items, orderAmount }, client = prisma) => {
+  const totalItems = items.reduce((sum, item) => sum + item.quantity, 0);
+  const totalWeightGrams = items.reduce(
+    (sum, item) => sum + getProductWeightGrams(item.specifications) * item.quantity,
+    0
+  );
+  const totalWeightKg = Math.round(totalWeightGrams) / 1000;
+
+  const zone = await findShippingZone(city, province, client);
+
+  // ---------------------------------------------------------------------------
+  // No zone configured: flat fallback rate
+  // ---------------------------------------------------------------------------
+
+  if (!zone) {
+    return {
+      shippingCost: DEFAULT_SHIPPING_COST,
+      zone: null,
+      freeShipping: false,
+      amountToFreeShipping: null,
+      totalItems,
+      totalWeightKg,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Zone rate
+  // ---------------------------------------------------------------------------
+
+  const baseRate = parseFloat(zone.baseRate);
+  const additionalRate = parseFloat(zone.additionalRate);
+
+  let shippingCost = baseRate;
+
+  if (zone.rateType === 'PER_ITEM') {
+    shippingCost = baseRate + additionalRate * Math.max(0, totalItems - 1);
+  } else if (zone.rateType === 'WEIGHT') {
+    const extraKg = Math.max(0, Math.ceil(totalWeightGrams / 1000) - 1);
+    shippingCost = baseRate + additionalRate * extraKg;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Free shipping threshold
+  // ---------------------------------------------------------------------------
+
+  const threshold = zone.freeShippingThreshold !== null ? parseFloat(zone.freeShippingThreshold) : null;
+  const freeShipping = threshold !== null && orderAmount >= threshold;
+
+  return {
+    shippingCost: freeShipping ? 0 : roundMoney(shippingCost),
+    zone: {
+      id: zone.id,
+      name: zone.name,
+      rateType: zone.rateType,
+      estimatedDays: zone.estimatedDays,
+      freeShippingThreshold: threshold,
+    },
+    freeShipping,
+    // "Add X more for free shipping" hint for the cart page
+    amountToFreeShipping:
+      threshold !== null && !freeShipping ? roundMoney(threshold - orderAmount) : null,
+    totalItems,
+    totalWeightKg,
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getProductWeightGrams, // specifications.weight -> grams
+  findShippingZone,      // City / province / default zone lookup
+  quoteShipping,         // Shipping cost for a basket
+};
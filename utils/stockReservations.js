@@ -0,0 +1,322 @@
+// =============================================================================
+// STOCK RESERVATIONS - Hold Stock Between Checkout and Payment
+// =============================================================================
+//
+// Many resin pieces are one-offs, so two customers must never both buy the
+// last one. Stock is taken with a conditional decrement (only if enough is
+// left) and recorded as a reservation:
+//
+//   ACTIVE    Held for an unpaid order until expiresAt
+//   CONSUMED  Order paid (or an offline method chosen) - stock is sold
+//   EXPIRED   Not paid in time - stock went back on the shelf. Taken again
+//             if the customer pays later and it's still available.
+//   RELEASED  Order cancelled - stock went back on the shelf
+//
+// The hold lasts STOCK_RESERVATION_MINUTES (default 30) and is renewed each
+// time the customer starts a payment. Expired holds are released by the
+// scheduler (utils/scheduler.js).
+//
+// For products with variants (utils/variants.js) the check is on the
+// variant's stock, and the product's total moves along with it.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+const { formatItemName } = require('./variants');
+
+const getReservationMinutes = () => parseInt(process.env.STOCK_RESERVATION_MINUTES) || 30;
+
+const getExpiry = () => new Date(Date.now() + getReservationMinutes() * 60 * 1000);
+
+/**
+ * Take stock only if enough is left (atomic - safe against parallel checkouts)
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} line - { productId, variantId } (variantId null = no variant)
+ * @param {number} quantity - Units to take
+ * @returns {Promise<boolean>} True if taken
+ */
+const takeStock = async (tx, { productId, variantId }, quantity) => {
+  if (!variantId) {
+    const updated = await tx.product.updateMany({
+      where: { id: productId, stock: { gte: quantity } },
+      data: { stock: { decrement: quantity } },
+    });
+
+    return updated.count > 0;
+  }
+
+  const updated = await tx.productVariant.updateMany({
+    where: { id: variantId, isActive: true, stock: { gte: quantity } },
+    data: { stock: { decrement: quantity } },
+  });
+
+  if (updated.count === 0) return false;
+
+  await tx.product.update({
+    where: { id: productId },
+    data: { stock: { decrement: quantity } },
+  });
+
+  return true;
+};
+
+/**
+ * Put units back on the shelf (cancellations, returns)
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} line - { productId, variantId } (variantId null = no variant)
+ * @param {number} quantity - Units to put back
+ * @returns {Promise<Object>} { previousStock, newStock } of the variant, or
+ *   of the product when there is none - for the InventoryLog entry
+ */
+const returnStock = async (tx, { productId, variantId }, quantity) => {
+  if (!variantId) {
+    const product = await tx.product.update({
+      where: { id: productId },
+      data: { stock: { increment: quantity } },
+      select: { stock: true },
+    });
+
+    return { previousStock: product.stock - quantity, newStock: product.stock };
+  }
+
+  const variant = await tx.productVariant.update({
+    where: { id: variantId },
+    data: { stock: { increment: quantity } },
+    select: { stock: true, isActive: true },
+  });
+
+  // Switched-off variants don't count towards the product total
+  if (variant.isActive) {
+    await tx.product.update({
+      where: { id: productId },
+      data: { stock: { increment: quantity } },
+    });
+  }
+
+  return { previousStock: variant.stock - quantity, newStock: variant.stock };
+};
+
+// "Coaster Set (Blue)" for messages about a reservation
+const describeReservation = (reservation) =>
+  reservation.variant
+    ? `${reservation.product.name} (${reservation.variant.name})`
+    : reservation.product.name;
+
+/**
+ * Reserve stock for a new order's items (call inside the order transaction)
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} orderId - Order
+ * @param {Array<Object>} items - [{ productId, variantId, quantity, productName, variantName }]
+ * @returns {Promise<Object>} {} or { error } - throw to roll the order back
+ */
+const reserveStock = async (tx, orderId, items) => {
+  const expiresAt = getExpiry();
+
+  for (const item of items) {
+    if (!(await takeStock(tx, item, item.quantity))) {
+      return { error: `Sorry, ${formatItemName(item)} just sold out or has fewer units left than you ordered` };
+    }
+
+    await tx.stockReservation.create({
+      data: {
+        orderId,
+        productId: item.productId,
+        variantId: item.variantId || null,
+        quantity: item.quantity,
+        expiresAt,
+      },
+    });
+  }
+
+  return {};
+};
+
+/**
+ * Make sure an unpaid order still holds its stock before a payment starts.
+ * Extends active holds and takes expired ones again if still available.
+ * @param {number} orderId - Order
+ * @returns {Promise<Object>} {} or { error }
+ */
+const renewReservations = async (orderId) => {
+  const expiresAt = getExpiry();
+
+  return prisma.$transaction(async (tx) => {
+    const reservations = await tx.stockReservation.findMany({
+      where: { orderId, status: { in: ['ACTIVE', 'EXPIRED'] } },
+      include: {
+        product: { select: { name: true } },
+        variant: { select: { name: true } },
+      },
+    });
+
+    for (const reservation of reservations) {
+      if (reservation.status === 'EXPIRED') {
+        if (!(await takeStock(tx, reservation, reservation.quantity))) {
+          return {
+            error: `Sorry, ${describeReservation(reservation)} sold out while your order was waiting for payment`,
+          };
+        }
+      }
+
+      await tx.stockReservation.update({
+        where: { id: reservation.id },
+        data: { status: 'ACTIVE', expiresAt, releasedAt: null },
+      });
+    }
+
+    return {};
+  });
+};
+
+/**
+ * Mark an order's stock as sold (payment received / offline method chosen).
+ * Expired holds are taken again where possible.
+ * @param {Object} tx - Prisma transaction client (or prisma)
+ * @param {number} orderId - Order
+ * @returns {Promise<Array<string>>} Names of products that could not be taken
+ *   (sold out after the hold expired - an admin has to sort these out)
+ */
+const commitReservations = async (tx, orderId) => {
+  const now = new Date();
+  const shortages = [];
+
+  const expired = await tx.stockReservation.findMany({
+    where: { orderId, status: 'EXPIRED' },
+    include: {
+      product: { select: { name: true } },
+      variant: { select: { name: true } },
+    },
+  });
+
+  for (const reservation of expired) {
+    if (await takeStock(tx, reservation, reservation.quantity)) {
+      await tx.stockReservation.update({
+        where: { id: reservation.id },
+        data: { status: 'CONSUMED', consumedAt: now, releasedAt: null },
+      });
+    } else {
+      shortages.push(describeReservation(reservation));
+    }
+  }
+
+  await tx.stockReservation.updateMany({
+    where: { orderId, status: 'ACTIVE' },
+    data: { status: 'CONSUMED', consumedAt: now },
+  });
+
+  return shortages;
+};
+
+/**
+ * Put a cancelled (or returned) order's stock back (call inside the
+ * status change transaction).
+ * Only units the order still holds are restocked (none for commission
+ * orders); each one is logged in InventoryLog.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order with items
+ * @param {Object} [log] - InventoryLog details
+ * @param {string} [log.changeType='ORDER_CANCELLED'] - e.g. ORDER_EXPIRED
+ * @param {string} [log.event='cancelled'] - What happened, for the log reason
+ * @param {string} [log.reason] - Why the order was cancelled
+ * @param {number} [log.changedById] - User who cancelled (null = automatic)
+ * @returns {Promise<Array<Object>>} [{ productId, variantId, quantity }] restocked
+ */
+const releaseReservations = async (tx, order, log = {}) => {
+  const reservations = await tx.stockReservation.findMany({
+    where: { orderId: order.id },
+  });
+
+  // Commission deposit and balance orders never took stock: the piece is
+  // made to order (utils/commissions.js)
+  const commission =
+    reservations.length === 0
+      ? await tx.commission.findFirst({
+          where: { OR: [{ depositOrderId: order.id }, { balanceOrderId: order.id }] },
+          select: { id: true },
+        })
+      : null;
+
+  // Orders placed before reservations existed hold all their items
+  const held =
+    reservations.length === 0 && !commission
+      ? order.items.map((item) => ({
+          productId: item.productId,
+          variantId: item.variantId || null,
+          quantity: item.quantity,
+        }))
+      : reservations
+          .filter((r) => ['ACTIVE', 'CONSUMED'].includes(r.status))
+          .map((r) => ({ productId: r.productId, variantId: r.variantId, quantity: r.quantity }));
+
+  for (const item of held) {
+    const { previousStock, newStock } = await returnStock(tx, item, item.quantity);
+
+    await tx.inventoryLog.create({
+      data: {
+        productId: item.productId,
+        variantId: item.variantId,
+        previousStock,
+        newStock,
+        changeAmount: item.quantity,
+        changeType: log.changeType || 'ORDER_CANCELLED',
+        reason: `Order #${order.orderNumber} ${log.event || 'cancelled'}${log.reason ? `: ${log.reason}` : ''}`,
+        reference: { type: 'order', id: order.id },
+        changedById: log.changedById || null,
+      },
+    });
+  }
+
+  await tx.stockReservation.updateMany({
+    where: { orderId: order.id, status: { in: ['ACTIVE', 'CONSUMED'] } },
+    data: { status: 'RELEASED', releasedAt: new Date() },
+  });
+
+  return held;
+};
+
+/**
+ * Give back stock held by unpaid orders past their hold time
+ * @returns {Promise<number>} Number of reservations released
+ */
+const releaseExpiredReservations = async () => {
+  const expired = await prisma.stockReservation.findMany({
+    where: { status: 'ACTIVE', expiresAt: { lt: new Date() } },
+    select: { id: true, productId: true, variantId: true, quantity: true },
+  });
+
+  let released = 0;
+
+  for (const reservation of expired) {
+    const done = await prisma.$transaction(async (tx) => {
+      // Guard: paid or cancelled in the meantime
+      const updated = await tx.stockReservation.updateMany({
+        where: { id: reservation.id, status: 'ACTIVE' },
+        data: { status: 'EXPIRED', releasedAt: new Date() },
+      });
+
+      if (updated.count === 0) return false;
+
+      await returnStock(tx, reservation, reservation.quantity);
+
+      return true;
+    });
+
+    if (done) released++;
+  }
+
+  return released;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  reserveStock,               // Checkout: take stock for a new order
+  renewReservations,          // Payment start: make sure stock is still held
+  commitReservations,         // Paid: stock is sold
+  releaseReservations,        // Cancelled: put stock back
+  releaseExpiredReservations, // Scheduler: free stock of unpaid orders
+  returnStock,                // Put units back (product or variant)
+};
@@ -0,0 +1,182 @@
+// =============================================================================
+// TAX - Tax Rule Matching & Per-Item Tax Calculation
+// =============================================================================
+//
+// Used by POST /api/orders to work out the tax of every order line.
+// The result is stored on each OrderItem so invoices and sales reports can
+// show tax per item.
+//
+// PER LINE:
+// 1. Spread the coupon discount over the lines it applied to
+//    (in proportion to their totals)
+// 2. Pick the tax rule for the line's category and the customer's province
+// 3. Tax the discounted line total:
+//    - Exclusive rule: tax = amount x rate          (added to the order total)
+//    - Inclusive rule: tax = amount x rate / (100 + rate)
+//                                                    (already in the price)
+//
+// RULE SELECTION:
+// - Active rules whose provinces / categories cover the line
+//   (an empty list covers everything)
+// - Highest priority wins; on a tie, the most specific rule
+//   (province AND category > one of them > neither)
+// - No rule -> DEFAULT_TAX_RATE from .env, exclusive
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Percent. parseFloat so DEFAULT_TAX_RATE=0 is respected.
+const DEFAULT_TAX_RATE = isNaN(parseFloat(process.env.DEFAULT_TAX_RATE))
+  ? 8
+  : parseFloat(process.env.DEFAULT_TAX_RATE);
+
+// Round to 2 decimals (money)
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Case/space-insensitive comparison for province names
+const normalizePlace = (value) => String(value || '').trim().toLowerCase();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Split a discount over order lines in proportion to their totals
+ * @param {Array<Object>} items - Lines: { productId, lineTotal }
+ * @param {number} discountAmount - Order discount
+ * @param {Array<number>} [eligibleProductIds] - Lines the discount applies to (default: all)
+ * @returns {Array<number>} Discount per line (same order as items, sums to discountAmount)
+ */
+const allocateDiscount = (items, discountAmount, eligibleProductIds) => {
+  const shares = items.map(() => 0);
+  if (!discountAmount) return shares;
+
+  const eligible = items
+    .map((item, index) => ({ ...item, index }))
+    .filter((item) => !eligibleProductIds || eligibleProductIds.includes(item.productId));
+
+  const eligibleTotal = eligible.reduce((sum, item) => sum + item.lineTotal, 0);
+  if (eligibleTotal <= 0) return shares;
+
+  let allocated = 0;
+
+  eligible.forEach((item, position) => {
+    // Last line takes the rounding remainder
+    const share =
+      position === eligible.length - 1
+        ? roundMoney(discountAmount - allocated)
+        : roundMoney((discountAmount * item.lineTotal) / eligibleTotal);
+
+    shares[item.index] = share;
+    allocated += share;
+  });
+
+  return shares;
+};
+
+/**
+ * Pick the tax rule for one line
+ * @param {Array<Object>} rules - Active tax rules
+ * @param {string} province - Customer's province
+ * @param {string} category - Product category
+ * @returns {Object|null} Best matching rule, or null
+ */
+const findTaxRule = (rules, province, category) => {
+  const provinceKey = normalizePlace(province);
+
+  const listOf = (value) => (Array.isArray(value) && value.length > 0 ? value : null);
+
+  const candidates = rules
+    .map((rule) => {
+      const provinces = listOf(rule.provinces);
+      const categories = listOf(rule.categories);
+
+      const provinceMatch =
+        !provinces || provinces.some((entry) => normalizePlace(entry) === provinceKey);
+      const categoryMatch = !categories || categories.includes(category);
+
+      if (!provinceMatch || !categoryMatch) return null;
+
+      return { rule, specificity: (provinces ? 1 : 0) + (categories ? 1 : 0) };
+    })
+    .filter(Boolean);
+
+  candidates.sort(
+    (a, b) =>
+      b.rule.priority - a.rule.priority ||
+      b.specificity - a.specificity ||
+      a.rule.id - b.rule.id
+  );
+
+  return candidates.length > 0 ? candidates[0].rule : null;
+};
+
+/**
+ * Calculate tax for every line of an order
+ * @param {Object} params
+ * @param {string} [params.province] - Customer's province
+ * @param {Array<Object>} params.items - Lines: { productId, category, lineTotal }
+ * @param {number} [params.discountAmount=0] - Coupon discount on the order
+ * @param {Array<number>} [params.eligibleProductIds] - Lines the coupon applies to
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<Object>} { lines, taxAmount, taxIncludedAmount, taxAddedAmount }
+ */
+const calculateTax = async (
+  { province, items, discountAmount = 0, eligibleProductIds },
+  client = prisma
+) => {
+  const rules = await client.taxRule.findMany({
+    where: { isActive: true },
+  });
+
+  const discounts = allocateDiscount(items, discountAmount, eligibleProductIds);
+
+  const lines = items.map((item, index) => {
+    const taxable = Math.max(0, item.lineTotal - discounts[index]);
+    const rule = findTaxRule(rules, province, item.category);
+
+    const rate = rule ? parseFloat(rule.rate) : DEFAULT_TAX_RATE;
+    const inclusive = rule ? rule.isInclusive : false;
+
+    const taxAmount = inclusive
+      ? roundMoney((taxable * rate) / (100 + rate))
+      : roundMoney((taxable * rate) / 100);
+
+    return {
+      discountAmount: discounts[index],
+      taxRate: rate,
+      taxAmount,
+      taxInclusive: inclusive,
+      taxRuleName: rule ? rule.name : null,
+    };
+  });
+
+  const taxIncludedAmount = roundMoney(
+    lines.filter((line) => line.taxInclusive).reduce((sum, line) => sum + line.taxAmount, 0)
+  );
+  const taxAddedAmount = roundMoney(
+    lines.filter((line) => !line.taxInclusive).reduce((sum, line) => sum + line.taxAmount, 0)
+  );
+
+  return {
+    lines,
+    taxAmount: roundMoney(taxIncludedAmount + taxAddedAmount),
+    taxIncludedAmount, // Already inside the prices
+    taxAddedAmount,    // Added to the order total
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  allocateDiscount, // Coupon discount -> per line
+  findTaxRule,      // Rule for one line
+  calculateTax,     // Per-line tax breakdown for an order
+};
@@ -0,0 +1,347 @@
+// =============================================================================
+// TWO-FACTOR AUTHENTICATION (2FA) - TOTP, Email OTP & Backup Codes
+// =============================================================================
+//
+// A password alone is "something you know". 2FA adds "something you have":
+// - TOTP:  a 6-digit code from an authenticator app (Google Authenticator,
+//          Authy, 1Password...). Changes every 30 seconds.
+// - EMAIL: a 6-digit code emailed to the user at login (valid 10 minutes).
+// - BACKUP CODES: one-time codes the user saves when enabling 2FA, for when
+//          the phone is lost or email is unavailable.
+//
+// HOW TOTP WORKS (RFC 6238):
+// --------------------------
+// 1. Server and app share a random secret (shown as a QR code / base32 text)
+// 2. Both compute HMAC-SHA1(secret, floor(now / 30 seconds))
+// 3. The result is shortened to 6 digits - if both match, the code is valid
+//
+// No extra dependency is needed: Node's crypto module does the HMAC.
+//
+// =============================================================================
+
+const crypto = require('crypto');
+
+const { prisma } = require('../config/db');
+
+const { generateOTP, hashResetToken } = require('./generateToken');
+// hashResetToken is a plain SHA-256 helper - reused for OTPs and backup codes
+
+const { sendEmail, getTwoFactorCodeEmail } = require('./sendEmail');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const TOTP_STEP_SECONDS = 30;   // New code every 30 seconds
+const TOTP_DIGITS = 6;          // Code length
+const TOTP_WINDOW = 1;          // Accept 1 step before/after (clock drift)
+const EMAIL_OTP_MINUTES = 10;   // Email code lifetime
+const BACKUP_CODE_COUNT = 10;   // Backup codes generated at a time
+const MAX_FAILED_ATTEMPTS = 5;  // Wrong codes before a temporary lock
+const LOCK_MINUTES = 15;        // How long the lock lasts
+
+const ISSUER = 'Resin Art Store'; // Shown in the authenticator app
+
+// =============================================================================
+// BASE32 (authenticator apps expect the secret in base32)
+// =============================================================================
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string into bytes
+ * @param {string} input - Base32 string (case and spaces ignored)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// =============================================================================
+// TOTP
+// =============================================================================
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret (160 bits, as recommended by RFC 4226)
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URL that authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string} otpauth URL
+ */
+const getOtpAuthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Compute the TOTP code for a given time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / 30)
+ * @returns {string} Zero-padded code
+ */
+const generateTotp = (secret, step) => {
+  // Counter is an 8-byte big-endian integer
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // "Dynamic truncation" from RFC 4226
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a TOTP code against the current time (± TOTP_WINDOW steps)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number|null} lastUsedStep - Step of the last accepted code
+ * @returns {number|null} The matching time step, or null if invalid
+ */
+const verifyTotp = (secret, code, lastUsedStep = null) => {
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+  for (let i = -TOTP_WINDOW; i <= TOTP_WINDOW; i++) {
+    const step = currentStep + i;
+
+    // A code can only be used once (stops replay of a sniffed code)
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// =============================================================================
+// BACKUP CODES
+// =============================================================================
+
+/**
+ * Generate a fresh set of backup codes
+ * @returns {Object} { codes, hashes } - show codes once, store only hashes
+ */
+const generateBackupCodes = () => {
+  const codes = [];
+
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex'); // 10 hex chars
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashResetToken(code)),
+  };
+};
+
+// =============================================================================
+// EMAIL OTP
+// =============================================================================
+
+/**
+ * Email a one-time login code and store its hash on the user
+ * @param {Object} user - User with id, name and email
+ * @returns {Promise<void>}
+ */
+const sendEmailOtp = async (user) => {
+  const code = generateOTP(TOTP_DIGITS);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorOtpHash: hashResetToken(code),
+      twoFactorOtpExpire: new Date(Date.now() + EMAIL_OTP_MINUTES * 60 * 1000),
+    },
+  });
+
+  const { subject, text, html } = getTwoFactorCodeEmail(
+    user.name,
+    code,
+    EMAIL_OTP_MINUTES
+  );
+  await sendEmail({ to: user.email, subject, text, html });
+};
+
+// =============================================================================
+// VERIFY A SECOND FACTOR (login, disable, regenerate backup codes)
+// =============================================================================
+
+/**
+ * Check a code against the user's 2FA method (or a backup code) and
+ * record the result: used codes are consumed, wrong codes are counted.
+ * @param {Object} user - Full user record
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {boolean} [options.allowBackupCode=true] - Accept backup codes
+ * @returns {Promise<Object>} { valid: true, usedBackupCode } on success,
+ *                            { valid: false, error } with a client-safe message
+ */
+const verifyTwoFactorCode = async (user, code, { allowBackupCode = true } = {}) => {
+  // ---------------------------------------------------------------------------
+  // STEP 1: Temporary lock after too many wrong codes
+  // ---------------------------------------------------------------------------
+
+  if (user.twoFactorLockedUntil && user.twoFactorLockedUntil > new Date()) {
+    return {
+      valid: false,
+      error: 'Too many invalid codes. Please try again later.',
+    };
+  }
+
+  const input = String(code || '').trim().toLowerCase();
+  const data = {};
+  const unchanged = {}; // Values the consumed code depends on, see STEP 4
+  let usedBackupCode = false;
+
+  // ---------------------------------------------------------------------------
+  // STEP 2: Check the code for the user's method
+  // ---------------------------------------------------------------------------
+
+  if (user.twoFactorMethod === 'TOTP' && user.twoFactorSecret) {
+    const step = verifyTotp(user.twoFactorSecret, input, user.twoFactorLastUsedStep);
+    if (step !== null) {
+      data.twoFactorLastUsedStep = step;
+      unchanged.twoFactorLastUsedStep = user.twoFactorLastUsedStep;
+    }
+  } else if (user.twoFactorMethod === 'EMAIL' && user.twoFactorOtpHash) {
+    const notExpired = user.twoFactorOtpExpire && user.twoFactorOtpExpire > new Date();
+    if (notExpired && hashResetToken(input) === user.twoFactorOtpHash) {
+      // Email codes are single-use
+      data.twoFactorOtpHash = null;
+      data.twoFactorOtpExpire = null;
+      unchanged.twoFactorOtpHash = user.twoFactorOtpHash;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 3: Fall back to a backup code (each one works once)
+  // ---------------------------------------------------------------------------
+
+  if (Object.keys(data).length === 0 && allowBackupCode) {
+    const hashes = Array.isArray(user.twoFactorBackupCodes)
+      ? user.twoFactorBackupCodes
+      : [];
+    const hash = hashResetToken(input);
+
+    if (hashes.includes(hash)) {
+      data.twoFactorBackupCodes = hashes.filter((h) => h !== hash);
+      unchanged.twoFactorBackupCodes = { equals: hashes };
+      usedBackupCode = true;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEP 4: Record the result
+  // ---------------------------------------------------------------------------
+
+  if (Object.keys(data).length === 0) {
+    const attempts = user.twoFactorFailedAttempts + 1;
+    const locked = attempts >= MAX_FAILED_ATTEMPTS;
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorFailedAttempts: locked ? 0 : attempts,
+        twoFactorLockedUntil: locked
+          ? new Date(Date.now() + LOCK_MINUTES * 60 * 1000)
+          : null,
+      },
+    });
+
+    return { valid: false, error: 'Invalid verification code' };
+  }
+
+  // Consume the code only if nobody else did since the user was loaded:
+  // two parallel logins with the same code must not both get through
+  const consumed = await prisma.user.updateMany({
+    where: { id: user.id, ...unchanged },
+    data: { ...data, twoFactorFailedAttempts: 0, twoFactorLockedUntil: null },
+  });
+
+  if (consumed.count !== 1) {
+    return { valid: false, error: 'This code has already been used' };
+  }
+
+  return { valid: true, usedBackupCode };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  generateTotpSecret,   // New secret for authenticator app enrollment
+  getOtpAuthUrl,        // otpauth:// URL for QR codes
+  generateBackupCodes,  // One-time recovery codes
+  sendEmailOtp,         // Email a login code
+  verifyTwoFactorCode,  // Check TOTP/email/backup code and record the result
+};
@@ -0,0 +1,243 @@
+// =============================================================================
+// VARIANTS - Product Options, Variant Prices & Stock Totals
+// =============================================================================
+//
+// A product can come in variants (colors, sizes, ...), each with its own
+// SKU and stock and an optional price override:
+//
+//   Product "Ocean Coaster Set"   stock 7  (total of its active variants)
+//     Variant BLUE-4   {"color": "Blue"}   stock 5
+//     Variant TEAL-4   {"color": "Teal"}   stock 2   price 3200 (override)
+//
+// Once a product has active variants, every cart line must name one of them.
+// Taking and returning variant stock happens in utils/stockReservations.js.
+//
+// =============================================================================
+
+const { prisma } = require('../config/db');
+
+// Most option names a variant can have (color, size, finish, ...)
+const MAX_OPTIONS = 5;
+
+/**
+ * Check and tidy a variant's options
+ * @param {Object} options - e.g. { color: 'Blue', size: 'Large' }
+ * @returns {Object} { options } or { error }
+ */
+const normalizeOptions = (options) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'Options must be an object, e.g. { "color": "Blue" }' };
+  }
+
+  const entries = Object.entries(options);
+
+  if (entries.length === 0 || entries.length > MAX_OPTIONS) {
+    return { error: `A variant needs between 1 and ${MAX_OPTIONS} options` };
+  }
+
+  const normalized = {};
+
+  for (const [name, value] of entries) {
+    const key = String(name).trim().toLowerCase();
+    const text = value === null || value === undefined ? '' : String(value).trim();
+
+    if (!key || !text) {
+      return { error: 'Option names and values cannot be empty' };
+    }
+
+    normalized[key] = text;
+  }
+
+  return { options: normalized };
+};
+
+/**
+ * Name shown to customers, e.g. "Blue / Large"
+ * @param {Object} options - Normalized options
+ * @returns {string}
+ */
+const describeOptions = (options) => Object.values(options).join(' / ');
+
+/**
+ * Order or cart line name with its variant, e.g. "Ocean Coaster Set (Blue)"
+ * @param {Object} item - { productName, variantName }
+ * @returns {string}
+ */
+const formatItemName = (item) =>
+  item.variantName ? `${item.productName} (${item.variantName})` : item.productName;
+
+/**
+ * Price a customer pays for one unit. A variant with its own price uses
+ * its own discount too; otherwise the product's prices apply.
+ * @param {Object} product - Product (price, discountPrice)
+ * @param {Object} [variant] - Variant (price, discountPrice) or null
+ * @returns {Decimal|number} Unit price
+ */
+const getUnitPrice = (product, variant) => {
+  if (variant && variant.price !== null && variant.price !== undefined) {
+    return variant.discountPrice || variant.price;
+  }
+
+  return product.discountPrice || product.price;
+};
+
+/**
+ * Units that can still be sold
+ * @param {Object} product - Product
+ * @param {Object} [variant] - Variant or null
+ * @returns {number}
+ */
+const getAvailableStock = (product, variant) => (variant ? variant.stock : product.stock);
+
+/**
+ * Find the variant a customer picked for a product
+ * @param {Object} product - Product
+ * @param {number|string} [variantId] - Variant picked (may be missing)
+ * @returns {Promise<Object>} { variant } (null for products without
+ *   variants) or { error, statusCode }
+ */
+const resolveVariant = async (product, variantId) => {
+  if (variantId === undefined || variantId === null || variantId === '') {
+    const activeVariants = await prisma.productVariant.count({
+      where: { productId: product.id, isActive: true },
+    });
+
+    if (activeVariants > 0) {
+      return { error: `Please choose an option for ${product.name}`, statusCode: 400 };
+    }
+
+    return { variant: null };
+  }
+
+  const id = parseInt(variantId);
+  const variant = isNaN(id) ? null : await prisma.productVariant.findUnique({ where: { id } });
+
+  if (!variant || variant.productId !== product.id) {
+    return { error: 'Variant not found for this product', statusCode: 404 };
+  }
+
+  if (!variant.isActive) {
+    return { error: `${product.name} (${variant.name}) is no longer available`, statusCode: 400 };
+  }
+
+  return { variant };
+};
+
+/**
+ * Set a product's stock to the total of its active variants. Call after
+ * variants are added, removed, switched on/off or counted by hand.
+ * Products without variants keep their own stock.
+ * @param {Object} tx - Prisma transaction client (or prisma)
+ * @param {number} productId - Product
+ * @returns {Promise<number|null>} New product stock, or null if it has no variants
+ */
+const syncProductStock = async (tx, productId) => {
+  const [variantCount, active] = await Promise.all([
+    tx.productVariant.count({ where: { productId } }),
+    tx.productVariant.aggregate({
+      where: { productId, isActive: true },
+      _sum: { stock: true },
+    }),
+  ]);
+
+  if (variantCount === 0) return null;
+
+  const stock = active._sum.stock || 0;
+
+  await tx.product.update({
+    where: { id: productId },
+    data: { stock },
+  });
+
+  return stock;
+};
+
+/**
+ * Find what an admin stock change applies to: the product, or one of its
+ * variants. Products with variants must name the variant.
+ * @param {number} productId - Product
+ * @param {number|string} [variantId] - Variant (optional)
+ * @returns {Promise<Object>} { product, variant } (variant null for products
+ *   without variants) or { error, statusCode }
+ */
+const findStockTarget = async (productId, variantId) => {
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    include: { _count: { select: { variants: true } } },
+  });
+
+  if (!product) {
+    return { error: 'Product not found', statusCode: 404 };
+  }
+
+  if (variantId === undefined || variantId === null || variantId === '') {
+    if (product._count.variants > 0) {
+      return {
+        error: `${product.name} has variants - send the variantId whose stock changes`,
+        statusCode: 400,
+      };
+    }
+
+    return { product, variant: null };
+  }
+
+  const id = parseInt(variantId);
+  const variant = isNaN(id) ? null : await prisma.productVariant.findUnique({ where: { id } });
+
+  if (!variant || variant.productId !== product.id) {
+    return { error: 'Variant not found for this product', statusCode: 404 };
+  }
+
+  return { product, variant };
+};
+
+/**
+ * Set a variant's stock by hand and log it (call inside a transaction)
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} variant - Variant as loaded before the change
+ * @param {number} newStock - Counted stock
+ * @param {Object} log - { reason, changedById }
+ * @returns {Promise<Object>} { variant, inventoryLog }
+ */
+const setVariantStock = async (tx, variant, newStock, log) => {
+  const updated = await tx.productVariant.update({
+    where: { id: variant.id },
+    data: { stock: newStock },
+  });
+
+  const inventoryLog = await tx.inventoryLog.create({
+    data: {
+      productId: variant.productId,
+      variantId: variant.id,
+      previousStock: variant.stock,
+      newStock,
+      changeAmount: newStock - variant.stock,
+      changeType: 'MANUAL_ADJUSTMENT',
+      reason: log.reason,
+      changedById: log.changedById,
+    },
+    include: {
+      changedBy: { select: { id: true, name: true, email: true } },
+    },
+  });
+
+  await syncProductStock(tx, variant.productId);
+
+  return { variant: updated, inventoryLog };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  normalizeOptions,  // Validate { name: value } options
+  describeOptions,   // Options -> "Blue / Large"
+  formatItemName,    // "Product (Variant)" for invoices, emails, messages
+  getUnitPrice,      // Variant price override or product price
+  getAvailableStock, // Variant stock or product stock
+  resolveVariant,    // Customer's pick -> variant (or why it can't be used)
+  syncProductStock,  // Product stock = total of its active variants
+  findStockTarget,   // Admin stock change -> product or variant
+  setVariantStock,   // Admin stock change on a variant (logged)
+};